@@ -1,2138 +1,8427 @@
 // ===========================================================================================
-// LOCAL DATABASE STORAGE SYSTEM - Using Browser's localStorage API
+// LOCAL DATABASE STORAGE SYSTEM - Pluggable Storage Adapters
 // ===========================================================================================
-// This is a local database implementation that stores all application data in the browser's
-// localStorage. localStorage is a built-in browser API that persists data locally on the user's machine.
-// Key characteristics:
-// - Data persists even after browser closes
-// - Stores up to ~5-10MB per domain
-// - Synchronous access (no async/await needed)
-// - Key-value pair storage (strings only)
+// All application records live in an in-memory cache that is loaded once at startup and
+// written through to a storage adapter after every change. Two adapters ship with the app:
+// - localStorage: the original backend, keeps every record in one JSON blob under DB_KEY
+//   (~5-10MB per domain, every write re-serializes the whole database)
+// - indexedDB:    one object store keyed by __backendId, writes only the records that changed
+//   and has a much larger quota for real-sized menus and order histories
+// - remote:       the REST API of the bundled server.js, so several browsers on a LAN share
+//   one dataset
+// The adapter is chosen at startup (see chooseStorageAdapter). Reads stay synchronous because
+// they are served from the cache, so the render functions don't need to know which backend
+// is in use.
 // ===========================================================================================
 
 // Define the database key for localStorage
 const DB_KEY = 'Zaikalok_data';
 
-/**
- * LOCALHOST DATABASE: Get all data from browser's localStorage
- * @returns {Array} Array of all stored records
- */
-function getAllData() {
-    // Retrieve stringified JSON from localStorage using DB_KEY
-    const data = localStorage.getItem(DB_KEY);
-    // Parse JSON string back to array, or return empty array if no data exists
-    return data ? JSON.parse(data) : [];
-}
+// localStorage key that overrides config.storage_backend ('auto', 'localStorage', 'indexedDB' or 'remote')
+const STORAGE_BACKEND_KEY = 'Zaikalok_storageBackend';
+
+// IndexedDB database details
+const IDB_NAME = 'Zaikalok';
+const IDB_VERSION = 2;
+const IDB_RECORDS_STORE = 'records';
+const IDB_IMAGES_STORE = 'images';
+
+// localStorage key prefix for images when the localStorage backend is used
+const IMAGE_STORAGE_PREFIX = 'Zaikalok_img_';
+
+// In-memory copy of every record, filled by initDataStore()
+let recordCache = [];
 
 /**
- * LOCALHOST DATABASE: Save data to browser's localStorage
- * @param {Array} dataArray - Array of records to save
+ * Base class for errors raised by the data layer.
+ * Uncaught ones are reported to the user by the window 'error' handler below.
  */
-function saveData(dataArray) {
-    // Convert array to JSON string and save to localStorage
-    localStorage.setItem(DB_KEY, JSON.stringify(dataArray));
+class DataStoreError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DataStoreError';
+    }
 }
 
 /**
- * LOCALHOST DATABASE: Create a new record in localStorage
- * @param {Object} record - Record object to create
- * @returns {Object} Created record with generated __backendId
+ * Thrown when an update is based on an outdated copy of a record, i.e. someone else (another
+ * tab, another user) saved the record in the meantime. Callers should reload and retry.
  */
-function createRecord(record) {
-    // Retrieve all existing data from localStorage
-    const allData = getAllData();
-    // Generate unique ID for the record
-    const newRecord = {
-        ...record,
-        __backendId: Date.now().toString() + Math.random().toString(36).substr(2, 9)
-    };
-    // Add new record to the array
-    allData.push(newRecord);
-    // Save updated array back to localStorage
-    saveData(allData);
-    return newRecord;
+class RecordConflictError extends DataStoreError {
+    constructor(record, storedRecord) {
+        super(`${record.type || 'Record'} ${record.__backendId} was changed by someone else`);
+        this.name = 'RecordConflictError';
+        this.recordId = record.__backendId;
+        this.recordType = record.type;
+        this.expectedRev = record.__rev || 0;
+        this.actualRev = storedRecord ? (storedRecord.__rev || 0) : null;
+    }
 }
 
 /**
- * LOCALHOST DATABASE: Update an existing record in localStorage
- * @param {Object} record - Record object to update (must have __backendId)
- * @returns {Boolean} True if updated, false if not found
+ * Thrown when the storage backend is out of space. Nothing from the failed write is kept.
  */
-function updateRecord(record) {
-    // Retrieve all data from localStorage
-    const allData = getAllData();
-    // Find index of record with matching __backendId
-    const index = allData.findIndex(item => item.__backendId === record.__backendId);
-    if (index !== -1) {
-        // Replace the record at the found index
-        allData[index] = record;
-        // Save updated array back to localStorage
-        saveData(allData);
-        return true;
+class StorageQuotaError extends DataStoreError {
+    constructor(cause) {
+        super('Storage is full, so your changes were not saved. An admin can free up space in Data Health.');
+        this.name = 'StorageQuotaError';
+        this.cause = cause;
     }
-    return false;
 }
 
 /**
- * LOCALHOST DATABASE: Delete a record from localStorage
- * @param {Object} record - Record object to delete (must have __backendId)
- * @returns {Boolean} Always returns true
+ * Thrown when a record doesn't match the schema of its type (see RECORD_SCHEMAS).
+ * Nothing from the transaction is written; `errors` lists every problem found.
  */
-function deleteRecord(record) {
-    // Retrieve all data from localStorage
-    const allData = getAllData();
-    // Filter out the record with matching __backendId
-    const filtered = allData.filter(item => item.__backendId !== record.__backendId);
-    // Save filtered array back to localStorage
-    saveData(filtered);
-    return true;
+class RecordValidationError extends DataStoreError {
+    constructor(record, errors) {
+        super(`Invalid ${record.type || 'record'}: ${errors.join('; ')}`);
+        this.name = 'RecordValidationError';
+        this.recordId = record.__backendId;
+        this.recordType = record.type;
+        this.errors = errors;
+    }
 }
 
-// Global State Variables
-let currentUser = null;
-let currentView = 'landing';
-let cart = [];
-let wishlist = [];
-
-// Search and filter state
-let searchQuery = '';
-let selectedCuisine = 'all';
-let priceFilter = { min: 0, max: 10000 };
-
-// Promo codes state
-let appliedPromoCode = null;
-let promoCodeDiscount = 0;
+// Check whether a browser storage error means the quota was exceeded
+function isQuotaError(error) {
+    return !!error && (
+        error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22 ||
+        error.code === 1014
+    );
+}
 
-// ===========================================================================================
-// CHATBOT SYSTEM - Role-based Assistant with Voice Support
-// ===========================================================================================
+// Turn a raw storage error into a StorageQuotaError when it is about space
+function toStorageError(error) {
+    return isQuotaError(error) ? new StorageQuotaError(error) : error;
+}
 
-let chatbotState = {
-    isOpen: false,
-    isMuted: false,
-    isListening: false,
-    userRole: null, // 'guest', 'customer', 'owner', 'delivery'
-    messages: [],
-    isProcessing: false,
-    recognition: null
-};
+/**
+ * Check a staged update against the copy currently in storage
+ * @param {Object} change - { op: 'update', record, expectedRev }
+ * @param {Object} storedRecord - Record as stored, or undefined if it no longer exists
+ * @returns {RecordConflictError|null} Conflict error, or null when the update is safe
+ */
+function checkStoredRevision(change, storedRecord) {
+    if (!storedRecord || (storedRecord.__rev || 0) !== change.expectedRev) {
+        return new RecordConflictError({ ...change.record, __rev: change.expectedRev }, storedRecord);
+    }
+    return null;
+}
 
-// Initialize Speech Recognition
-function initSpeechRecognition() {
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    if (SpeechRecognition) {
-        chatbotState.recognition = new SpeechRecognition();
-        chatbotState.recognition.continuous = false;
-        chatbotState.recognition.interimResults = true;
-        chatbotState.recognition.language = 'en-US';
+/**
+ * STORAGE ADAPTER: localStorage - the original single JSON blob backend
+ * Every adapter exposes the same interface:
+ * - isAvailable()            : Boolean, whether the backend can be used in this browser
+ * - open()                   : Promise, prepares the backend
+ * - loadAll()                : Promise<Array>, every stored record
+ * - persist(changes, records): writes a list of { op: 'create'|'update'|'delete', record }
+ *                              changes; may return a Promise. `records` is the full cache.
+ *                              Updates carry `expectedRev`, the __rev the change was based on;
+ *                              if the stored record has moved on, the write must fail with a
+ *                              RecordConflictError and leave storage untouched.
+ * - replaceAll(records)      : overwrites the whole dataset; may return a Promise
+ * - getImage(key)            : Promise<String|null>, one stored image data URL
+ * - putImages(images)        : Promise, saves a list of { key, dataUrl }
+ * - deleteImages(keys)       : Promise, removes the images with these keys
+ * - listImages()             : Promise<Array>, every stored { key, dataUrl }
+ */
+const localStorageAdapter = {
+    name: 'localStorage',
+    
+    isAvailable() {
+        try {
+            return typeof localStorage !== 'undefined';
+        } catch (error) {
+            return false;
+        }
+    },
+    
+    open() {
+        return Promise.resolve();
+    },
+    
+    loadAll() {
+        // Retrieve stringified JSON from localStorage using DB_KEY
+        const data = localStorage.getItem(DB_KEY);
+        // Parse JSON string back to array, or return empty array if no data exists
+        return Promise.resolve(data ? JSON.parse(data) : []);
+    },
+    
+    persist(changes) {
+        // Apply the changes to the stored copy rather than writing our cache, so records saved
+        // by other tabs in the meantime are kept and stale updates are detected
+        const data = localStorage.getItem(DB_KEY);
+        const stored = data ? JSON.parse(data) : [];
+        const positions = new Map(stored.map((record, index) => [record.__backendId, index]));
         
-        chatbotState.recognition.onstart = function() {
-            chatbotState.isListening = true;
-            const micBtn = document.getElementById('chatbot-mic-btn');
-            if (micBtn) {
-                micBtn.classList.add('listening');
-                micBtn.style.background = 'linear-gradient(135deg, #ef4444 0%, #dc2626 100%)';
-            }
-        };
+        changes.forEach(change => {
+            if (change.op !== 'update') return;
+            const conflict = checkStoredRevision(change, stored[positions.get(change.record.__backendId)]);
+            if (conflict) throw conflict;
+        });
         
-        chatbotState.recognition.onend = function() {
-            chatbotState.isListening = false;
-            const micBtn = document.getElementById('chatbot-mic-btn');
-            if (micBtn) {
-                micBtn.classList.remove('listening');
-                micBtn.style.background = '';
+        const deletedIds = new Set();
+        changes.forEach(change => {
+            const position = positions.get(change.record.__backendId);
+            if (change.op === 'delete') {
+                deletedIds.add(change.record.__backendId);
+            } else if (position === undefined) {
+                positions.set(change.record.__backendId, stored.length);
+                stored.push(change.record);
+            } else {
+                stored[position] = change.record;
             }
-        };
+        });
         
-        chatbotState.recognition.onresult = function(event) {
-            let interimTranscript = '';
-            let finalTranscript = '';
-            
-            for (let i = event.resultIndex; i < event.results.length; i++) {
-                const transcript = event.results[i][0].transcript;
-                
-                if (event.results[i].isFinal) {
-                    finalTranscript += transcript + ' ';
-                } else {
-                    interimTranscript += transcript;
-                }
+        // localStorage can only hold strings, so the whole array is rewritten
+        const remaining = stored.filter(record => !deletedIds.has(record.__backendId));
+        localStorage.setItem(DB_KEY, JSON.stringify(remaining));
+    },
+    
+    replaceAll(records) {
+        localStorage.setItem(DB_KEY, JSON.stringify(records));
+    },
+    
+    getImage(key) {
+        return Promise.resolve(localStorage.getItem(IMAGE_STORAGE_PREFIX + key));
+    },
+    
+    putImages(images) {
+        // Wrapped in a Promise so a quota error becomes a rejection like in IndexedDB
+        return new Promise(resolve => {
+            images.forEach(image => localStorage.setItem(IMAGE_STORAGE_PREFIX + image.key, image.dataUrl));
+            resolve();
+        });
+    },
+    
+    deleteImages(keys) {
+        keys.forEach(key => localStorage.removeItem(IMAGE_STORAGE_PREFIX + key));
+        return Promise.resolve();
+    },
+    
+    listImages() {
+        const images = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const storageKey = localStorage.key(i);
+            if (storageKey.startsWith(IMAGE_STORAGE_PREFIX)) {
+                images.push({ key: storageKey.slice(IMAGE_STORAGE_PREFIX.length), dataUrl: localStorage.getItem(storageKey) });
             }
+        }
+        return Promise.resolve(images);
+    }
+};
+
+/**
+ * STORAGE ADAPTER: IndexedDB - one object store keyed by __backendId
+ * Writes are asynchronous; the cache is already updated when persist() is called, so the UI
+ * never waits for the disk.
+ */
+const indexedDBAdapter = {
+    name: 'indexedDB',
+    db: null,
+    
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    },
+    
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(IDB_RECORDS_STORE)) {
+                    db.createObjectStore(IDB_RECORDS_STORE, { keyPath: '__backendId' });
+                }
+                if (!db.objectStoreNames.contains(IDB_IMAGES_STORE)) {
+                    db.createObjectStore(IDB_IMAGES_STORE, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+    
+    loadAll() {
+        return new Promise((resolve, reject) => {
+            const request = this.db
+                .transaction(IDB_RECORDS_STORE, 'readonly')
+                .objectStore(IDB_RECORDS_STORE)
+                .getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    },
+    
+    persist(changes) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(IDB_RECORDS_STORE, 'readwrite');
+            const store = tx.objectStore(IDB_RECORDS_STORE);
+            let conflict = null;
             
-            // Update input field with better accumulation
-            const input = document.getElementById('chatbot-input');
-            if (input) {
-                if (finalTranscript) {
-                    // Accumulate final results properly
-                    input.value = (input.value + ' ' + finalTranscript).trim();
-                    
-                    // Auto-send when speech is final
-                    if (event.isFinal && input.value.trim().length > 0) {
-                        setTimeout(() => {
-                            sendChatbotMessage();
-                        }, 300);
-                    }
-                } else if (interimTranscript) {
-                    // Show real-time interim results
-                    input.placeholder = 'Listening: ' + interimTranscript;
+            changes.forEach(change => {
+                if (change.op === 'delete') {
+                    store.delete(change.record.__backendId);
+                } else if (change.op === 'create') {
+                    store.put(change.record);
+                } else {
+                    // Compare revisions inside the same transaction, aborting the whole batch on a conflict
+                    const request = store.get(change.record.__backendId);
+                    request.onsuccess = () => {
+                        if (conflict) return;
+                        conflict = checkStoredRevision(change, request.result);
+                        if (conflict) {
+                            tx.abort();
+                        } else {
+                            store.put(change.record);
+                        }
+                    };
                 }
-            }
-        };
+            });
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(conflict || tx.error);
+            tx.onabort = () => reject(conflict || tx.error);
+        });
+    },
+    
+    replaceAll(records) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(IDB_RECORDS_STORE, 'readwrite');
+            const store = tx.objectStore(IDB_RECORDS_STORE);
+            store.clear();
+            records.forEach(record => store.put(record));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+    
+    getImage(key) {
+        return new Promise((resolve, reject) => {
+            const request = this.db
+                .transaction(IDB_IMAGES_STORE, 'readonly')
+                .objectStore(IDB_IMAGES_STORE)
+                .get(key);
+            request.onsuccess = () => resolve(request.result ? request.result.dataUrl : null);
+            request.onerror = () => reject(request.error);
+        });
+    },
+    
+    putImages(images) {
+        return this.writeImages(store => images.forEach(image => store.put(image)));
+    },
+    
+    deleteImages(keys) {
+        return this.writeImages(store => keys.forEach(key => store.delete(key)));
+    },
+    
+    listImages() {
+        return new Promise((resolve, reject) => {
+            const request = this.db
+                .transaction(IDB_IMAGES_STORE, 'readonly')
+                .objectStore(IDB_IMAGES_STORE)
+                .getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    },
+    
+    // Run writes against the images store in one transaction
+    writeImages(write) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(IDB_IMAGES_STORE, 'readwrite');
+            write(tx.objectStore(IDB_IMAGES_STORE));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+};
+
+/**
+ * STORAGE ADAPTER: remote - the REST API served by server.js, shared by every browser that
+ * points at the same server. Commits are sent as one batch so the server applies all of them
+ * or none, and changes made by other browsers arrive over Server-Sent Events.
+ */
+const remoteAdapter = {
+    name: 'remote',
+    events: null,
+    reconnectTimer: null,
+    
+    isAvailable() {
+        return typeof fetch !== 'undefined' && !!getRemoteApiUrl();
+    },
+    
+    async open() {
+        const response = await this.send('GET', '/meta').catch(() => null);
+        if (isServerUnreachable(response)) {
+            // Start from the copy saved on this device; writes queue up until the server is back
+            setRemoteOffline(true);
+            this.scheduleReconnect();
+            return;
+        }
+        // Any other error fails now (and falls back to localStorage) rather than on the first write
+        await this.check(response);
+        this.listen();
+        // Send writes left over from an earlier offline session before loading
+        await replayPendingWrites();
+    },
+    
+    async loadAll() {
+        if (remoteOffline) {
+            return loadRemoteSnapshot();
+        }
+        const records = await this.request('GET', '/records');
+        saveRemoteSnapshot(records);
+        return records;
+    },
+    
+    async persist(changes, cache) {
+        saveRemoteSnapshot(cache);
         
-        chatbotState.recognition.onerror = function(event) {
-            console.error('Speech recognition error:', event.error);
-            const micBtn = document.getElementById('chatbot-mic-btn');
-            if (micBtn) {
-                micBtn.style.background = '';
-                micBtn.classList.remove('listening');
+        // Keep writes in order: while older ones are waiting for the server, new ones queue up behind them
+        if (getPendingWrites().length > 0) {
+            await queuePendingWrite(changes);
+            replayPendingWrites();
+            return;
+        }
+        
+        const response = await this.send('POST', '/batch', { changes }).catch(() => null);
+        if (isServerUnreachable(response)) {
+            // Keep the write on this device and send it when the connection returns
+            setRemoteOffline(true);
+            await queuePendingWrite(changes);
+            return;
+        }
+        setRemoteOffline(false);
+        
+        if (response.status === 409) {
+            const conflict = await response.json();
+            const change = changes.find(c => c.record.__backendId === conflict.recordId) || changes[0];
+            throw new RecordConflictError(
+                { ...change.record, __rev: change.expectedRev },
+                conflict.actualRev === null ? null : { __rev: conflict.actualRev }
+            );
+        }
+        await this.check(response);
+    },
+    
+    async replaceAll(records) {
+        await this.request('PUT', '/records', records);
+        saveRemoteSnapshot(records);
+    },
+    
+    async getImage(key) {
+        const response = await this.send('GET', `/images/${encodeURIComponent(key)}`);
+        if (response.status === 404) return null;
+        await this.check(response);
+        return (await response.json()).dataUrl;
+    },
+    
+    putImages(images) {
+        return this.request('POST', '/images', { images });
+    },
+    
+    deleteImages(keys) {
+        return this.request('DELETE', '/images', { keys });
+    },
+    
+    listImages() {
+        return this.request('GET', '/images');
+    },
+    
+    // Schema version is kept on the server so browsers don't each re-run the migrations
+    async getSchemaVersion() {
+        // The saved copy is written after this browser's migrations, so it is already current
+        if (remoteOffline) return CURRENT_SCHEMA_VERSION;
+        const meta = await this.request('GET', '/meta');
+        return meta.schemaVersion || 0;
+    },
+    
+    setSchemaVersion(version) {
+        return this.request('PUT', '/meta', { schemaVersion: version });
+    },
+    
+    // Apply changes made by other browsers as they happen
+    listen() {
+        if (typeof EventSource === 'undefined' || this.events) return;
+        let connectedBefore = false;
+        
+        // EventSource can't send headers, so the token goes in the query string
+        this.events = new EventSource(`${getRemoteApiUrl()}/events?token=${encodeURIComponent(getApiToken())}`);
+        this.events.onmessage = (event) => handleSyncMessage(JSON.parse(event.data));
+        this.events.onopen = () => {
+            // EventSource reconnects by itself; send what was queued while we were away, then
+            // pick up what others sent by reloading
+            if (connectedBefore) {
+                replayPendingWrites().then(reloadRecordCache);
             }
-            showToast('Microphone access denied or not supported', 'error');
+            connectedBefore = true;
         };
+    },
+    
+    // After starting offline, keep checking for the server; once it answers, send the queued
+    // writes and load what everyone else changed in the meantime
+    scheduleReconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.reconnect(), PENDING_RETRY_INTERVAL);
+    },
+    
+    async reconnect() {
+        const response = await this.send('GET', '/meta').catch(() => null);
+        if (isServerUnreachable(response) || !response.ok) {
+            this.scheduleReconnect();
+            return;
+        }
+        setRemoteOffline(false);
+        this.listen();
+        await replayPendingWrites();
+        await reloadRecordCache();
+    },
+    
+    // Send a request, returning the raw Response. A rejected API token is asked for again once.
+    async send(method, path, body) {
+        const token = getApiToken();
+        const response = await fetch(getRemoteApiUrl() + path, this.requestOptions(method, body, token));
+        if (response.status !== 401) return response;
+        
+        const newToken = getApiToken(token);
+        if (!newToken || newToken === token) return response;
+        // Reconnect the event stream with the new token
+        if (this.events) {
+            this.events.close();
+            this.events = null;
+            this.listen();
+        }
+        return fetch(getRemoteApiUrl() + path, this.requestOptions(method, body, newToken));
+    },
+    
+    requestOptions(method, body, token) {
+        const options = { method, headers: { 'X-Client-Id': syncTabId, 'Authorization': `Bearer ${token}` } };
+        if (body !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+        return options;
+    },
+    
+    // Turn an error status into an exception
+    async check(response) {
+        if (response.ok) return;
+        if (response.status === 413) {
+            throw new StorageQuotaError(new Error('Request too large for the server'));
+        }
+        if (response.status === 401) {
+            throw new DataStoreError('The shared server rejected the API token');
+        }
+        const details = await response.text().catch(() => '');
+        throw new DataStoreError(`Server responded ${response.status}${details ? `: ${details}` : ''}`);
+    },
+    
+    // Send a request and return the parsed JSON body (undefined for 204 No Content)
+    async request(method, path, body) {
+        const response = await this.send(method, path, body);
+        await this.check(response);
+        return response.status === 204 ? undefined : response.json();
     }
+};
+
+/**
+ * Base URL of the REST API used by the remote adapter
+ * @returns {String|null} config.remote_api_url, or /api on the page's own server; null when
+ *                        the page was opened from disk and there is no server to talk to
+ */
+function getRemoteApiUrl() {
+    if (config.remote_api_url) return config.remote_api_url.replace(/\/$/, '');
+    if (typeof location === 'undefined' || !/^https?:$/.test(location.protocol)) return null;
+    return `${location.origin}/api`;
 }
 
-// Toggle Voice Input
-function toggleVoiceInput() {
-    if (!chatbotState.recognition) {
-        showToast('Voice input not supported on your browser', 'error');
-        return;
-    }
-    
-    if (chatbotState.isListening) {
-        chatbotState.recognition.stop();
+// localStorage key of the API token the operator entered for the shared server
+const API_TOKEN_KEY = 'Zaikalok_apiToken';
+
+// Set when the operator cancels the token prompt, so every request doesn't ask again
+let apiTokenDeclined = false;
+
+/**
+ * API token sent to the shared server, asking the operator when none is stored
+ * @param {String} [rejectedToken] - Token the server just answered 401 to; ask for a new one
+ *                                   unless another request already replaced it
+ * @returns {String} Token, or '' when the operator cancelled
+ */
+function getApiToken(rejectedToken) {
+    const stored = localStorage.getItem(API_TOKEN_KEY) || '';
+    if (stored && stored !== rejectedToken) return stored;
+    if (apiTokenDeclined || typeof prompt !== 'function') return '';
+    
+    const message = rejectedToken
+        ? 'The shared server rejected the API token. Enter the token printed when server.js started:'
+        : 'Enter the API token printed when server.js started:';
+    const token = (prompt(message) || '').trim();
+    if (token) {
+        localStorage.setItem(API_TOKEN_KEY, token);
     } else {
-        chatbotState.recognition.start();
+        localStorage.removeItem(API_TOKEN_KEY);
+        apiTokenDeclined = true;
     }
+    return token;
 }
 
-// Chatbot Knowledge Base
-const chatbotKnowledge = {
-    landing: {
-        questions: [
-            { q: "What is Zaikalok?", a: "Zaikalok is a food ordering platform that connects customers with restaurants and delivery partners. We make ordering food quick, easy, and convenient!" },
-            { q: "How do I register as a customer?", a: "Click on 'Sign Up' button, select 'Customer', enter your email, password, and phone number. Verify your email and you're ready to order!" },
-            { q: "How do I register as a restaurant owner?", a: "Go to Sign Up, select 'Restaurant Owner', provide your restaurant details including name, address, cuisine type, and banking information for receiving payments." },
-            { q: "How do I register as a delivery partner?", a: "Click Sign Up, select 'Delivery Partner', provide your identification, vehicle details, and bank account. Complete verification and start accepting delivery orders!" },
-            { q: "How do I reset my password?", a: "Click 'Forgot Password' on the login page, enter your email, and we'll send you a reset link. Check your email and follow the instructions." },
-            { q: "Who created Zaikalok?", a: "Zaikalok was created by a dedicated team of developers and entrepreneurs, Vinit and Vivek, who are passionate about revolutionizing food delivery in campus areas." },
-            { q: "How can I contact customer support?", a: "You can reach our support team via email at support@Zaikalok.com or use the 'Help' section in your account for live chat support." },
-            { q: "What payment methods do you accept?", a: "We accept credit cards, debit cards, UPI, digital wallets, and cash on delivery options depending on your location." },
-            { q: "Is my data secure on Zaikalok?", a: "Yes! We use industry-standard encryption and follow all data protection regulations to keep your information safe and secure." }
-        ]
-    },
-    customer: {
-        questions: [
-            { q: "How do I place an order?", a: "Browse restaurants, select items, add to cart, review your order, and click checkout. Choose delivery time and payment method to complete." },
-            { q: "Can I track my order?", a: "Yes! Once confirmed, you'll see real-time tracking of your order status and delivery partner's location on the map." },
-            { q: "What if my order is wrong or late?", a: "Report the issue immediately through the app. Our support team will help with refunds, replacements, or compensation as applicable." },
-            { q: "Can I modify my order after placing it?", a: "You can modify orders up to 2 minutes after placing them. After that, contact support immediately to request changes." },
-            { q: "What are the delivery charges?", a: "Delivery charges vary based on distance and demand. You'll see the exact charge before confirming your order." },
-            { q: "Can I schedule orders in advance?", a: "Yes! You can schedule orders up to 7 days in advance. Select your preferred delivery time during checkout." },
-            { q: "How do I view my order history?", a: "Go to 'My Orders' section in your account to see all past orders, re-order favorites, and track refunds." },
-            { q: "Can I apply promo codes?", a: "Absolutely! Enter promo codes during checkout. Look for special offers in the 'Deals' section of the app." },
-            { q: "How do I save favorite restaurants?", a: "Click the heart icon on any restaurant to add it to your favorites for quick access later." }
-        ]
-    },
-    owner: {
-        questions: [
-            { q: "How do I manage my restaurant menu?", a: "Log in to your dashboard, go to 'Menu Management', add/edit/delete items with prices, descriptions, and photos." },
-            { q: "How do I see incoming orders?", a: "New orders appear in real-time on your dashboard. You can accept, reject, or mark as ready for delivery." },
-            { q: "How do I withdraw my earnings?", a: "Go to 'Payments' section, view your account balance, and request withdrawal. Funds transfer within 2-3 business days." },
-            { q: "What commission does Zaikalok charge?", a: "Our standard commission is 15-20% depending on your restaurant tier. Premium restaurants get better rates." },
-            { q: "Can I set different delivery times for different areas?", a: "Yes! Use the 'Delivery Zones' feature to set custom delivery times and charges for different areas." },
-            { q: "How do I update my restaurant information?", a: "Edit your restaurant profile including name, description, address, phone, and operating hours in the settings." },
-            { q: "What analytics are available?", a: "Access comprehensive analytics showing daily orders, revenue, popular items, customer feedback, and traffic insights." },
-            { q: "How do I handle customer complaints?", a: "Respond to reviews and complaints through the dashboard. Our support team can assist with dispute resolution." },
-            { q: "Can I temporarily close my restaurant?", a: "Yes! Use 'Go Offline' to pause accepting orders. Your restaurant will be hidden from customer search temporarily." }
-        ]
-    },
-    delivery: {
-        questions: [
-            { q: "How do I start accepting deliveries?", a: "Go online in the app, set your availability, and delivery requests will start appearing. Accept orders and navigate using the in-app map." },
-            { q: "How do I track my earnings?", a: "View daily, weekly, and monthly earnings in the 'Earnings' section. You can see payment breakdown per delivery." },
-            { q: "When do I get paid?", a: "Earnings are processed daily. Payments transfer to your bank account every Friday and Tuesday." },
-            { q: "What if I can't deliver an order?", a: "Let the system know immediately by clicking 'Can't Deliver'. A nearby delivery partner will take over the order." },
-            { q: "How are delivery fees calculated?", a: "Fees are based on distance and current demand. You'll see exact payment before accepting each order." },
-            { q: "Can I choose my delivery zones?", a: "Yes! Set your preferred delivery areas in settings to get relevant delivery requests." },
-            { q: "What safety features are available?", a: "We provide in-app messaging, emergency SOS button, real-time location sharing, and 24/7 support." },
-            { q: "How do I contact support while on delivery?", a: "Tap the 'Support' button in the app for live chat, phone support, or emergency assistance." },
-            { q: "Can I schedule my working hours?", a: "Yes! Set your available hours and days. You'll receive orders only during your scheduled time." }
-        ]
-    }
+// ===========================================================================================
+// ENCRYPTION AT REST - Personal data is stored encrypted in the browser and on the shared server
+// ===========================================================================================
+// Names, contact details, addresses and passwords are encrypted with AES-GCM before they reach
+// localStorage or IndexedDB, under a key derived (PBKDF2) from a passphrase the operator chooses
+// on first start and a random salt kept in localStorage. The passphrase itself is never saved:
+// it is asked for every time the app starts. Only those fields are encrypted: IDs, types,
+// revisions and references stay readable, so the adapters can still detect conflicts. Records
+// are decrypted as they are loaded, so the cache and the render functions only see plain values.
+// With the remote backend the salt and check value are kept on the server (in /api/meta) instead,
+// so every browser that knows the passphrase derives the same key and server.js only ever stores
+// the encrypted values.
+// ===========================================================================================
+
+// Fields encrypted per record type
+const ENCRYPTED_FIELDS = {
+    user: ['name', 'email', 'phone', 'address', 'password', 'licenceNumber', 'rejectionReason'],
+    order: ['deliveryAddress', 'deliveryPhone'],
+    review: ['customerName'],
+    invite: ['name', 'email'],
+    message: ['to', 'body'],
+    contactVerification: ['target']
 };
 
-// Voice synthesis setup
-function speakResponse(text) {
-    if (chatbotState.isMuted) return;
-    
-    // Cancel any ongoing speech
-    window.speechSynthesis.cancel();
-    
-    const utterance = new SpeechSynthesisUtterance(text);
-    utterance.rate = 1;
-    utterance.pitch = 1;
-    utterance.volume = 1;
-    window.speechSynthesis.speak(utterance);
+// Encrypted values are stored as this prefix + base64(12-byte IV + ciphertext)
+const ENCRYPTED_VALUE_PREFIX = 'enc:v1:';
+// localStorage key of { salt, iterations, check } for the key derivation, or { disabled: true }
+// when the operator chose not to encrypt
+const ENCRYPTION_SETTINGS_KEY = 'Zaikalok_encryption';
+// localStorage copy of the shared server's settings, so the app can start while it is unreachable
+const REMOTE_ENCRYPTION_SETTINGS_KEY = 'Zaikalok_remoteEncryption';
+const ENCRYPTION_KEY_ITERATIONS = 250000;
+// Encrypted into `check` so a wrong passphrase is noticed before anything is read or written
+const ENCRYPTION_CHECK_VALUE = 'zaikalok';
+// Passphrase that used to ship with the page; data still under it is re-encrypted on first start
+const LEGACY_ENCRYPTION_PASSPHRASE = 'zaikalok-local-data';
+
+// AES-GCM key for this session; null while encryption is off
+let encryptionKey = null;
+// Key of data still encrypted under the legacy passphrase, kept only until it is re-encrypted
+let legacyEncryptionKey = null;
+// Resolves the passphrase form while it is shown
+let passphraseFormResolve = null;
+
+// WebCrypto only exists on secure pages (https://, localhost or a file opened from disk)
+function isEncryptionSupported() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle;
 }
 
-// Stop Voice Response
-function stopVoiceResponse() {
-    if (window.speechSynthesis.speaking) {
-        window.speechSynthesis.cancel();
-    }
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
 }
 
-// Get relevant questions based on user role and page
-function getRelevantQuestions() {
-    let questions = [];
-    
-    if (!currentUser) {
-        questions = chatbotKnowledge.landing.questions;
-    } else if (currentUser.role === 'customer') {
-        questions = [...chatbotKnowledge.customer.questions, ...chatbotKnowledge.customer.questions];
-    } else if (currentUser.role === 'owner') {
-        questions = [...chatbotKnowledge.owner.questions, ...chatbotKnowledge.owner.questions];
-    } else if (currentUser.role === 'delivery') {
-        questions = [...chatbotKnowledge.delivery.questions, ...chatbotKnowledge.delivery.questions];
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Derive the AES-GCM key from a passphrase
+ * @param {String} passphrase - Platform passphrase
+ * @param {Uint8Array} salt - Random salt stored with the settings
+ * @param {Number} iterations - PBKDF2 iteration count
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveEncryptionKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// Check whether a stored value is one of our encrypted values
+function isEncryptedValue(value) {
+    return typeof value === 'string' && value.startsWith(ENCRYPTED_VALUE_PREFIX);
+}
+
+/**
+ * Encrypt one value (any JSON value, so numbers come back as numbers)
+ * @returns {Promise<String>} Encrypted value
+ */
+async function encryptValue(value, key = encryptionKey) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(value));
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext));
+    
+    const payload = new Uint8Array(iv.length + ciphertext.length);
+    payload.set(iv);
+    payload.set(ciphertext, iv.length);
+    return ENCRYPTED_VALUE_PREFIX + bytesToBase64(payload);
+}
+
+/**
+ * Decrypt a value made by encryptValue. While data is being moved off the legacy passphrase,
+ * values the session key can't open are tried with the legacy key.
+ * @returns {Promise<*>} Original value
+ */
+async function decryptValue(value, key = encryptionKey) {
+    const payload = base64ToBytes(value.slice(ENCRYPTED_VALUE_PREFIX.length));
+    const decrypt = withKey => crypto.subtle.decrypt({ name: 'AES-GCM', iv: payload.slice(0, 12) }, withKey, payload.slice(12));
+    let plaintext;
+    try {
+        plaintext = await decrypt(key);
+    } catch (error) {
+        if (!legacyEncryptionKey || key !== encryptionKey) throw error;
+        plaintext = await decrypt(legacyEncryptionKey);
     }
-    
-    return questions;
+    return JSON.parse(new TextDecoder().decode(plaintext));
 }
 
-// Find answer from knowledge base with enhanced matching and support fallback
-function findAnswer(userMessage) {
-    const questions = getRelevantQuestions();
-    const normalizedInput = userMessage.toLowerCase().trim();
-    
-    let bestMatch = null;
-    let bestScore = 0;
-    let matchPercentage = 0;
-    
-    // Step 1: Try exact match first (highest priority)
-    for (let qa of questions) {
-        if (normalizedInput === qa.q.toLowerCase()) {
-            return qa.a;
+// Check whether a stored record still has personal fields in plain text
+function hasPlaintextFields(record) {
+    return (ENCRYPTED_FIELDS[record.type] || []).some(field =>
+        record[field] !== undefined && record[field] !== null && !isEncryptedValue(record[field])
+    );
+}
+
+/**
+ * Copy of a record with its personal fields encrypted
+ * @param {Object} record - Plain record
+ * @returns {Promise<Object>} Record as it is stored
+ */
+async function encryptRecord(record) {
+    const encrypted = { ...record };
+    await Promise.all((ENCRYPTED_FIELDS[record.type] || []).map(async field => {
+        if (encrypted[field] === undefined || encrypted[field] === null || isEncryptedValue(encrypted[field])) return;
+        encrypted[field] = await encryptValue(encrypted[field]);
+    }));
+    return encrypted;
+}
+
+/**
+ * Copy of a stored record with its personal fields decrypted. Plain values (saved before
+ * encryption was turned on) are passed through.
+ * @param {Object} record - Record as stored
+ * @returns {Promise<Object>} Plain record
+ * @throws {DataStoreError} When a value can't be decrypted with the current key
+ */
+async function decryptRecord(record) {
+    const decrypted = { ...record };
+    await Promise.all((ENCRYPTED_FIELDS[record.type] || []).map(async field => {
+        if (!isEncryptedValue(decrypted[field])) return;
+        try {
+            decrypted[field] = await decryptValue(decrypted[field]);
+        } catch (error) {
+            throw new DataStoreError(`Could not decrypt ${field} of ${record.type} ${record.__backendId}`);
         }
+    }));
+    return decrypted;
+}
+
+// Check a derived key against the settings' encrypted check value
+async function matchesEncryptionCheck(settings, key) {
+    return decryptValue(settings.check, key).then(value => value === ENCRYPTION_CHECK_VALUE, () => false);
+}
+
+/**
+ * Derive this session's key from the operator's passphrase. Encryption stays off when
+ * config.encrypt_personal_data is false, when the operator chose not to encrypt on first start,
+ * or (with a console warning) when the page has no WebCrypto, e.g. plain http:// from another machine.
+ * @param {Object} adapter - Storage adapter the key is for (not yet wrapped)
+ */
+async function initEncryption(adapter) {
+    encryptionKey = null;
+    legacyEncryptionKey = null;
+    if (!config.encrypt_personal_data) {
+        return checkSharedDataIsPlain(adapter);
     }
-    
-    // Step 2: Try substring match (if question contains user input or vice versa)
-    for (let qa of questions) {
-        const qLower = qa.q.toLowerCase();
-        // If user question is contained in knowledge base question or vice versa
-        if (qLower.includes(normalizedInput) || normalizedInput.includes(qLower)) {
-            return qa.a;
-        }
+    if (!isEncryptionSupported()) {
+        console.warn('WebCrypto is not available on this page, so personal data is stored unencrypted. Serve the app over HTTPS or from localhost.');
+        return checkSharedDataIsPlain(adapter);
     }
     
-    // Step 3: Enhanced keyword matching with better algorithm
-    // Remove only ultra-common stop words, keep important words like "how", "what", "can", "do"
-    const ultraStopWords = ['the', 'a', 'an', 'is', 'are', 'i', 'my', 'to', 'of', 'and', 'or', 'on', 'at', 'by'];
-    const inputWords = normalizedInput.split(/\s+/)
-        .filter(word => !ultraStopWords.includes(word) && word.length > 1)
-        .map(w => w.trim());
+    let settings = await loadEncryptionSettings(adapter);
+    if (settings && settings.disabled) return;
     
-    for (let qa of questions) {
-        const qWords = qa.q.toLowerCase()
-            .split(/\s+/)
-            .filter(word => !ultraStopWords.includes(word) && word.length > 1)
-            .map(w => w.trim());
-        
-        // Calculate match score
-        let matchedWords = 0;
-        let totalScore = 0;
-        
-        for (let word of inputWords) {
-            for (let qWord of qWords) {
-                // Exact word match (highest score)
-                if (word === qWord) {
-                    matchedWords++;
-                    totalScore += 5;
-                }
-                // Word starts with same letters (good match)
-                else if (qWord.startsWith(word) && word.length > 2) {
-                    totalScore += 3;
-                }
-                else if (word.startsWith(qWord) && qWord.length > 2) {
-                    totalScore += 3;
-                }
-                // Substring match (partial match)
-                else if (qWord.includes(word) && word.length > 3) {
-                    totalScore += 2;
-                }
-                else if (word.includes(qWord) && qWord.length > 3) {
-                    totalScore += 2;
-                }
-            }
-        }
-        
-        // Calculate match percentage (how many input words were matched)
-        const currentMatchPercentage = inputWords.length > 0 ? (matchedWords / inputWords.length) * 100 : 0;
-        
-        if (totalScore > bestScore) {
-            bestScore = totalScore;
-            bestMatch = qa;
-            matchPercentage = currentMatchPercentage;
+    // Data under the passphrase that used to ship with the page needs one the operator chooses
+    // (the shared server never had any)
+    if (settings && !settings.legacy && adapter !== remoteAdapter) {
+        const shippedKey = await deriveEncryptionKey(LEGACY_ENCRYPTION_PASSPHRASE, base64ToBytes(settings.salt), settings.iterations);
+        if (await matchesEncryptionCheck(settings, shippedKey)) {
+            settings = { legacy: { salt: settings.salt, iterations: settings.iterations } };
         }
     }
     
-    // Step 4: Return best match if we have reasonable match
-    // Lower threshold: if any significant keyword matched (score >= 2) or at least 50% of words matched
-    if (bestMatch && (bestScore >= 2 || matchPercentage >= 50)) {
-        return bestMatch.a;
+    encryptionKey = settings && settings.check ? await unlockEncryption(adapter, settings) : await setUpEncryption(adapter, settings && settings.legacy);
+    if (encryptionKey && settings && settings.legacy) {
+        legacyEncryptionKey = await deriveEncryptionKey(LEGACY_ENCRYPTION_PASSPHRASE, base64ToBytes(settings.legacy.salt), settings.legacy.iterations);
+    }
+}
+
+/**
+ * Without a key, data the shared server holds encrypted can neither be read nor safely added to
+ * @param {Object} adapter - Storage adapter (not yet wrapped)
+ * @throws {DataStoreError} When the adapter is the shared server and its data is encrypted
+ */
+async function checkSharedDataIsPlain(adapter) {
+    if (adapter !== remoteAdapter) return;
+    const settings = await loadEncryptionSettings(adapter);
+    if (settings && settings.check) {
+        throw new DataStoreError('Its personal data is encrypted and this page cannot decrypt it; open the app over HTTPS or on localhost');
+    }
+}
+
+/**
+ * Key derivation settings of the data the adapter holds
+ * @param {Object} adapter - Storage adapter (not yet wrapped)
+ * @returns {Promise<Object|null>} { salt, iterations, check }, { disabled: true }, or null before
+ *                                 the first start
+ * @throws {DataStoreError} When the shared server can't be reached and this browser has never
+ *                          seen its settings
+ */
+async function loadEncryptionSettings(adapter) {
+    if (adapter !== remoteAdapter) {
+        return JSON.parse(localStorage.getItem(ENCRYPTION_SETTINGS_KEY) || 'null');
     }
     
-    // Step 5: If still no good match, return helpful response with suggestions
-    const supportResponse = `I couldn't find a direct answer to "${userMessage}" in my knowledge base.\n\n📞 **Contact Customer Support:**\n\n📧 Email: support@Zaikalok.com\n📱 Phone: +1-800-Zaikalok\n⏰ Hours: Monday-Friday 9AM-9PM IST\n💬 Live Chat: Available in Help section\n🌐 Website: www.Zaikalok.com/support\n\nOur support team will help you with any questions! You can also try asking similar questions from the suggestions below.`;
+    const response = await remoteAdapter.send('GET', '/meta').catch(() => null);
+    if (isServerUnreachable(response)) {
+        const saved = localStorage.getItem(REMOTE_ENCRYPTION_SETTINGS_KEY);
+        if (saved === null) throw new DataStoreError('It is unreachable and this browser has not connected to it before');
+        return JSON.parse(saved);
+    }
+    await remoteAdapter.check(response);
+    const settings = (await response.json()).encryption || null;
+    localStorage.setItem(REMOTE_ENCRYPTION_SETTINGS_KEY, JSON.stringify(settings));
+    return settings;
+}
+
+// Store key derivation settings next to the data they are for
+async function saveEncryptionSettings(adapter, settings) {
+    if (adapter === remoteAdapter) {
+        await remoteAdapter.request('PUT', '/meta', { encryption: settings });
+        localStorage.setItem(REMOTE_ENCRYPTION_SETTINGS_KEY, JSON.stringify(settings));
+    } else {
+        localStorage.setItem(ENCRYPTION_SETTINGS_KEY, JSON.stringify(settings));
+    }
+}
+
+/**
+ * First start: the operator chooses the passphrase (or, with no encrypted data yet, chooses not to encrypt)
+ * @param {Object} adapter - Storage adapter (not yet wrapped)
+ * @param {Object} [legacy] - { salt, iterations } of data still under the legacy passphrase
+ * @returns {Promise<CryptoKey|null>} New key, or null when encryption was turned down
+ */
+async function setUpEncryption(adapter, legacy) {
+    const shared = adapter === remoteAdapter;
+    const passphrase = await askEncryptionPassphrase({ setup: true, upgrade: !!legacy, shared });
+    if (!passphrase) {
+        await saveEncryptionSettings(adapter, { disabled: true });
+        return null;
+    }
     
-    return supportResponse;
+    const settings = {
+        salt: bytesToBase64(crypto.getRandomValues(new Uint8Array(16))),
+        iterations: ENCRYPTION_KEY_ITERATIONS
+    };
+    const key = await deriveEncryptionKey(passphrase, base64ToBytes(settings.salt), settings.iterations);
+    settings.check = await encryptValue(ENCRYPTION_CHECK_VALUE, key);
+    // Kept until every copy of the data has been re-encrypted (see finishEncryptionUpgrade)
+    if (legacy) settings.legacy = legacy;
+    await saveEncryptionSettings(adapter, settings);
+    return key;
 }
 
-// Initialize chatbot UI - Global chatbot that persists across all pages
-function initChatbot() {
-    // Check if chatbot already exists (don't duplicate)
-    if (document.getElementById('chatbot-widget')) {
-        // Chatbot already initialized, just update it for current user role
-        updateChatbotForCurrentUser();
-        return;
+// Ask for the passphrase until it opens the stored data
+async function unlockEncryption(adapter, settings) {
+    const shared = adapter === remoteAdapter;
+    let error = '';
+    while (true) {
+        const passphrase = await askEncryptionPassphrase({ error, shared });
+        const key = await deriveEncryptionKey(passphrase, base64ToBytes(settings.salt), settings.iterations);
+        if (await matchesEncryptionCheck(settings, key)) {
+            return key;
+        }
+        error = `That passphrase does not open the data ${shared ? 'on the shared server' : 'in this browser'}.`;
     }
+}
+
+/**
+ * Re-encrypt the local copy the storage adapter doesn't rewrite on load (a localStorage blob left
+ * behind by another backend), then forget the legacy key. The offline queue and the copy of the
+ * server's data are under the shared server's key, which never used the legacy passphrase.
+ */
+async function finishEncryptionUpgrade() {
+    if (!legacyEncryptionKey) return;
     
-    // Create chatbot container that persists outside main app content
-    let chatbotContainer = document.getElementById('chatbot-container');
-    if (!chatbotContainer) {
-        chatbotContainer = document.createElement('div');
-        chatbotContainer.id = 'chatbot-container';
-        document.body.appendChild(chatbotContainer);
+    if (storageAdapter.name !== 'localStorage' && localStorage.getItem(DB_KEY)) {
+        await withEncryption(localStorageAdapter).loadAll();
     }
     
-    const chatbotHTML = `
-        <div id="chatbot-widget" class="chatbot-widget">
-            <div class="chatbot-header">
-                <div class="chatbot-title">Zaikalok Assistant</div>
-                <div class="chatbot-controls">
-                    <button id="chatbot-mute-btn" class="chatbot-btn" title="Mute/Unmute Voice">
-                        <span class="mute-icon">🔊</span>
-                    </button>
-                    <button id="chatbot-end-btn" class="chatbot-btn" title="End Chat">
-                        <span>✕</span>
-                    </button>
+    const settings = JSON.parse(localStorage.getItem(ENCRYPTION_SETTINGS_KEY));
+    delete settings.legacy;
+    localStorage.setItem(ENCRYPTION_SETTINGS_KEY, JSON.stringify(settings));
+    legacyEncryptionKey = null;
+}
+
+/**
+ * Show the passphrase form in place of the app
+ * @param {Object} options - { setup, upgrade, error, shared }: choosing a new passphrase (upgrade:
+ *                           data is under the legacy one, so it can't be skipped) or entering it;
+ *                           shared when it protects the shared server's data
+ * @returns {Promise<String>} Passphrase, or '' when the operator chose not to encrypt
+ */
+function askEncryptionPassphrase({ setup = false, upgrade = false, error = '', shared = false }) {
+    document.getElementById('app').innerHTML = `
+        <div class="login-page">
+            <div class="login-container">
+                <div class="login-header">
+                    <h2>🔒 ${setup ? 'Protect Personal Data' : 'Unlock Zaikalok'}</h2>
+                    <p>${config.app_title}</p>
                 </div>
-            </div>
-            
-            <div class="chatbot-messages" id="chatbot-messages">
-                <div class="chatbot-message assistant">
-                    <div class="message-content">
-                        ${!currentUser 
-                            ? "👋 Welcome to Zaikalok! I'm here to help. What would you like to know?" 
-                            : `👋 Welcome back! I'm here to help with your ${currentUser.role} needs.`}
+                ${upgrade ? `
+                    <div style="background: #fff3cd; border: 2px solid #ffc107; padding: 1rem; border-radius: 8px; margin-bottom: 1rem;">
+                        Personal data in this browser is encrypted with the passphrase that used to ship with the app.
+                        Choose your own passphrase to re-encrypt it.
                     </div>
-                </div>
-            </div>
-            
-            <div class="chatbot-suggestions" id="chatbot-suggestions">
-                ${getRelevantQuestions().slice(0, 3).map((qa, idx) => `
-                    <button class="suggestion-btn" onclick="handleChatbotSuggestion('${qa.q.replace(/'/g, "\\'")}')">${qa.q}</button>
-                `).join('')}
-            </div>
-            
-            <div class="chatbot-input-area">
-                <input 
-                    type="text" 
-                    id="chatbot-input" 
-                    class="chatbot-input" 
-                    placeholder="Ask me anything or use voice..."
-                    onkeypress="handleChatbotKeypress(event)"
-                >
-                <button id="chatbot-mic-btn" class="chatbot-mic-btn" onclick="toggleVoiceInput()" title="Voice to Text">🎤</button>
-                <button id="chatbot-send-btn" class="chatbot-send-btn" onclick="sendChatbotMessage()">📤</button>
+                ` : ''}
+                <p style="color: #64748b; margin-bottom: 1rem;">
+                    ${setup
+                        ? `Names, contact details, addresses and passwords are encrypted ${shared ? 'on the shared server' : 'in this browser'} under a passphrase you choose. It is never saved: you will be asked for it every time the app starts, and the data cannot be read without it.${shared ? ' Every browser using the server needs the same passphrase.' : ''}`
+                        : `Enter the passphrase that protects the personal data stored ${shared ? 'on the shared server' : 'in this browser'}.`}
+                </p>
+                ${error ? `
+                    <div style="background: #fee2e2; border: 2px solid #ef4444; padding: 1rem; border-radius: 8px; margin-bottom: 1rem;">
+                        ${error}
+                    </div>
+                ` : ''}
+                <form onsubmit="submitEncryptionPassphrase(event)">
+                    <div class="form-group">
+                        <label for="encryptionPassphrase">Passphrase</label>
+                        <input type="password" id="encryptionPassphrase" required ${setup ? 'minlength="8"' : ''} autocomplete="off">
+                    </div>
+                    ${setup ? `
+                        <div class="form-group">
+                            <label for="encryptionPassphraseConfirm">Confirm Passphrase</label>
+                            <input type="password" id="encryptionPassphraseConfirm" required autocomplete="off">
+                        </div>
+                    ` : ''}
+                    <button type="submit" class="btn btn-primary">
+                        ${setup ? 'Encrypt My Data' : 'Unlock'}
+                    </button>
+                    ${setup && !upgrade ? `
+                        <button type="button" class="btn btn-secondary" onclick="skipEncryptionSetup()">
+                            Continue Without Encryption
+                        </button>
+                    ` : ''}
+                </form>
             </div>
         </div>
-        
-        <button id="chatbot-toggle-btn" class="chatbot-toggle-btn" onclick="toggleChatbot()" title="Open Chat">🍽️</button>
     `;
     
-    chatbotContainer.innerHTML = chatbotHTML;
-    attachChatbotEventListeners();
-    initSpeechRecognition();
+    return new Promise(resolve => {
+        passphraseFormResolve = resolve;
+    });
 }
 
-// Update chatbot for current user role and context
-function updateChatbotForCurrentUser() {
-    const messagesDiv = document.getElementById('chatbot-messages');
-    const suggestionsDiv = document.getElementById('chatbot-suggestions');
-    const inputDiv = document.querySelector('.chatbot-input-area input');
-    
-    if (messagesDiv && !messagesDiv.querySelector('.user-updated')) {
-        // Add welcome message for new user role
-        const welcomeMsg = document.createElement('div');
-        welcomeMsg.className = 'chatbot-message assistant user-updated';
-        welcomeMsg.innerHTML = `<div class="message-content">
-            ${!currentUser 
-                ? "👋 Welcome to Zaikalok! I'm here to help. What would you like to know?" 
-                : `👋 Welcome back! I'm here to help with your ${currentUser.role} needs.`}
-        </div>`;
-        
-        // Clear old messages and show welcome message
-        if (messagesDiv.children.length > 0) {
-            messagesDiv.innerHTML = '';
-        }
-        messagesDiv.appendChild(welcomeMsg);
-    }
-    
-    // Update suggestions for new user role
-    if (suggestionsDiv) {
-        const questions = getRelevantQuestions().slice(0, 3);
-        suggestionsDiv.innerHTML = questions.map(qa => `
-            <button class="suggestion-btn" onclick="handleChatbotSuggestion('${qa.q.replace(/'/g, "\\'")}')">${qa.q}</button>
-        `).join('');
+// Handle the passphrase form
+function submitEncryptionPassphrase(event) {
+    event.preventDefault();
+    const passphrase = document.getElementById('encryptionPassphrase').value;
+    const confirmField = document.getElementById('encryptionPassphraseConfirm');
+    if (confirmField && confirmField.value !== passphrase) {
+        showToast('Passphrases do not match', 'error');
+        return;
     }
+    passphraseFormResolve(passphrase);
 }
 
-// Attach event listeners
-function attachChatbotEventListeners() {
-    const muteBtn = document.getElementById('chatbot-mute-btn');
-    const endBtn = document.getElementById('chatbot-end-btn');
+// Store personal data unencrypted (only offered before anything has been encrypted)
+function skipEncryptionSetup() {
+    passphraseFormResolve('');
+}
+
+/**
+ * Wrap a storage adapter so personal fields are encrypted on the way in and decrypted on the way
+ * out. Returns the adapter itself when encryption is off.
+ * @param {Object} adapter - Storage adapter
+ * @returns {Object} Adapter with the same interface (and name)
+ */
+function withEncryption(adapter) {
+    if (!encryptionKey) return adapter;
+    
+    const encrypted = Object.create(adapter);
+    // Writes wait for their encryption, so they are chained to reach storage in commit order
+    let writes = Promise.resolve();
+    const queueWrite = write => {
+        const result = writes.then(write);
+        writes = result.catch(() => {});
+        return result;
+    };
     
-    if (muteBtn) {
-        muteBtn.addEventListener('click', function() {
-            chatbotState.isMuted = !chatbotState.isMuted;
-            muteBtn.querySelector('.mute-icon').textContent = chatbotState.isMuted ? '🔇' : '🔊';
-            
-            // Stop any ongoing voice response when muting
-            if (chatbotState.isMuted) {
-                stopVoiceResponse();
-            }
-        });
-    }
+    encrypted.loadAll = async function() {
+        const stored = await adapter.loadAll.call(this);
+        const records = await Promise.all(stored.map(decryptRecord));
+        // Data saved before encryption was turned on (or under the legacy passphrase) is
+        // encrypted under the session key the first time it is read (for the shared server, once
+        // it can be reached)
+        if ((stored.some(hasPlaintextFields) || legacyEncryptionKey) && !remoteOffline) {
+            await this.replaceAll(records);
+        }
+        return records;
+    };
     
-    if (endBtn) {
-        endBtn.addEventListener('click', function() {
-            closeChatbot();
+    // The write now settles after the caller has carried on, so a revision conflict or full quota
+    // from the localStorage adapter is reported (and rolled back) by handlePersistError, unless the
+    // caller waits for it with runTransactionAndWait
+    encrypted.persist = function(changes, records) {
+        return queueWrite(async () => {
+            const encryptedChanges = await Promise.all(changes.map(async change => ({ ...change, record: await encryptRecord(change.record) })));
+            return adapter.persist.call(this, encryptedChanges, records);
         });
-    }
+    };
+    
+    encrypted.replaceAll = function(records) {
+        return queueWrite(async () => adapter.replaceAll.call(this, await Promise.all(records.map(encryptRecord))));
+    };
+    
+    return encrypted;
 }
 
-// Toggle chatbot visibility
-function toggleChatbot() {
-    const widget = document.getElementById('chatbot-widget');
-    const toggleBtn = document.getElementById('chatbot-toggle-btn');
+// Registry of available storage adapters
+const storageAdapters = {
+    localStorage: localStorageAdapter,
+    indexedDB: indexedDBAdapter,
+    remote: remoteAdapter
+};
+
+// Adapter currently in use (replaced in initDataStore)
+let storageAdapter = localStorageAdapter;
+
+/**
+ * Pick the storage adapter for this session.
+ * 'auto' prefers IndexedDB and falls back to localStorage when it isn't supported.
+ * @returns {Object} Storage adapter
+ */
+function chooseStorageAdapter() {
+    const preference = localStorage.getItem(STORAGE_BACKEND_KEY) || config.storage_backend || 'auto';
     
-    if (widget.style.display === 'none' || widget.style.display === '') {
-        widget.style.display = 'flex';
-        toggleBtn.style.display = 'none';
-        chatbotState.isOpen = true;
+    if (preference !== 'auto' && storageAdapters[preference] && storageAdapters[preference].isAvailable()) {
+        return storageAdapters[preference];
     }
-}
-
-// Close chatbot
-function closeChatbot() {
-    const widget = document.getElementById('chatbot-widget');
-    const toggleBtn = document.getElementById('chatbot-toggle-btn');
     
-    widget.style.display = 'none';
-    toggleBtn.style.display = 'flex';
-    chatbotState.isOpen = false;
+    return indexedDBAdapter.isAvailable() ? indexedDBAdapter : localStorageAdapter;
 }
 
-// Handle chatbot message sending
-function sendChatbotMessage() {
-    const input = document.getElementById('chatbot-input');
-    const message = input.value.trim();
-    
-    if (!message) return;
-    
-    // Reset placeholder to normal
-    input.placeholder = 'Ask me anything or use voice...';
-    
-    addChatbotMessage(message, 'user');
-    input.value = '';
+/**
+ * Open the chosen adapter and load every record into the in-memory cache.
+ * When IndexedDB is opened for the first time, data from the old localStorage blob is
+ * imported so switching backends doesn't lose anything.
+ */
+async function initDataStore() {
+    const adapter = chooseStorageAdapter();
+    
+    try {
+        // The shared server keeps its own encryption settings, so its passphrase is asked for here too
+        await initEncryption(adapter);
+        storageAdapter = withEncryption(adapter);
+        await storageAdapter.open();
+        setRecordCache(await storageAdapter.loadAll());
+    } catch (error) {
+        console.error(`Could not open ${adapter.name} storage, falling back to localStorage:`, error);
+        if (adapter === remoteAdapter) {
+            showToast(`Could not use the shared server (${error.message}). Working with the data saved in this browser.`, 'error');
+            await initEncryption(localStorageAdapter);
+        }
+        storageAdapter = withEncryption(localStorageAdapter);
+        setRecordCache(await storageAdapter.loadAll());
+        await migrateDataStore();
+        await finishEncryptionUpgrade();
+        return;
+    }
     
-    // Add typing indicator
-    const messagesContainer = document.getElementById('chatbot-messages');
-    const typingIndicator = document.createElement('div');
-    typingIndicator.className = 'chatbot-message assistant typing';
-    typingIndicator.innerHTML = '<div class="message-content"><span></span><span></span><span></span></div>';
-    typingIndicator.id = 'typing-indicator';
-    messagesContainer.appendChild(typingIndicator);
-    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    if (storageAdapter.name !== 'localStorage' && recordCache.length === 0 && !remoteOffline) {
+        const legacyRecords = await loadLegacyRecords();
+        if (legacyRecords.length > 0) {
+            await storageAdapter.replaceAll(legacyRecords);
+            setRecordCache(legacyRecords);
+            // Free the localStorage quota once the records are safely in the new backend
+            localStorage.removeItem(DB_KEY);
+        }
+    }
     
-    // Processing delay with enhanced response
-    setTimeout(() => {
-        // Remove typing indicator
-        const indicator = document.getElementById('typing-indicator');
-        if (indicator) indicator.remove();
-        
-        const response = findAnswer(message);
-        addChatbotMessage(response, 'assistant');
-        speakResponse(response);
-        updateChatbotSuggestions();
-    }, 800);
+    // Upgrade records saved by older versions of the app
+    await migrateDataStore();
+    await finishEncryptionUpgrade();
 }
 
-// Handle keypress in chatbot input
-function handleChatbotKeypress(event) {
-    if (event.key === 'Enter') {
-        sendChatbotMessage();
+/**
+ * Records left in the old localStorage blob, to import into an empty IndexedDB or shared server.
+ * Data this browser encrypted under its own passphrase can't be opened with the shared server's
+ * key, so it stays where it is.
+ * @returns {Promise<Array>} Decrypted records (empty when there are none or they can't be read)
+ */
+async function loadLegacyRecords() {
+    try {
+        return await withEncryption(localStorageAdapter).loadAll();
+    } catch (error) {
+        console.warn('Data saved in this browser is under another passphrase, so it was not imported:', error);
+        return [];
     }
 }
 
-// Handle suggestion button click
-function handleChatbotSuggestion(question) {
-    const input = document.getElementById('chatbot-input');
-    input.value = question;
-    sendChatbotMessage();
+/**
+ * Replace the whole record cache and rebuild the query indexes
+ * @param {Array} records - New contents of the cache
+ */
+function setRecordCache(records) {
+    recordCache = records;
+    rebuildRecordIndexes();
+    emitStoreEvent({ name: 'store:reloaded', recordType: null, action: 'reloaded', record: null, previous: null, remote: false });
 }
 
-// Add message to chatbot
-function addChatbotMessage(text, sender) {
-    const messagesDiv = document.getElementById('chatbot-messages');
-    const messageEl = document.createElement('div');
-    messageEl.className = `chatbot-message ${sender}`;
-    messageEl.innerHTML = `<div class="message-content">${text}</div>`;
-    messagesDiv.appendChild(messageEl);
-    messagesDiv.scrollTop = messagesDiv.scrollHeight;
-    
-    chatbotState.messages.push({ sender, text, timestamp: new Date() });
+/**
+ * Write changes through to the storage adapter.
+ * Synchronous adapter errors are thrown to the caller; asynchronous ones reject the returned promise.
+ * @param {Array} changes - List of { op, record } changes already applied to the cache
+ * @returns {Promise} Settles once the changes are stored
+ */
+function persistChanges(changes) {
+    let result;
+    try {
+        result = storageAdapter.persist(changes, recordCache);
+    } catch (error) {
+        throw toStorageError(error);
+    }
+    return Promise.resolve(result).catch(error => {
+        throw toStorageError(error);
+    });
 }
 
-// Update suggestions - Show next set of questions to user
-function updateChatbotSuggestions() {
-    const suggestionsDiv = document.getElementById('chatbot-suggestions');
-    if (suggestionsDiv) {
-        const questions = getRelevantQuestions();
-        // Show first 3 questions from current role (more consistent and helpful for users)
-        const displayedQuestions = questions.slice(0, 3);
-        suggestionsDiv.innerHTML = displayedQuestions.map(qa => `
-            <button class="suggestion-btn" onclick="handleChatbotSuggestion('${qa.q.replace(/'/g, "\\'")}')">${qa.q}</button>
-        `).join('');
+// Report a failed background write and roll the cache back to what is actually stored
+function handlePersistError(error) {
+    console.error(`Failed to save data to ${storageAdapter.name}:`, error);
+    if (error instanceof RecordConflictError) {
+        showToast('This was changed by someone else. Showing the latest version.', 'error');
+    } else if (error instanceof StorageQuotaError || error instanceof RecordValidationError) {
+        showToast(error.message, 'error');
+    } else {
+        showToast('Could not save your changes. Please try again.', 'error');
     }
+    reloadRecordCache();
 }
-let ratingFilter = 0;
-let sortOption = 'newest';
-let availabilityFilter = true;
 
-// Force clear old demo data to load new 7 food items
-const demoVersion = localStorage.getItem('demoVersion');
-if (demoVersion !== '5.2') {
-    localStorage.clear();
-    localStorage.setItem('demoVersion', '5.2');
+// Data-layer errors that nobody caught (e.g. a conflict inside an onclick handler or a full
+// disk in a FileReader callback) still get reported, and the view is replaced with what is
+// actually stored
+window.addEventListener('error', (event) => {
+    if (event.error instanceof DataStoreError) {
+        event.preventDefault();
+        handlePersistError(event.error);
+    }
+});
+window.addEventListener('unhandledrejection', (event) => {
+    if (event.reason instanceof DataStoreError) {
+        event.preventDefault();
+        handlePersistError(event.reason);
+    }
+});
+
+/**
+ * Reload the cache from the storage adapter, discarding changes that never reached it
+ */
+async function reloadRecordCache() {
+    try {
+        setRecordCache(await storageAdapter.loadAll());
+    } catch (error) {
+        console.error(`Failed to reload data from ${storageAdapter.name}:`, error);
+    }
 }
 
-let allData = getAllData();
+/**
+ * LOCALHOST DATABASE: Get all data from the record cache
+ * @returns {Array} Copy of all stored records (safe to mutate before calling updateRecord)
+ */
+function getAllData() {
+    return JSON.parse(JSON.stringify(recordCache));
+}
 
-// Configuration
-const config = {
-    app_title: "Zaikalok",
-    tagline: "Order Food from Campus & Beyond",
-    admin_username: "admin",
-    admin_password: "admin123"
-};
+/**
+ * LOCALHOST DATABASE: Replace the whole dataset
+ * @param {Array} dataArray - Array of records to save
+ */
+function saveData(dataArray) {
+    const previousRecords = recordCache;
+    setRecordCache(JSON.parse(JSON.stringify(dataArray)));
+    
+    let result;
+    try {
+        result = storageAdapter.replaceAll(recordCache);
+    } catch (error) {
+        setRecordCache(previousRecords);
+        throw toStorageError(error);
+    }
+    
+    if (result && typeof result.then === 'function') {
+        // Other tabs re-read the store once the new data has actually been written
+        result.then(() => broadcastStoreChange({ reload: true }), error => handlePersistError(toStorageError(error)));
+    } else {
+        broadcastStoreChange({ reload: true });
+    }
+}
 
-// Seed Demo Data (runs only once)
-function seedDemoData() {
-    const allData = getAllData();
+// Generate a unique record ID (creation time in milliseconds + random suffix)
+function generateRecordId() {
+    return Date.now().toString() + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Apply one change to the cache and indexes
+ * @param {Object} change - { op: 'create'|'update'|'delete', record }
+ * @returns {Function} Undo function restoring the previous state
+ */
+function applyChangeToCache(change) {
+    const id = change.record.__backendId;
+    const existing = recordsById.get(id);
+    
+    if (change.op === 'create') {
+        const cached = JSON.parse(JSON.stringify(change.record));
+        recordCache.push(cached);
+        indexRecord(cached);
+        return () => {
+            recordCache.splice(recordCache.indexOf(cached), 1);
+            unindexRecord(cached);
+        };
+    }
     
-    // Check if demo data already exists
-    const demoRestaurants = allData.filter(item => item.type === 'user' && item.isDemoData === true);
-    if (demoRestaurants.length > 0) {
-        return; // Demo data already seeded
+    if (change.op === 'update') {
+        const cached = JSON.parse(JSON.stringify(change.record));
+        recordCache[recordCache.indexOf(existing)] = cached;
+        unindexRecord(existing, true);
+        indexRecord(cached);
+        return () => {
+            recordCache[recordCache.indexOf(cached)] = existing;
+            unindexRecord(cached, true);
+            indexRecord(existing);
+        };
     }
     
-    // Create Demo Restaurants with FIXED IDs (IMPORTANT: DO NOT CHANGE THESE)
-    const demoRestaurant1 = {
-        type: 'user',
-        role: 'restaurant',
-        name: 'Taj Biryani House',
-        email: 'taj@biryani.com',
-        phone: '9876543210',
-        username: 'tajbiryani_demo',
-        password: 'demo123',
-        address: 'Near Central Park, Mumbai',
-        restaurantName: 'Taj Biryani House',
-        cuisine: 'Indian Biryani',
-        status: 'approved',
-        isDemoData: true,
-        __backendId: 'demo_restaurant_taj_biryani'
+    // delete
+    const position = recordCache.indexOf(existing);
+    const sequence = recordSequence.get(id);
+    recordCache.splice(position, 1);
+    unindexRecord(existing);
+    return () => {
+        recordCache.splice(position, 0, existing);
+        recordSequence.set(id, sequence);
+        indexRecord(existing);
     };
+}
+
+/**
+ * Apply a batch of changes to the cache and write them to storage in one commit.
+ * If anything fails the cache is rolled back and the error is rethrown; otherwise other tabs
+ * are told and a store change event is emitted for every change.
+ * @param {Array} changes - List of { op, record } changes
+ * @returns {Promise} Settles once the changes are stored (see persistChanges)
+ */
+function commitChanges(changes) {
+    if (changes.length === 0) return Promise.resolve();
+    
+    const previousRecords = changes.map(change => recordsById.get(change.record.__backendId) || null);
+    const undoStack = [];
+    let written;
+    try {
+        changes.forEach(change => undoStack.push(applyChangeToCache(change)));
+        written = persistChanges(changes);
+    } catch (error) {
+        undoStack.reverse().forEach(undo => undo());
+        throw error;
+    }
     
-    const demoRestaurant2 = {
-        type: 'user',
-        role: 'restaurant',
-        name: 'Pizza Paradise',
-        email: 'pizza@paradise.com',
-        phone: '9876543211',
-        username: 'pizzaparadise_demo',
-        password: 'demo123',
-        address: 'Downtown City Center, Mumbai',
-        restaurantName: 'Pizza Paradise',
-        cuisine: 'Italian Pizza',
-        status: 'approved',
-        isDemoData: true,
-        __backendId: 'demo_restaurant_pizza_paradise'
-    };
-    
-    const demoRestaurant3 = {
-        type: 'user',
-        role: 'restaurant',
-        name: 'Burger Hub',
-        email: 'burger@hub.com',
-        phone: '9876543212',
-        username: 'burgerhub_demo',
-        password: 'demo123',
-        address: 'Tech Park, Bangalore',
-        restaurantName: 'Burger Hub',
-        cuisine: 'Fast Food Burgers',
-        status: 'approved',
-        isDemoData: true,
-        __backendId: 'demo_restaurant_burger_hub'
-    };
-    
-    createRecord(demoRestaurant1);
-    createRecord(demoRestaurant2);
-    createRecord(demoRestaurant3);
-    
-    // Get updated data with new restaurants
-    const updatedData = getAllData();
-    const rest1 = updatedData.find(r => r.isDemoData && r.restaurantName === 'Taj Biryani House');
-    const rest2 = updatedData.find(r => r.isDemoData && r.restaurantName === 'Pizza Paradise');
-    const rest3 = updatedData.find(r => r.isDemoData && r.restaurantName === 'Burger Hub');
-    
-    // Demo Food Items for Restaurant 1 (Biryani)
-    const biryaniItems = [
-        {
-            type: 'food',
-            restaurantId: rest1.__backendId,
-            name: 'Hyderabadi Biryani',
-            category: 'Biryani',
-            price: 250,
-            description: 'Authentic Hyderabadi biryani with fragrant basmati rice',
-            imageUrl: 'https://images.unsplash.com/photo-1589302168068-964664d93dc0?w=500&h=400&fit=crop',
-            imageApprovalStatus: 'approved',
-            available: true,
-            isDemoData: true
+    broadcastStoreChange({ changes });
+    changes.forEach((change, index) => emitRecordChange(change, previousRecords[index], false));
+    return written;
+}
+
+/**
+ * TRANSACTION: Stage several creates, updates and deletes and commit them together.
+ * Changes are only applied when `work` returns without throwing and every created or updated
+ * record matches its schema, so a failure halfway never leaves partial state behind.
+ *
+ * Every record carries a revision number (__rev) that is bumped on each update. Updating from
+ * a copy whose __rev is out of date throws a RecordConflictError instead of silently
+ * overwriting someone else's change; on success the caller's object gets the new __rev.
+ *
+ * runTransaction(tx => {
+ *     const review = tx.create({ type: 'review', ... });
+ *     tx.update({ ...order, reviewed: true });
+ * });
+ *
+ * Writes that fail after this returns (asynchronous backends) are reported by handlePersistError;
+ * use runTransactionAndWait when the caller needs to know.
+ *
+ * @param {Function} work - Receives the transaction object { create, update, delete, get }
+ * @returns {*} Whatever `work` returns
+ */
+function runTransaction(work) {
+    const { result, written } = commitTransaction(work);
+    written.catch(handlePersistError);
+    return result;
+}
+
+/**
+ * TRANSACTION: Like runTransaction, but wait until the changes are actually stored.
+ * A failed write (e.g. a RecordConflictError from IndexedDB or the shared server) is thrown to
+ * the caller instead of being reported with a toast; the cache is reloaded from storage first.
+ * @param {Function} work - Receives the transaction object { create, update, delete, get }
+ * @returns {Promise<*>} Whatever `work` returns
+ */
+async function runTransactionAndWait(work) {
+    let committed;
+    try {
+        committed = commitTransaction(work);
+        await committed.written;
+    } catch (error) {
+        // Storage may have moved on (a conflict) or be behind the cache (a failed write)
+        if (error instanceof DataStoreError) {
+            await reloadRecordCache();
         }
-    ];
-    
-    // Demo Food Items for Restaurant 2 (Pizza)
-    const pizzaItems = [
-        {
-            type: 'food',
-            restaurantId: rest2.__backendId,
-            name: 'Margherita Pizza',
-            category: 'Vegetarian Pizza',
-            price: 300,
-            description: 'Classic pizza with mozzarella cheese and fresh basil',
-            imageUrl: 'https://images.unsplash.com/photo-1604068549290-dea0e4a305ca?w=500&h=400&fit=crop',
-            imageApprovalStatus: 'approved',
-            available: true,
-            isDemoData: true
-        },
-        {
-            type: 'food',
-            restaurantId: rest2.__backendId,
-            name: 'Pepperoni Pizza',
-            category: 'Non-Vegetarian Pizza',
-            price: 350,
-            description: 'Delicious pizza loaded with pepperoni slices',
-            imageUrl: 'https://images.unsplash.com/photo-1565299585323-38d6b0865b47?w=500&h=400&fit=crop',
-            imageApprovalStatus: 'approved',
-            available: true,
-            isDemoData: true
+        throw error;
+    }
+    return committed.result;
+}
+
+/**
+ * Stage and commit a transaction (see runTransaction)
+ * @param {Function} work - Receives the transaction object
+ * @returns {Object} { result: whatever `work` returns, written: Promise settling once stored }
+ */
+function commitTransaction(work) {
+    // __backendId -> staged { op, record, expectedRev }, in the order records were first touched
+    const staged = new Map();
+    // Objects passed to tx.update, whose __rev is brought up to date after the commit
+    const updatedObjects = [];
+    
+    const tx = {
+        // Stage a new record; returns it with its generated __backendId
+        create(record) {
+            const newRecord = {
+                createdAt: Date.now(),
+                ...record,
+                __backendId: generateRecordId(),
+                __rev: 1
+            };
+            staged.set(newRecord.__backendId, { op: 'create', record: JSON.parse(JSON.stringify(newRecord)) });
+            return newRecord;
         },
-        {
-            type: 'food',
-            restaurantId: rest2.__backendId,
-            name: 'BBQ Chicken Pizza',
-            category: 'Non-Vegetarian Pizza',
-            price: 380,
-            description: 'Smoky BBQ sauce with tender chicken and cheese',
-            imageUrl: 'https://images.unsplash.com/photo-1555939594-58d7cb561ad1?w=500&h=400&fit=crop',
-            imageApprovalStatus: 'approved',
-            available: true,
-            isDemoData: true
-        }
-    ];
-    
-    // Demo Food Items for Restaurant 3 (Burgers)
-    const burgerItems = [
-        {
-            type: 'food',
-            restaurantId: rest3.__backendId,
-            name: 'Classic Burger',
-            category: 'Vegetarian Burger',
-            price: 180,
-            description: 'Delicious burger with fresh vegetables and cheese',
-            imageUrl: 'https://images.unsplash.com/photo-1568901346375-23c9450c58cd?w=500&h=400&fit=crop',
-            imageApprovalStatus: 'approved',
-            available: true,
-            isDemoData: true
+        
+        // Stage a replacement of an existing (or staged) record
+        update(record) {
+            const id = record.__backendId;
+            const pending = staged.get(id);
+            if (pending && pending.op === 'delete') {
+                throw new Error(`Record ${id} was deleted in this transaction`);
+            }
+            if (!pending && !recordsById.has(id)) {
+                throw new Error(`Record ${id} not found`);
+            }
+            
+            const current = pending ? pending.record : recordsById.get(id);
+            if ((record.__rev || 0) !== (current.__rev || 0)) {
+                throw new RecordConflictError(record, current);
+            }
+            
+            staged.set(id, {
+                op: pending && pending.op === 'create' ? 'create' : 'update',
+                record: JSON.parse(JSON.stringify(record)),
+                expectedRev: current.__rev || 0
+            });
+            updatedObjects.push(record);
+            return record;
         },
-        {
-            type: 'food',
-            restaurantId: rest3.__backendId,
-            name: 'Chicken Burger',
-            category: 'Non-Vegetarian Burger',
-            price: 220,
-            description: 'Juicy grilled chicken burger with special sauce',
-            imageUrl: 'https://images.unsplash.com/photo-1553979459-d2229ba7433b?w=500&h=400&fit=crop',
-            imageApprovalStatus: 'approved',
-            available: true,
-            isDemoData: true
+        
+        // Stage the removal of a record
+        delete(record) {
+            const id = record.__backendId;
+            const pending = staged.get(id);
+            if (pending && pending.op === 'create') {
+                staged.delete(id);
+                return;
+            }
+            if (!recordsById.has(id)) {
+                throw new Error(`Record ${id} not found`);
+            }
+            staged.set(id, { op: 'delete', record: { __backendId: id, type: recordsById.get(id).type } });
         },
-        {
-            type: 'food',
-            restaurantId: rest3.__backendId,
-            name: 'Spicy Burger',
-            category: 'Non-Vegetarian Burger',
-            price: 240,
-            description: 'Fiery burger with jalapeños and hot sauce',
-            imageUrl: 'https://images.unsplash.com/photo-1598103442097-8b74394b95c6?w=500&h=400&fit=crop',
-            imageApprovalStatus: 'approved',
-            available: true,
-            isDemoData: true
+        
+        // Read a record as this transaction currently sees it
+        get(id) {
+            const pending = staged.get(id);
+            if (pending) {
+                return pending.op === 'delete' ? null : JSON.parse(JSON.stringify(pending.record));
+            }
+            return getRecordById(id);
         }
-    ];
+    };
     
-    // Add all demo food items
-    biryaniItems.forEach(item => createRecord(item));
-    pizzaItems.forEach(item => createRecord(item));
-    burgerItems.forEach(item => createRecord(item));
+    const result = work(tx);
     
-    // Demo Promo Codes for Restaurants
-    const demoPromos = [
-        // Promos for Taj Biryani House
-        {
-            type: 'promo',
-            restaurantId: rest1.__backendId,
-            code: 'BIRYANI50',
-            description: '50% off on first order',
-            discountType: 'percentage',
-            discountValue: 50,
-            minOrderValue: 300,
-            maxDiscount: 250,
-            expiryDate: '2026-12-31',
-            isDemoData: true
-        },
-        {
-            type: 'promo',
-            restaurantId: rest1.__backendId,
-            code: 'SAVE100',
-            description: 'Rs100 off on orders above Rs500',
-            discountType: 'fixed',
-            discountValue: 100,
-            minOrderValue: 500,
-            maxDiscount: 100,
-            expiryDate: '2026-12-31',
-            isDemoData: true
+    // Stamp who made each change, so actions can be attributed to an account
+    const actorId = currentUser ? currentUser.__backendId : null;
+    const changes = Array.from(staged.values()).map(change => {
+        if (change.op === 'delete') return change;
+        const record = actorId ? { ...change.record, updatedBy: actorId } : change.record;
+        return change.op === 'update'
+            ? { ...change, record: { ...record, __rev: change.expectedRev + 1 } }
+            : { ...change, record };
+    });
+    changes.forEach(change => {
+        if (change.op !== 'delete') assertValidRecord(change.record);
+    });
+    const written = commitChanges(changes);
+    
+    updatedObjects.forEach(record => {
+        const committed = recordsById.get(record.__backendId);
+        if (committed) record.__rev = committed.__rev;
+    });
+    return { result, written };
+}
+
+/**
+ * LOCALHOST DATABASE: Create a new record
+ * @param {Object} record - Record object to create
+ * @returns {Object} Created record with generated __backendId
+ */
+function createRecord(record) {
+    return runTransaction(tx => tx.create(record));
+}
+
+/**
+ * LOCALHOST DATABASE: Update an existing record
+ * @param {Object} record - Record object to update (must have __backendId)
+ * @returns {Boolean} True if updated, false if not found
+ */
+function updateRecord(record) {
+    if (!recordsById.has(record.__backendId)) {
+        return false;
+    }
+    runTransaction(tx => tx.update(record));
+    return true;
+}
+
+/**
+ * LOCALHOST DATABASE: Delete a record
+ * @param {Object} record - Record object to delete (must have __backendId)
+ * @returns {Boolean} Always returns true
+ */
+function deleteRecord(record) {
+    if (recordsById.has(record.__backendId)) {
+        runTransaction(tx => tx.delete(record));
+    }
+    return true;
+}
+
+/**
+ * LOCALHOST DATABASE: Move a record to the recycle bin.
+ * The record stays in the store with a deletedAt timestamp and is hidden from queries.
+ * @param {Object} record - Record object to soft delete (must have __backendId)
+ * @returns {Boolean} True if updated, false if not found
+ */
+function softDeleteRecord(record) {
+    record.deletedAt = Date.now();
+    return updateRecord(record);
+}
+
+/**
+ * LOCALHOST DATABASE: Bring a soft-deleted record back
+ * @param {Object} record - Record object to restore (must have __backendId)
+ * @returns {Boolean} True if updated, false if not found
+ */
+function restoreDeletedRecord(record) {
+    delete record.deletedAt;
+    return updateRecord(record);
+}
+
+// ===========================================================================================
+// STORE CHANGE EVENTS - Subscribe to record changes
+// ===========================================================================================
+// Every committed change - made in this tab, received from another tab or from the server -
+// is announced as a typed event named '<record type>:<action>', e.g. 'order:updated' or
+// 'food:created' (actions: created, updated, deleted). A handler can also listen to
+// '<type>:*' for every change to one record type, or '*' for everything. 'store:reloaded' is
+// emitted when the whole cache is replaced (restore, reload after a failed write, ...).
+//
+//   const stop = subscribe('order:updated', event => showStatus(event.record, event.previous));
+//   stop(); // same as unsubscribe('order:updated', handler)
+//
+// Views subscribe instead of being re-rendered by hand after each mutation, so whatever is
+// open stays current no matter where the change was made.
+// ===========================================================================================
+
+// Transaction op -> event action
+const STORE_EVENT_ACTIONS = { create: 'created', update: 'updated', delete: 'deleted' };
+
+// Event name -> Set of handlers
+const storeSubscribers = new Map();
+
+/**
+ * Listen for store change events
+ * @param {String} eventName - e.g. 'order:updated', 'food:*', 'store:reloaded' or '*'
+ * @param {Function} handler - Receives { name, recordType, action, record, previous, remote }.
+ *                             `previous` is the record before the change (null for creates);
+ *                             `remote` is true for changes made in another tab or browser.
+ * @returns {Function} Unsubscribes the handler
+ */
+function subscribe(eventName, handler) {
+    if (!storeSubscribers.has(eventName)) {
+        storeSubscribers.set(eventName, new Set());
+    }
+    storeSubscribers.get(eventName).add(handler);
+    return () => unsubscribe(eventName, handler);
+}
+
+/**
+ * Stop listening for store change events
+ * @param {String} eventName - Name the handler was subscribed with
+ * @param {Function} handler - Handler passed to subscribe
+ */
+function unsubscribe(eventName, handler) {
+    const handlers = storeSubscribers.get(eventName);
+    if (!handlers) return;
+    handlers.delete(handler);
+    if (handlers.size === 0) {
+        storeSubscribers.delete(eventName);
+    }
+}
+
+// Deliver an event to exact, '<type>:*' and '*' subscribers. The change is already committed,
+// so a failing handler is only logged.
+function emitStoreEvent(event) {
+    [event.name, `${event.name.split(':')[0]}:*`, '*'].forEach(name => {
+        const handlers = storeSubscribers.get(name);
+        if (!handlers) return;
+        Array.from(handlers).forEach(handler => {
+            try {
+                handler(event);
+            } catch (error) {
+                console.error(`Store subscriber for "${name}" failed:`, error);
+            }
+        });
+    });
+}
+
+/**
+ * Announce a change that has been applied to the cache
+ * @param {Object} change - { op, record }
+ * @param {Object|null} previous - Cached record before the change
+ * @param {Boolean} remote - Whether the change came from another tab or browser
+ */
+function emitRecordChange(change, previous, remote) {
+    const action = STORE_EVENT_ACTIONS[change.op];
+    const recordType = change.record.type || (previous && previous.type);
+    emitStoreEvent({
+        name: `${recordType}:${action}`,
+        recordType,
+        action,
+        record: change.op === 'delete' ? (previous || change.record) : change.record,
+        previous: previous || null,
+        remote
+    });
+}
+
+// ===========================================================================================
+// RECORD SCHEMAS - Field rules checked on every write
+// ===========================================================================================
+// Records are plain objects, so nothing stopped a NaN price from parseFloat or a misspelled
+// order status from being saved. Every record type declares its fields here and runTransaction
+// checks each created or updated record before anything is applied; a bad record throws a
+// RecordValidationError listing every problem and the whole transaction is discarded.
+//
+// Field rules:
+//   type      : 'string' | 'number' | 'boolean' | 'array' | 'object'
+//   required  : must be present (null, undefined and '' count as missing)
+//   enum      : list of allowed values
+//   min / max : numeric range (or minimum length for strings and arrays with minLength / minItems)
+//   integer   : number must be whole
+//   items     : field rules for every element of an array of objects
+//   check     : (value, record) => error message or null, for rules involving other fields
+// Optional fields may be null. Fields that aren't declared are allowed and left unchecked.
+// ===========================================================================================
+
+const USER_ROLES = ['customer', 'restaurant', 'delivery', 'admin'];
+const ACCOUNT_STATUSES = ['pending', 'approved', 'rejected', 'blocked', 'suspended'];
+const ORDER_STATUSES = ['pending', 'preparing', 'ready', 'out-for-delivery', 'delivered'];
+const PAYMENT_STATUSES = ['pending', 'completed'];
+const IMAGE_APPROVAL_STATUSES = ['pending', 'approved', 'rejected'];
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+const ADMIN_LEVELS = ['super-admin', 'moderator', 'support'];
+const MESSAGE_CHANNELS = ['email', 'sms'];
+const VEHICLE_TYPES = ['bicycle', 'scooter', 'motorcycle', 'car'];
+
+// Fields every record may carry, maintained by the data layer itself
+const COMMON_FIELDS = {
+    createdAt: { type: 'number' },
+    deletedAt: { type: 'number' },
+    isDemoData: { type: 'boolean' },
+    // ID of the account that last created or changed the record
+    updatedBy: { type: 'string' }
+};
+
+const RECORD_SCHEMAS = {
+    user: {
+        role: { type: 'string', required: true, enum: USER_ROLES },
+        username: { type: 'string', required: true, minLength: 3 },
+        password: { type: 'string', required: true },
+        name: { type: 'string', required: true },
+        email: { type: 'string', required: true },
+        phone: { type: 'string' },
+        address: { type: 'string' },
+        status: { type: 'string', enum: ACCOUNT_STATUSES },
+        restaurantName: {
+            type: 'string',
+            check: (value, user) => user.role === 'restaurant' && !value ? 'restaurantName is required for restaurants' : null
         },
-        // Promos for Pizza Paradise
-        {
-            type: 'promo',
-            restaurantId: rest2.__backendId,
-            code: 'PIZZA30',
-            description: '30% off on all pizzas',
-            discountType: 'percentage',
-            discountValue: 30,
-            minOrderValue: 400,
-            maxDiscount: 200,
-            expiryDate: '2026-12-31',
-            isDemoData: true
+        cuisine: { type: 'string' },
+        profilePictureId: { type: 'string' },
+        adminLevel: {
+            type: 'string',
+            enum: ADMIN_LEVELS,
+            check: (value, user) => user.role === 'admin' && !value ? 'adminLevel is required for admins' : null
         },
-        {
-            type: 'promo',
-            restaurantId: rest2.__backendId,
-            code: 'DELIVERY25',
-            description: 'Rs25 off on delivery',
-            discountType: 'fixed',
-            discountValue: 25,
-            minOrderValue: 350,
-            maxDiscount: 25,
-            expiryDate: '2026-12-31',
-            isDemoData: true
+        invitedBy: { type: 'string' },
+        // Delivery partner application, checked by an admin before the first login
+        vehicleType: { type: 'string', enum: VEHICLE_TYPES },
+        licenceNumber: { type: 'string' },
+        idDocumentIds: { type: 'array' },
+        rejectionReason: { type: 'string' },
+        reviewedAt: { type: 'number' },
+        reviewedBy: { type: 'string' },
+        // When the current email / phone number was confirmed with a one-time code
+        emailVerifiedAt: { type: 'number' },
+        phoneVerifiedAt: { type: 'number' }
+    },
+    
+    food: {
+        restaurantId: { type: 'string', required: true },
+        name: { type: 'string', required: true },
+        category: { type: 'string' },
+        price: { type: 'number', required: true, min: 0 },
+        description: { type: 'string' },
+        imageUrl: { type: 'string' },
+        imageId: { type: 'string' },
+        imageApprovalStatus: { type: 'string', enum: IMAGE_APPROVAL_STATUSES },
+        available: { type: 'boolean' }
+    },
+    
+    promo: {
+        restaurantId: { type: 'string', required: true },
+        code: { type: 'string', required: true },
+        description: { type: 'string' },
+        discountType: { type: 'string', required: true, enum: DISCOUNT_TYPES },
+        discountValue: {
+            type: 'number',
+            required: true,
+            min: 0.01,
+            check: (value, promo) => promo.discountType === 'percentage' && value > 100 ? 'discountValue cannot be more than 100%' : null
         },
-        // Promos for Burger Hub
-        {
-            type: 'promo',
-            restaurantId: rest3.__backendId,
-            code: 'BURGER40',
-            description: '40% off on burgers',
-            discountType: 'percentage',
-            discountValue: 40,
-            minOrderValue: 350,
-            maxDiscount: 180,
-            expiryDate: '2026-12-31',
-            isDemoData: true
+        minOrderValue: { type: 'number', min: 0 },
+        maxDiscount: { type: 'number', min: 0 },
+        expiryDate: { type: 'string' },
+        active: { type: 'boolean' }
+    },
+    
+    order: {
+        id: { type: 'string', required: true },
+        customerId: { type: 'string', required: true },
+        restaurantId: { type: 'string', required: true },
+        items: {
+            type: 'array',
+            required: true,
+            minItems: 1,
+            items: {
+                // Null for old orders whose food could not be matched by migration 2
+                foodId: { type: 'string' },
+                name: { type: 'string', required: true },
+                quantity: { type: 'number', required: true, integer: true, min: 1 },
+                price: { type: 'number', required: true, min: 0 }
+            }
         },
-        {
-            type: 'promo',
-            restaurantId: rest3.__backendId,
-            code: 'FREEBITE',
-            description: 'Rs150 off on orders above Rs600',
-            discountType: 'fixed',
-            discountValue: 150,
-            minOrderValue: 600,
-            maxDiscount: 150,
-            expiryDate: '2026-12-31',
-            isDemoData: true
+        totalAmount: { type: 'number', required: true, min: 0 },
+        orderStatus: { type: 'string', required: true, enum: ORDER_STATUSES },
+        paymentMode: { type: 'string' },
+        paymentStatus: { type: 'string', enum: PAYMENT_STATUSES },
+        deliveryAddress: { type: 'string' },
+        deliveryPhone: { type: 'string' },
+        deliveryPartnerId: { type: 'string' },
+        promoCode: { type: 'string' },
+        discountAmount: { type: 'number', min: 0 },
+        finalAmount: { type: 'number', min: 0 },
+        timestamp: { type: 'number' },
+        reviewed: { type: 'boolean' }
+    },
+    
+    review: {
+        foodId: { type: 'string', required: true },
+        customerId: { type: 'string', required: true },
+        rating: { type: 'number', required: true, integer: true, min: 1, max: 5 },
+        text: { type: 'string' },
+        customerName: { type: 'string' },
+        timestamp: { type: 'string' }
+    },
+    
+    invite: {
+        name: { type: 'string', required: true },
+        email: { type: 'string', required: true },
+        adminLevel: { type: 'string', required: true, enum: ADMIN_LEVELS },
+        codeHash: { type: 'string', required: true },
+        invitedBy: { type: 'string', required: true },
+        expiresAt: { type: 'number', required: true },
+        acceptedAt: { type: 'number' },
+        revokedAt: { type: 'number' }
+    },
+    
+    // Email or SMS "sent" by the platform, shown in the outbox
+    message: {
+        channel: { type: 'string', required: true, enum: MESSAGE_CHANNELS },
+        to: { type: 'string', required: true },
+        recipientId: { type: 'string' },
+        subject: { type: 'string' },
+        body: { type: 'string', required: true }
+    },
+    
+    passwordReset: {
+        userId: { type: 'string', required: true },
+        codeHash: { type: 'string', required: true },
+        expiresAt: { type: 'number', required: true },
+        // Wrong codes entered so far
+        attempts: { type: 'number', integer: true, min: 0 },
+        usedAt: { type: 'number' },
+        // Set when a newer code replaces this one
+        revokedAt: { type: 'number' }
+    },
+    
+    // One-time code confirming a user's email address or phone number
+    contactVerification: {
+        userId: { type: 'string', required: true },
+        channel: { type: 'string', required: true, enum: MESSAGE_CHANNELS },
+        // The email address or phone number the code was sent to
+        target: { type: 'string', required: true },
+        codeHash: { type: 'string', required: true },
+        expiresAt: { type: 'number', required: true },
+        attempts: { type: 'number', integer: true, min: 0 },
+        verifiedAt: { type: 'number' },
+        revokedAt: { type: 'number' }
+    },
+    
+    // Failed logins of one username and role
+    loginThrottle: {
+        username: { type: 'string', required: true },
+        role: { type: 'string', required: true, enum: USER_ROLES },
+        // Failures since windowStartedAt
+        failures: { type: 'number', required: true, integer: true, min: 0 },
+        windowStartedAt: { type: 'number' },
+        // Locks so far, for the backoff
+        lockouts: { type: 'number', required: true, integer: true, min: 0 },
+        lockedUntil: { type: 'number' },
+        lastFailureAt: { type: 'number' }
+    },
+    
+    // Password reset requests of one username and role
+    passwordResetThrottle: {
+        username: { type: 'string', required: true },
+        role: { type: 'string', required: true, enum: USER_ROLES },
+        // Times of the requests within the last hour
+        requestedAt: { type: 'array', required: true }
+    },
+    
+    // An action refused by the permission checks
+    deniedAction: {
+        action: { type: 'string', required: true },
+        userId: { type: 'string' },
+        role: { type: 'string', enum: USER_ROLES },
+        recordId: { type: 'string' },
+        recordType: { type: 'string' }
+    }
+};
+
+/**
+ * Check one value against its field rules
+ * @param {*} value - Field value
+ * @param {Object} rules - Field rules from RECORD_SCHEMAS
+ * @param {String} path - Field name used in messages (e.g. 'items[0].price')
+ * @param {Object} record - Record being checked, for `check` rules
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateField(value, rules, path, record) {
+    if (value === undefined || value === null || value === '') {
+        return rules.required ? [`${path} is required`] : [];
+    }
+    
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    if (rules.type && actualType !== rules.type) {
+        return [`${path} must be ${rules.type === 'array' || rules.type === 'object' ? 'an' : 'a'} ${rules.type}, got ${JSON.stringify(value)}`];
+    }
+    
+    const errors = [];
+    if (rules.type === 'number' && !Number.isFinite(value)) {
+        errors.push(`${path} must be a valid number`);
+    }
+    if (rules.enum && !rules.enum.includes(value)) {
+        errors.push(`${path} must be one of ${rules.enum.join(', ')}, got "${value}"`);
+    }
+    if (rules.integer && !Number.isInteger(value)) {
+        errors.push(`${path} must be a whole number`);
+    }
+    if (rules.min !== undefined && value < rules.min) {
+        errors.push(`${path} must be at least ${rules.min}`);
+    }
+    if (rules.max !== undefined && value > rules.max) {
+        errors.push(`${path} must be at most ${rules.max}`);
+    }
+    if (rules.minLength !== undefined && value.length < rules.minLength) {
+        errors.push(`${path} must be at least ${rules.minLength} characters`);
+    }
+    if (rules.minItems !== undefined && value.length < rules.minItems) {
+        errors.push(`${path} must have at least ${rules.minItems} item${rules.minItems === 1 ? '' : 's'}`);
+    }
+    if (rules.items) {
+        value.forEach((item, index) => {
+            Object.entries(rules.items).forEach(([field, itemRules]) => {
+                errors.push(...validateField(item ? item[field] : undefined, itemRules, `${path}[${index}].${field}`, record));
+            });
+        });
+    }
+    if (rules.check) {
+        const message = rules.check(value, record);
+        if (message) errors.push(message);
+    }
+    return errors;
+}
+
+/**
+ * Check a record against the schema of its type
+ * @param {Object} record - Record to check
+ * @returns {Array} Error messages (empty when the record is valid)
+ */
+function validateRecord(record) {
+    const schema = RECORD_SCHEMAS[record.type];
+    if (!schema) {
+        return [`Unknown record type "${record.type}"`];
+    }
+    
+    const fields = { ...COMMON_FIELDS, ...schema };
+    const errors = [];
+    Object.entries(fields).forEach(([field, rules]) => {
+        errors.push(...validateField(record[field], rules, field, record));
+    });
+    return errors;
+}
+
+/**
+ * Throw a RecordValidationError if the record doesn't match its schema
+ * @param {Object} record - Record about to be written
+ */
+function assertValidRecord(record) {
+    const errors = validateRecord(record);
+    if (errors.length > 0) {
+        throw new RecordValidationError(record, errors);
+    }
+}
+
+// ===========================================================================================
+// SCHEMA MIGRATIONS - Versioned upgrades of stored records
+// ===========================================================================================
+// Each migration has a version number and changes records in place. On startup every
+// migration newer than the stored schema version runs in order, then the upgraded records
+// are written back and the new version is recorded. User data is never wiped on upgrade.
+// To change the shape of stored records, append a new step with the next version number.
+// ===========================================================================================
+
+// localStorage key holding the schema version of the stored records
+const SCHEMA_VERSION_KEY = 'Zaikalok_schemaVersion';
+
+// Ordered list of migration steps (never edit or reorder a released step)
+const schemaMigrations = [
+    {
+        version: 1,
+        description: 'Store order items as arrays instead of JSON strings',
+        migrate(records) {
+            records.forEach(record => {
+                if (record.type === 'order' && typeof record.items === 'string') {
+                    record.items = JSON.parse(record.items || '[]');
+                }
+            });
         }
-    ];
+    },
+    {
+        version: 2,
+        description: 'Link order items to their food records with foodId',
+        migrate(records) {
+            const foods = records.filter(record => record.type === 'food');
+            records.forEach(record => {
+                if (record.type !== 'order' || !Array.isArray(record.items)) return;
+                record.items.forEach(item => {
+                    if (item.foodId) return;
+                    const food = foods.find(f => f.restaurantId === record.restaurantId && f.name === item.name);
+                    item.foodId = food ? food.__backendId : null;
+                });
+            });
+        }
+    },
+    {
+        version: 3,
+        description: 'Add createdAt timestamps to every record',
+        migrate(records) {
+            records.forEach(record => {
+                if (record.createdAt) return;
+                // Generated IDs start with the creation time in milliseconds
+                const idTimestamp = parseInt(String(record.__backendId).substring(0, 13));
+                if (record.timestamp) {
+                    record.createdAt = new Date(record.timestamp).getTime();
+                } else if (!isNaN(idTimestamp) && String(idTimestamp).length === 13) {
+                    record.createdAt = idTimestamp;
+                } else {
+                    record.createdAt = Date.now();
+                }
+            });
+        }
+    },
+    {
+        version: 4,
+        description: 'Move uploaded base64 images out of records into the image store',
+        async migrate(records, pendingImages) {
+            for (const record of records) {
+                if (record.type === 'food' && isDataUrl(record.imageUrl)) {
+                    record.imageId = await migrateInlineImage(record.imageUrl, pendingImages);
+                    record.imageUrl = '';
+                }
+                if (record.type === 'user' && isDataUrl(record.profilePicture)) {
+                    record.profilePictureId = await migrateInlineImage(record.profilePicture, pendingImages);
+                    delete record.profilePicture;
+                }
+            }
+        }
+    }
+];
+
+// Compress an inline image into the image store, keeping the original if it can't be re-encoded.
+// With pendingImages the variants are collected there (storage key -> data URL) instead of written.
+async function migrateInlineImage(dataUrl, pendingImages) {
+    let variants;
+    try {
+        variants = await compressImage(dataUrl);
+    } catch (error) {
+        variants = { full: dataUrl, thumb: dataUrl };
+    }
     
-    // Add all demo promo codes
-    demoPromos.forEach(promo => createRecord(promo));
+    if (!pendingImages) {
+        return storeImageVariants(variants);
+    }
+    const imageId = 'img_' + generateRecordId();
+    IMAGE_VARIANTS.forEach(variant => {
+        pendingImages[getImageKey(imageId, variant)] = variants[variant];
+    });
+    return imageId;
+}
+
+// Latest schema version known to this build
+const CURRENT_SCHEMA_VERSION = schemaMigrations[schemaMigrations.length - 1].version;
+
+/**
+ * Get the schema version of the stored records.
+ * Adapters whose data is shared between browsers (remote) keep it alongside the records.
+ * @returns {Promise<Number>} Stored schema version (0 for data created before migrations existed)
+ */
+async function getStoredSchemaVersion() {
+    if (storageAdapter.getSchemaVersion) {
+        return storageAdapter.getSchemaVersion();
+    }
+    return parseInt(localStorage.getItem(SCHEMA_VERSION_KEY) || '0', 10);
+}
+
+// Record the schema version the stored records are now at
+async function setStoredSchemaVersion(version) {
+    if (storageAdapter.setSchemaVersion) {
+        await storageAdapter.setSchemaVersion(version);
+        return;
+    }
+    localStorage.setItem(SCHEMA_VERSION_KEY, String(version));
+}
+
+/**
+ * Run every migration newer than fromVersion on a copy of the records
+ * @param {Array} records - Records to upgrade
+ * @param {Number} fromVersion - Schema version the records are currently at
+ * @param {Object} [pendingImages] - Collects images created by migrations instead of storing them
+ * @returns {Promise<Object>} { records, version, applied } - upgraded copy and applied step versions
+ */
+async function runMigrations(records, fromVersion, pendingImages = null) {
+    const upgraded = JSON.parse(JSON.stringify(records));
+    const applied = [];
+    
+    for (const step of schemaMigrations) {
+        if (step.version <= fromVersion) continue;
+        try {
+            await step.migrate(upgraded, pendingImages);
+        } catch (error) {
+            throw new Error(`Migration ${step.version} (${step.description}) failed: ${error.message}`);
+        }
+        applied.push(step.version);
+    }
+    
+    return { records: upgraded, version: Math.max(fromVersion, CURRENT_SCHEMA_VERSION), applied };
+}
+
+/**
+ * Bring the loaded record cache up to the current schema version.
+ * Records are only written back when every pending migration succeeded.
+ */
+async function migrateDataStore() {
+    const fromVersion = await getStoredSchemaVersion();
+    if (fromVersion >= CURRENT_SCHEMA_VERSION) return;
+    
+    const result = await runMigrations(recordCache, fromVersion);
+    if (result.applied.length > 0) {
+        await storageAdapter.replaceAll(result.records);
+        setRecordCache(result.records);
+    }
+    await setStoredSchemaVersion(result.version);
+}
+
+// ===========================================================================================
+// RECORD QUERY LAYER - Secondary indexes over the record cache
+// ===========================================================================================
+// Render functions used to scan every record (often inside loops) to find, for example, the
+// orders of one restaurant. The query layer keeps an index by __backendId plus secondary
+// indexes on the fields below, and updates them on every create, update and delete, so
+// lookups only touch the matching records even with thousands of orders.
+// ===========================================================================================
+
+// Fields with a secondary index (value -> Set of __backendId)
+const INDEXED_FIELDS = ['type', 'restaurantId', 'customerId', 'deliveryPartnerId', 'foodId'];
+
+// __backendId -> record in recordCache
+let recordsById = new Map();
+// field -> Map(value -> Set of __backendId)
+let recordIndexes = Object.fromEntries(INDEXED_FIELDS.map(field => [field, new Map()]));
+// __backendId -> insertion sequence, so query results keep the stored order
+let recordSequence = new Map();
+let nextRecordSequence = 0;
+
+/**
+ * Rebuild every index from scratch (after the whole cache was replaced)
+ */
+function rebuildRecordIndexes() {
+    recordsById = new Map();
+    recordIndexes = {};
+    recordSequence = new Map();
+    nextRecordSequence = 0;
+    INDEXED_FIELDS.forEach(field => {
+        recordIndexes[field] = new Map();
+    });
+    recordCache.forEach(record => indexRecord(record));
+}
+
+/**
+ * Add a cached record to the indexes
+ * @param {Object} record - Record object held in recordCache
+ */
+function indexRecord(record) {
+    const id = record.__backendId;
+    recordsById.set(id, record);
+    if (!recordSequence.has(id)) {
+        recordSequence.set(id, nextRecordSequence++);
+    }
+    INDEXED_FIELDS.forEach(field => {
+        const value = record[field];
+        if (value === undefined || value === null) return;
+        if (!recordIndexes[field].has(value)) {
+            recordIndexes[field].set(value, new Set());
+        }
+        recordIndexes[field].get(value).add(id);
+    });
+}
+
+/**
+ * Remove a cached record from the indexes
+ * @param {Object} record - Record object held in recordCache
+ * @param {Boolean} keepSequence - Keep the insertion position (used when the record is replaced)
+ */
+function unindexRecord(record, keepSequence = false) {
+    const id = record.__backendId;
+    recordsById.delete(id);
+    if (!keepSequence) {
+        recordSequence.delete(id);
+    }
+    INDEXED_FIELDS.forEach(field => {
+        const ids = recordIndexes[field].get(record[field]);
+        if (!ids) return;
+        ids.delete(id);
+        if (ids.size === 0) {
+            recordIndexes[field].delete(record[field]);
+        }
+    });
+}
+
+/**
+ * Find the cached records matching the criteria (internal, returns cache objects)
+ * @param {Object} criteria - Field/value pairs that must all match
+ * @param {Function} filterFn - Optional extra predicate
+ * @returns {Array} Matching records in stored order
+ */
+function findCachedRecords(criteria = {}, filterFn = null, includeDeleted = false) {
+    const fields = Object.keys(criteria);
+    
+    // Start from the smallest matching index, or every record if no indexed field is used
+    let candidateIds = null;
+    fields.forEach(field => {
+        if (!INDEXED_FIELDS.includes(field)) return;
+        const ids = recordIndexes[field].get(criteria[field]) || new Set();
+        if (candidateIds === null || ids.size < candidateIds.size) {
+            candidateIds = ids;
+        }
+    });
+    
+    let candidates;
+    if (candidateIds === null) {
+        candidates = recordCache;
+    } else {
+        candidates = Array.from(candidateIds)
+            .sort((a, b) => recordSequence.get(a) - recordSequence.get(b))
+            .map(id => recordsById.get(id));
+    }
+    
+    return candidates.filter(record =>
+        (includeDeleted || !record.deletedAt) &&
+        fields.every(field => record[field] === criteria[field]) &&
+        (!filterFn || filterFn(record))
+    );
+}
+
+/**
+ * QUERY: Get one record by __backendId
+ * @param {String} id - __backendId of the record
+ * @returns {Object|null} Copy of the record (safe to mutate before calling updateRecord)
+ */
+function getRecordById(id) {
+    const record = recordsById.get(id);
+    return record ? JSON.parse(JSON.stringify(record)) : null;
+}
+
+/**
+ * QUERY: Get every record matching the criteria
+ * e.g. queryRecords({ type: 'order', restaurantId: id }, order => order.orderStatus !== 'delivered')
+ * @param {Object} criteria - Field/value pairs that must all match (indexed fields are fast)
+ * @param {Function} filterFn - Optional extra predicate
+ * @returns {Array} Copies of the matching records in stored order
+ */
+function queryRecords(criteria = {}, filterFn = null) {
+    return JSON.parse(JSON.stringify(findCachedRecords(criteria, filterFn)));
+}
+
+/**
+ * QUERY: Get the first record matching the criteria
+ * @param {Object} criteria - Field/value pairs that must all match
+ * @param {Function} filterFn - Optional extra predicate
+ * @returns {Object|null} Copy of the first matching record
+ */
+function findRecord(criteria = {}, filterFn = null) {
+    const match = findCachedRecords(criteria, filterFn)[0];
+    return match ? JSON.parse(JSON.stringify(match)) : null;
+}
+
+/**
+ * QUERY: Get the soft-deleted records (recycle bin) matching the criteria.
+ * Every other query skips records with a deletedAt timestamp; getRecordById still resolves them
+ * so past orders and reviews can show what they refer to.
+ * @param {Object} criteria - Field/value pairs that must all match
+ * @returns {Array} Copies of the matching deleted records
+ */
+function queryDeletedRecords(criteria = {}) {
+    return JSON.parse(JSON.stringify(findCachedRecords(criteria, record => !!record.deletedAt, true)));
+}
+
+/**
+ * QUERY: Count the records matching the criteria without copying them
+ * @param {Object} criteria - Field/value pairs that must all match
+ * @param {Function} filterFn - Optional extra predicate
+ * @returns {Number} Number of matching records
+ */
+function countRecords(criteria = {}, filterFn = null) {
+    return findCachedRecords(criteria, filterFn).length;
+}
+
+// ===========================================================================================
+// IMAGE STORE - Uploaded images kept outside the records
+// ===========================================================================================
+// Uploaded food photos and profile pictures used to sit inside the records as full-size
+// base64 data URLs, so every write re-saved megabytes and localStorage filled up fast. Uploads
+// are now resized and re-encoded to the image_* limits in config, saved by the storage adapter
+// under their own keys as a full version and a small thumbnail, and records only keep the ID
+// (food.imageId, user.profilePictureId, a delivery partner's user.idDocumentIds). External
+// image URLs stay on the record as imageUrl. ID document photos are encrypted at rest like
+// personal fields, except on the shared server, which other browsers (with other keys) read.
+//
+// Renderers emit <img data-image-id data-image-variant> through imageTag(); a MutationObserver
+// fills in the src once the image has been read from storage, so rendering stays synchronous.
+// ===========================================================================================
+
+const IMAGE_VARIANTS = ['full', 'thumb'];
+
+// Loaded images, storage key ("<imageId>:<variant>") -> data URL
+const imageCache = new Map();
+
+// Storage key of one variant of an image
+function getImageKey(imageId, variant) {
+    return `${imageId}:${variant}`;
+}
+
+// Check whether a value is an inline base64 image
+function isDataUrl(value) {
+    return typeof value === 'string' && value.startsWith('data:image/');
+}
+
+// Decoded size of a base64 data URL in bytes
+function getDataUrlBytes(dataUrl) {
+    return Math.ceil((dataUrl.length - dataUrl.indexOf(',') - 1) * 3 / 4);
+}
+
+// Read an uploaded file as a data URL
+function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+// Decode an image so it can be drawn on a canvas
+function loadImageElement(source) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('The file could not be read as an image'));
+        img.src = source;
+    });
+}
+
+// Draw an image scaled to fit the box and encode it as JPEG
+function encodeImage(img, maxWidth, maxHeight, quality) {
+    const scale = Math.min(1, maxWidth / img.naturalWidth, maxHeight / img.naturalHeight);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+    
+    const context = canvas.getContext('2d');
+    // JPEG has no transparency; paint transparent PNG areas white instead of black
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(img, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', quality);
+}
+
+/**
+ * Resize and re-encode an image to fit the configured dimensions and byte limit
+ * @param {File|String} source - Uploaded file or data URL
+ * @returns {Promise<Object>} { full, thumb } JPEG data URLs
+ */
+async function compressImage(source) {
+    const dataUrl = typeof source === 'string' ? source : await readFileAsDataUrl(source);
+    const img = await loadImageElement(dataUrl);
+    
+    let maxWidth = config.image_max_width;
+    let maxHeight = config.image_max_height;
+    let quality = config.image_quality;
+    let full = encodeImage(img, maxWidth, maxHeight, quality);
+    
+    // Lower the quality first, then the dimensions, until the image fits the byte limit
+    while (getDataUrlBytes(full) > config.image_max_bytes && maxWidth > 100) {
+        if (quality > 0.5) {
+            quality -= 0.1;
+        } else {
+            maxWidth *= 0.8;
+            maxHeight *= 0.8;
+        }
+        full = encodeImage(img, maxWidth, maxHeight, quality);
+    }
+    
+    const thumb = encodeImage(img, config.image_thumb_size, config.image_thumb_size, 0.7);
+    return { full, thumb };
+}
+
+// Image as it is stored: encrypted when asked for and encryption at rest is on
+async function encryptImageForStorage(dataUrl, encrypt) {
+    return encrypt && encryptionKey ? encryptValue(dataUrl) : dataUrl;
+}
+
+/**
+ * IMAGE STORE: Save both variants of an image
+ * @param {Object} variants - { full, thumb } data URLs
+ * @param {Boolean} [encrypt] - Encrypt at rest (ID documents)
+ * @returns {Promise<String>} New image ID to store on the record
+ */
+async function storeImageVariants(variants, encrypt = false) {
+    const imageId = 'img_' + generateRecordId();
+    const images = await Promise.all(IMAGE_VARIANTS.map(async variant => ({
+        key: getImageKey(imageId, variant),
+        dataUrl: await encryptImageForStorage(variants[variant], encrypt)
+    })));
+    
+    try {
+        await storageAdapter.putImages(images);
+    } catch (error) {
+        throw toStorageError(error);
+    }
+    IMAGE_VARIANTS.forEach(variant => imageCache.set(getImageKey(imageId, variant), variants[variant]));
+    return imageId;
+}
+
+/**
+ * IMAGE STORE: Compress and save an uploaded image
+ * @param {File|String} source - Uploaded file or data URL
+ * @param {Boolean} [encrypt] - Encrypt at rest (ID documents)
+ * @returns {Promise<String>} New image ID to store on the record
+ */
+async function saveImage(source, encrypt = false) {
+    return storeImageVariants(await compressImage(source), encrypt);
+}
+
+/**
+ * IMAGE STORE: Load one variant of an image
+ * @param {String} imageId - ID from the record
+ * @param {String} variant - 'full' or 'thumb'
+ * @returns {Promise<String|null>} Data URL, or null if the image is missing
+ */
+async function getImage(imageId, variant = 'thumb') {
+    const key = getImageKey(imageId, variant);
+    if (imageCache.has(key)) {
+        return imageCache.get(key);
+    }
+    
+    let dataUrl = await storageAdapter.getImage(key);
+    if (isEncryptedValue(dataUrl)) {
+        dataUrl = await decryptValue(dataUrl).catch(error => {
+            console.warn(`Could not decrypt image ${key}:`, error);
+            return null;
+        });
+    }
+    if (dataUrl) {
+        imageCache.set(key, dataUrl);
+    }
+    return dataUrl || null;
+}
+
+/**
+ * IMAGE STORE: Remove every variant of an image
+ * @param {String} imageId - ID from the record (ignored when empty)
+ */
+function deleteImage(imageId) {
+    if (!imageId) return;
+    
+    const keys = IMAGE_VARIANTS.map(variant => getImageKey(imageId, variant));
+    keys.forEach(key => imageCache.delete(key));
+    storageAdapter.deleteImages(keys).catch(error => {
+        console.error(`Failed to delete image ${imageId}:`, error);
+    });
+}
+
+/**
+ * Build an <img> for a stored image; the src is filled in by hydrateImages()
+ * @param {String} imageId - ID from the record
+ * @param {String} variant - 'full' or 'thumb'
+ * @param {String} attributes - Extra HTML attributes (class, style, alt)
+ * @returns {String} HTML
+ */
+function imageTag(imageId, variant, attributes = '') {
+    const cached = imageCache.get(getImageKey(imageId, variant));
+    return `<img data-image-id="${imageId}" data-image-variant="${variant}" ${cached ? `src="${cached}"` : ''} ${attributes}>`;
+}
+
+// Check whether a food item has an uploaded or external image
+function hasFoodImage(food) {
+    return !!(food.imageId || food.imageUrl);
+}
+
+// <img> for a food item (uploaded images come from the image store, URLs are used as-is)
+function foodImageTag(food, variant, style) {
+    if (food.imageId) {
+        return imageTag(food.imageId, variant, `style="${style}" alt="${food.name}"`);
+    }
+    return `<img src="${food.imageUrl}" crossOrigin="anonymous" style="${style}">`;
+}
+
+// <img> for a user's profile picture, or '' when they have none
+function profilePictureTag(user, variant, attributes) {
+    if (user.profilePictureId) {
+        return imageTag(user.profilePictureId, variant, attributes);
+    }
+    return user.profilePicture ? `<img src="${user.profilePicture}" ${attributes}>` : '';
+}
+
+// IDs of every stored image a record refers to
+function getRecordImageIds(record) {
+    return [record.imageId, record.profilePictureId, ...(record.idDocumentIds || [])].filter(Boolean);
+}
+
+/**
+ * Load stored images for every <img data-image-id> that has no src yet
+ * @param {Element|Document} root - Where to look
+ */
+function hydrateImages(root = document) {
+    root.querySelectorAll('img[data-image-id]:not([src]):not([data-image-loading])').forEach(img => {
+        img.dataset.imageLoading = 'true';
+        getImage(img.dataset.imageId, img.dataset.imageVariant || 'thumb').then(dataUrl => {
+            delete img.dataset.imageLoading;
+            if (dataUrl) img.src = dataUrl;
+        });
+    });
+}
+
+// Hydrate stored images whenever a render function adds them to the page
+function observeImageHydration() {
+    if (typeof MutationObserver === 'undefined') return;
+    new MutationObserver(() => hydrateImages()).observe(document.body, { childList: true, subtree: true });
+    hydrateImages();
+}
+
+// ===========================================================================================
+// CROSS-TAB SYNC - Share store changes between open tabs
+// ===========================================================================================
+// Every tab keeps its own record cache, so a write in one tab is invisible to the others until
+// they reload. After each commit the changes are broadcast on a BroadcastChannel (or, where
+// that is missing, through a localStorage key whose `storage` event reaches the other tabs).
+// Receiving tabs apply the changes to their cache and re-render whatever dashboard is open, so
+// a customer, owner, rider and admin can work side by side on one machine.
+// ===========================================================================================
+
+const SYNC_CHANNEL_NAME = 'Zaikalok_sync';
+// localStorage key used as the message carrier when BroadcastChannel is unavailable
+const SYNC_STORAGE_KEY = 'Zaikalok_sync';
+
+// Identifies this tab so it ignores its own messages
+const syncTabId = Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+let syncChannel = null;
+let viewRefreshTimer = null;
+
+/**
+ * Start listening for changes made in other tabs
+ */
+function initCrossTabSync() {
+    if (typeof BroadcastChannel !== 'undefined') {
+        syncChannel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+        syncChannel.onmessage = (event) => handleSyncMessage(event.data);
+        return;
+    }
+    
+    window.addEventListener('storage', (event) => {
+        if (event.key === SYNC_STORAGE_KEY && event.newValue) {
+            handleSyncMessage(JSON.parse(event.newValue));
+        }
+    });
+}
+
+/**
+ * Tell other tabs about committed changes
+ * @param {Object} message - { changes } for a commit, or { reload: true } after the whole store was replaced
+ */
+function broadcastStoreChange(message) {
+    const payload = { ...message, source: syncTabId, sentAt: Date.now() };
+    try {
+        if (syncChannel) {
+            syncChannel.postMessage(payload);
+        } else if (typeof BroadcastChannel === 'undefined') {
+            localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify(payload));
+        }
+    } catch (error) {
+        // Other tabs simply pick the change up on their next reload
+        console.warn('Could not notify other tabs of a data change:', error);
+    }
+}
+
+/**
+ * Apply a message from another tab to this tab's cache and refresh the open view
+ * @param {Object} message - Payload sent by broadcastStoreChange
+ */
+async function handleSyncMessage(message) {
+    if (!message || message.source === syncTabId) return;
+    
+    if (message.reload) {
+        await reloadRecordCache();
+    } else {
+        // Changes from the shared server arrive as stored, i.e. encrypted
+        (await decryptChanges(message.changes || [])).forEach(applyRemoteChange);
+    }
+}
+
+// Changes with their records' personal fields decrypted (plain ones are passed through)
+function decryptChanges(changes) {
+    return Promise.all(changes.map(async change => ({ ...change, record: await decryptRecord(change.record) })));
+}
+
+// Apply one remote change, tolerating records this tab has or hasn't seen yet
+function applyRemoteChange(change) {
+    const previous = recordsById.get(change.record.__backendId) || null;
+    const known = !!previous;
+    
+    if (change.op === 'delete') {
+        if (known) {
+            applyChangeToCache(change);
+            emitRecordChange(change, previous, true);
+        }
+        return;
+    }
+    
+    // The same commit can arrive twice (from another tab and from the server), possibly after a
+    // newer one, so never go back to an older revision
+    if (known && (previous.__rev || 0) > (change.record.__rev || 0)) {
+        return;
+    }
+    
+    const applied = { op: known ? 'update' : 'create', record: change.record };
+    applyChangeToCache(applied);
+    emitRecordChange(applied, previous, true);
+}
+
+// Coalesce bursts of changes (e.g. a multi-restaurant checkout) into one re-render
+function scheduleViewRefresh() {
+    clearTimeout(viewRefreshTimer);
+    viewRefreshTimer = setTimeout(refreshCurrentView, 50);
+}
+
+/**
+ * Re-render the dashboard section that is currently open with fresh data.
+ * Forms the user is typing into are left alone.
+ */
+function refreshCurrentView() {
+    if (!currentUser) return;
+    
+    // Pick up changes to the signed-in user's own record (e.g. a restaurant being approved)
+    const freshUser = getRecordById(currentUser.__backendId);
+    if (freshUser) {
+        currentUser = freshUser;
+    }
+    
+    const contentIds = {
+        'admin-dashboard': 'adminContent',
+        'restaurant-dashboard': 'restaurantContent',
+        'customer-browse': 'customerContent',
+        'delivery-dashboard': 'deliveryContent'
+    };
+    const content = document.getElementById(contentIds[currentView]);
+    if (!content || isEditingInside(content)) return;
+    
+    switch (currentView) {
+        case 'admin-dashboard':
+            const adminViews = {
+                restaurants: renderRestaurantsManagement,
+                delivery: renderDeliveryPartnersManagement,
+                images: renderImageApprovals,
+                orders: renderAllOrders,
+                users: renderUsersManagement,
+                bin: renderRecycleBin,
+                health: renderDataHealth,
+                backup: renderBackupManagement,
+                fixtures: renderTestScenarios,
+                admins: renderAdminAccounts,
+                sessions: renderUserSessions
+            };
+            // The admin's level may have changed since the section was opened
+            if (adminViews[currentSection] && canOpenAdminSection(currentSection)) {
+                adminViews[currentSection](content);
+            } else {
+                renderAdminDashboard();
+            }
+            break;
+            
+        case 'restaurant-dashboard':
+            const restaurantViews = {
+                menu: renderMenuManagement,
+                promos: renderPromoCodeManagement,
+                orders: renderRestaurantOrders,
+                bin: renderRecycleBin,
+                sessions: renderUserSessions
+            };
+            if (restaurantViews[currentSection]) {
+                restaurantViews[currentSection](content);
+            } else {
+                renderRestaurantDashboard();
+            }
+            break;
+            
+        case 'customer-browse':
+            const customerViews = {
+                browse: () => renderFoodItems(),
+                wishlist: renderWishlist,
+                cart: renderCart,
+                orders: renderCustomerOrders,
+                profile: renderCustomerProfile,
+                sessions: renderUserSessions
+            };
+            if (customerViews[currentSection]) {
+                customerViews[currentSection](content);
+            }
+            break;
+            
+        case 'delivery-dashboard':
+            const deliveryViews = {
+                available: renderAvailableOrders,
+                assigned: renderAssignedOrders,
+                history: renderDeliveryHistory,
+                sessions: renderUserSessions
+            };
+            if (deliveryViews[currentSection]) {
+                deliveryViews[currentSection](content);
+            }
+            break;
+    }
+}
+
+// Check whether the user is typing into a form inside the container
+function isEditingInside(container) {
+    const active = document.activeElement;
+    return !!active && container.contains(active) && ['INPUT', 'TEXTAREA', 'SELECT'].includes(active.tagName);
+}
+
+/**
+ * Subscribe the UI to store change events. The open dashboard section (with its counters and
+ * order timelines) is re-rendered after any change, wherever it was made, so action handlers
+ * don't need to re-render it themselves.
+ */
+function initLiveViews() {
+    subscribe('*', scheduleViewRefresh);
+    subscribe('food:*', updateCartFromMenu);
+    subscribe('food:*', updateWishlistCount);
+    subscribe('order:created', announceNewOrder);
+    subscribe('order:updated', announceOrderStatus);
+}
+
+// Keep the cart and its badge in step with the menu: new prices and names are picked up, and
+// items that are hidden or deleted are taken out
+function updateCartFromMenu(event) {
+    const index = cart.findIndex(item => item.__backendId === event.record.__backendId);
+    if (index === -1) return;
+    
+    const food = event.record;
+    if (event.action === 'deleted' || food.deletedAt || food.available === false) {
+        const [removed] = cart.splice(index, 1);
+        showToast(`${removed.name} is no longer available and was removed from your cart`, 'error');
+    } else {
+        cart[index] = { ...cart[index], name: food.name, price: food.price };
+    }
+    updateCartCount();
+}
+
+// Let a restaurant owner know about orders placed while their dashboard is open
+function announceNewOrder(event) {
+    if (!event.remote || !currentUser || currentUser.role !== 'restaurant') return;
+    if (event.record.restaurantId === currentUser.__backendId) {
+        showToast(`🔔 New order received: ${describeRecord(event.record)}`, 'success');
+    }
+}
+
+// Let a customer know when someone else moves one of their orders along
+function announceOrderStatus(event) {
+    if (!event.remote || !event.previous || !currentUser || currentUser.role !== 'customer') return;
+    const order = event.record;
+    if (order.customerId === currentUser.__backendId && order.orderStatus !== event.previous.orderStatus) {
+        showToast(`${describeRecord(order)} is now ${order.orderStatus.replace(/-/g, ' ')}`, 'success');
+    }
+}
+
+// ===========================================================================================
+// OFFLINE WRITE QUEUE - Keeps writes made while the shared server is unreachable
+// ===========================================================================================
+// With the remote backend a dropped connection would otherwise lose whatever the user just did
+// (a checkout, an order status change). Instead, commits that can't reach the server are kept
+// in localStorage in the order they were made, the cache keeps showing them, and a badge says
+// how many are waiting. When the connection returns they are replayed one by one through the
+// same all-or-nothing /batch call. A queued change the server rejects because someone else got
+// there first (e.g. another rider accepted the order) is dropped and explained to the user.
+// ===========================================================================================
+
+// localStorage key of the queue: [{ id, changes, queuedAt }], shared by every tab. `changes`
+// is one encrypted value while encryption at rest is on.
+const PENDING_WRITES_KEY = 'Zaikalok_pendingWrites';
+// localStorage key of the copy of the server's records used when the app starts offline
+const REMOTE_SNAPSHOT_KEY = 'Zaikalok_remoteSnapshot';
+// How often to retry while writes are waiting
+const PENDING_RETRY_INTERVAL = 15000;
+// Statuses that mean the server (or a proxy in front of it) is temporarily unreachable
+const SERVER_UNAVAILABLE_STATUSES = [502, 503, 504];
+
+let pendingReplay = null;
+let pendingRetryTimer = null;
+// Queue and snapshot writes wait for their encryption, so they are chained to keep their order
+let pendingQueueWrites = Promise.resolve();
+let remoteSnapshotWrites = Promise.resolve();
+// Set while the last attempt to reach the server failed
+let remoteOffline = false;
+
+// Read the queue of writes waiting for the server
+function getPendingWrites() {
+    try {
+        return JSON.parse(localStorage.getItem(PENDING_WRITES_KEY) || '[]');
+    } catch (error) {
+        return [];
+    }
+}
+
+function setPendingWrites(entries) {
+    if (entries.length > 0) {
+        localStorage.setItem(PENDING_WRITES_KEY, JSON.stringify(entries));
+    } else {
+        localStorage.removeItem(PENDING_WRITES_KEY);
+    }
+    updatePendingSyncBadge();
+}
+
+// Check whether a request failed because the server can't be reached rather than because it
+// refused the request. `response` is null when fetch itself failed (it only rejects on network errors).
+function isServerUnreachable(response) {
+    return !response || SERVER_UNAVAILABLE_STATUSES.includes(response.status);
+}
+
+/**
+ * Queue a commit to be sent once the earlier queued ones have reached the server
+ * @param {Array} changes - The commit's { op, record, expectedRev } changes
+ * @returns {Promise} Resolves once the commit is in the queue
+ */
+function queuePendingWrite(changes) {
+    pendingQueueWrites = pendingQueueWrites.then(async () => {
+        const stored = encryptionKey ? await encryptValue(changes) : changes;
+        const entries = getPendingWrites();
+        entries.push({ id: generateRecordId(), changes: stored, queuedAt: new Date().toISOString() });
+        setPendingWrites(entries);
+        schedulePendingReplay();
+    });
+    return pendingQueueWrites;
+}
+
+// The changes of a queue entry, decrypted
+async function readPendingChanges(entry) {
+    return isEncryptedValue(entry.changes) ? decryptValue(entry.changes) : entry.changes;
+}
+
+/**
+ * Keep a copy of the server's records on this device (personal fields encrypted like the
+ * browser backends), so the app can start while the server is unreachable. Best effort: when it
+ * doesn't fit in localStorage the old copy is dropped.
+ * @param {Array} records - Records as the server (or this tab's cache) now holds them
+ */
+function saveRemoteSnapshot(records) {
+    const copy = JSON.parse(JSON.stringify(records));
+    remoteSnapshotWrites = remoteSnapshotWrites.then(async () => {
+        const stored = encryptionKey ? await Promise.all(copy.map(encryptRecord)) : copy;
+        try {
+            localStorage.setItem(REMOTE_SNAPSHOT_KEY, JSON.stringify(stored));
+        } catch (error) {
+            console.warn('Could not keep an offline copy of the shared data:', error);
+            localStorage.removeItem(REMOTE_SNAPSHOT_KEY);
+        }
+    });
+}
+
+// Records saved by saveRemoteSnapshot, still encrypted like the server's (empty when there is no copy)
+async function loadRemoteSnapshot() {
+    await remoteSnapshotWrites;
+    return JSON.parse(localStorage.getItem(REMOTE_SNAPSHOT_KEY) || '[]');
+}
+
+// Remember whether the server can be reached, telling the user when the connection is lost
+function setRemoteOffline(offline) {
+    if (offline && !remoteOffline) {
+        showToast('You are offline. Changes are saved on this device and will sync when the connection returns.', 'error');
+    }
+    remoteOffline = offline;
+    updatePendingSyncBadge();
+}
+
+// Try again later while writes are waiting
+function schedulePendingReplay() {
+    clearTimeout(pendingRetryTimer);
+    if (getPendingWrites().length > 0) {
+        pendingRetryTimer = setTimeout(replayPendingWrites, PENDING_RETRY_INTERVAL);
+    }
+}
+
+/**
+ * Send queued writes to the server in the order they were made.
+ * Only one tab replays at a time (Web Locks where supported); the others pick up nothing
+ * because each entry is removed from the shared queue as soon as the server has answered.
+ * @returns {Promise} Resolves when the queue is empty or the server is still unreachable
+ */
+function replayPendingWrites() {
+    if (pendingReplay) return pendingReplay;
+    if (storageAdapter.name !== 'remote' || getPendingWrites().length === 0) return Promise.resolve();
+    
+    const replay = typeof navigator !== 'undefined' && navigator.locks
+        ? navigator.locks.request(PENDING_WRITES_KEY, { ifAvailable: true }, lock => lock ? sendPendingWrites() : schedulePendingReplay())
+        : sendPendingWrites();
+    
+    pendingReplay = replay.finally(() => {
+        pendingReplay = null;
+    });
+    return pendingReplay;
+}
+
+// Replay loop behind replayPendingWrites
+async function sendPendingWrites() {
+    const rejected = [];
+    let sent = 0;
+    let entry;
+    
+    while ((entry = getPendingWrites()[0])) {
+        const changes = await readPendingChanges(entry);
+        const response = await storageAdapter.send('POST', '/batch', { changes }).catch(() => null);
+        
+        if (isServerUnreachable(response)) {
+            setRemoteOffline(true);
+            schedulePendingReplay();
+            break;
+        }
+        
+        setRemoteOffline(false);
+        if (response.status === 409) {
+            const conflict = await response.json();
+            rejected.push(describeRejectedWrite(
+                { ...entry, changes: await decryptChanges(changes) },
+                { ...conflict, current: conflict.current && await decryptRecord(conflict.current) }
+            ));
+        } else if (!response.ok) {
+            console.error(`Server refused queued write ${entry.id}: ${response.status}`);
+            rejected.push(`A change made at ${new Date(entry.queuedAt).toLocaleTimeString()} was refused by the server (error ${response.status}).`);
+        }
+        sent++;
+        setPendingWrites(getPendingWrites().filter(pending => pending.id !== entry.id));
+    }
+    
+    if (sent === 0) return;
+    
+    // Show exactly what the server now holds, without the rejected changes
+    await reloadRecordCache();
+    
+    if (rejected.length > 0) {
+        showRejectedWrites(rejected);
+    } else if (getPendingWrites().length === 0) {
+        showToast('Back online. All offline changes have been synced.', 'success');
+    }
+}
+
+/**
+ * Explain why the server rejected a queued commit
+ * @param {Object} entry - Queue entry
+ * @param {Object} conflict - 409 body from the server: { recordId, actualRev, current }
+ * @returns {String} Message for the user
+ */
+function describeRejectedWrite(entry, conflict) {
+    const change = entry.changes.find(c => c.record.__backendId === conflict.recordId) || entry.changes[0];
+    const current = conflict.current;
+    const label = describeRecord(change.record);
+    
+    if (!current) {
+        return `${label} was deleted by someone else, so your offline change was not saved.`;
+    }
+    if (change.record.type === 'order' && change.record.deliveryPartnerId &&
+        current.deliveryPartnerId && current.deliveryPartnerId !== change.record.deliveryPartnerId) {
+        return `${label} was already accepted by another delivery partner.`;
+    }
+    if (change.record.type === 'order' && current.orderStatus !== change.record.orderStatus) {
+        return `${label} was moved to "${current.orderStatus}" by someone else, so your change to "${change.record.orderStatus}" was not saved.`;
+    }
+    return `${label} was changed by someone else before your offline change reached the server, so it was not saved.`;
+}
+
+// List the queued changes the server turned down
+function showRejectedWrites(messages) {
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2>Some Offline Changes Were Not Saved</h2>
+                <button class="close-modal" onclick="this.closest('.modal').remove()">×</button>
+            </div>
+            <div class="modal-body">
+                <p style="color: #64748b; margin-bottom: 1rem;">
+                    These changes were made while you were offline. Others updated the same data first,
+                    so the latest version is shown instead.
+                </p>
+                <ul style="color: #ef4444; padding-left: 1.25rem; line-height: 1.8;">
+                    ${messages.map(message => `<li>${escapeHtml(message)}</li>`).join('')}
+                </ul>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-secondary" onclick="this.closest('.modal').remove()">Close</button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+}
+
+/**
+ * Show or hide the "pending sync" badge. Clicking it retries straight away.
+ */
+function updatePendingSyncBadge() {
+    let badge = document.getElementById('pendingSyncBadge');
+    const count = getPendingWrites().length;
+    
+    if (!badge) {
+        if (count === 0) return;
+        badge = document.createElement('button');
+        badge.id = 'pendingSyncBadge';
+        badge.title = 'Retry now';
+        badge.onclick = () => replayPendingWrites();
+        document.body.appendChild(badge);
+    }
+    
+    badge.className = `pending-sync-badge${count > 0 ? ' show' : ''}${remoteOffline ? ' offline' : ''}`;
+    badge.textContent = `${remoteOffline ? '📴' : '⏳'} ${count} ${count === 1 ? 'change' : 'changes'} pending sync`;
+}
+
+/**
+ * Replay queued writes as soon as the browser is back online, and keep the badge in step with
+ * writes queued by other tabs
+ */
+function initPendingWrites() {
+    window.addEventListener('online', () => {
+        if (remoteOffline && !storageAdapter.events) {
+            storageAdapter.reconnect();
+        } else {
+            replayPendingWrites();
+        }
+    });
+    window.addEventListener('storage', (event) => {
+        if (event.key === PENDING_WRITES_KEY) updatePendingSyncBadge();
+    });
+    updatePendingSyncBadge();
+    schedulePendingReplay();
+}
+
+// Global State Variables
+let currentUser = null;
+let currentView = 'landing';
+// Sidebar section open in the current dashboard (used to refresh it when data changes)
+let currentSection = null;
+let cart = [];
+let wishlist = [];
+
+// Search and filter state
+let searchQuery = '';
+let selectedCuisine = 'all';
+let priceFilter = { min: 0, max: 10000 };
+
+// Promo codes state
+let appliedPromoCode = null;
+let promoCodeDiscount = 0;
+
+// ===========================================================================================
+// SESSIONS - Who is signed in, for how long, without keeping the user record in sessionStorage
+// ===========================================================================================
+// A tab's session holds only the user's ID and a random token. The token must also be in the
+// session registry in localStorage, so a session can be revoked from any tab by deleting its
+// token. The user record itself is looked up in the store, which keeps personal data (and the
+// password) out of sessionStorage.
+//
+// Each registry entry records when the session was issued, when it expires and when it was last
+// used. config.session_policies sets the limits per role: admins get short sessions, customers
+// long ones. A session ends when it reaches its expiry or has been idle for longer than the
+// role allows; the tab then goes back to the login page with a message. Customers who tick
+// "Remember me" get a session that is also kept in localStorage, so it survives closing the
+// browser and is shared by new tabs, until it expires (idle time doesn't end it).
+// ===========================================================================================
+
+// sessionStorage key of this tab's { userId, token }
+const SESSION_KEY = 'Zaikalok_session';
+// localStorage key of a remembered { userId, token }, shared by every tab
+const REMEMBERED_SESSION_KEY = 'Zaikalok_rememberedSession';
+// localStorage key of every live session:
+// token -> { id, userId, role, issuedAt, expiresAt, lastSeenAt, remember, device }
+const SESSION_REGISTRY_KEY = 'Zaikalok_sessions';
+// Older versions kept the whole user object under this sessionStorage key
+const LEGACY_SESSION_KEY = 'currentUser';
+// How often the open tab checks whether its session has ended
+const SESSION_CHECK_INTERVAL = 30 * 1000;
+// Activity updates lastSeenAt at most this often
+const SESSION_TOUCH_INTERVAL = 60 * 1000;
+
+// Shown on the login page when a session ends on its own
+const SESSION_END_MESSAGES = {
+    revoked: 'You were signed out from another tab or device. Please log in again.',
+    expired: 'Your session has expired. Please log in again.',
+    idle: 'You were signed out after a period of inactivity. Please log in again.',
+    suspended: 'Your account has been suspended. Please contact support.',
+    blocked: 'Your account has been blocked'
+};
+
+let sessionCheckTimer = null;
+
+function getSessionRegistry() {
+    try {
+        return JSON.parse(localStorage.getItem(SESSION_REGISTRY_KEY) || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+function setSessionRegistry(registry) {
+    localStorage.setItem(SESSION_REGISTRY_KEY, JSON.stringify(registry));
+}
+
+// Read this tab's session, or null
+function getTabSession() {
+    try {
+        return JSON.parse(sessionStorage.getItem(SESSION_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Read the remembered session, or null
+function getRememberedSession() {
+    try {
+        return JSON.parse(localStorage.getItem(REMEMBERED_SESSION_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+// 256 random bits as hex
+function generateSessionToken() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Session limits of a role: { idle_minutes, max_hours, remember_days }
+function getSessionPolicy(role) {
+    return config.session_policies[role] || config.session_policies.customer;
+}
+
+// Short description of this browser, e.g. "Chrome on Android"
+function describeDevice() {
+    const agent = navigator.userAgent || '';
+    const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+    const systems = [['Android', 'Android'], ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+    const browser = browsers.find(([marker]) => agent.includes(marker));
+    const system = systems.find(([marker]) => agent.includes(marker));
+    return `${browser ? browser[1] : 'Browser'}${system ? ` on ${system[1]}` : ''}`;
+}
+
+/**
+ * Check whether a registry entry has ended
+ * @param {Object} entry - Session registry entry
+ * @param {Number} now - Current time
+ * @returns {String|null} 'expired' or 'idle', or null while the session is live
+ */
+function getSessionEndReason(entry, now = Date.now()) {
+    if (now >= entry.expiresAt) return 'expired';
+    const idleMinutes = getSessionPolicy(entry.role).idle_minutes;
+    if (!entry.remember && idleMinutes && now - entry.lastSeenAt > idleMinutes * 60 * 1000) return 'idle';
+    return null;
+}
+
+/**
+ * Sign a user in for this tab
+ * @param {Object} user - User record
+ * @param {Boolean} remember - Keep the session after the browser closes (roles with remember_days)
+ */
+function startSession(user, remember = false) {
+    const userId = user.__backendId;
+    addOutboxAccount(userId);
+    const policy = getSessionPolicy(user.role);
+    const rememberSession = remember && !!policy.remember_days;
+    const token = generateSessionToken();
+    const now = Date.now();
+    
+    const registry = getSessionRegistry();
+    // Drop sessions that have ended on their own while nobody was looking
+    Object.keys(registry).forEach(key => {
+        if (!registry[key].expiresAt || getSessionEndReason(registry[key], now)) delete registry[key];
+    });
+    registry[token] = {
+        id: token.slice(0, 12),
+        userId,
+        role: user.role,
+        issuedAt: now,
+        expiresAt: now + (rememberSession ? policy.remember_days * 24 : policy.max_hours) * 60 * 60 * 1000,
+        lastSeenAt: now,
+        remember: rememberSession,
+        device: describeDevice()
+    };
+    setSessionRegistry(registry);
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify({ userId, token }));
+    if (rememberSession) {
+        localStorage.setItem(REMEMBERED_SESSION_KEY, JSON.stringify({ userId, token }));
+    }
+}
+
+/**
+ * Check this tab's session (or the remembered one) against the registry and its time limits
+ * @returns {Object} { user, token } while signed in; { role, reason } when the session has
+ *                   ended ('revoked', 'expired', 'idle', 'suspended' or 'blocked'); {} when there
+ *                   was no session
+ */
+function checkTabSession() {
+    const session = getTabSession() || getRememberedSession();
+    if (!session) return {};
+    
+    const entry = getSessionRegistry()[session.token];
+    const user = getRecordById(session.userId);
+    if (!user) return {};
+    if (user.status === 'suspended' || user.status === 'blocked') return { role: user.role, reason: user.status };
+    if (!entry || entry.userId !== session.userId) return { role: user.role, reason: 'revoked' };
+    
+    const reason = getSessionEndReason(entry);
+    return reason ? { role: user.role, reason } : { user, token: session.token };
+}
+
+/**
+ * Find the user signed in in this tab, and pick up a remembered session in a new tab
+ * @returns {Object} Result of checkTabSession; an ended session is cleared
+ */
+function restoreSession() {
+    sessionStorage.removeItem(LEGACY_SESSION_KEY);
+    
+    const result = checkTabSession();
+    if (result.user) {
+        const remembered = getRememberedSession();
+        if (!getTabSession() && remembered) {
+            sessionStorage.setItem(SESSION_KEY, JSON.stringify(remembered));
+        }
+        touchSession(true);
+    } else {
+        endSession();
+    }
+    return result;
+}
+
+// Sign this tab out and revoke its token
+function endSession() {
+    const session = getTabSession() || getRememberedSession();
+    if (session) {
+        const registry = getSessionRegistry();
+        delete registry[session.token];
+        setSessionRegistry(registry);
+    }
+    sessionStorage.removeItem(SESSION_KEY);
+    localStorage.removeItem(REMEMBERED_SESSION_KEY);
+}
+
+/**
+ * Revoke every session of one user, in every tab and window of this browser
+ * @param {String} userId - User's __backendId
+ * @param {String} keepToken - Optional token to leave signed in (e.g. this tab's)
+ * @returns {Number} Number of sessions revoked
+ */
+function endUserSessions(userId, keepToken = null) {
+    const registry = getSessionRegistry();
+    const tokens = Object.keys(registry).filter(token => registry[token].userId === userId && token !== keepToken);
+    tokens.forEach(token => delete registry[token]);
+    setSessionRegistry(registry);
+    return tokens.length;
+}
+
+/**
+ * Record activity on this tab's session, at most once per SESSION_TOUCH_INTERVAL
+ * @param {Boolean} force - Write even if the last update was recent
+ */
+function touchSession(force = false) {
+    const session = getTabSession();
+    if (!session || (!currentUser && !force)) return;
+    
+    const registry = getSessionRegistry();
+    const entry = registry[session.token];
+    const now = Date.now();
+    if (!entry || getSessionEndReason(entry, now)) return;
+    if (!force && now - entry.lastSeenAt < SESSION_TOUCH_INTERVAL) return;
+    
+    entry.lastSeenAt = now;
+    setSessionRegistry(registry);
+}
+
+/**
+ * Leave the dashboard when this tab's session has ended: revoked elsewhere, expired or idle
+ */
+function checkSessionTimeouts() {
+    if (!currentUser) return;
+    
+    const result = checkTabSession();
+    if (result.user) return;
+    
+    const role = result.role || currentUser.role;
+    currentUser = null;
+    cart = [];
+    endSession();
+    document.querySelectorAll('.modal').forEach(modal => modal.remove());
+    navigateToLogin(role, SESSION_END_MESSAGES[result.reason] || SESSION_END_MESSAGES.revoked);
+}
+
+/**
+ * Watch this tab's session: count clicks and key presses as activity, check the time limits
+ * regularly, and notice at once when another tab revokes the session
+ */
+function initSessionWatch() {
+    ['click', 'keydown', 'touchstart'].forEach(type => {
+        document.addEventListener(type, () => touchSession(), { passive: true });
+    });
+    window.addEventListener('storage', (event) => {
+        if (event.key === SESSION_REGISTRY_KEY || event.key === REMEMBERED_SESSION_KEY) {
+            checkSessionTimeouts();
+        }
+    });
+    sessionCheckTimer = setInterval(checkSessionTimeouts, SESSION_CHECK_INTERVAL);
+}
+
+// Live sessions of the signed-in user, newest first
+function getUserSessions() {
+    const registry = getSessionRegistry();
+    const now = Date.now();
+    return Object.values(registry)
+        .filter(entry => entry.userId === currentUser.__backendId && entry.expiresAt && !getSessionEndReason(entry, now))
+        .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+}
+
+// Render Your Sessions
+function renderUserSessions(container) {
+    const session = getTabSession();
+    const currentEntry = session ? getSessionRegistry()[session.token] : null;
+    const sessions = getUserSessions();
+    const policy = getSessionPolicy(currentUser.role);
+    
+    let sessionRows = '';
+    sessions.forEach(entry => {
+        const isCurrent = !!currentEntry && entry.id === currentEntry.id;
+        sessionRows += `
+            <tr>
+                <td>${entry.device}${isCurrent ? ' <strong>(this tab)</strong>' : ''}</td>
+                <td>${new Date(entry.issuedAt).toLocaleString()}</td>
+                <td>${new Date(entry.lastSeenAt).toLocaleString()}</td>
+                <td>${entry.remember ? `Remembered until ${new Date(entry.expiresAt).toLocaleDateString()}` : new Date(entry.expiresAt).toLocaleString()}</td>
+                <td>
+                    ${isCurrent ? `
+                        <button class="btn-small btn-block" onclick="logout()">Log out</button>
+                    ` : `
+                        <button class="btn-small btn-block" onclick="revokeUserSession('${entry.id}')">Sign out</button>
+                    `}
+                </td>
+            </tr>
+        `;
+    });
+    
+    container.innerHTML = `
+        <div class="data-table">
+            <div class="table-header">
+                <h3>Your Sessions</h3>
+                ${sessions.length > 1 ? `
+                    <button class="btn btn-secondary" style="width: auto; padding: 0.75rem 2rem;" onclick="revokeOtherSessions()">
+                        Sign out all other sessions
+                    </button>
+                ` : ''}
+            </div>
+            <p style="padding: 0 1.5rem 1rem; color: #64748b; font-size: 0.875rem;">
+                Every tab or window signed in to your account in this browser. Sessions on other
+                browsers and devices are kept by those browsers, so they can't be listed or signed out here.
+                You are signed out after ${policy.idle_minutes} minutes without activity${policy.remember_days ? ', unless you chose "Remember me"' : ''},
+                and after ${policy.max_hours} hours at most.
+            </p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Device</th>
+                        <th>Signed In</th>
+                        <th>Last Active</th>
+                        <th>Expires</th>
+                        <th>Action</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${sessionRows}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Sign out one of the user's other sessions
+function revokeUserSession(sessionId) {
+    const registry = getSessionRegistry();
+    const token = Object.keys(registry).find(key => registry[key].id === sessionId && registry[key].userId === currentUser.__backendId);
+    if (!token) return;
+    
+    delete registry[token];
+    setSessionRegistry(registry);
+    showToast('Session signed out', 'success');
+    refreshCurrentView();
+}
+
+// Sign out every session of the user except this tab's
+function revokeOtherSessions() {
+    const session = getTabSession();
+    const count = endUserSessions(currentUser.__backendId, session ? session.token : null);
+    showToast(`Signed out ${count} other ${count === 1 ? 'session' : 'sessions'}`, 'success');
+    refreshCurrentView();
+}
+
+// ===========================================================================================
+// PASSWORD HASHING - Salted PBKDF2 hashes instead of stored passwords
+// ===========================================================================================
+// Passwords are stored as "pbkdf2-sha256$<iterations>$<salt>$<hash>" with a random salt per
+// account. Accounts saved by older versions (including the seeded demo owners) still hold the
+// password as typed; it is replaced by a hash the first time the account signs in successfully,
+// as is any hash made with a different iteration count than config.password_hash_iterations.
+// A login with an unknown username runs the same PBKDF2 work, so the time a failed login takes
+// doesn't reveal which usernames exist.
+// ===========================================================================================
+
+const PASSWORD_HASH_PREFIX = 'pbkdf2-sha256$';
+
+// Check whether a stored password is already a hash
+function isPasswordHash(value) {
+    return typeof value === 'string' && value.startsWith(PASSWORD_HASH_PREFIX);
+}
+
+// Split a stored hash into { iterations, salt, hash }
+function parsePasswordHash(stored) {
+    const [iterations, salt, hash] = stored.slice(PASSWORD_HASH_PREFIX.length).split('$');
+    return { iterations: parseInt(iterations, 10), salt, hash };
+}
+
+async function derivePasswordBits(password, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, material, 256);
+    return new Uint8Array(bits);
+}
+
+/**
+ * Hash a password for storage
+ * @param {String} password - Password as typed
+ * @returns {Promise<String>} Value for user.password
+ */
+async function hashPassword(password) {
+    const iterations = config.password_hash_iterations;
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const hash = await derivePasswordBits(password, salt, iterations);
+    return `${PASSWORD_HASH_PREFIX}${iterations}$${bytesToBase64(salt)}$${bytesToBase64(hash)}`;
+}
+
+// Compare two strings without stopping at the first difference
+function constantTimeEquals(a, b) {
+    let difference = a.length ^ b.length;
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        difference |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+    }
+    return difference === 0;
+}
+
+/**
+ * Check a password against an account
+ * @param {String} password - Password as typed
+ * @param {String} stored - user.password: a hash, or the plain password of an older account
+ * @returns {Promise<Boolean>}
+ */
+async function verifyPassword(password, stored) {
+    if (typeof stored !== 'string') return false;
+    if (!isPasswordHash(stored)) return constantTimeEquals(password, stored);
+    
+    const { iterations, salt, hash } = parsePasswordHash(stored);
+    const actual = await derivePasswordBits(password, base64ToBytes(salt), iterations);
+    return constantTimeEquals(bytesToBase64(actual), hash);
+}
+
+// Fail a login with an unknown username as slowly as a wrong password of a real account
+async function verifyPasswordOfUnknownUser(password) {
+    await derivePasswordBits(password, new Uint8Array(16), config.password_hash_iterations);
+    return false;
+}
+
+// Check whether a password that just verified should be stored again as a fresh hash
+function needsPasswordRehash(stored) {
+    return !isPasswordHash(stored) || parsePasswordHash(stored).iterations !== config.password_hash_iterations;
+}
+
+/**
+ * Replace a plain or outdated password with a current hash after a successful sign-in.
+ * Failures are only logged: the user has proven the password, so signing in goes ahead.
+ * @param {Object} user - User record (updated in place)
+ * @param {String} password - The password that just verified
+ */
+async function upgradePasswordHash(user, password) {
+    try {
+        user.password = await hashPassword(password);
+        updateRecord(user);
+    } catch (error) {
+        console.warn(`Could not upgrade the password hash of ${user.username}:`, error);
+    }
+}
+
+// ===========================================================================================
+// LOGIN THROTTLING - Temporary lockout after repeated failed logins
+// ===========================================================================================
+// Failed logins are counted per username and role in a loginThrottle record. After
+// config.login_max_failures failures within config.login_failure_window_minutes the account is
+// locked for config.login_lockout_minutes, and each further lockout doubles that (up to
+// config.login_lockout_max_minutes). While locked, no password is checked at all. A successful
+// login, or an admin clearing the lock from the users section, deletes the record. Unknown
+// usernames are counted the same way, so a lockout doesn't reveal whether an account exists.
+// Unlocked records are forgotten after config.login_lockout_max_minutes, and at most
+// config.login_throttle_max_records are kept.
+// ===========================================================================================
+
+// Failed-login record of a username and role, or null
+function getLoginThrottle(username, role) {
+    return findRecord({ type: 'loginThrottle', username, role });
+}
+
+// Check whether a failed-login record is currently locked
+function isLoginLocked(throttle, now = Date.now()) {
+    return !!throttle && !!throttle.lockedUntil && throttle.lockedUntil > now;
+}
+
+// Time until a lock ends in whole minutes (at least 1), e.g. "5 minutes"
+function formatLockTimeLeft(throttle) {
+    const minutes = Math.max(1, Math.ceil((throttle.lockedUntil - Date.now()) / 60000));
+    return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`;
+}
+
+/**
+ * Failed-login records to drop before another one is added: unlocked records whose last failure
+ * is older than config.login_lockout_max_minutes, then, while still at the cap, the oldest
+ * unlocked records and the oldest locks on usernames without an account. Locks on real accounts
+ * are never dropped.
+ * @returns {Object} { stale, full } - records to delete, and whether there is still no room
+ */
+function getLoginThrottlesToPrune(now) {
+    const forgetBefore = now - config.login_lockout_max_minutes * 60 * 1000;
+    const throttles = queryRecords({ type: 'loginThrottle' });
+    const stale = throttles.filter(throttle => !isLoginLocked(throttle, now) && (throttle.lastFailureAt || 0) < forgetBefore);
+    
+    const excess = throttles.length - stale.length - config.login_throttle_max_records + 1;
+    if (excess > 0) {
+        const droppable = throttles
+            .filter(throttle => !stale.includes(throttle) && (
+                !isLoginLocked(throttle, now) || !findRecord({ type: 'user', username: throttle.username, role: throttle.role })
+            ))
+            .sort((a, b) => (isLoginLocked(a, now) - isLoginLocked(b, now)) || ((a.lastFailureAt || 0) - (b.lastFailureAt || 0)));
+        stale.push(...droppable.slice(0, excess));
+    }
+    
+    return { stale, full: throttles.length - stale.length >= config.login_throttle_max_records };
+}
+
+/**
+ * Count a failed login, locking the account when it reaches the limit
+ * @param {String} username - Username as typed
+ * @param {String} role - Role of the login page
+ * @returns {Object|null} The updated record, or null if it couldn't be saved
+ */
+function recordFailedLogin(username, role) {
+    const now = Date.now();
+    const windowMs = config.login_failure_window_minutes * 60 * 1000;
+    const throttle = getLoginThrottle(username, role) || { type: 'loginThrottle', username, role, failures: 0, lockouts: 0 };
+    
+    // Failures older than the window (or from before the last lock) no longer count
+    if (!throttle.windowStartedAt || now - throttle.windowStartedAt > windowMs) {
+        throttle.failures = 0;
+        throttle.windowStartedAt = now;
+    }
+    throttle.failures += 1;
+    throttle.lastFailureAt = now;
+    
+    if (throttle.failures >= config.login_max_failures) {
+        const minutes = Math.min(config.login_lockout_minutes * Math.pow(2, throttle.lockouts), config.login_lockout_max_minutes);
+        throttle.lockouts += 1;
+        throttle.lockedUntil = now + minutes * 60 * 1000;
+        throttle.failures = 0;
+        throttle.windowStartedAt = null;
+    }
+    
+    try {
+        if (throttle.__backendId) {
+            updateRecord(throttle);
+            return throttle;
+        }
+        
+        const { stale, full } = getLoginThrottlesToPrune(now);
+        if (full) {
+            console.warn(`Too many failed-login records to count the failed login of ${username}`);
+            return null;
+        }
+        return runTransaction(tx => {
+            stale.forEach(record => tx.delete(record));
+            return tx.create(throttle);
+        });
+    } catch (error) {
+        // Counting is best effort; the login itself has already failed
+        console.warn(`Could not record the failed login of ${username}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Forget the failed logins of a username and role (after a successful login)
+ */
+function clearLoginThrottle(username, role) {
+    const throttle = getLoginThrottle(username, role);
+    if (!throttle) return;
+    try {
+        deleteRecord(throttle);
+    } catch (error) {
+        console.warn(`Could not clear the failed logins of ${username}:`, error);
+    }
+}
+
+// Unlock an account from the admin users section; this also resets its backoff
+function unlockLogin(throttleId) {
+    const throttle = getRecordById(throttleId);
+    if (!throttle || throttle.type !== 'loginThrottle' || !authorize('login:unlock', throttle)) return;
+    
+    deleteRecord(throttle);
+    showToast(`${throttle.username} (${throttle.role}) unlocked`, 'success');
+}
+
+// Render the Locked Accounts table for the admin users section
+function renderLockedAccounts() {
+    const now = Date.now();
+    const locked = queryRecords({ type: 'loginThrottle' }, throttle => isLoginLocked(throttle, now))
+        .sort((a, b) => b.lockedUntil - a.lockedUntil);
+    
+    let tableRows = '';
+    locked.forEach(throttle => {
+        const account = findRecord({ type: 'user', username: throttle.username, role: throttle.role });
+        tableRows += `
+            <tr>
+                <td>${escapeHtml(throttle.username)}${account ? '' : ' <small style="color: #64748b;">(no such account)</small>'}</td>
+                <td>${throttle.role.toUpperCase()}</td>
+                <td>${throttle.lockouts}</td>
+                <td>${new Date(throttle.lastFailureAt).toLocaleString()}</td>
+                <td>${new Date(throttle.lockedUntil).toLocaleString()}</td>
+                <td>
+                    <button class="btn-small btn-approve" onclick="unlockLogin('${throttle.__backendId}')">Unlock</button>
+                </td>
+            </tr>
+        `;
+    });
+    
+    return `
+        <div class="data-table" style="margin-bottom: 1.5rem;">
+            <div class="table-header">
+                <h3>🔒 Locked Accounts</h3>
+            </div>
+            ${locked.length > 0 ? `
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Username</th>
+                            <th>Role</th>
+                            <th>Lockouts</th>
+                            <th>Last Failed Login</th>
+                            <th>Locked Until</th>
+                            <th>Action</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${tableRows}
+                    </tbody>
+                </table>
+            ` : `
+                <div class="empty-state">
+                    <p>No accounts are locked</p>
+                </div>
+            `}
+        </div>
+    `;
+}
+
+// ===========================================================================================
+// PERMISSIONS - Who may do what, checked by every action that changes data
+// ===========================================================================================
+// Action handlers can be called from the console as easily as from the buttons the UI renders,
+// so each one asks authorize(action, record) before changing anything. PERMISSION_POLICIES
+// lists, per action, the roles allowed to perform it: true allows every user with that role,
+// and a function (user, record) => Boolean decides per record, usually by ownership. Actions
+// or roles that aren't listed are denied, as are blocked or suspended accounts and signed-out
+// callers. Admin rules follow the sidebar sections of the admin's level (ADMIN_SECTIONS), so a
+// level can do exactly what its sections offer. Every denial is logged to the console and kept
+// as a deniedAction record, which super-admins can review under 👮 Admins.
+// ===========================================================================================
+
+// Newest deniedAction records kept; older ones are removed as new denials come in
+const DENIED_ACTION_LOG_LIMIT = 200;
+
+// Rule helpers for the policy matrix. Rules about a record deny when there is no record.
+const forRecord = check => (user, record) => !!record && check(user, record);
+const isOwnAccount = forRecord((user, record) => record.__backendId === user.__backendId);
+const ownsRestaurantRecord = forRecord((user, record) => record.restaurantId === user.__backendId);
+const adminSectionRule = section => user => adminLevelAllows(user, section);
+
+const PERMISSION_POLICIES = {
+    // Accounts
+    'user:update-profile': { customer: isOwnAccount, restaurant: isOwnAccount, delivery: isOwnAccount, admin: isOwnAccount },
+    'user:delete-account': { customer: isOwnAccount },
+    'restaurant:review': {
+        admin: forRecord((user, restaurant) => restaurant.role === 'restaurant' && adminLevelAllows(user, 'restaurants'))
+    },
+    // Approving, rejecting, suspending and reinstating delivery partners
+    'delivery:review': {
+        admin: forRecord((user, partner) => partner.role === 'delivery' && adminLevelAllows(user, 'delivery'))
+    },
+    'login:unlock': { admin: adminSectionRule('users') },
+    'admin:manage': { admin: adminSectionRule('admins') },
+    
+    // Menu and promo codes
+    'food:create': { restaurant: true },
+    'food:update': { restaurant: ownsRestaurantRecord },
+    'food:delete': { restaurant: ownsRestaurantRecord },
+    'food:review-image': { admin: adminSectionRule('images') },
+    'promo:create': { restaurant: true },
+    'promo:update': { restaurant: ownsRestaurantRecord },
+    'promo:delete': { restaurant: ownsRestaurantRecord },
+    // Restoring and purging deleted food and promos (the record says which)
+    'recycle-bin:manage': { restaurant: ownsRestaurantRecord, admin: adminSectionRule('bin') },
+    
+    // Orders
+    'order:create': { customer: true },
+    'order:review': { customer: forRecord((user, order) => order.customerId === user.__backendId) },
+    'order:update-status': { restaurant: ownsRestaurantRecord },
+    'order:accept-delivery': { delivery: forRecord((user, order) => !order.deliveryPartnerId || order.deliveryPartnerId === user.__backendId) },
+    'order:mark-delivered': { delivery: forRecord((user, order) => order.deliveryPartnerId === user.__backendId) },
+    
+    // Platform data
+    'data:clean-up': { admin: adminSectionRule('health') },
+    'data:restore-backup': { admin: adminSectionRule('backup') },
+    'data:load-scenario': { admin: adminSectionRule('fixtures') }
+};
+
+// Check whether an admin's level includes a sidebar section
+function adminLevelAllows(user, section) {
+    const entry = ADMIN_SECTIONS.find(item => item.id === section);
+    return !!entry && !!user && user.role === 'admin' && entry.levels.includes(user.adminLevel);
+}
+
+/**
+ * Check whether a user may perform an action
+ * @param {Object} user - Signed-in user record (or null)
+ * @param {String} action - Action name from PERMISSION_POLICIES, e.g. 'food:delete'
+ * @param {Object} record - The record acted on, for rules that depend on it
+ * @returns {Boolean}
+ */
+function can(user, action, record = null) {
+    if (!user || user.status === 'blocked' || user.status === 'suspended') return false;
+    
+    const rule = (PERMISSION_POLICIES[action] || {})[user.role];
+    return typeof rule === 'function' ? !!rule(user, record) : rule === true;
+}
+
+/**
+ * Check the signed-in user's permission for an action; a denial is logged and reported
+ * @param {String} action - Action name from PERMISSION_POLICIES
+ * @param {Object} record - The record acted on
+ * @returns {Boolean} Whether the action may go ahead
+ */
+function authorize(action, record = null) {
+    if (can(currentUser, action, record)) return true;
+    
+    logDeniedAction(action, record);
+    showToast("You don't have permission to do that", 'error');
+    return false;
+}
+
+// Log a denied action to the console and the deniedAction records
+function logDeniedAction(action, record) {
+    const who = currentUser ? `${currentUser.username} (${currentUser.role})` : 'signed-out user';
+    console.warn(`Permission denied: ${who} tried ${action}${record && record.__backendId ? ` on ${record.type} ${record.__backendId}` : ''}`);
+    
+    try {
+        runTransaction(tx => {
+            tx.create({
+                type: 'deniedAction',
+                action,
+                userId: currentUser ? currentUser.__backendId : null,
+                role: currentUser ? currentUser.role : null,
+                recordId: record ? record.__backendId : null,
+                recordType: record ? record.type : null
+            });
+            const older = queryRecords({ type: 'deniedAction' }).sort((a, b) => b.createdAt - a.createdAt);
+            older.slice(DENIED_ACTION_LOG_LIMIT - 1).forEach(entry => tx.delete(entry));
+        });
+    } catch (error) {
+        console.warn('Could not record the denied action:', error);
+    }
+}
+
+// Render the Denied Actions table for super-admins
+function renderDeniedActions() {
+    const denials = queryRecords({ type: 'deniedAction' }).sort((a, b) => b.createdAt - a.createdAt).slice(0, 20);
+    
+    let tableRows = '';
+    denials.forEach(denial => {
+        const user = denial.userId && getRecordById(denial.userId);
+        tableRows += `
+            <tr>
+                <td>${new Date(denial.createdAt).toLocaleString()}</td>
+                <td>${user ? `${escapeHtml(user.name)} (${escapeHtml(user.username)})` : denial.userId ? 'Deleted account' : 'Not signed in'}</td>
+                <td>${denial.role ? escapeHtml(denial.role.toUpperCase()) : '-'}</td>
+                <td><code>${escapeHtml(denial.action)}</code></td>
+                <td>${denial.recordType ? `${escapeHtml(denial.recordType)} ${escapeHtml(denial.recordId)}` : '-'}</td>
+            </tr>
+        `;
+    });
+    
+    return `
+        <div class="data-table" style="margin-top: 1.5rem;">
+            <div class="table-header">
+                <h3>🚫 Denied Actions</h3>
+            </div>
+            ${denials.length > 0 ? `
+                <table>
+                    <thead>
+                        <tr>
+                            <th>When</th>
+                            <th>User</th>
+                            <th>Role</th>
+                            <th>Action</th>
+                            <th>Record</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${tableRows}
+                    </tbody>
+                </table>
+            ` : `
+                <div class="empty-state">
+                    <p>No denied actions</p>
+                </div>
+            `}
+        </div>
+    `;
+}
+
+// ===========================================================================================
+// CHATBOT SYSTEM - Role-based Assistant with Voice Support
+// ===========================================================================================
+
+let chatbotState = {
+    isOpen: false,
+    isMuted: false,
+    isListening: false,
+    userRole: null, // 'guest', 'customer', 'owner', 'delivery'
+    messages: [],
+    isProcessing: false,
+    recognition: null
+};
+
+// Initialize Speech Recognition
+function initSpeechRecognition() {
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    if (SpeechRecognition) {
+        chatbotState.recognition = new SpeechRecognition();
+        chatbotState.recognition.continuous = false;
+        chatbotState.recognition.interimResults = true;
+        chatbotState.recognition.language = 'en-US';
+        
+        chatbotState.recognition.onstart = function() {
+            chatbotState.isListening = true;
+            const micBtn = document.getElementById('chatbot-mic-btn');
+            if (micBtn) {
+                micBtn.classList.add('listening');
+                micBtn.style.background = 'linear-gradient(135deg, #ef4444 0%, #dc2626 100%)';
+            }
+        };
+        
+        chatbotState.recognition.onend = function() {
+            chatbotState.isListening = false;
+            const micBtn = document.getElementById('chatbot-mic-btn');
+            if (micBtn) {
+                micBtn.classList.remove('listening');
+                micBtn.style.background = '';
+            }
+        };
+        
+        chatbotState.recognition.onresult = function(event) {
+            let interimTranscript = '';
+            let finalTranscript = '';
+            
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                const transcript = event.results[i][0].transcript;
+                
+                if (event.results[i].isFinal) {
+                    finalTranscript += transcript + ' ';
+                } else {
+                    interimTranscript += transcript;
+                }
+            }
+            
+            // Update input field with better accumulation
+            const input = document.getElementById('chatbot-input');
+            if (input) {
+                if (finalTranscript) {
+                    // Accumulate final results properly
+                    input.value = (input.value + ' ' + finalTranscript).trim();
+                    
+                    // Auto-send when speech is final
+                    if (event.isFinal && input.value.trim().length > 0) {
+                        setTimeout(() => {
+                            sendChatbotMessage();
+                        }, 300);
+                    }
+                } else if (interimTranscript) {
+                    // Show real-time interim results
+                    input.placeholder = 'Listening: ' + interimTranscript;
+                }
+            }
+        };
+        
+        chatbotState.recognition.onerror = function(event) {
+            console.error('Speech recognition error:', event.error);
+            const micBtn = document.getElementById('chatbot-mic-btn');
+            if (micBtn) {
+                micBtn.style.background = '';
+                micBtn.classList.remove('listening');
+            }
+            showToast('Microphone access denied or not supported', 'error');
+        };
+    }
+}
+
+// Toggle Voice Input
+function toggleVoiceInput() {
+    if (!chatbotState.recognition) {
+        showToast('Voice input not supported on your browser', 'error');
+        return;
+    }
+    
+    if (chatbotState.isListening) {
+        chatbotState.recognition.stop();
+    } else {
+        chatbotState.recognition.start();
+    }
+}
+
+// Chatbot Knowledge Base
+const chatbotKnowledge = {
+    landing: {
+        questions: [
+            { q: "What is Zaikalok?", a: "Zaikalok is a food ordering platform that connects customers with restaurants and delivery partners. We make ordering food quick, easy, and convenient!" },
+            { q: "How do I register as a customer?", a: "Click on 'Sign Up' button, select 'Customer', enter your email, password, and phone number. You're ready to order straight away. We also send codes to your email and phone so you can verify them." },
+            { q: "How do I register as a restaurant owner?", a: "Go to Sign Up, select 'Restaurant Owner', provide your restaurant details including name, address, cuisine type, and banking information for receiving payments." },
+            { q: "How do I register as a delivery partner?", a: "Click Sign Up, select 'Delivery Partner', choose your vehicle type, enter your driving licence number and upload photos of your licence and a government ID. An admin checks your documents, and once you're approved you can log in and start accepting delivery orders!" },
+            { q: "How do I reset my password?", a: "Click 'Forgot Password' on the login page and enter your username and email. We'll send a one-time code to the outbox; enter it with your new password before it expires." },
+            { q: "Who created Zaikalok?", a: "Zaikalok was created by a dedicated team of developers and entrepreneurs, Vinit and Vivek, who are passionate about revolutionizing food delivery in campus areas." },
+            { q: "How can I contact customer support?", a: "You can reach our support team via email at support@Zaikalok.com or use the 'Help' section in your account for live chat support." },
+            { q: "What payment methods do you accept?", a: "We accept credit cards, debit cards, UPI, digital wallets, and cash on delivery options depending on your location." },
+            { q: "Is my data secure on Zaikalok?", a: "Yes! We use industry-standard encryption and follow all data protection regulations to keep your information safe and secure." }
+        ]
+    },
+    customer: {
+        questions: [
+            { q: "How do I place an order?", a: "Browse restaurants, select items, add to cart, review your order, and click checkout. Choose delivery time and payment method to complete." },
+            { q: "Can I track my order?", a: "Yes! Once confirmed, you'll see real-time tracking of your order status and delivery partner's location on the map." },
+            { q: "What if my order is wrong or late?", a: "Report the issue immediately through the app. Our support team will help with refunds, replacements, or compensation as applicable." },
+            { q: "Can I modify my order after placing it?", a: "You can modify orders up to 2 minutes after placing them. After that, contact support immediately to request changes." },
+            { q: "What are the delivery charges?", a: "Delivery charges vary based on distance and demand. You'll see the exact charge before confirming your order." },
+            { q: "Can I schedule orders in advance?", a: "Yes! You can schedule orders up to 7 days in advance. Select your preferred delivery time during checkout." },
+            { q: "How do I view my order history?", a: "Go to 'My Orders' section in your account to see all past orders, re-order favorites, and track refunds." },
+            { q: "Can I apply promo codes?", a: "Absolutely! Enter promo codes during checkout. Look for special offers in the 'Deals' section of the app." },
+            { q: "How do I save favorite restaurants?", a: "Click the heart icon on any restaurant to add it to your favorites for quick access later." }
+        ]
+    },
+    owner: {
+        questions: [
+            { q: "How do I manage my restaurant menu?", a: "Log in to your dashboard, go to 'Menu Management', add/edit/delete items with prices, descriptions, and photos." },
+            { q: "How do I see incoming orders?", a: "New orders appear in real-time on your dashboard. You can accept, reject, or mark as ready for delivery." },
+            { q: "How do I withdraw my earnings?", a: "Go to 'Payments' section, view your account balance, and request withdrawal. Funds transfer within 2-3 business days." },
+            { q: "What commission does Zaikalok charge?", a: "Our standard commission is 15-20% depending on your restaurant tier. Premium restaurants get better rates." },
+            { q: "Can I set different delivery times for different areas?", a: "Yes! Use the 'Delivery Zones' feature to set custom delivery times and charges for different areas." },
+            { q: "How do I update my restaurant information?", a: "Edit your restaurant profile including name, description, address, phone, and operating hours in the settings." },
+            { q: "What analytics are available?", a: "Access comprehensive analytics showing daily orders, revenue, popular items, customer feedback, and traffic insights." },
+            { q: "How do I handle customer complaints?", a: "Respond to reviews and complaints through the dashboard. Our support team can assist with dispute resolution." },
+            { q: "Can I temporarily close my restaurant?", a: "Yes! Use 'Go Offline' to pause accepting orders. Your restaurant will be hidden from customer search temporarily." }
+        ]
+    },
+    delivery: {
+        questions: [
+            { q: "How do I start accepting deliveries?", a: "Go online in the app, set your availability, and delivery requests will start appearing. Accept orders and navigate using the in-app map." },
+            { q: "How do I track my earnings?", a: "View daily, weekly, and monthly earnings in the 'Earnings' section. You can see payment breakdown per delivery." },
+            { q: "When do I get paid?", a: "Earnings are processed daily. Payments transfer to your bank account every Friday and Tuesday." },
+            { q: "What if I can't deliver an order?", a: "Let the system know immediately by clicking 'Can't Deliver'. A nearby delivery partner will take over the order." },
+            { q: "How are delivery fees calculated?", a: "Fees are based on distance and current demand. You'll see exact payment before accepting each order." },
+            { q: "Can I choose my delivery zones?", a: "Yes! Set your preferred delivery areas in settings to get relevant delivery requests." },
+            { q: "What safety features are available?", a: "We provide in-app messaging, emergency SOS button, real-time location sharing, and 24/7 support." },
+            { q: "How do I contact support while on delivery?", a: "Tap the 'Support' button in the app for live chat, phone support, or emergency assistance." },
+            { q: "Can I schedule my working hours?", a: "Yes! Set your available hours and days. You'll receive orders only during your scheduled time." }
+        ]
+    }
+};
+
+// Voice synthesis setup
+function speakResponse(text) {
+    if (chatbotState.isMuted) return;
+    
+    // Cancel any ongoing speech
+    window.speechSynthesis.cancel();
+    
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.rate = 1;
+    utterance.pitch = 1;
+    utterance.volume = 1;
+    window.speechSynthesis.speak(utterance);
+}
+
+// Stop Voice Response
+function stopVoiceResponse() {
+    if (window.speechSynthesis.speaking) {
+        window.speechSynthesis.cancel();
+    }
+}
+
+// Get relevant questions based on user role and page
+function getRelevantQuestions() {
+    let questions = [];
+    
+    if (!currentUser) {
+        questions = chatbotKnowledge.landing.questions;
+    } else if (currentUser.role === 'customer') {
+        questions = [...chatbotKnowledge.customer.questions, ...chatbotKnowledge.customer.questions];
+    } else if (currentUser.role === 'owner') {
+        questions = [...chatbotKnowledge.owner.questions, ...chatbotKnowledge.owner.questions];
+    } else if (currentUser.role === 'delivery') {
+        questions = [...chatbotKnowledge.delivery.questions, ...chatbotKnowledge.delivery.questions];
+    }
+    
+    return questions;
+}
+
+// Find answer from knowledge base with enhanced matching and support fallback
+function findAnswer(userMessage) {
+    const questions = getRelevantQuestions();
+    const normalizedInput = userMessage.toLowerCase().trim();
+    
+    let bestMatch = null;
+    let bestScore = 0;
+    let matchPercentage = 0;
+    
+    // Step 1: Try exact match first (highest priority)
+    for (let qa of questions) {
+        if (normalizedInput === qa.q.toLowerCase()) {
+            return qa.a;
+        }
+    }
+    
+    // Step 2: Try substring match (if question contains user input or vice versa)
+    for (let qa of questions) {
+        const qLower = qa.q.toLowerCase();
+        // If user question is contained in knowledge base question or vice versa
+        if (qLower.includes(normalizedInput) || normalizedInput.includes(qLower)) {
+            return qa.a;
+        }
+    }
+    
+    // Step 3: Enhanced keyword matching with better algorithm
+    // Remove only ultra-common stop words, keep important words like "how", "what", "can", "do"
+    const ultraStopWords = ['the', 'a', 'an', 'is', 'are', 'i', 'my', 'to', 'of', 'and', 'or', 'on', 'at', 'by'];
+    const inputWords = normalizedInput.split(/\s+/)
+        .filter(word => !ultraStopWords.includes(word) && word.length > 1)
+        .map(w => w.trim());
+    
+    for (let qa of questions) {
+        const qWords = qa.q.toLowerCase()
+            .split(/\s+/)
+            .filter(word => !ultraStopWords.includes(word) && word.length > 1)
+            .map(w => w.trim());
+        
+        // Calculate match score
+        let matchedWords = 0;
+        let totalScore = 0;
+        
+        for (let word of inputWords) {
+            for (let qWord of qWords) {
+                // Exact word match (highest score)
+                if (word === qWord) {
+                    matchedWords++;
+                    totalScore += 5;
+                }
+                // Word starts with same letters (good match)
+                else if (qWord.startsWith(word) && word.length > 2) {
+                    totalScore += 3;
+                }
+                else if (word.startsWith(qWord) && qWord.length > 2) {
+                    totalScore += 3;
+                }
+                // Substring match (partial match)
+                else if (qWord.includes(word) && word.length > 3) {
+                    totalScore += 2;
+                }
+                else if (word.includes(qWord) && qWord.length > 3) {
+                    totalScore += 2;
+                }
+            }
+        }
+        
+        // Calculate match percentage (how many input words were matched)
+        const currentMatchPercentage = inputWords.length > 0 ? (matchedWords / inputWords.length) * 100 : 0;
+        
+        if (totalScore > bestScore) {
+            bestScore = totalScore;
+            bestMatch = qa;
+            matchPercentage = currentMatchPercentage;
+        }
+    }
+    
+    // Step 4: Return best match if we have reasonable match
+    // Lower threshold: if any significant keyword matched (score >= 2) or at least 50% of words matched
+    if (bestMatch && (bestScore >= 2 || matchPercentage >= 50)) {
+        return bestMatch.a;
+    }
+    
+    // Step 5: If still no good match, return helpful response with suggestions
+    const supportResponse = `I couldn't find a direct answer to "${userMessage}" in my knowledge base.\n\n📞 **Contact Customer Support:**\n\n📧 Email: support@Zaikalok.com\n📱 Phone: +1-800-Zaikalok\n⏰ Hours: Monday-Friday 9AM-9PM IST\n💬 Live Chat: Available in Help section\n🌐 Website: www.Zaikalok.com/support\n\nOur support team will help you with any questions! You can also try asking similar questions from the suggestions below.`;
+    
+    return supportResponse;
+}
+
+// Initialize chatbot UI - Global chatbot that persists across all pages
+function initChatbot() {
+    // Check if chatbot already exists (don't duplicate)
+    if (document.getElementById('chatbot-widget')) {
+        // Chatbot already initialized, just update it for current user role
+        updateChatbotForCurrentUser();
+        return;
+    }
+    
+    // Create chatbot container that persists outside main app content
+    let chatbotContainer = document.getElementById('chatbot-container');
+    if (!chatbotContainer) {
+        chatbotContainer = document.createElement('div');
+        chatbotContainer.id = 'chatbot-container';
+        document.body.appendChild(chatbotContainer);
+    }
+    
+    const chatbotHTML = `
+        <div id="chatbot-widget" class="chatbot-widget">
+            <div class="chatbot-header">
+                <div class="chatbot-title">Zaikalok Assistant</div>
+                <div class="chatbot-controls">
+                    <button id="chatbot-mute-btn" class="chatbot-btn" title="Mute/Unmute Voice">
+                        <span class="mute-icon">🔊</span>
+                    </button>
+                    <button id="chatbot-end-btn" class="chatbot-btn" title="End Chat">
+                        <span>✕</span>
+                    </button>
+                </div>
+            </div>
+            
+            <div class="chatbot-messages" id="chatbot-messages">
+                <div class="chatbot-message assistant">
+                    <div class="message-content">
+                        ${!currentUser 
+                            ? "👋 Welcome to Zaikalok! I'm here to help. What would you like to know?" 
+                            : `👋 Welcome back! I'm here to help with your ${currentUser.role} needs.`}
+                    </div>
+                </div>
+            </div>
+            
+            <div class="chatbot-suggestions" id="chatbot-suggestions">
+                ${getRelevantQuestions().slice(0, 3).map((qa, idx) => `
+                    <button class="suggestion-btn" onclick="handleChatbotSuggestion('${qa.q.replace(/'/g, "\\'")}')">${qa.q}</button>
+                `).join('')}
+            </div>
+            
+            <div class="chatbot-input-area">
+                <input 
+                    type="text" 
+                    id="chatbot-input" 
+                    class="chatbot-input" 
+                    placeholder="Ask me anything or use voice..."
+                    onkeypress="handleChatbotKeypress(event)"
+                >
+                <button id="chatbot-mic-btn" class="chatbot-mic-btn" onclick="toggleVoiceInput()" title="Voice to Text">🎤</button>
+                <button id="chatbot-send-btn" class="chatbot-send-btn" onclick="sendChatbotMessage()">📤</button>
+            </div>
+        </div>
+        
+        <button id="chatbot-toggle-btn" class="chatbot-toggle-btn" onclick="toggleChatbot()" title="Open Chat">🍽️</button>
+    `;
+    
+    chatbotContainer.innerHTML = chatbotHTML;
+    attachChatbotEventListeners();
+    initSpeechRecognition();
+}
+
+// Update chatbot for current user role and context
+function updateChatbotForCurrentUser() {
+    const messagesDiv = document.getElementById('chatbot-messages');
+    const suggestionsDiv = document.getElementById('chatbot-suggestions');
+    const inputDiv = document.querySelector('.chatbot-input-area input');
+    
+    if (messagesDiv && !messagesDiv.querySelector('.user-updated')) {
+        // Add welcome message for new user role
+        const welcomeMsg = document.createElement('div');
+        welcomeMsg.className = 'chatbot-message assistant user-updated';
+        welcomeMsg.innerHTML = `<div class="message-content">
+            ${!currentUser 
+                ? "👋 Welcome to Zaikalok! I'm here to help. What would you like to know?" 
+                : `👋 Welcome back! I'm here to help with your ${currentUser.role} needs.`}
+        </div>`;
+        
+        // Clear old messages and show welcome message
+        if (messagesDiv.children.length > 0) {
+            messagesDiv.innerHTML = '';
+        }
+        messagesDiv.appendChild(welcomeMsg);
+    }
+    
+    // Update suggestions for new user role
+    if (suggestionsDiv) {
+        const questions = getRelevantQuestions().slice(0, 3);
+        suggestionsDiv.innerHTML = questions.map(qa => `
+            <button class="suggestion-btn" onclick="handleChatbotSuggestion('${qa.q.replace(/'/g, "\\'")}')">${qa.q}</button>
+        `).join('');
+    }
+}
+
+// Attach event listeners
+function attachChatbotEventListeners() {
+    const muteBtn = document.getElementById('chatbot-mute-btn');
+    const endBtn = document.getElementById('chatbot-end-btn');
+    
+    if (muteBtn) {
+        muteBtn.addEventListener('click', function() {
+            chatbotState.isMuted = !chatbotState.isMuted;
+            muteBtn.querySelector('.mute-icon').textContent = chatbotState.isMuted ? '🔇' : '🔊';
+            
+            // Stop any ongoing voice response when muting
+            if (chatbotState.isMuted) {
+                stopVoiceResponse();
+            }
+        });
+    }
+    
+    if (endBtn) {
+        endBtn.addEventListener('click', function() {
+            closeChatbot();
+        });
+    }
+}
+
+// Toggle chatbot visibility
+function toggleChatbot() {
+    const widget = document.getElementById('chatbot-widget');
+    const toggleBtn = document.getElementById('chatbot-toggle-btn');
+    
+    if (widget.style.display === 'none' || widget.style.display === '') {
+        widget.style.display = 'flex';
+        toggleBtn.style.display = 'none';
+        chatbotState.isOpen = true;
+    }
+}
+
+// Close chatbot
+function closeChatbot() {
+    const widget = document.getElementById('chatbot-widget');
+    const toggleBtn = document.getElementById('chatbot-toggle-btn');
+    
+    widget.style.display = 'none';
+    toggleBtn.style.display = 'flex';
+    chatbotState.isOpen = false;
+}
+
+// Handle chatbot message sending
+function sendChatbotMessage() {
+    const input = document.getElementById('chatbot-input');
+    const message = input.value.trim();
+    
+    if (!message) return;
+    
+    // Reset placeholder to normal
+    input.placeholder = 'Ask me anything or use voice...';
+    
+    addChatbotMessage(message, 'user');
+    input.value = '';
+    
+    // Add typing indicator
+    const messagesContainer = document.getElementById('chatbot-messages');
+    const typingIndicator = document.createElement('div');
+    typingIndicator.className = 'chatbot-message assistant typing';
+    typingIndicator.innerHTML = '<div class="message-content"><span></span><span></span><span></span></div>';
+    typingIndicator.id = 'typing-indicator';
+    messagesContainer.appendChild(typingIndicator);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    
+    // Processing delay with enhanced response
+    setTimeout(() => {
+        // Remove typing indicator
+        const indicator = document.getElementById('typing-indicator');
+        if (indicator) indicator.remove();
+        
+        const response = findAnswer(message);
+        addChatbotMessage(response, 'assistant');
+        speakResponse(response);
+        updateChatbotSuggestions();
+    }, 800);
+}
+
+// Handle keypress in chatbot input
+function handleChatbotKeypress(event) {
+    if (event.key === 'Enter') {
+        sendChatbotMessage();
+    }
+}
+
+// Handle suggestion button click
+function handleChatbotSuggestion(question) {
+    const input = document.getElementById('chatbot-input');
+    input.value = question;
+    sendChatbotMessage();
+}
+
+// Add message to chatbot
+function addChatbotMessage(text, sender) {
+    const messagesDiv = document.getElementById('chatbot-messages');
+    const messageEl = document.createElement('div');
+    messageEl.className = `chatbot-message ${sender}`;
+    messageEl.innerHTML = `<div class="message-content">${text}</div>`;
+    messagesDiv.appendChild(messageEl);
+    messagesDiv.scrollTop = messagesDiv.scrollHeight;
+    
+    chatbotState.messages.push({ sender, text, timestamp: new Date() });
+}
+
+// Update suggestions - Show next set of questions to user
+function updateChatbotSuggestions() {
+    const suggestionsDiv = document.getElementById('chatbot-suggestions');
+    if (suggestionsDiv) {
+        const questions = getRelevantQuestions();
+        // Show first 3 questions from current role (more consistent and helpful for users)
+        const displayedQuestions = questions.slice(0, 3);
+        suggestionsDiv.innerHTML = displayedQuestions.map(qa => `
+            <button class="suggestion-btn" onclick="handleChatbotSuggestion('${qa.q.replace(/'/g, "\\'")}')">${qa.q}</button>
+        `).join('');
+    }
+}
+let ratingFilter = 0;
+let sortOption = 'newest';
+let availabilityFilter = true;
+
+// Configuration
+const config = {
+    app_title: "Zaikalok",
+    tagline: "Order Food from Campus & Beyond",
+    // Storage backend: 'auto' (IndexedDB when supported), 'localStorage', 'indexedDB' or 'remote'
+    storage_backend: "auto",
+    // REST API used by the 'remote' backend; empty means /api on the server hosting the page
+    remote_api_url: "",
+    // Uploaded images are resized to fit these limits and re-encoded as JPEG
+    image_max_width: 1200,
+    image_max_height: 1200,
+    image_max_bytes: 250 * 1024,
+    image_quality: 0.85,
+    // Longest side of the thumbnails shown on cards and lists
+    image_thumb_size: 360,
+    // Names, contact details, addresses and passwords are encrypted in browser storage under a
+    // passphrase the operator chooses on first start and enters on every start (never saved)
+    encrypt_personal_data: true,
+    // PBKDF2-SHA256 rounds for password hashes; existing hashes are upgraded at the next sign-in
+    password_hash_iterations: 600000,
+    // Password reset codes: minutes a code stays valid, codes an account can request per hour,
+    // and wrong entries allowed before a code stops working
+    password_reset_code_minutes: 15,
+    password_reset_max_requests: 3,
+    password_reset_max_attempts: 5,
+    // Most password reset request records kept at once, like login_throttle_max_records
+    password_reset_throttle_max_records: 500,
+    // Email and phone verification codes: minutes a code stays valid, seconds before another
+    // code can be sent, and wrong entries allowed before a code stops working
+    verification_code_minutes: 10,
+    verification_resend_seconds: 60,
+    verification_max_attempts: 5,
+    // Session limits per role: minutes without activity before signing out, longest session in
+    // hours, and how long "Remember me" keeps a customer signed in on one device
+    session_policies: {
+        admin: { idle_minutes: 15, max_hours: 8 },
+        restaurant: { idle_minutes: 60, max_hours: 12 },
+        delivery: { idle_minutes: 60, max_hours: 12 },
+        customer: { idle_minutes: 120, max_hours: 24, remember_days: 30 }
+    },
+    // Login throttling: failed logins allowed per username and role within the window, then a
+    // lockout that doubles with every further lock, up to the maximum (all in minutes)
+    login_max_failures: 5,
+    login_failure_window_minutes: 15,
+    login_lockout_minutes: 5,
+    login_lockout_max_minutes: 24 * 60,
+    // Most failed-login records kept at once, so a flood of made-up usernames can't fill the storage
+    login_throttle_max_records: 500
+};
+
+// Seed Demo Data (runs only once)
+function seedDemoData() {
+    // Check if demo data already exists, or a test scenario replaced it. While the shared server
+    // is unreachable we can't tell what it holds, so nothing is seeded.
+    if (countRecords({ type: 'user', isDemoData: true }) > 0 || localStorage.getItem(FIXTURE_KEY) || remoteOffline) {
+        return; // Demo data already seeded
+    }
+    
+    // Create Demo Restaurants with FIXED IDs (IMPORTANT: DO NOT CHANGE THESE)
+    const demoRestaurant1 = {
+        type: 'user',
+        role: 'restaurant',
+        name: 'Taj Biryani House',
+        email: 'taj@biryani.com',
+        phone: '9876543210',
+        username: 'tajbiryani_demo',
+        password: 'demo123',
+        address: 'Near Central Park, Mumbai',
+        restaurantName: 'Taj Biryani House',
+        cuisine: 'Indian Biryani',
+        status: 'approved',
+        isDemoData: true,
+        __backendId: 'demo_restaurant_taj_biryani'
+    };
+    
+    const demoRestaurant2 = {
+        type: 'user',
+        role: 'restaurant',
+        name: 'Pizza Paradise',
+        email: 'pizza@paradise.com',
+        phone: '9876543211',
+        username: 'pizzaparadise_demo',
+        password: 'demo123',
+        address: 'Downtown City Center, Mumbai',
+        restaurantName: 'Pizza Paradise',
+        cuisine: 'Italian Pizza',
+        status: 'approved',
+        isDemoData: true,
+        __backendId: 'demo_restaurant_pizza_paradise'
+    };
+    
+    const demoRestaurant3 = {
+        type: 'user',
+        role: 'restaurant',
+        name: 'Burger Hub',
+        email: 'burger@hub.com',
+        phone: '9876543212',
+        username: 'burgerhub_demo',
+        password: 'demo123',
+        address: 'Tech Park, Bangalore',
+        restaurantName: 'Burger Hub',
+        cuisine: 'Fast Food Burgers',
+        status: 'approved',
+        isDemoData: true,
+        __backendId: 'demo_restaurant_burger_hub'
+    };
+    
+    // Seed everything in one transaction so a failure never leaves a half-seeded store
+    runTransaction(tx => {
+        const rest1 = tx.create(demoRestaurant1);
+        const rest2 = tx.create(demoRestaurant2);
+        const rest3 = tx.create(demoRestaurant3);
+        
+        // Demo Food Items for Restaurant 1 (Biryani)
+        const biryaniItems = [
+            {
+                type: 'food',
+                restaurantId: rest1.__backendId,
+                name: 'Hyderabadi Biryani',
+                category: 'Biryani',
+                price: 250,
+                description: 'Authentic Hyderabadi biryani with fragrant basmati rice',
+                imageUrl: 'https://images.unsplash.com/photo-1589302168068-964664d93dc0?w=500&h=400&fit=crop',
+                imageApprovalStatus: 'approved',
+                available: true,
+                isDemoData: true
+            }
+        ];
+        
+        // Demo Food Items for Restaurant 2 (Pizza)
+        const pizzaItems = [
+            {
+                type: 'food',
+                restaurantId: rest2.__backendId,
+                name: 'Margherita Pizza',
+                category: 'Vegetarian Pizza',
+                price: 300,
+                description: 'Classic pizza with mozzarella cheese and fresh basil',
+                imageUrl: 'https://images.unsplash.com/photo-1604068549290-dea0e4a305ca?w=500&h=400&fit=crop',
+                imageApprovalStatus: 'approved',
+                available: true,
+                isDemoData: true
+            },
+            {
+                type: 'food',
+                restaurantId: rest2.__backendId,
+                name: 'Pepperoni Pizza',
+                category: 'Non-Vegetarian Pizza',
+                price: 350,
+                description: 'Delicious pizza loaded with pepperoni slices',
+                imageUrl: 'https://images.unsplash.com/photo-1565299585323-38d6b0865b47?w=500&h=400&fit=crop',
+                imageApprovalStatus: 'approved',
+                available: true,
+                isDemoData: true
+            },
+            {
+                type: 'food',
+                restaurantId: rest2.__backendId,
+                name: 'BBQ Chicken Pizza',
+                category: 'Non-Vegetarian Pizza',
+                price: 380,
+                description: 'Smoky BBQ sauce with tender chicken and cheese',
+                imageUrl: 'https://images.unsplash.com/photo-1555939594-58d7cb561ad1?w=500&h=400&fit=crop',
+                imageApprovalStatus: 'approved',
+                available: true,
+                isDemoData: true
+            }
+        ];
+        
+        // Demo Food Items for Restaurant 3 (Burgers)
+        const burgerItems = [
+            {
+                type: 'food',
+                restaurantId: rest3.__backendId,
+                name: 'Classic Burger',
+                category: 'Vegetarian Burger',
+                price: 180,
+                description: 'Delicious burger with fresh vegetables and cheese',
+                imageUrl: 'https://images.unsplash.com/photo-1568901346375-23c9450c58cd?w=500&h=400&fit=crop',
+                imageApprovalStatus: 'approved',
+                available: true,
+                isDemoData: true
+            },
+            {
+                type: 'food',
+                restaurantId: rest3.__backendId,
+                name: 'Chicken Burger',
+                category: 'Non-Vegetarian Burger',
+                price: 220,
+                description: 'Juicy grilled chicken burger with special sauce',
+                imageUrl: 'https://images.unsplash.com/photo-1553979459-d2229ba7433b?w=500&h=400&fit=crop',
+                imageApprovalStatus: 'approved',
+                available: true,
+                isDemoData: true
+            },
+            {
+                type: 'food',
+                restaurantId: rest3.__backendId,
+                name: 'Spicy Burger',
+                category: 'Non-Vegetarian Burger',
+                price: 240,
+                description: 'Fiery burger with jalapeños and hot sauce',
+                imageUrl: 'https://images.unsplash.com/photo-1598103442097-8b74394b95c6?w=500&h=400&fit=crop',
+                imageApprovalStatus: 'approved',
+                available: true,
+                isDemoData: true
+            }
+        ];
+        
+        // Add all demo food items
+        biryaniItems.forEach(item => tx.create(item));
+        pizzaItems.forEach(item => tx.create(item));
+        burgerItems.forEach(item => tx.create(item));
+        
+        // Demo Promo Codes for Restaurants
+        const demoPromos = [
+            // Promos for Taj Biryani House
+            {
+                type: 'promo',
+                restaurantId: rest1.__backendId,
+                code: 'BIRYANI50',
+                description: '50% off on first order',
+                discountType: 'percentage',
+                discountValue: 50,
+                minOrderValue: 300,
+                maxDiscount: 250,
+                expiryDate: '2026-12-31',
+                isDemoData: true
+            },
+            {
+                type: 'promo',
+                restaurantId: rest1.__backendId,
+                code: 'SAVE100',
+                description: 'Rs100 off on orders above Rs500',
+                discountType: 'fixed',
+                discountValue: 100,
+                minOrderValue: 500,
+                maxDiscount: 100,
+                expiryDate: '2026-12-31',
+                isDemoData: true
+            },
+            // Promos for Pizza Paradise
+            {
+                type: 'promo',
+                restaurantId: rest2.__backendId,
+                code: 'PIZZA30',
+                description: '30% off on all pizzas',
+                discountType: 'percentage',
+                discountValue: 30,
+                minOrderValue: 400,
+                maxDiscount: 200,
+                expiryDate: '2026-12-31',
+                isDemoData: true
+            },
+            {
+                type: 'promo',
+                restaurantId: rest2.__backendId,
+                code: 'DELIVERY25',
+                description: 'Rs25 off on delivery',
+                discountType: 'fixed',
+                discountValue: 25,
+                minOrderValue: 350,
+                maxDiscount: 25,
+                expiryDate: '2026-12-31',
+                isDemoData: true
+            },
+            // Promos for Burger Hub
+            {
+                type: 'promo',
+                restaurantId: rest3.__backendId,
+                code: 'BURGER40',
+                description: '40% off on burgers',
+                discountType: 'percentage',
+                discountValue: 40,
+                minOrderValue: 350,
+                maxDiscount: 180,
+                expiryDate: '2026-12-31',
+                isDemoData: true
+            },
+            {
+                type: 'promo',
+                restaurantId: rest3.__backendId,
+                code: 'FREEBITE',
+                description: 'Rs150 off on orders above Rs600',
+                discountType: 'fixed',
+                discountValue: 150,
+                minOrderValue: 600,
+                maxDiscount: 150,
+                expiryDate: '2026-12-31',
+                isDemoData: true
+            }
+        ];
+        
+        // Add all demo promo codes
+        demoPromos.forEach(promo => tx.create(promo));
+    });
+}
+
+// Initialize App
+async function initApp() {
+    // Load every record from the chosen storage backend before rendering
+    try {
+        await initDataStore();
+    } catch (error) {
+        // Nothing can be shown (or safely saved) without the data, e.g. a decryption failure
+        console.error('Could not open the data store:', error);
+        document.getElementById('app').innerHTML = `
+            <div class="empty-state" style="padding: 4rem 2rem;">
+                <h3>Zaikalok can't open its data</h3>
+                <p>${error.message}</p>
+            </div>
+        `;
+        return;
+    }
+    
+    // Keep this tab in step with changes made in other tabs, and resend writes made offline
+    initCrossTabSync();
+    initPendingWrites();
+    
+    // Sign out when this tab's session is revoked elsewhere, expires or goes idle
+    initSessionWatch();
+    
+    // Re-render open views whenever the data they show changes
+    initLiveViews();
+    
+    // Fill in stored images as they are rendered
+    observeImageHydration();
+    
+    // Warn early when the browser storage is nearly full
+    checkStorageQuota();
+    
+    // Seed demo data (runs only once)
+    seedDemoData();
+    
+    // Check if user is logged in (this tab's session, or a remembered one)
+    const session = restoreSession();
+    currentUser = session.user || null;
+    if (currentUser) {
+        navigateToDashboard(currentUser.role);
+    } else if (session.reason) {
+        navigateToLogin(session.role, SESSION_END_MESSAGES[session.reason]);
+    } else {
+        renderLandingPage();
+    }
+}
+
+// Render Landing Page
+function renderLandingPage() {
+    currentView = 'landing';
+    const app = document.getElementById('app');
+    app.innerHTML = `
+        <div class="landing-page">
+            <div class="landing-header">
+                <div class="logo-container">
+                    <span class="logo-icon">🍛</span>
+                    <span class="logo-text">${config.app_title}</span>
+                </div>
+                <p>${config.tagline}</p>
+                <div class="feature-tags">
+                    <div class="feature-tag">⚡ Fast Delivery</div>
+                    <div class="feature-tag">🍽️ Multiple Restaurants</div>
+                    <div class="feature-tag">💳 Easy Payments</div>
+                </div>
+            </div>
+            <div class="role-selection">
+                <div class="role-card" onclick="navigateToLogin('admin')">
+                    <div class="role-icon">👨‍💼</div>
+                    <h3>Admin</h3>
+                    <p>Manage restaurants, users, and orders</p>
+                </div>
+                <div class="role-card" onclick="navigateToLogin('restaurant')">
+                    <div class="role-icon">🍽️</div>
+                    <h3>Restaurant Owner</h3>
+                    <p>Manage menu and orders</p>
+                </div>
+                <div class="role-card" onclick="navigateToLogin('customer')">
+                    <div class="role-icon">🛒</div>
+                    <h3>Customer</h3>
+                    <p>Browse and order food</p>
+                </div>
+                <div class="role-card" onclick="navigateToLogin('delivery')">
+                    <div class="role-icon">🏍️</div>
+                    <h3>Delivery Partner</h3>
+                    <p>Deliver orders to customers</p>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Navigate to Login
+ * @param {String} role - Role to log in as
+ * @param {String} message - Optional notice shown above the form (e.g. why a session ended)
+ */
+function navigateToLogin(role, message = '') {
+    // The first admin visit creates the super-admin instead
+    if (role === 'admin' && !hasAdminAccount()) {
+        renderAdminSetup();
+        return;
+    }
+    
+    currentView = `login-${role}`;
+    const app = document.getElementById('app');
+    
+    const roleNames = {
+        admin: 'Admin',
+        restaurant: 'Restaurant Owner',
+        customer: 'Customer',
+        delivery: 'Delivery Partner'
+    };
+    
+    app.innerHTML = `
+        <div class="login-page">
+            <div class="login-container">
+                <div class="login-header">
+                    <h2>${roleNames[role]} Login</h2>
+                    <p>${config.app_title}</p>
+                </div>
+                ${message ? `
+                    <div style="background: #fff3cd; border: 2px solid #ffc107; padding: 1rem; border-radius: 8px; margin-bottom: 1rem;">
+                        ${message}
+                    </div>
+                ` : ''}
+                <form id="loginForm" onsubmit="handleLogin(event, '${role}')">
+                    <div class="form-group">
+                        <label for="username">Username</label>
+                        <input type="text" id="username" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="password">Password</label>
+                        <input type="password" id="password" required>
+                    </div>
+                    ${getSessionPolicy(role).remember_days ? `
+                        <div class="form-group">
+                            <label style="display: flex; align-items: center; gap: 0.5rem; font-weight: normal;">
+                                <input type="checkbox" id="rememberMe" style="width: auto;">
+                                Remember me on this device for ${getSessionPolicy(role).remember_days} days
+                            </label>
+                        </div>
+                    ` : ''}
+                    <button type="submit" class="btn btn-primary">
+                        Login
+                    </button>
+                    ${role === 'customer' || role === 'restaurant' || role === 'delivery' ? `
+                        <div class="register-link">
+                            Don't have an account? <a href="#" onclick="navigateToRegister('${role}'); return false;">Register</a>
+                        </div>
+                        <div class="forgot-password-link">
+                            <a href="#" onclick="navigateToForgotPassword('${role}'); return false;">Forgot Password?</a>
+                            ${role === 'delivery' ? `· <a href="#" onclick="openOutbox(); return false;">📬 Application updates</a>` : ''}
+                        </div>
+                    ` : `
+                        <div class="register-link">
+                            Invited as an admin? <a href="#" onclick="renderAcceptInvite(); return false;">Accept an invite</a>
+                        </div>
+                    `}
+                    <button type="button" class="btn btn-secondary" onclick="renderLandingPage()">
+                        Back
+                    </button>
+                </form>
+            </div>
+        </div>
+    `;
+}
+
+// Vehicle choices on the delivery partner application
+const VEHICLE_TYPE_LABELS = {
+    bicycle: '🚲 Bicycle',
+    scooter: '🛵 Scooter',
+    motorcycle: '🏍️ Motorcycle',
+    car: '🚗 Car'
+};
+
+// Most ID document photos a delivery partner can upload
+const MAX_ID_DOCUMENTS = 3;
+
+// Navigate to Register
+function navigateToRegister(role) {
+    currentView = `register-${role}`;
+    const app = document.getElementById('app');
+    
+    const roleNames = {
+        restaurant: 'Restaurant Owner',
+        customer: 'Customer',
+        delivery: 'Delivery Partner'
+    };
+    
+    let extraFields = '';
+    if (role === 'restaurant') {
+        extraFields = `
+            <div class="form-group">
+                <label for="restaurantName">Restaurant Name</label>
+                <input type="text" id="restaurantName" oninput="validateRestaurantName()" required>
+                <small class="warning-message" id="restaurantNameWarning" style="display:none;"></small>
+            </div>
+            <div class="form-group">
+                <label for="cuisine">Cuisine Type</label>
+                <input type="text" id="cuisine" placeholder="e.g., Italian, Chinese, Indian" oninput="validateCuisine()" required>
+                <small class="warning-message" id="cuisineWarning" style="display:none;"></small>
+            </div>
+        `;
+    } else if (role === 'delivery') {
+        extraFields = `
+            <div class="form-group">
+                <label for="vehicleType">Vehicle Type</label>
+                <select id="vehicleType" required>
+                    <option value="">Select your vehicle</option>
+                    ${VEHICLE_TYPES.map(type => `<option value="${type}">${VEHICLE_TYPE_LABELS[type]}</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="licenceNumber">Driving Licence Number</label>
+                <input type="text" id="licenceNumber" placeholder="e.g., KA01 20190012345" oninput="validateLicenceNumber()" required>
+                <small class="warning-message" id="licenceNumberWarning" style="display:none;"></small>
+            </div>
+            <div class="form-group">
+                <label for="idDocuments">ID Documents</label>
+                <input type="file" id="idDocuments" accept="image/*" multiple onchange="validateIdDocuments()" required>
+                <small style="color: #64748b;">Photos of your driving licence and a government ID (up to ${MAX_ID_DOCUMENTS}). An admin checks them before your first login.</small>
+                <small class="warning-message" id="idDocumentsWarning" style="display:none;"></small>
+            </div>
+        `;
+    }
+    
+    app.innerHTML = `
+        <div class="login-page">
+            <div class="login-container">
+                <div class="login-header">
+                    <h2>${roleNames[role]} Registration</h2>
+                    <p>${config.app_title}</p>
+                </div>
+                <form id="registerForm" onsubmit="handleRegister(event, '${role}')">
+                    <div class="form-group">
+                        <label for="name">Full Name</label>
+                        <input type="text" id="name" placeholder="e.g., John Doe" oninput="validateFullName()" required>
+                        <small class="warning-message" id="nameWarning" style="display:none;"></small>
+                    </div>
+                    <div class="form-group">
+                        <label for="email">Email</label>
+                        <input type="email" id="email" placeholder="e.g., user@example.com" oninput="validateEmail()" required>
+                        <small class="warning-message" id="emailWarning" style="display:none;"></small>
+                    </div>
+                    <div class="form-group">
+                        <label for="phone">Phone Number</label>
+                        <input type="tel" id="phone" placeholder="e.g., 1234567890" oninput="validatePhone()" required>
+                        <small class="warning-message" id="phoneWarning" style="display:none;"></small>
+                    </div>
+                    ${extraFields}
+                    <div class="form-group">
+                        <label for="address">Address</label>
+                        <input type="text" id="address" placeholder="e.g., 123 Main St, City" oninput="validateAddress()" required>
+                        <small class="warning-message" id="addressWarning" style="display:none;"></small>
+                    </div>
+                    <div class="form-group">
+                        <label for="username">Username</label>
+                        <input type="text" id="username" placeholder="e.g., john_doe123" oninput="validateUsername()" required>
+                        <small class="warning-message" id="usernameWarning" style="display:none;"></small>
+                    </div>
+                    <div class="form-group">
+                        <label for="password">Password</label>
+                        <input type="password" id="password" placeholder="Minimum 6 characters" oninput="validatePassword()" required>
+                        <small class="warning-message" id="passwordWarning" style="display:none;"></small>
+                    </div>
+                    <button type="submit" class="btn btn-primary">
+                        Register
+                    </button>
+                    <button type="button" class="btn btn-secondary" onclick="navigateToLogin('${role}')">
+                        Back to Login
+                    </button>
+                </form>
+            </div>
+        </div>
+    `;
+}
+
+// ===========================================================================================
+// OUTBOX - Local stand-in for email and SMS
+// ===========================================================================================
+// Zaikalok has no mail or SMS gateway, so messages the platform "sends" (such as password reset
+// codes or the outcome of a delivery partner application) are stored as message records and read in
+// the outbox viewer, which any page that sends one links to. The browser stands in for the
+// recipient's mailbox: the viewer shows the signed-in user's messages, and while nobody is signed
+// in, those of the accounts registered or signed in on this browser. Knowing an account's username
+// and email is not enough to read its messages (and so its reset codes) anywhere else. Addresses
+// and message bodies are encrypted at rest like other personal data.
+// ===========================================================================================
+
+// localStorage key of the IDs of accounts registered or signed in on this browser
+const OUTBOX_ACCOUNTS_KEY = 'Zaikalok_outboxAccounts';
+
+/**
+ * Send a message to the outbox
+ * @param {Object} message - { channel: 'email'|'sms', to, recipientId, subject, body }
+ * @param {Object} tx - Optional open transaction to stage the message in
+ * @returns {Object} The message record
+ */
+function sendOutboxMessage(message, tx) {
+    const record = { type: 'message', ...message };
+    return tx ? tx.create(record) : createRecord(record);
+}
+
+// Accounts whose messages this browser shows while nobody is signed in
+function getOutboxAccountIds() {
+    try {
+        return JSON.parse(localStorage.getItem(OUTBOX_ACCOUNTS_KEY) || '[]');
+    } catch (error) {
+        return [];
+    }
+}
+
+// Let this browser show an account's messages (it was registered or signed in here)
+function addOutboxAccount(userId) {
+    const accountIds = getOutboxAccountIds();
+    if (!accountIds.includes(userId)) {
+        localStorage.setItem(OUTBOX_ACCOUNTS_KEY, JSON.stringify([...accountIds, userId]));
+    }
+}
+
+/**
+ * Messages sent to some recipients, newest first
+ * @param {Array} userIds - Recipients
+ * @returns {Array} Message records
+ */
+function getOutboxMessages(userIds) {
+    return queryRecords({ type: 'message' }, message => userIds.includes(message.recipientId))
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Open the Outbox Viewer: the signed-in user's messages, or with nobody signed in those of the
+ * accounts registered or signed in on this browser
+ */
+function openOutbox() {
+    showOutbox(getOutboxMessages(currentUser ? [currentUser.__backendId] : getOutboxAccountIds()));
+}
+
+// Outbox Viewer
+function showOutbox(messages) {
+    let messageList = '';
+    messages.forEach(message => {
+        messageList += `
+            <div style="border: 1px solid #e0e0e0; border-radius: 8px; padding: 1rem; margin-bottom: 0.75rem;">
+                <div style="display: flex; justify-content: space-between; gap: 1rem; margin-bottom: 0.5rem;">
+                    <strong>${message.channel === 'sms' ? '📱' : '✉️'} ${escapeHtml(message.to)}</strong>
+                    <span style="color: #64748b; font-size: 0.875rem;">${new Date(message.createdAt).toLocaleString()}</span>
+                </div>
+                ${message.subject ? `<p style="font-weight: 600; margin-bottom: 0.25rem;">${escapeHtml(message.subject)}</p>` : ''}
+                <p style="white-space: pre-line; color: #334155;">${escapeHtml(message.body)}</p>
+            </div>
+        `;
+    });
+    
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+        <div class="modal-content modal-lg">
+            <div class="modal-header">
+                <h2>📬 Outbox</h2>
+                <button class="close-modal" onclick="this.closest('.modal').remove()">×</button>
+            </div>
+            <div class="modal-body">
+                <p style="color: #64748b; font-size: 0.875rem; margin-bottom: 1rem;">
+                    Your emails and text messages from ${config.app_title}, newest first. They are not really delivered.
+                    ${currentUser ? '' : 'Only accounts registered or signed in on this browser are shown.'}
+                </p>
+                ${messages.length > 0 ? messageList : `
+                    <div class="empty-state">
+                        <p>No messages sent yet</p>
+                    </div>
+                `}
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-primary" onclick="this.closest('.modal').remove()">Close</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+// ===========================================================================================
+// PASSWORD RESET - One-time codes sent to the outbox
+// ===========================================================================================
+// Asking for a reset sends a one-time code to the account's email. Only the code's hash is
+// stored, with an expiry; it works once, a new request replaces any older code, and after too
+// many wrong entries it stops working. Requests are counted per username and role in a
+// passwordResetThrottle record, and only a limited number per hour are accepted. Unknown
+// usernames are counted and limited the same way, and the reply is the same whether or not the
+// username and email match an account, so the form can't be used to find out who is registered. A successful reset signs the account out
+// on every tab of this browser (sessions are per browser).
+// ===========================================================================================
+
+// Window for config.password_reset_max_requests
+const PASSWORD_RESET_REQUEST_WINDOW = 60 * 60 * 1000;
+
+// Reset-request record of a username and role, or null
+function getPasswordResetThrottle(username, role) {
+    return findRecord({ type: 'passwordResetThrottle', username, role });
+}
+
+/**
+ * Reset-request records to drop before another one is added: those without a request in the
+ * last hour, then, while still at the cap, the oldest ones of usernames without an account
+ * @returns {Object} { stale, full } - records to delete, and whether there is still no room
+ */
+function getPasswordResetThrottlesToPrune(now) {
+    const lastRequestAt = throttle => Math.max(0, ...throttle.requestedAt);
+    const throttles = queryRecords({ type: 'passwordResetThrottle' });
+    const stale = throttles.filter(throttle => lastRequestAt(throttle) <= now - PASSWORD_RESET_REQUEST_WINDOW);
+    
+    const excess = throttles.length - stale.length - config.password_reset_throttle_max_records + 1;
+    if (excess > 0) {
+        const droppable = throttles
+            .filter(throttle => !stale.includes(throttle) && !findRecord({ type: 'user', username: throttle.username, role: throttle.role }))
+            .sort((a, b) => lastRequestAt(a) - lastRequestAt(b));
+        stale.push(...droppable.slice(0, excess));
+    }
+    
+    return { stale, full: throttles.length - stale.length >= config.password_reset_throttle_max_records };
+}
+
+/**
+ * Stage a reset request in the record of its username and role
+ * @param {Object} tx - Open transaction
+ * @param {Object|null} throttle - The current record, if any
+ * @param {Array} requestedAt - Times of the requests within the window, this one included
+ */
+function countPasswordResetRequest(tx, throttle, username, role, requestedAt) {
+    if (throttle) {
+        tx.update({ ...throttle, requestedAt });
+        return;
+    }
+    
+    const { stale, full } = getPasswordResetThrottlesToPrune(requestedAt[requestedAt.length - 1]);
+    stale.forEach(record => tx.delete(record));
+    if (full) {
+        console.warn(`Too many reset-request records to count the request of ${username}`);
+        return;
+    }
+    tx.create({ type: 'passwordResetThrottle', username, role, requestedAt });
+}
+
+// The account's newest reset code that can still be used, or null
+function findActivePasswordReset(userId) {
+    const now = Date.now();
+    return queryRecords({ type: 'passwordReset', userId }, reset => (
+        !reset.usedAt && !reset.revokedAt && reset.expiresAt > now &&
+        (reset.attempts || 0) < config.password_reset_max_attempts
+    )).sort((a, b) => b.createdAt - a.createdAt)[0] || null;
+}
+
+// Navigate to Forgot Password
+function navigateToForgotPassword(role) {
+    currentView = `forgot-password-${role}`;
+    const app = document.getElementById('app');
+    
+    app.innerHTML = `
+        <div class="login-page">
+            <div class="login-container">
+                <div class="login-header">
+                    <h2>Forgot Password</h2>
+                    <p>${config.app_title}</p>
+                </div>
+                <form id="forgotPasswordForm" onsubmit="handleForgotPassword(event, '${role}')">
+                    <div class="form-group">
+                        <label for="username">Username</label>
+                        <input type="text" id="username" placeholder="Enter your username" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="email">Email</label>
+                        <input type="email" id="email" placeholder="Enter your registered email" required>
+                    </div>
+                    <button type="submit" class="btn btn-primary">
+                        Send Reset Code
+                    </button>
+                    <div class="register-link">
+                        Already have a code? <a href="#" onclick="navigateToResetPassword('${role}', document.getElementById('username').value.trim()); return false;">Enter it</a>
+                    </div>
+                    <button type="button" class="btn btn-secondary" onclick="navigateToLogin('${role}')">
+                        Back to Login
+                    </button>
+                </form>
+            </div>
+        </div>
+    `;
+}
+
+// Handle Forgot Password
+async function handleForgotPassword(event, role) {
+    event.preventDefault();
+    const username = document.getElementById('username').value.trim();
+    const email = document.getElementById('email').value.trim();
+    
+    const user = findRecord({ type: 'user', role, username, email });
+    
+    // Counted per username whether or not it has an account, so the limit gives nothing away
+    const now = Date.now();
+    const throttle = getPasswordResetThrottle(username, role);
+    const recentRequests = (throttle ? throttle.requestedAt : []).filter(at => at > now - PASSWORD_RESET_REQUEST_WINDOW);
+    if (recentRequests.length >= config.password_reset_max_requests) {
+        const retryAt = Math.min(...recentRequests) + PASSWORD_RESET_REQUEST_WINDOW;
+        showToast(`Too many reset requests. Try again in ${Math.ceil((retryAt - now) / 60000)} minutes.`, 'error');
+        return;
+    }
+    
+    const code = generateOneTimeCode();
+    const minutes = config.password_reset_code_minutes;
+    try {
+        const codeHash = await hashOneTimeCode(code);
+        runTransaction(tx => {
+            countPasswordResetRequest(tx, throttle, username, role, [...recentRequests, now]);
+            if (!user) return;
+            
+            // Only the newest code works
+            const previous = findActivePasswordReset(user.__backendId);
+            if (previous) tx.update({ ...previous, revokedAt: Date.now() });
+            
+            tx.create({
+                type: 'passwordReset',
+                userId: user.__backendId,
+                codeHash,
+                expiresAt: Date.now() + minutes * 60 * 1000,
+                attempts: 0
+            });
+            sendOutboxMessage({
+                channel: 'email',
+                to: user.email,
+                recipientId: user.__backendId,
+                subject: `Your ${config.app_title} password reset code`,
+                body: `Hi ${user.name},\n\nYour password reset code is ${code}. It works once and expires in ${minutes} minutes.\n\nIf you didn't ask to reset your password, you can ignore this message.`
+            }, tx);
+        });
+    } catch (error) {
+        console.error('Creating password reset code failed:', error);
+        showToast(error instanceof DataStoreError ? error.message : 'Could not send a reset code. Password resets need HTTPS or localhost.', 'error');
+        return;
+    }
+    
+    showToast('If the username and email match an account, a reset code was sent. Check the outbox.', 'success');
+    navigateToResetPassword(role, username);
+}
+
+// Navigate to Reset Password
+function navigateToResetPassword(role, username = '') {
+    currentView = `reset-password-${role}`;
+    const app = document.getElementById('app');
+    
+    app.innerHTML = `
+        <div class="login-page">
+            <div class="login-container">
+                <div class="login-header">
+                    <h2>Reset Password</h2>
+                    <p>Enter the code from your email and choose a new password</p>
+                </div>
+                <form id="resetPasswordForm" onsubmit="handleResetPassword(event, '${role}')">
+                    <div class="form-group">
+                        <label for="username">Username</label>
+                        <input type="text" id="username" value="${username}" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="resetCode">Reset Code</label>
+                        <input type="text" id="resetCode" placeholder="e.g., K7MQ-2XPD" style="text-transform: uppercase;" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="newPassword">New Password</label>
+                        <input type="password" id="newPassword" placeholder="Enter new password" required minlength="6">
+                    </div>
+                    <div class="form-group">
+                        <label for="confirmPassword">Confirm Password</label>
+                        <input type="password" id="confirmPassword" placeholder="Confirm new password" required minlength="6">
+                    </div>
+                    <button type="submit" class="btn btn-primary">
+                        Reset Password
+                    </button>
+                    <div class="register-link">
+                        <a href="#" onclick="openOutbox(); return false;">📬 Open the outbox</a>
+                        · <a href="#" onclick="navigateToForgotPassword('${role}'); return false;">Send a new code</a>
+                    </div>
+                    <button type="button" class="btn btn-secondary" onclick="navigateToLogin('${role}')">
+                        Back to Login
+                    </button>
+                </form>
+            </div>
+        </div>
+    `;
+}
+
+// Handle Reset Password
+async function handleResetPassword(event, role) {
+    event.preventDefault();
+    const username = document.getElementById('username').value.trim();
+    const code = document.getElementById('resetCode').value;
+    const newPassword = document.getElementById('newPassword').value;
+    const confirmPassword = document.getElementById('confirmPassword').value;
+    
+    if (newPassword !== confirmPassword) {
+        showToast('Passwords do not match', 'error');
+        return;
+    }
+    
+    if (newPassword.length < 6) {
+        showToast('Password must be at least 6 characters long', 'error');
+        return;
+    }
+    
+    const user = findRecord({ type: 'user', role, username });
+    const reset = user && findActivePasswordReset(user.__backendId);
+    
+    let codeHash;
+    let passwordHash;
+    try {
+        codeHash = await hashOneTimeCode(code);
+        passwordHash = reset ? await hashPassword(newPassword) : null;
+    } catch (error) {
+        console.error('Password hashing failed:', error);
+        showToast('Could not secure your password. Resetting it needs HTTPS or localhost.', 'error');
+        return;
+    }
+    
+    if (!reset || !constantTimeEquals(codeHash, reset.codeHash)) {
+        if (reset) {
+            // Count the wrong guess; the code stops working at the limit
+            reset.attempts = (reset.attempts || 0) + 1;
+            updateRecord(reset);
+        }
+        showToast('This reset code is invalid, expired or already used', 'error');
+        return;
+    }
+    
+    try {
+        // The new password and the used-up code are saved together, so the code can't be reused
+        runTransaction(tx => {
+            tx.update({ ...user, password: passwordHash });
+            tx.update({ ...reset, usedAt: Date.now() });
+        });
+    } catch (error) {
+        console.error('Resetting password failed:', error);
+        showToast(error instanceof DataStoreError ? error.message : 'Error resetting password. Please try again.', 'error');
+        return;
+    }
+    
+    // Anyone signed in with the old password is signed out
+    endUserSessions(user.__backendId);
+    showToast('Password reset successfully! Please login with your new password.', 'success');
+    navigateToLogin(role);
+}
+
+// ===========================================================================================
+// CONTACT VERIFICATION - One-time codes confirming email addresses and phone numbers
+// ===========================================================================================
+// Registering, or changing the email or phone number on a profile, sends a 6-digit code to the
+// outbox for each new detail: an email for the address and a text message for the number. The
+// detail counts as verified once its code is entered, which stamps user.emailVerifiedAt or
+// user.phoneVerifiedAt; changing it again clears the stamp. Like reset codes, only a code's hash
+// is stored, codes expire, a new code replaces the previous one and too many wrong entries use a
+// code up. Another code for the same detail can only be sent after a short cooldown. A code is
+// tied to the address or number it was sent to, so it stops working if the detail changes in
+// the meantime.
+// ===========================================================================================
+
+// Per channel: the user field being verified, where its verification time is kept, and its label
+const CONTACT_CHANNELS = {
+    email: { field: 'email', verifiedField: 'emailVerifiedAt', label: 'Email' },
+    sms: { field: 'phone', verifiedField: 'phoneVerifiedAt', label: 'Phone number' }
+};
+
+// Check whether a user's current email ('email') or phone number ('sms') has been verified
+function isContactVerified(user, channel) {
+    return !!user[CONTACT_CHANNELS[channel].verifiedField];
+}
+
+// Badge for admin and profile views
+function contactVerifiedBadge(user, channel) {
+    return isContactVerified(user, channel)
+        ? '<span class="status-badge status-approved">✓ VERIFIED</span>'
+        : '<span class="status-badge status-pending">NOT VERIFIED</span>';
+}
+
+// Random 6-digit verification code
+function generateVerificationCode() {
+    const value = crypto.getRandomValues(new Uint32Array(1))[0] % 1000000;
+    return String(value).padStart(6, '0');
+}
+
+// Newest verification code sent to a user on a channel, used or not
+function findLatestContactVerification(userId, channel) {
+    return queryRecords({ type: 'contactVerification', userId, channel })
+        .sort((a, b) => b.createdAt - a.createdAt)[0] || null;
+}
+
+// The code that can still verify the user's current detail on a channel, or null
+function findActiveContactVerification(user, channel) {
+    const now = Date.now();
+    const target = user[CONTACT_CHANNELS[channel].field];
+    return queryRecords({ type: 'contactVerification', userId: user.__backendId, channel }, verification => (
+        verification.target === target && !verification.verifiedAt && !verification.revokedAt &&
+        verification.expiresAt > now && (verification.attempts || 0) < config.verification_max_attempts
+    )).sort((a, b) => b.createdAt - a.createdAt)[0] || null;
+}
+
+/**
+ * Send a verification code for a user's current email or phone number to the outbox
+ * @param {String} userId - Account to verify
+ * @param {String} channel - 'email' or 'sms'
+ * @returns {Promise<Boolean>} Whether a code was sent (problems are shown as toasts)
+ */
+async function sendContactVerificationCode(userId, channel) {
+    const user = getRecordById(userId);
+    if (!user) return false;
+    
+    const { field, label } = CONTACT_CHANNELS[channel];
+    if (isContactVerified(user, channel)) {
+        showToast(`${label} is already verified`, 'success');
+        return false;
+    }
+    
+    // The cooldown only limits resends to the same address or number
+    const latest = findLatestContactVerification(userId, channel);
+    const waitSeconds = latest && latest.target === user[field] ? Math.ceil((latest.createdAt + config.verification_resend_seconds * 1000 - Date.now()) / 1000) : 0;
+    if (waitSeconds > 0) {
+        showToast(`Please wait ${waitSeconds} seconds before asking for another code`, 'error');
+        return false;
+    }
+    
+    const code = generateVerificationCode();
+    const minutes = config.verification_code_minutes;
+    try {
+        const codeHash = await hashOneTimeCode(code);
+        runTransaction(tx => {
+            // Only the newest code works
+            const previous = findActiveContactVerification(user, channel);
+            if (previous) tx.update({ ...previous, revokedAt: Date.now() });
+            
+            tx.create({
+                type: 'contactVerification',
+                userId,
+                channel,
+                target: user[field],
+                codeHash,
+                expiresAt: Date.now() + minutes * 60 * 1000,
+                attempts: 0
+            });
+            sendOutboxMessage(channel === 'email' ? {
+                channel,
+                to: user.email,
+                recipientId: userId,
+                subject: `Verify your email for ${config.app_title}`,
+                body: `Hi ${user.name},\n\nYour verification code is ${code}. It expires in ${minutes} minutes.`
+            } : {
+                channel,
+                to: user.phone,
+                recipientId: userId,
+                body: `${code} is your ${config.app_title} verification code. It expires in ${minutes} minutes.`
+            }, tx);
+        });
+    } catch (error) {
+        console.error('Sending verification code failed:', error);
+        showToast(error instanceof DataStoreError ? error.message : 'Could not send a verification code. This needs HTTPS or localhost.', 'error');
+        return false;
+    }
+    return true;
+}
+
+// Resend a verification code and show the result
+async function resendContactVerificationCode(userId, channel) {
+    if (await sendContactVerificationCode(userId, channel)) {
+        showToast('A new code was sent. Check the outbox.', 'success');
+        refreshContactVerification(userId);
+    }
+}
+
+// Forms for entering the email and phone codes, or the verified details
+function renderContactVerificationForms(user) {
+    return Object.entries(CONTACT_CHANNELS).map(([channel, { field, label }]) => {
+        if (isContactVerified(user, channel)) {
+            return `
+                <div class="form-group">
+                    <label>${label}</label>
+                    <p>${user[field]} ${contactVerifiedBadge(user, channel)}</p>
+                </div>
+            `;
+        }
+        return `
+            <form class="form-group" onsubmit="handleVerifyContact(event, '${user.__backendId}', '${channel}')">
+                <label for="verificationCode-${channel}">Code sent to ${user[field]}</label>
+                <div style="display: flex; gap: 0.5rem;">
+                    <input type="text" id="verificationCode-${channel}" inputmode="numeric" maxlength="6" placeholder="6-digit code" required>
+                    <button type="submit" class="btn-small btn-approve">Verify</button>
+                </div>
+                <small><a href="#" onclick="resendContactVerificationCode('${user.__backendId}', '${channel}'); return false;">Send a new code</a></small>
+            </form>
+        `;
+    }).join('');
+}
+
+// Re-render the verification forms wherever they are shown
+function refreshContactVerification(userId) {
+    const container = document.getElementById('contactVerification');
+    const user = getRecordById(userId);
+    if (container && user) {
+        container.innerHTML = renderContactVerificationForms(user);
+    }
+}
+
+// Handle Verify Contact
+async function handleVerifyContact(event, userId, channel) {
+    event.preventDefault();
+    const user = getRecordById(userId);
+    if (!user) return;
+    
+    const { verifiedField, label } = CONTACT_CHANNELS[channel];
+    const verification = findActiveContactVerification(user, channel);
+    
+    let codeHash;
+    try {
+        codeHash = await hashOneTimeCode(document.getElementById(`verificationCode-${channel}`).value);
+    } catch (error) {
+        console.error('Checking verification code failed:', error);
+        showToast('Could not check the code. This needs HTTPS or localhost.', 'error');
+        return;
+    }
+    
+    if (!verification || !constantTimeEquals(codeHash, verification.codeHash)) {
+        if (verification) {
+            // Count the wrong guess; the code stops working at the limit
+            verification.attempts = (verification.attempts || 0) + 1;
+            updateRecord(verification);
+        }
+        showToast('This code is invalid or expired. Send a new code and try again.', 'error');
+        return;
+    }
+    
+    const now = Date.now();
+    try {
+        runTransaction(tx => {
+            tx.update({ ...user, [verifiedField]: now });
+            tx.update({ ...verification, verifiedAt: now });
+        });
+    } catch (error) {
+        console.error('Contact verification failed:', error);
+        showToast(`Could not verify your ${label.toLowerCase()}: ${error.message}`, 'error');
+        return;
+    }
+    if (currentUser && currentUser.__backendId === userId) {
+        currentUser = getRecordById(userId);
+    }
+    
+    showToast(`${label} verified!`, 'success');
+    refreshContactVerification(userId);
+}
+
+// Navigate to Verify Contact Details (after registering)
+function navigateToVerifyContact(userId, role) {
+    currentView = `verify-contact-${role}`;
+    const user = getRecordById(userId);
+    const app = document.getElementById('app');
+    
+    app.innerHTML = `
+        <div class="login-page">
+            <div class="login-container">
+                <div class="login-header">
+                    <h2>Verify Your Details</h2>
+                    <p>Enter the codes we sent to your email and phone</p>
+                </div>
+                <div id="contactVerification">
+                    ${user ? renderContactVerificationForms(user) : ''}
+                </div>
+                <div class="register-link">
+                    <a href="#" onclick="openOutbox(); return false;">📬 Open the outbox</a>
+                </div>
+                <button type="button" class="btn btn-primary" onclick="navigateToLogin('${role}')">
+                    Continue to Login
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+// Open the verification forms for the signed-in user, sending codes that aren't out yet
+async function openContactVerificationModal() {
+    const userId = currentUser.__backendId;
+    for (const channel of Object.keys(CONTACT_CHANNELS)) {
+        const user = getRecordById(userId);
+        if (!isContactVerified(user, channel) && !findActiveContactVerification(user, channel)) {
+            await sendContactVerificationCode(userId, channel);
+        }
+    }
+    
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2>✅ Verify Your Details</h2>
+                <button class="close-modal" onclick="this.closest('.modal').remove()">×</button>
+            </div>
+            <div class="modal-body">
+                <p style="color: #64748b; margin-bottom: 1rem;">
+                    Enter the codes we sent you. <a href="#" onclick="openOutbox(); return false;">📬 Open the outbox</a>
+                </p>
+                <div id="contactVerification">
+                    ${renderContactVerificationForms(getRecordById(userId))}
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+// ===== REGISTRATION FORM VALIDATION FUNCTIONS =====
+
+// Validate Full Name (letters and spaces only)
+function validateFullName(isSubmit = false) {
+    const nameInput = document.getElementById('name');
+    const nameWarning = document.getElementById('nameWarning');
+    const value = nameInput.value.trim();
+    
+    if (!isSubmit && !nameWarning) return true;
+    
+    const nameRegex = /^[a-zA-Z\s]{2,50}$/;
+    
+    if (value === '') {
+        if (nameWarning) {
+            nameWarning.textContent = 'Full name is required';
+            nameWarning.style.display = 'block';
+        }
+        return false;
+    } else if (!nameRegex.test(value)) {
+        if (nameWarning) {
+            nameWarning.textContent = 'Name should contain only letters and spaces (2-50 characters)';
+            nameWarning.style.display = 'block';
+        }
+        return false;
+    } else {
+        if (nameWarning) {
+            nameWarning.style.display = 'none';
+        }
+        return true;
+    }
+}
+
+// Validate Email
+function validateEmail(isSubmit = false) {
+    const emailInput = document.getElementById('email');
+    const emailWarning = document.getElementById('emailWarning');
+    const value = emailInput.value.trim();
+    
+    if (!isSubmit && !emailWarning) return true;
+    
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    
+    if (value === '') {
+        if (emailWarning) {
+            emailWarning.textContent = 'Email is required';
+            emailWarning.style.display = 'block';
+        }
+        return false;
+    } else if (!emailRegex.test(value)) {
+        if (emailWarning) {
+            emailWarning.textContent = 'Please enter a valid email address (e.g., user@example.com)';
+            emailWarning.style.display = 'block';
+        }
+        return false;
+    } else {
+        if (emailWarning) {
+            emailWarning.style.display = 'none';
+        }
+        return true;
+    }
+}
+
+// Validate Phone Number (10 digits)
+function validatePhone(isSubmit = false) {
+    const phoneInput = document.getElementById('phone');
+    const phoneWarning = document.getElementById('phoneWarning');
+    const value = phoneInput.value.trim();
+    
+    if (!isSubmit && !phoneWarning) return true;
+    
+    const phoneRegex = /^[0-9]{10}$/;
+    
+    if (value === '') {
+        if (phoneWarning) {
+            phoneWarning.textContent = 'Phone number is required';
+            phoneWarning.style.display = 'block';
+        }
+        return false;
+    } else if (!phoneRegex.test(value)) {
+        if (phoneWarning) {
+            phoneWarning.textContent = 'Please enter a valid 10-digit phone number';
+            phoneWarning.style.display = 'block';
+        }
+        return false;
+    } else {
+        if (phoneWarning) {
+            phoneWarning.style.display = 'none';
+        }
+        return true;
+    }
+}
+
+// Validate Address
+function validateAddress(isSubmit = false) {
+    const addressInput = document.getElementById('address');
+    const addressWarning = document.getElementById('addressWarning');
+    const value = addressInput.value.trim();
+    
+    if (!isSubmit && !addressWarning) return true;
+    
+    if (value === '') {
+        if (addressWarning) {
+            addressWarning.textContent = 'Address is required';
+            addressWarning.style.display = 'block';
+        }
+        return false;
+    } else if (value.length < 5 || value.length > 100) {
+        if (addressWarning) {
+            addressWarning.textContent = 'Address should be between 5-100 characters';
+            addressWarning.style.display = 'block';
+        }
+        return false;
+    } else {
+        if (addressWarning) {
+            addressWarning.style.display = 'none';
+        }
+        return true;
+    }
+}
+
+// Validate Username
+function validateUsername(isSubmit = false) {
+    const usernameInput = document.getElementById('username');
+    const usernameWarning = document.getElementById('usernameWarning');
+    const value = usernameInput.value.trim();
+    
+    if (!isSubmit && !usernameWarning) return true;
+    
+    const usernameRegex = /^[a-zA-Z0-9_]{3,20}$/;
+    
+    if (value === '') {
+        if (usernameWarning) {
+            usernameWarning.textContent = 'Username is required';
+            usernameWarning.style.display = 'block';
+        }
+        return false;
+    } else if (!usernameRegex.test(value)) {
+        if (usernameWarning) {
+            usernameWarning.textContent = 'Username should be 3-20 characters (letters, numbers, and underscore only)';
+            usernameWarning.style.display = 'block';
+        }
+        return false;
+    } else {
+        if (usernameWarning) {
+            usernameWarning.style.display = 'none';
+        }
+        return true;
+    }
+}
+
+// Validate Password
+function validatePassword(isSubmit = false) {
+    const passwordInput = document.getElementById('password');
+    const passwordWarning = document.getElementById('passwordWarning');
+    const value = passwordInput.value;
+    
+    if (!isSubmit && !passwordWarning) return true;
+    
+    if (value === '') {
+        if (passwordWarning) {
+            passwordWarning.textContent = 'Password is required';
+            passwordWarning.style.display = 'block';
+        }
+        return false;
+    } else if (value.length < 6) {
+        if (passwordWarning) {
+            passwordWarning.textContent = 'Password must be at least 6 characters long';
+            passwordWarning.style.display = 'block';
+        }
+        return false;
+    } else if (value.length > 50) {
+        if (passwordWarning) {
+            passwordWarning.textContent = 'Password should not exceed 50 characters';
+            passwordWarning.style.display = 'block';
+        }
+        return false;
+    } else {
+        if (passwordWarning) {
+            passwordWarning.style.display = 'none';
+        }
+        return true;
+    }
+}
+
+// Validate Restaurant Name
+function validateRestaurantName(isSubmit = false) {
+    const restaurantInput = document.getElementById('restaurantName');
+    const restaurantWarning = document.getElementById('restaurantNameWarning');
+    
+    if (!restaurantInput) return true;
+    
+    const value = restaurantInput.value.trim();
+    
+    if (!isSubmit && !restaurantWarning) return true;
+    
+    if (value === '') {
+        if (restaurantWarning) {
+            restaurantWarning.textContent = 'Restaurant name is required';
+            restaurantWarning.style.display = 'block';
+        }
+        return false;
+    } else if (value.length < 3 || value.length > 50) {
+        if (restaurantWarning) {
+            restaurantWarning.textContent = 'Restaurant name should be between 3-50 characters';
+            restaurantWarning.style.display = 'block';
+        }
+        return false;
+    } else {
+        if (restaurantWarning) {
+            restaurantWarning.style.display = 'none';
+        }
+        return true;
+    }
+}
+
+// Validate Cuisine Type
+function validateCuisine(isSubmit = false) {
+    const cuisineInput = document.getElementById('cuisine');
+    const cuisineWarning = document.getElementById('cuisineWarning');
+    
+    if (!cuisineInput) return true;
+    
+    const value = cuisineInput.value.trim();
+    
+    if (!isSubmit && !cuisineWarning) return true;
+    
+    const cuisineRegex = /^[a-zA-Z\s,]{3,50}$/;
+    
+    if (value === '') {
+        if (cuisineWarning) {
+            cuisineWarning.textContent = 'Cuisine type is required';
+            cuisineWarning.style.display = 'block';
+        }
+        return false;
+    } else if (!cuisineRegex.test(value)) {
+        if (cuisineWarning) {
+            cuisineWarning.textContent = 'Cuisine should contain only letters and commas (3-50 characters)';
+            cuisineWarning.style.display = 'block';
+        }
+        return false;
+    } else {
+        if (cuisineWarning) {
+            cuisineWarning.style.display = 'none';
+        }
+        return true;
+    }
+}
+
+// Validate Driving Licence Number
+function validateLicenceNumber(isSubmit = false) {
+    const licenceInput = document.getElementById('licenceNumber');
+    const licenceWarning = document.getElementById('licenceNumberWarning');
+    
+    if (!licenceInput) return true;
+    
+    const value = licenceInput.value.trim();
+    
+    if (!isSubmit && !licenceWarning) return true;
+    
+    const licenceRegex = /^[a-zA-Z0-9\s-]{6,20}$/;
+    
+    if (value === '') {
+        if (licenceWarning) {
+            licenceWarning.textContent = 'Licence number is required';
+            licenceWarning.style.display = 'block';
+        }
+        return false;
+    } else if (!licenceRegex.test(value)) {
+        if (licenceWarning) {
+            licenceWarning.textContent = 'Licence number should contain only letters, numbers, spaces and dashes (6-20 characters)';
+            licenceWarning.style.display = 'block';
+        }
+        return false;
+    } else {
+        if (licenceWarning) {
+            licenceWarning.style.display = 'none';
+        }
+        return true;
+    }
+}
+
+// Validate ID Document Uploads
+function validateIdDocuments() {
+    const documentsInput = document.getElementById('idDocuments');
+    const documentsWarning = document.getElementById('idDocumentsWarning');
+    
+    if (!documentsInput) return true;
+    
+    const files = Array.from(documentsInput.files || []);
+    let message = '';
+    if (files.length === 0) {
+        message = 'Upload at least one ID document';
+    } else if (files.length > MAX_ID_DOCUMENTS) {
+        message = `Upload at most ${MAX_ID_DOCUMENTS} documents`;
+    } else if (files.some(file => !file.type.startsWith('image/'))) {
+        message = 'ID documents must be images';
+    }
+    
+    if (documentsWarning) {
+        documentsWarning.textContent = message;
+        documentsWarning.style.display = message ? 'block' : 'none';
+    }
+    return !message;
+}
+
+// Handle Login
+async function handleLogin(event, role) {
+    event.preventDefault();
+    const username = document.getElementById('username').value;
+    const password = document.getElementById('password').value;
+    
+    // A locked account is refused before the password is even checked
+    const throttle = getLoginThrottle(username, role);
+    if (isLoginLocked(throttle)) {
+        showToast(`Too many failed logins. Try again in ${formatLockTimeLeft(throttle)}.`, 'error');
+        return;
+    }
+    
+    const user = findRecord({ type: 'user', role, username });
+    
+    let passwordMatches;
+    try {
+        passwordMatches = user ? await verifyPassword(password, user.password) : await verifyPasswordOfUnknownUser(password);
+    } catch (error) {
+        console.error('Password check failed:', error);
+        showToast('Could not check your password. Signing in needs HTTPS or localhost.', 'error');
+        return;
+    }
+    
+    if (passwordMatches) {
+        clearLoginThrottle(username, role);
+        
+        if ((role === 'restaurant' || role === 'admin') && user.status === 'blocked') {
+            showToast('Your account has been blocked', 'error');
+            return;
+        }
+        
+        if (user.status === 'suspended') {
+            showToast('Your account has been suspended. Please contact support.', 'error');
+            return;
+        }
+        
+        if ((role === 'restaurant' || role === 'delivery') && user.status === 'pending') {
+            showToast('Your account is pending approval', 'error');
+            return;
+        }
+        
+        if (user.status === 'rejected') {
+            showToast(`Your application was rejected${user.rejectionReason ? `: ${user.rejectionReason}` : ''}`, 'error');
+            return;
+        }
+        
+        if (needsPasswordRehash(user.password)) {
+            await upgradePasswordHash(user, password);
+        }
+        
+        const rememberMe = document.getElementById('rememberMe');
+        currentUser = user;
+        startSession(currentUser, !!rememberMe && rememberMe.checked);
+        showToast('Login successful!', 'success');
+        navigateToDashboard(role);
+    } else {
+        const updated = recordFailedLogin(username, role);
+        if (isLoginLocked(updated)) {
+            showToast(`Too many failed logins. This account is locked for ${formatLockTimeLeft(updated)}.`, 'error');
+        } else {
+            showToast('Invalid credentials', 'error');
+        }
+    }
+}
+
+// Handle Register
+async function handleRegister(event, role) {
+    event.preventDefault();
+    
+    // Get all form values
+    const name = document.getElementById('name').value.trim();
+    const email = document.getElementById('email').value.trim();
+    const phone = document.getElementById('phone').value.trim();
+    const address = document.getElementById('address').value.trim();
+    const username = document.getElementById('username').value.trim();
+    const password = document.getElementById('password').value;
+    
+    // Validate all fields
+    if (!validateFullName(true) || !validateEmail(true) || !validatePhone(true) || 
+        !validateAddress(true) || !validateUsername(true) || !validatePassword(true)) {
+        showToast('Please correct the errors in the form', 'error');
+        return;
+    }
+    
+    // Check for restaurant-specific fields
+    if (role === 'restaurant') {
+        if (!validateRestaurantName(true) || !validateCuisine(true)) {
+            showToast('Please correct the errors in the form', 'error');
+            return;
+        }
+    }
+    
+    // Check for delivery partner application fields
+    if (role === 'delivery') {
+        const vehicleValid = VEHICLE_TYPES.includes(document.getElementById('vehicleType').value);
+        if (!validateLicenceNumber(true) || !validateIdDocuments() || !vehicleValid) {
+            showToast('Please correct the errors in the form', 'error');
+            return;
+        }
+    }
+    
+    const existingUser = findRecord({ type: 'user', username });
+    
+    if (existingUser) {
+        document.getElementById('usernameWarning').textContent = 'Username already exists';
+        document.getElementById('usernameWarning').style.display = 'block';
+        showToast('Username already exists', 'error');
+        return;
+    }
+    
+    let passwordHash;
+    try {
+        passwordHash = await hashPassword(password);
+    } catch (error) {
+        console.error('Password hashing failed:', error);
+        showToast('Could not secure your password. Registering needs HTTPS or localhost.', 'error');
+        return;
+    }
+    
+    const userData = {
+        type: 'user',
+        role: role,
+        username: username,
+        password: passwordHash,
+        name: name,
+        email: email,
+        phone: phone,
+        address: address,
+        status: role === 'restaurant' || role === 'delivery' ? 'pending' : 'approved'
+    };
+    
+    if (role === 'restaurant') {
+        userData.restaurantName = document.getElementById('restaurantName').value.trim();
+        userData.cuisine = document.getElementById('cuisine').value.trim();
+    }
+    
+    if (role === 'delivery') {
+        userData.vehicleType = document.getElementById('vehicleType').value;
+        userData.licenceNumber = document.getElementById('licenceNumber').value.trim().toUpperCase();
+        userData.idDocumentIds = [];
+        try {
+            for (const file of document.getElementById('idDocuments').files) {
+                userData.idDocumentIds.push(await saveImage(file, true));
+            }
+        } catch (error) {
+            console.error('Failed to save ID documents:', error);
+            userData.idDocumentIds.forEach(deleteImage);
+            showToast(`Could not save your documents: ${error.message}`, 'error');
+            return;
+        }
+    }
+    
+    let newUser;
+    try {
+        newUser = createRecord(userData);
+    } catch (error) {
+        console.error('Registration failed:', error);
+        (userData.idDocumentIds || []).forEach(deleteImage);
+        showToast(error instanceof RecordValidationError ? error.message : `Could not register: ${error.message}`, 'error');
+        return;
+    }
+    addOutboxAccount(newUser.__backendId);
+    
+    // Codes for the new email and phone number go to the outbox
+    await sendContactVerificationCode(newUser.__backendId, 'email');
+    await sendContactVerificationCode(newUser.__backendId, 'sms');
+    
+    if (role === 'delivery') {
+        showToast('Application submitted! Verify your details; you can log in once an admin has checked your documents.', 'success');
+    } else {
+        showToast('Registration successful! Verify your email and phone with the codes we sent.', 'success');
+    }
+    navigateToVerifyContact(newUser.__backendId, role);
+}
+
+// Navigate to Dashboard
+function navigateToDashboard(role) {
+    switch(role) {
+        case 'admin':
+            renderAdminDashboard();
+            break;
+        case 'restaurant':
+            renderRestaurantDashboard();
+            break;
+        case 'customer':
+            renderCustomerDashboard();
+            break;
+        case 'delivery':
+            renderDeliveryDashboard();
+            break;
+    }
+    
+    // Update chatbot for the new user role
+    setTimeout(() => {
+        updateChatbotForCurrentUser();
+    }, 100);
+}
+
+// Render Admin Dashboard
+function renderAdminDashboard() {
+    currentView = 'admin-dashboard';
+    currentSection = 'overview';
+    const app = document.getElementById('app');
+    
+    const restaurantCount = countRecords({ type: 'user', role: 'restaurant' });
+    const deliveryPartnerCount = countRecords({ type: 'user', role: 'delivery' });
+    const customerCount = countRecords({ type: 'user', role: 'customer' });
+    const orderCount = countRecords({ type: 'order' });
+    // Work waiting in a section, shown as a badge next to it
+    const pendingCounts = {
+        images: countRecords({ type: 'food', imageApprovalStatus: 'pending' }),
+        delivery: countRecords({ type: 'user', role: 'delivery', status: 'pending' })
+    };
+    
+    // Only the sections the admin's level allows
+    const menuItems = ADMIN_SECTIONS.filter(section => canOpenAdminSection(section.id)).map(section => `
+        <li ${section.id === 'overview' ? 'class="active"' : ''} onclick="showAdminSection('${section.id}')">${section.label}${pendingCounts[section.id] > 0 ? ` <span style="background: #ef4444; color: white; padding: 0.125rem 0.5rem; border-radius: 12px; margin-left: 0.5rem; font-size: 0.75rem;">${pendingCounts[section.id]}</span>` : ''}</li>
+    `).join('');
+    
+    app.innerHTML = `
+        <div class="dashboard">
+            <div class="sidebar">
+                <div class="sidebar-header">
+                    <h2>Admin Panel</h2>
+                    <p>${currentUser.name} · ${ADMIN_LEVEL_LABELS[currentUser.adminLevel] || 'Admin'}</p>
+                </div>
+                <ul class="sidebar-menu">
+                    ${menuItems}
+                    <li onclick="logout()">🚪 Logout</li>
+                </ul>
+            </div>
+            <div class="main-content">
+                <div class="content-header">
+                    <h1>Dashboard Overview</h1>
+                    <p>Manage your platform</p>
+                </div>
+                <div class="content-body" id="adminContent">
+                    <div class="stats-grid">
+                        <div class="stat-card">
+                            <div class="stat-header">
+                                <span class="stat-label">Restaurants</span>
+                                <span class="stat-icon">🍽️</span>
+                            </div>
+                            <div class="stat-value">${restaurantCount}</div>
+                        </div>
+                        <div class="stat-card">
+                            <div class="stat-header">
+                                <span class="stat-label">Delivery Partners</span>
+                                <span class="stat-icon">🏍️</span>
+                            </div>
+                            <div class="stat-value">${deliveryPartnerCount}</div>
+                        </div>
+                        <div class="stat-card">
+                            <div class="stat-header">
+                                <span class="stat-label">Customers</span>
+                                <span class="stat-icon">👥</span>
+                            </div>
+                            <div class="stat-value">${customerCount}</div>
+                        </div>
+                        <div class="stat-card">
+                            <div class="stat-header">
+                                <span class="stat-label">Total Orders</span>
+                                <span class="stat-icon">📦</span>
+                            </div>
+                            <div class="stat-value">${orderCount}</div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// Show Admin Section
+function showAdminSection(section) {
+    if (!canOpenAdminSection(section)) {
+        showToast('Your admin level does not include this section', 'error');
+        return;
+    }
+    
+    currentSection = section;
+    document.querySelectorAll('.sidebar-menu li').forEach(li => li.classList.remove('active'));
+    event.target.classList.add('active');
+    
+    const content = document.getElementById('adminContent');
+    
+    switch(section) {
+        case 'overview':
+            const restaurantCount = countRecords({ type: 'user', role: 'restaurant' });
+            const deliveryPartnerCount = countRecords({ type: 'user', role: 'delivery' });
+            const customerCount = countRecords({ type: 'user', role: 'customer' });
+            const orderCount = countRecords({ type: 'order' });
+            
+            content.innerHTML = `
+                <div class="stats-grid">
+                    <div class="stat-card">
+                        <div class="stat-header">
+                            <span class="stat-label">Restaurants</span>
+                            <span class="stat-icon">🍽️</span>
+                        </div>
+                        <div class="stat-value">${restaurantCount}</div>
+                    </div>
+                    <div class="stat-card">
+                        <div class="stat-header">
+                            <span class="stat-label">Delivery Partners</span>
+                            <span class="stat-icon">🏍️</span>
+                        </div>
+                        <div class="stat-value">${deliveryPartnerCount}</div>
+                    </div>
+                    <div class="stat-card">
+                        <div class="stat-header">
+                            <span class="stat-label">Customers</span>
+                            <span class="stat-icon">👥</span>
+                        </div>
+                        <div class="stat-value">${customerCount}</div>
+                    </div>
+                    <div class="stat-card">
+                        <div class="stat-header">
+                            <span class="stat-label">Total Orders</span>
+                            <span class="stat-icon">📦</span>
+                        </div>
+                        <div class="stat-value">${orderCount}</div>
+                    </div>
+                </div>
+            `;
+            break;
+            
+        case 'restaurants':
+            renderRestaurantsManagement(content);
+            break;
+            
+        case 'delivery':
+            renderDeliveryPartnersManagement(content);
+            break;
+            
+        case 'images':
+            renderImageApprovals(content);
+            break;
+            
+        case 'orders':
+            renderAllOrders(content);
+            break;
+            
+        case 'users':
+            renderUsersManagement(content);
+            break;
+            
+        case 'bin':
+            renderRecycleBin(content);
+            break;
+            
+        case 'health':
+            renderDataHealth(content);
+            break;
+            
+        case 'backup':
+            renderBackupManagement(content);
+            break;
+            
+        case 'fixtures':
+            renderTestScenarios(content);
+            break;
+            
+        case 'admins':
+            renderAdminAccounts(content);
+            break;
+            
+        case 'sessions':
+            renderUserSessions(content);
+            break;
+    }
+}
+
+// Render Image Approvals
+function renderImageApprovals(container) {
+    const pendingImages = queryRecords({ type: 'food', imageApprovalStatus: 'pending' });
+    
+    if (pendingImages.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state-icon">🖼️</div>
+                <h3>No Pending Image Approvals</h3>
+                <p>All food images have been reviewed</p>
+            </div>
+        `;
+        return;
+    }
+    
+    let imageCards = '';
+    pendingImages.forEach(food => {
+        const restaurant = getRecordById(food.restaurantId);
+        
+        imageCards += `
+            <div class="food-card">
+                <div class="food-image" style="display: flex; align-items: center; justify-content: center;">
+                    ${hasFoodImage(food) ? foodImageTag(food, 'full', 'max-width: 100%; max-height: 100%; object-fit: contain;') : '<span style="font-size: 3rem;">🍽️</span>'}
+                </div>
+                <div class="food-info">
+                    <div class="food-name">${food.name}</div>
+                    <div class="food-restaurant">${restaurant?.restaurantName || 'Unknown Restaurant'}</div>
+                    <div class="food-price">₹${food.price}</div>
+                    <div style="margin-bottom: 1rem;">
+                        <span class="status-badge status-pending">Pending Approval</span>
+                    </div>
+                    <p style="font-size: 0.875rem; color: #666; margin-bottom: 1rem;">${food.description}</p>
+                    <div class="food-actions">
+                        <button class="btn-small btn-approve" onclick="approveImage('${food.__backendId}')">Approve</button>
+                        <button class="btn-small btn-block" onclick="rejectImage('${food.__backendId}')">Reject</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    });
+    
+    container.innerHTML = `
+        <div style="margin-bottom: 2rem;">
+            <h3 style="font-size: 1.5rem; color: #333; margin-bottom: 0.5rem;">Pending Image Approvals</h3>
+            <p style="color: #666;">Review and approve food images before they appear to customers</p>
+        </div>
+        <div class="food-grid">
+            ${imageCards}
+        </div>
+    `;
+}
+
+// Approve Image
+function approveImage(foodId) {
+    const food = getRecordById(foodId);
+    if (food && authorize('food:review-image', food)) {
+        food.imageApprovalStatus = 'approved';
+        updateRecord(food);
+        showToast('Image approved successfully', 'success');
+    }
+}
+
+// Reject Image
+function rejectImage(foodId) {
+    const food = getRecordById(foodId);
+    if (food && authorize('food:review-image', food)) {
+        food.imageApprovalStatus = 'rejected';
+        const rejectedImageId = food.imageId;
+        food.imageUrl = '';
+        delete food.imageId;
+        updateRecord(food);
+        deleteImage(rejectedImageId);
+        showToast('Image rejected successfully', 'success');
+    }
+}
+
+// Render Delivery Partners Management
+function renderDeliveryPartnersManagement(container) {
+    const deliveryPartners = queryRecords({ type: 'user', role: 'delivery' });
+    const applications = deliveryPartners.filter(partner => partner.status === 'pending')
+        .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+    
+    let applicationRows = '';
+    applications.forEach(partner => {
+        applicationRows += `
+            <tr>
+                <td>${partner.name}<br><small style="color: #64748b;">${partner.username}</small></td>
+                <td>${partner.phone}</td>
+                <td>${VEHICLE_TYPE_LABELS[partner.vehicleType] || '-'}</td>
+                <td>${partner.licenceNumber || '-'}</td>
+                <td>${renderIdDocumentThumbnails(partner)}</td>
+                <td>${partner.createdAt ? new Date(partner.createdAt).toLocaleDateString() : '-'}</td>
+                <td>
+                    <button class="btn-small btn-approve" onclick="approveDeliveryPartner('${partner.__backendId}')">
+                        Approve
+                    </button>
+                    <button class="btn-small btn-block" onclick="openRejectDeliveryPartnerModal('${partner.__backendId}')">
+                        Reject
+                    </button>
+                </td>
+            </tr>
+        `;
+    });
+    
+    let tableRows = '';
+    deliveryPartners.forEach(partner => {
+        const assignedOrders = queryRecords({ type: 'order', deliveryPartnerId: partner.__backendId });
+        const status = partner.status || 'approved';
+        
+        const activeDeliveries = assignedOrders.filter(o => o.orderStatus === 'out-for-delivery').length;
+        const completedDeliveries = assignedOrders.filter(o => o.orderStatus === 'delivered').length;
+        const totalEarnings = completedDeliveries * 50;
+        
+        tableRows += `
+            <tr>
+                <td>${partner.name}</td>
+                <td>${partner.username}</td>
+                <td>${partner.phone}</td>
+                <td>${partner.email}</td>
+                <td>${VEHICLE_TYPE_LABELS[partner.vehicleType] || '-'}</td>
+                <td>
+                    <span style="color: #f59e0b; font-weight: 600;">${activeDeliveries}</span>
+                </td>
+                <td>
+                    <span style="color: #10b981; font-weight: 600;">${completedDeliveries}</span>
+                </td>
+                <td>
+                    <span style="color: #667eea; font-weight: 600;">₹${totalEarnings}</span>
+                </td>
+                <td>
+                    <span class="status-badge status-${status}">
+                        ${status.toUpperCase()}
+                    </span>
+                    ${status === 'rejected' && partner.rejectionReason ? `<br><small style="color: #64748b;">${partner.rejectionReason}</small>` : ''}
+                </td>
+                <td>
+                    ${status === 'approved' ? `
+                        <button class="btn-small btn-block" onclick="suspendDeliveryPartner('${partner.__backendId}')">
+                            Suspend
+                        </button>
+                    ` : ''}
+                    ${status === 'suspended' ? `
+                        <button class="btn-small btn-approve" onclick="reinstateDeliveryPartner('${partner.__backendId}')">
+                            Reinstate
+                        </button>
+                    ` : ''}
+                    ${status === 'rejected' ? `
+                        <button class="btn-small btn-approve" onclick="approveDeliveryPartner('${partner.__backendId}')">
+                            Approve
+                        </button>
+                    ` : ''}
+                </td>
+            </tr>
+        `;
+    });
+    
+    container.innerHTML = `
+        <div class="data-table" style="margin-bottom: 1.5rem;">
+            <div class="table-header">
+                <h3>🪪 Applications Awaiting Review (${applications.length})</h3>
+            </div>
+            ${applications.length > 0 ? `
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Applicant</th>
+                            <th>Phone</th>
+                            <th>Vehicle</th>
+                            <th>Licence Number</th>
+                            <th>ID Documents</th>
+                            <th>Applied</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${applicationRows}
+                    </tbody>
+                </table>
+            ` : `
+                <div class="empty-state">
+                    <p>No applications are waiting for review</p>
+                </div>
+            `}
+        </div>
+        <div class="data-table">
+            <div class="table-header">
+                <h3>Delivery Partners Management</h3>
+            </div>
+            ${deliveryPartners.length > 0 ? `
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Name</th>
+                            <th>Username</th>
+                            <th>Phone</th>
+                            <th>Email</th>
+                            <th>Vehicle</th>
+                            <th>Active Deliveries</th>
+                            <th>Completed</th>
+                            <th>Earnings</th>
+                            <th>Status</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${tableRows}
+                    </tbody>
+                </table>
+            ` : `
+                <div class="empty-state">
+                    <div class="empty-state-icon">🏍️</div>
+                    <h3>No Delivery Partners Yet</h3>
+                    <p>No delivery partners have registered yet</p>
+                </div>
+            `}
+        </div>
+    `;
+}
+
+// Thumbnails of a delivery partner's ID documents; each opens the full-size photo
+function renderIdDocumentThumbnails(partner) {
+    const documentIds = partner.idDocumentIds || [];
+    if (documentIds.length === 0) {
+        return '<span style="color: #ef4444;">None uploaded</span>';
+    }
+    
+    return documentIds.map((imageId, index) => imageTag(imageId, 'thumb',
+        `alt="ID document ${index + 1}" title="View document ${index + 1}" onclick="viewIdDocument('${partner.__backendId}', ${index})" style="width: 48px; height: 48px; object-fit: cover; border-radius: 4px; cursor: pointer; margin-right: 0.25rem;"`
+    )).join('');
+}
+
+// Show one ID document full size
+function viewIdDocument(partnerId, index) {
+    const partner = getRecordById(partnerId);
+    const imageId = partner && (partner.idDocumentIds || [])[index];
+    if (!imageId) return;
+    
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+        <div class="modal-content modal-lg">
+            <div class="modal-header">
+                <h2>🪪 ${partner.name} - Document ${index + 1} of ${partner.idDocumentIds.length}</h2>
+                <button class="close-modal" onclick="this.closest('.modal').remove()">×</button>
+            </div>
+            <div class="modal-body" style="text-align: center;">
+                ${imageTag(imageId, 'full', `alt="ID document ${index + 1}" style="max-width: 100%; max-height: 70vh; object-fit: contain;"`)}
+                <p style="color: #64748b; margin-top: 1rem;">Licence number: <strong>${partner.licenceNumber || '-'}</strong></p>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+// Status change, toast and the email sent to the partner for each review action
+const DELIVERY_REVIEW_ACTIONS = {
+    approve: {
+        status: 'approved',
+        toast: 'Delivery partner approved',
+        subject: 'Your delivery partner application was approved',
+        body: partner => `Hi ${partner.name},\n\nYour documents have been checked. You can now log in to ${config.app_title} and start accepting deliveries.`
+    },
+    reject: {
+        status: 'rejected',
+        toast: 'Application rejected',
+        subject: 'Your delivery partner application was not approved',
+        body: partner => `Hi ${partner.name},\n\nWe could not approve your application.\nReason: ${partner.rejectionReason}`
+    },
+    suspend: {
+        status: 'suspended',
+        toast: 'Delivery partner suspended and signed out',
+        subject: 'Your delivery partner account was suspended',
+        body: partner => `Hi ${partner.name},\n\nYour ${config.app_title} delivery partner account has been suspended. Please contact support.`
+    },
+    reinstate: {
+        status: 'approved',
+        toast: 'Delivery partner reinstated',
+        subject: 'Your delivery partner account was reinstated',
+        body: partner => `Hi ${partner.name},\n\nYour account is active again. You can log in and accept deliveries.`
+    }
+};
+
+/**
+ * Apply an admin review action to a delivery partner and email them the outcome
+ * @param {String} partnerId - Delivery partner's user ID
+ * @param {String} action - Key of DELIVERY_REVIEW_ACTIONS
+ * @param {String} reason - Rejection reason (reject only)
+ * @returns {Boolean} Whether the change was saved
+ */
+function reviewDeliveryPartner(partnerId, action, reason = null) {
+    const partner = getRecordById(partnerId);
+    if (!partner || !authorize('delivery:review', partner)) return false;
+    
+    const review = DELIVERY_REVIEW_ACTIONS[action];
+    const updated = {
+        ...partner,
+        status: review.status,
+        rejectionReason: action === 'reject' ? reason : null,
+        reviewedAt: Date.now(),
+        reviewedBy: currentUser.__backendId
+    };
+    
+    runTransaction(tx => {
+        tx.update(updated);
+        // Orders a suspended partner was carrying go back to the ready queue for another rider
+        if (action === 'suspend') {
+            queryRecords({ type: 'order', deliveryPartnerId: partnerId, orderStatus: 'out-for-delivery' }).forEach(order => {
+                tx.update({ ...order, deliveryPartnerId: null, orderStatus: 'ready' });
+            });
+        }
+        sendOutboxMessage({
+            channel: 'email',
+            to: partner.email,
+            recipientId: partner.__backendId,
+            subject: review.subject,
+            body: review.body(updated)
+        }, tx);
+    });
+    
+    // A suspended partner is signed out on every tab of this browser at once
+    if (action === 'suspend') {
+        endUserSessions(partner.__backendId);
+    }
+    showToast(review.toast, 'success');
+    return true;
+}
+
+// Approve a Delivery Partner application (or a previously rejected one)
+function approveDeliveryPartner(partnerId) {
+    reviewDeliveryPartner(partnerId, 'approve');
+}
+
+// Open the reject-with-reason form for a delivery partner application
+function openRejectDeliveryPartnerModal(partnerId) {
+    const partner = getRecordById(partnerId);
+    if (!partner) return;
+    
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2>Reject ${partner.name}</h2>
+                <button class="close-modal" onclick="this.closest('.modal').remove()">×</button>
+            </div>
+            <div class="modal-body">
+                <form onsubmit="handleRejectDeliveryPartner(event, '${partner.__backendId}')">
+                    <div class="form-group">
+                        <label for="rejectionReason">Reason (sent to the applicant)</label>
+                        <textarea id="rejectionReason" rows="3" placeholder="e.g., The licence photo is unreadable." required></textarea>
+                    </div>
+                    <button type="submit" class="btn btn-primary">Reject Application</button>
+                </form>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+// Handle Reject Delivery Partner
+function handleRejectDeliveryPartner(event, partnerId) {
+    event.preventDefault();
+    const reason = document.getElementById('rejectionReason').value.trim();
+    if (!reason) {
+        showToast('Please give a reason', 'error');
+        return;
+    }
+    
+    if (reviewDeliveryPartner(partnerId, 'reject', reason)) {
+        event.target.closest('.modal').remove();
+    }
+}
+
+// Suspend an approved Delivery Partner
+function suspendDeliveryPartner(partnerId) {
+    const partner = getRecordById(partnerId);
+    if (!partner) return;
+    
+    const activeDeliveries = countRecords({ type: 'order', deliveryPartnerId: partnerId, orderStatus: 'out-for-delivery' });
+    const warning = activeDeliveries > 0 ? ` Their ${activeDeliveries} order${activeDeliveries === 1 ? '' : 's'} out for delivery will go back to the ready queue.` : '';
+    if (!confirm(`Suspend ${partner.name}? They will be signed out and can't accept deliveries.${warning}`)) return;
+    
+    reviewDeliveryPartner(partnerId, 'suspend');
+}
+
+// Reinstate a suspended Delivery Partner
+function reinstateDeliveryPartner(partnerId) {
+    reviewDeliveryPartner(partnerId, 'reinstate');
+}
+
+// Render Restaurants Management
+function renderRestaurantsManagement(container) {
+    const restaurants = queryRecords({ type: 'user', role: 'restaurant' });
+    
+    let tableRows = '';
+    restaurants.forEach(restaurant => {
+        tableRows += `
+            <tr>
+                <td>${restaurant.restaurantName}</td>
+                <td>${restaurant.name}</td>
+                <td>${restaurant.cuisine}</td>
+                <td>${restaurant.phone}</td>
+                <td>
+                    <span class="status-badge status-${restaurant.status}">
+                        ${restaurant.status.toUpperCase()}
+                    </span>
+                </td>
+                <td>
+                    ${restaurant.status === 'pending' ? `
+                        <button class="btn-small btn-approve" onclick="approveRestaurant('${restaurant.__backendId}')">
+                            Approve
+                        </button>
+                    ` : ''}
+                    ${restaurant.status === 'approved' ? `
+                        <button class="btn-small btn-block" onclick="blockRestaurant('${restaurant.__backendId}')">
+                            Block
+                        </button>
+                    ` : ''}
+                    ${restaurant.status === 'blocked' ? `
+                        <button class="btn-small btn-approve" onclick="approveRestaurant('${restaurant.__backendId}')">
+                            Unblock
+                        </button>
+                    ` : ''}
+                </td>
+            </tr>
+        `;
+    });
     
-    allData = getAllData();
+    container.innerHTML = `
+        <div class="data-table">
+            <div class="table-header">
+                <h3>Restaurants Management</h3>
+            </div>
+            ${restaurants.length > 0 ? `
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Restaurant Name</th>
+                            <th>Owner Name</th>
+                            <th>Cuisine</th>
+                            <th>Phone</th>
+                            <th>Status</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${tableRows}
+                    </tbody>
+                </table>
+            ` : `
+                <div class="empty-state">
+                    <div class="empty-state-icon">🍽️</div>
+                    <h3>No Restaurants Yet</h3>
+                    <p>No restaurants have registered yet</p>
+                </div>
+            `}
+        </div>
+    `;
 }
 
-// Initialize App
-function initApp() {
-    allData = getAllData();
-    
-    // Seed demo data (runs only once)
-    seedDemoData();
-    
-    // Check if user is logged in (from session storage)
-    const savedUser = sessionStorage.getItem('currentUser');
-    if (savedUser) {
-        currentUser = JSON.parse(savedUser);
-        navigateToDashboard(currentUser.role);
-    } else {
-        renderLandingPage();
+// Approve Restaurant
+function approveRestaurant(restaurantId) {
+    const restaurant = getRecordById(restaurantId);
+    if (restaurant && authorize('restaurant:review', restaurant)) {
+        restaurant.status = 'approved';
+        updateRecord(restaurant);
+        showToast('Restaurant approved successfully', 'success');
     }
 }
 
-// Render Landing Page
-function renderLandingPage() {
-    currentView = 'landing';
-    const app = document.getElementById('app');
-    app.innerHTML = `
-        <div class="landing-page">
-            <div class="landing-header">
-                <div class="logo-container">
-                    <span class="logo-icon">🍛</span>
-                    <span class="logo-text">${config.app_title}</span>
-                </div>
-                <p>${config.tagline}</p>
-                <div class="feature-tags">
-                    <div class="feature-tag">⚡ Fast Delivery</div>
-                    <div class="feature-tag">🍽️ Multiple Restaurants</div>
-                    <div class="feature-tag">💳 Easy Payments</div>
-                </div>
+// Block Restaurant
+function blockRestaurant(restaurantId) {
+    const restaurant = getRecordById(restaurantId);
+    if (restaurant && authorize('restaurant:review', restaurant)) {
+        restaurant.status = 'blocked';
+        updateRecord(restaurant);
+        endUserSessions(restaurant.__backendId);
+        showToast('Restaurant blocked successfully', 'success');
+    }
+}
+
+// Render All Orders
+function renderAllOrders(container) {
+    const orders = queryRecords({ type: 'order' });
+    
+    let tableRows = '';
+    orders.forEach(order => {
+        const customer = getRecordById(order.customerId);
+        const restaurant = getRecordById(order.restaurantId);
+        
+        tableRows += `
+            <tr>
+                <td>#${order.id ? order.id.slice(0, 8) : 'N/A'}</td>
+                <td>${customer?.name || missingCustomerName(order.customerId)}</td>
+                <td>${restaurant?.restaurantName || 'Unknown'}</td>
+                <td>₹${order.totalAmount}</td>
+                <td>
+                    <span class="status-badge status-${order.orderStatus}">
+                        ${order.orderStatus.toUpperCase()}
+                    </span>
+                </td>
+                <td>${new Date(order.timestamp).toLocaleString()}</td>
+            </tr>
+        `;
+    });
+    
+    container.innerHTML = `
+        <div class="data-table">
+            <div class="table-header">
+                <h3>All Orders</h3>
             </div>
-            <div class="role-selection">
-                <div class="role-card" onclick="navigateToLogin('admin')">
-                    <div class="role-icon">👨‍💼</div>
-                    <h3>Admin</h3>
-                    <p>Manage restaurants, users, and orders</p>
-                </div>
-                <div class="role-card" onclick="navigateToLogin('restaurant')">
-                    <div class="role-icon">🍽️</div>
-                    <h3>Restaurant Owner</h3>
-                    <p>Manage menu and orders</p>
-                </div>
-                <div class="role-card" onclick="navigateToLogin('customer')">
-                    <div class="role-icon">🛒</div>
-                    <h3>Customer</h3>
-                    <p>Browse and order food</p>
-                </div>
-                <div class="role-card" onclick="navigateToLogin('delivery')">
-                    <div class="role-icon">🏍️</div>
-                    <h3>Delivery Partner</h3>
-                    <p>Deliver orders to customers</p>
+            ${orders.length > 0 ? `
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Order ID</th>
+                            <th>Customer</th>
+                            <th>Restaurant</th>
+                            <th>Amount</th>
+                            <th>Status</th>
+                            <th>Date</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${tableRows}
+                    </tbody>
+                </table>
+            ` : `
+                <div class="empty-state">
+                    <div class="empty-state-icon">📦</div>
+                    <h3>No Orders Yet</h3>
+                    <p>No orders have been placed yet</p>
                 </div>
-            </div>
+            `}
         </div>
     `;
 }
 
-// Navigate to Login
-function navigateToLogin(role) {
-    currentView = `login-${role}`;
-    const app = document.getElementById('app');
+// Render Users Management
+function renderUsersManagement(container) {
+    const users = queryRecords({ type: 'user' }, user => user.role !== 'restaurant' && user.role !== 'admin');
     
-    const roleNames = {
-        admin: 'Admin',
-        restaurant: 'Restaurant Owner',
-        customer: 'Customer',
-        delivery: 'Delivery Partner'
-    };
+    let tableRows = '';
+    users.forEach(user => {
+        tableRows += `
+            <tr>
+                <td>${user.name}</td>
+                <td>${user.username}</td>
+                <td>${user.role.toUpperCase()}</td>
+                <td>${user.email}</td>
+                <td>${user.phone}</td>
+                <td>${user.address}</td>
+                <td>
+                    <button class="btn-small btn-info" onclick="viewCustomerDetails('${user.__backendId}')">View</button>
+                </td>
+            </tr>
+        `;
+    });
     
-    app.innerHTML = `
-        <div class="login-page">
-            <div class="login-container">
-                <div class="login-header">
-                    <h2>${roleNames[role]} Login</h2>
-                    <p>${config.app_title}</p>
-                </div>
-                <form id="loginForm" onsubmit="handleLogin(event, '${role}')">
-                    <div class="form-group">
-                        <label for="username">Username</label>
-                        <input type="text" id="username" required>
-                    </div>
-                    <div class="form-group">
-                        <label for="password">Password</label>
-                        <input type="password" id="password" required>
-                    </div>
-                    <button type="submit" class="btn btn-primary">
-                        Login
-                    </button>
-                    ${role === 'customer' || role === 'restaurant' || role === 'delivery' ? `
-                        <div class="register-link">
-                            Don't have an account? <a href="#" onclick="navigateToRegister('${role}'); return false;">Register</a>
-                        </div>
-                        <div class="forgot-password-link">
-                            <a href="#" onclick="navigateToForgotPassword('${role}'); return false;">Forgot Password?</a>
-                        </div>
-                    ` : ''}
-                    <button type="button" class="btn btn-secondary" onclick="renderLandingPage()">
-                        Back
-                    </button>
-                </form>
+    container.innerHTML = `
+        ${renderLockedAccounts()}
+        <div class="data-table">
+            <div class="table-header">
+                <h3>Users Management</h3>
             </div>
+            ${users.length > 0 ? `
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Name</th>
+                            <th>Username</th>
+                            <th>Role</th>
+                            <th>Email</th>
+                            <th>Phone</th>
+                            <th>Address</th>
+                            <th>Action</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${tableRows}
+                    </tbody>
+                </table>
+            ` : `
+                <div class="empty-state">
+                    <div class="empty-state-icon">👥</div>
+                    <h3>No Users Yet</h3>
+                    <p>No users have registered yet</p>
+                </div>
+            `}
         </div>
     `;
 }
 
-// Navigate to Register
-function navigateToRegister(role) {
-    currentView = `register-${role}`;
-    const app = document.getElementById('app');
-    
-    const roleNames = {
-        restaurant: 'Restaurant Owner',
-        customer: 'Customer',
-        delivery: 'Delivery Partner'
-    };
+// View Customer Details (Admin can see updated profile)
+function viewCustomerDetails(userId) {
+    const user = getRecordById(userId);
     
-    let extraFields = '';
-    if (role === 'restaurant') {
-        extraFields = `
-            <div class="form-group">
-                <label for="restaurantName">Restaurant Name</label>
-                <input type="text" id="restaurantName" oninput="validateRestaurantName()" required>
-                <small class="warning-message" id="restaurantNameWarning" style="display:none;"></small>
-            </div>
-            <div class="form-group">
-                <label for="cuisine">Cuisine Type</label>
-                <input type="text" id="cuisine" placeholder="e.g., Italian, Chinese, Indian" oninput="validateCuisine()" required>
-                <small class="warning-message" id="cuisineWarning" style="display:none;"></small>
-            </div>
-        `;
+    if (!user) {
+        showToast('User not found', 'error');
+        return;
     }
     
-    app.innerHTML = `
-        <div class="login-page">
-            <div class="login-container">
-                <div class="login-header">
-                    <h2>${roleNames[role]} Registration</h2>
-                    <p>${config.app_title}</p>
-                </div>
-                <form id="registerForm" onsubmit="handleRegister(event, '${role}')">
-                    <div class="form-group">
-                        <label for="name">Full Name</label>
-                        <input type="text" id="name" placeholder="e.g., John Doe" oninput="validateFullName()" required>
-                        <small class="warning-message" id="nameWarning" style="display:none;"></small>
+    const profilePicture = profilePictureTag(user, 'full', 'alt="Profile Picture" class="admin-profile-picture"');
+    
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+        <div class="modal-content modal-lg">
+            <div class="modal-header">
+                <h2>Customer Profile Details</h2>
+                <button class="close-modal" onclick="this.closest('.modal').remove()">×</button>
+            </div>
+            <div class="modal-body">
+                ${profilePicture ? `
+                    <div style="margin-bottom: 1.5rem; text-align: center;">
+                        ${profilePicture}
                     </div>
-                    <div class="form-group">
-                        <label for="email">Email</label>
-                        <input type="email" id="email" placeholder="e.g., user@example.com" oninput="validateEmail()" required>
-                        <small class="warning-message" id="emailWarning" style="display:none;"></small>
+                ` : ''}
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1.5rem;">
+                    <div>
+                        <label style="display: block; font-weight: 700; color: #64748b; font-size: 0.8125rem; text-transform: uppercase; margin-bottom: 0.5rem;">Full Name</label>
+                        <p style="color: #1e293b; font-weight: 600;">${user.name}</p>
                     </div>
-                    <div class="form-group">
-                        <label for="phone">Phone Number</label>
-                        <input type="tel" id="phone" placeholder="e.g., 1234567890" oninput="validatePhone()" required>
-                        <small class="warning-message" id="phoneWarning" style="display:none;"></small>
+                    
+                    <div>
+                        <label style="display: block; font-weight: 700; color: #64748b; font-size: 0.8125rem; text-transform: uppercase; margin-bottom: 0.5rem;">Username</label>
+                        <p style="color: #1e293b; font-weight: 600;">${user.username}</p>
                     </div>
-                    ${extraFields}
-                    <div class="form-group">
-                        <label for="address">Address</label>
-                        <input type="text" id="address" placeholder="e.g., 123 Main St, City" oninput="validateAddress()" required>
-                        <small class="warning-message" id="addressWarning" style="display:none;"></small>
+                    
+                    <div>
+                        <label style="display: block; font-weight: 700; color: #64748b; font-size: 0.8125rem; text-transform: uppercase; margin-bottom: 0.5rem;">Email</label>
+                        <p style="color: #1e293b; font-weight: 600;">${user.email} ${contactVerifiedBadge(user, 'email')}</p>
                     </div>
-                    <div class="form-group">
-                        <label for="username">Username</label>
-                        <input type="text" id="username" placeholder="e.g., john_doe123" oninput="validateUsername()" required>
-                        <small class="warning-message" id="usernameWarning" style="display:none;"></small>
+                    
+                    <div>
+                        <label style="display: block; font-weight: 700; color: #64748b; font-size: 0.8125rem; text-transform: uppercase; margin-bottom: 0.5rem;">Phone Number</label>
+                        <p style="color: #1e293b; font-weight: 600;">${user.phone} ${contactVerifiedBadge(user, 'sms')}</p>
                     </div>
-                    <div class="form-group">
-                        <label for="password">Password</label>
-                        <input type="password" id="password" placeholder="Minimum 6 characters" oninput="validatePassword()" required>
-                        <small class="warning-message" id="passwordWarning" style="display:none;"></small>
+                    
+                    <div style="grid-column: 1 / -1;">
+                        <label style="display: block; font-weight: 700; color: #64748b; font-size: 0.8125rem; text-transform: uppercase; margin-bottom: 0.5rem;">Address</label>
+                        <p style="color: #1e293b; font-weight: 600;">${user.address}</p>
                     </div>
-                    <button type="submit" class="btn btn-primary">
-                        Register
-                    </button>
-                    <button type="button" class="btn btn-secondary" onclick="navigateToLogin('${role}')">
-                        Back to Login
-                    </button>
-                </form>
+                    
+                    <div>
+                        <label style="display: block; font-weight: 700; color: #64748b; font-size: 0.8125rem; text-transform: uppercase; margin-bottom: 0.5rem;">Role</label>
+                        <p style="color: #1e293b; font-weight: 600;">${user.role.toUpperCase()}</p>
+                    </div>
+                    
+                    <div>
+                        <label style="display: block; font-weight: 700; color: #64748b; font-size: 0.8125rem; text-transform: uppercase; margin-bottom: 0.5rem;">Member Since</label>
+                        <p style="color: #1e293b; font-weight: 600;">${new Date(user.createdAt).toLocaleDateString()}</p>
+                    </div>
+                </div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-secondary" onclick="this.closest('.modal').remove()">Close</button>
             </div>
         </div>
     `;
+    
+    document.body.appendChild(modal);
 }
 
-// Navigate to Forgot Password
-function navigateToForgotPassword(role) {
-    currentView = `forgot-password-${role}`;
-    const app = document.getElementById('app');
-    
-    const roleNames = {
-        restaurant: 'Restaurant Owner',
-        customer: 'Customer',
-        delivery: 'Delivery Partner'
+// ===========================================================================================
+// ADMIN: BACKUP & RESTORE
+// ===========================================================================================
+// Exports every record, the per-user wishlists (stored separately under wishlist_<id>) and the
+// uploaded images from the image store to one versioned JSON file, and restores such a file
+// after validating it. Backups made by
+// older versions of the app are upgraded with the schema migrations before they are applied.
+// ===========================================================================================
+
+const BACKUP_FORMAT = 'zaikalok-backup';
+// Bump when the layout of the backup file itself changes
+const BACKUP_FORMAT_VERSION = 1;
+const BACKUP_RECORD_TYPES = ['user', 'food', 'promo', 'order', 'review', 'invite', 'message', 'passwordReset', 'contactVerification', 'loginThrottle', 'passwordResetThrottle', 'deniedAction'];
+const WISHLIST_KEY_PREFIX = 'wishlist_';
+
+// Validated backup waiting for the admin to choose merge or replace
+let pendingRestore = null;
+
+/**
+ * Collect every per-user wishlist from localStorage
+ * @returns {Object} userId -> array of food IDs
+ */
+function getAllWishlists() {
+    const wishlists = {};
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        keys.push(localStorage.key(i));
+    }
+    keys.forEach(key => {
+        if (!key.startsWith(WISHLIST_KEY_PREFIX)) return;
+        try {
+            wishlists[key.slice(WISHLIST_KEY_PREFIX.length)] = JSON.parse(localStorage.getItem(key)) || [];
+        } catch (error) {
+            console.warn(`Skipping unreadable wishlist ${key}`);
+        }
+    });
+    return wishlists;
+}
+
+/**
+ * Load every image referenced by the records from the image store
+ * @param {Array} records - Records to collect images for
+ * @returns {Promise<Object>} storage key -> data URL
+ */
+async function collectImages(records) {
+    const images = {};
+    const imageIds = records.flatMap(getRecordImageIds);
+    
+    for (const imageId of imageIds) {
+        for (const variant of IMAGE_VARIANTS) {
+            const dataUrl = await getImage(imageId, variant);
+            if (dataUrl) {
+                images[getImageKey(imageId, variant)] = dataUrl;
+            }
+        }
+    }
+    return images;
+}
+
+/**
+ * Build a backup of the whole platform
+ * @returns {Promise<Object>} Backup document
+ */
+async function createBackup() {
+    const records = getAllData();
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_FORMAT_VERSION,
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        records,
+        wishlists: getAllWishlists(),
+        images: await collectImages(records)
     };
+}
+
+/**
+ * Check that a parsed file is a usable backup
+ * @param {*} backup - Parsed JSON
+ * @returns {Array} List of problems; empty when the backup is valid
+ */
+function validateBackup(backup) {
+    const errors = [];
     
-    app.innerHTML = `
-        <div class="login-page">
-            <div class="login-container">
-                <div class="login-header">
-                    <h2>Forgot Password</h2>
-                    <p>${config.app_title}</p>
-                </div>
-                <form id="forgotPasswordForm" onsubmit="handleForgotPassword(event, '${role}')">
-                    <div class="form-group">
-                        <label for="username">Username</label>
-                        <input type="text" id="username" placeholder="Enter your username" required>
-                    </div>
-                    <div class="form-group">
-                        <label for="email">Email</label>
-                        <input type="email" id="email" placeholder="Enter your registered email" required>
-                    </div>
-                    <button type="submit" class="btn btn-primary">
-                        Verify Account
-                    </button>
-                    <button type="button" class="btn btn-secondary" onclick="navigateToLogin('${role}')">
-                        Back to Login
-                    </button>
-                </form>
+    if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+        return ['This is not a Zaikalok backup file'];
+    }
+    if (typeof backup.version !== 'number' || backup.version > BACKUP_FORMAT_VERSION) {
+        errors.push(`Unsupported backup format version: ${backup.version}`);
+    }
+    if (typeof backup.schemaVersion !== 'number' || backup.schemaVersion > CURRENT_SCHEMA_VERSION) {
+        errors.push('This backup was made by a newer version of the app');
+    }
+    if (!Array.isArray(backup.records)) {
+        errors.push('Backup has no records list');
+        return errors;
+    }
+    
+    const seenIds = new Set();
+    backup.records.forEach((record, index) => {
+        if (!record || typeof record !== 'object') {
+            errors.push(`Record #${index + 1} is not an object`);
+            return;
+        }
+        if (typeof record.__backendId !== 'string' || !record.__backendId) {
+            errors.push(`Record #${index + 1} has no __backendId`);
+        } else if (seenIds.has(record.__backendId)) {
+            errors.push(`Record #${index + 1} repeats ID ${record.__backendId}`);
+        } else {
+            seenIds.add(record.__backendId);
+        }
+        if (!BACKUP_RECORD_TYPES.includes(record.type)) {
+            errors.push(`Record #${index + 1} has unknown type "${record.type}"`);
+        }
+    });
+    
+    if (backup.wishlists !== undefined) {
+        const wishlistsValid = backup.wishlists && typeof backup.wishlists === 'object' &&
+            Object.values(backup.wishlists).every(list => Array.isArray(list) && list.every(id => typeof id === 'string'));
+        if (!wishlistsValid) {
+            errors.push('Wishlists must map user IDs to lists of food IDs');
+        }
+    }
+    
+    if (backup.images !== undefined) {
+        const imagesValid = backup.images && typeof backup.images === 'object' &&
+            Object.values(backup.images).every(isDataUrl);
+        if (!imagesValid) {
+            errors.push('Images must map image keys to image data URLs');
+        }
+    }
+    
+    // Long lists of problems are cut short; the first few are enough to tell what is wrong
+    return errors.length > 10 ? [...errors.slice(0, 10), `...and ${errors.length - 10} more problems`] : errors;
+}
+
+/**
+ * Check every record of a (migrated) backup against its schema
+ * @param {Array} records - Backup records at the current schema version
+ * @returns {Array} List of problems; empty when every record is valid
+ */
+function validateBackupRecords(records) {
+    const errors = [];
+    records.forEach((record, index) => {
+        const problems = validateRecord(record);
+        if (problems.length > 0) {
+            errors.push(`Record #${index + 1} (${record.type} ${record.__backendId}): ${problems.join('; ')}`);
+        }
+    });
+    return errors.length > 10 ? [...errors.slice(0, 10), `...and ${errors.length - 10} more problems`] : errors;
+}
+
+// Count records per type
+function countRecordsByType(records) {
+    const counts = {};
+    records.forEach(record => {
+        counts[record.type] = (counts[record.type] || 0) + 1;
+    });
+    return counts;
+}
+
+/**
+ * Apply a validated (and migrated) backup
+ * @param {Object} backup - Backup document
+ * @param {String} mode - 'merge' keeps current data and adds/updates from the backup,
+ *                        'replace' discards everything that is not in the backup, except the
+ *                        current admin accounts and invites (as loadScenario does)
+ */
+async function restoreBackup(backup, mode) {
+    const wishlists = backup.wishlists || {};
+    
+    // Nothing is written unless every record passes its schema
+    backup.records.forEach(assertValidRecord);
+    
+    // Images first, so restored records never point at missing images. Backups hold ID documents
+    // decrypted, so they are encrypted again here.
+    const idDocumentIds = new Set(backup.records.flatMap(record => record.idDocumentIds || []));
+    const images = await Promise.all(Object.entries(backup.images || {}).map(async ([key, dataUrl]) => ({
+        key,
+        dataUrl: await encryptImageForStorage(dataUrl, idDocumentIds.has(key.split(':')[0]))
+    })));
+    if (images.length > 0) {
+        await storageAdapter.putImages(images);
+    }
+    
+    if (mode === 'replace') {
+        // Current admins are kept (over their copy in the backup), so whoever restores can still sign in
+        const admins = getAdminRecords();
+        const adminIds = new Set(admins.map(record => record.__backendId));
+        saveData([...admins, ...backup.records.filter(record => !adminIds.has(record.__backendId))]);
+        Object.keys(getAllWishlists()).forEach(userId => localStorage.removeItem(WISHLIST_KEY_PREFIX + userId));
+        Object.entries(wishlists).forEach(([userId, list]) => {
+            localStorage.setItem(WISHLIST_KEY_PREFIX + userId, JSON.stringify(list));
+        });
+        return;
+    }
+    
+    // Merge: records in both places keep whichever copy has the higher revision (current data wins ties)
+    const merged = getAllData();
+    const positions = new Map(merged.map((record, index) => [record.__backendId, index]));
+    backup.records.forEach(record => {
+        const position = positions.get(record.__backendId);
+        if (position === undefined) {
+            merged.push(record);
+        } else if ((record.__rev || 0) > (merged[position].__rev || 0)) {
+            merged[position] = record;
+        }
+    });
+    saveData(merged);
+    
+    const currentWishlists = getAllWishlists();
+    Object.entries(wishlists).forEach(([userId, list]) => {
+        const combined = Array.from(new Set([...(currentWishlists[userId] || []), ...list]));
+        localStorage.setItem(WISHLIST_KEY_PREFIX + userId, JSON.stringify(combined));
+    });
+}
+
+// Render Backup & Restore
+function renderBackupManagement(container) {
+    const currentCounts = countRecordsByType(recordCache);
+    const wishlistCount = Object.keys(getAllWishlists()).length;
+    
+    let countRows = '';
+    BACKUP_RECORD_TYPES.forEach(type => {
+        countRows += `
+            <tr>
+                <td>${type}</td>
+                <td>${currentCounts[type] || 0}</td>
+            </tr>
+        `;
+    });
+    
+    container.innerHTML = `
+        <div class="data-table" style="margin-bottom: 1.5rem;">
+            <div class="table-header">
+                <h3>Export Backup</h3>
+                <button class="btn btn-primary" style="width: auto; padding: 0.75rem 2rem;" onclick="downloadBackup()">
+                    ⬇️ Download Backup
+                </button>
+            </div>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Record Type</th>
+                        <th>Count</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${countRows}
+                    <tr>
+                        <td>wishlists</td>
+                        <td>${wishlistCount}</td>
+                    </tr>
+                </tbody>
+            </table>
+        </div>
+        
+        <div class="data-table">
+            <div class="table-header">
+                <h3>Restore From Backup</h3>
+            </div>
+            <div style="padding: 1.5rem;">
+                <p style="color: #64748b; margin-bottom: 1rem;">
+                    Choose a backup file. You will see what it contains before anything is changed.
+                </p>
+                <input type="file" id="backupFile" accept=".json,application/json" onchange="handleBackupFileSelected()">
             </div>
         </div>
     `;
 }
 
-// Handle Forgot Password
-function handleForgotPassword(event, role) {
-    event.preventDefault();
-    const username = document.getElementById('username').value;
-    const email = document.getElementById('email').value;
+// Download a backup of the whole platform as a JSON file
+async function downloadBackup() {
+    const backup = await createBackup();
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `zaikalok-backup-${backup.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    
+    showToast(`Backup exported (${backup.records.length} records)`, 'success');
+}
+
+// Read, validate and migrate the chosen backup file, then show the restore preview
+function handleBackupFileSelected() {
+    const fileInput = document.getElementById('backupFile');
+    const file = fileInput.files[0];
     
-    allData = getAllData();
-    const user = allData.find(item => item.type === 'user' && item.role === role && item.username === username && item.email === email);
+    if (!file) return;
     
-    if (user) {
-        navigateToResetPassword(role, user.__backendId);
-    } else {
-        showToast('Username or email not found', 'error');
-    }
+    const reader = new FileReader();
+    reader.onload = async function(e) {
+        fileInput.value = '';
+        
+        let backup;
+        try {
+            backup = JSON.parse(e.target.result);
+        } catch (error) {
+            showToast('The file is not valid JSON', 'error');
+            return;
+        }
+        
+        const errors = validateBackup(backup);
+        if (errors.length > 0) {
+            showBackupErrors(errors);
+            return;
+        }
+        
+        // Upgrade backups made by older versions before previewing them. Nothing is stored yet:
+        // images split out of the records are kept with the backup until the restore is confirmed.
+        if (backup.schemaVersion < CURRENT_SCHEMA_VERSION) {
+            try {
+                const images = { ...(backup.images || {}) };
+                const result = await runMigrations(backup.records, backup.schemaVersion, images);
+                backup = { ...backup, records: result.records, schemaVersion: result.version, images };
+            } catch (error) {
+                showBackupErrors([error.message]);
+                return;
+            }
+        }
+        
+        const recordErrors = validateBackupRecords(backup.records);
+        if (recordErrors.length > 0) {
+            showBackupErrors(recordErrors);
+            return;
+        }
+        
+        pendingRestore = backup;
+        showRestorePreview(backup);
+    };
+    reader.readAsText(file);
+}
+
+// Show why a backup file can't be restored
+function showBackupErrors(errors) {
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2>Backup Can't Be Restored</h2>
+                <button class="close-modal" onclick="this.closest('.modal').remove()">×</button>
+            </div>
+            <div class="modal-body">
+                <ul style="color: #ef4444; padding-left: 1.25rem; line-height: 1.8;">
+                    ${errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}
+                </ul>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-secondary" onclick="this.closest('.modal').remove()">Close</button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
 }
 
-// Navigate to Reset Password
-function navigateToResetPassword(role, userId) {
-    currentView = `reset-password-${role}`;
-    const app = document.getElementById('app');
+// Preview record counts in the backup next to the current data and ask how to restore
+function showRestorePreview(backup) {
+    const backupCounts = countRecordsByType(backup.records);
+    const currentCounts = countRecordsByType(recordCache);
     
-    app.innerHTML = `
-        <div class="login-page">
-            <div class="login-container">
-                <div class="login-header">
-                    <h2>Reset Password</h2>
-                    <p>${config.app_title}</p>
-                </div>
-                <form id="resetPasswordForm" onsubmit="handleResetPassword(event, '${role}', '${userId}')">
-                    <div class="form-group">
-                        <label for="newPassword">New Password</label>
-                        <input type="password" id="newPassword" placeholder="Enter new password" required minlength="6">
-                    </div>
-                    <div class="form-group">
-                        <label for="confirmPassword">Confirm Password</label>
-                        <input type="password" id="confirmPassword" placeholder="Confirm new password" required minlength="6">
-                    </div>
-                    <button type="submit" class="btn btn-primary">
-                        Reset Password
-                    </button>
-                    <button type="button" class="btn btn-secondary" onclick="navigateToLogin('${role}')">
-                        Back to Login
-                    </button>
-                </form>
+    let countRows = '';
+    BACKUP_RECORD_TYPES.forEach(type => {
+        countRows += `
+            <tr>
+                <td>${type}</td>
+                <td>${currentCounts[type] || 0}</td>
+                <td>${backupCounts[type] || 0}</td>
+            </tr>
+        `;
+    });
+    
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+        <div class="modal-content modal-lg">
+            <div class="modal-header">
+                <h2>Restore Backup</h2>
+                <button class="close-modal" onclick="cancelRestore(this)">×</button>
+            </div>
+            <div class="modal-body">
+                <p style="color: #64748b; margin-bottom: 1rem;">
+                    Exported ${backup.exportedAt ? new Date(backup.exportedAt).toLocaleString() : 'at an unknown time'}
+                </p>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Record Type</th>
+                            <th>Current</th>
+                            <th>In Backup</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${countRows}
+                        <tr>
+                            <td>wishlists</td>
+                            <td>${Object.keys(getAllWishlists()).length}</td>
+                            <td>${Object.keys(backup.wishlists || {}).length}</td>
+                        </tr>
+                        <tr>
+                            <td>images</td>
+                            <td>-</td>
+                            <td>${Object.keys(backup.images || {}).length / IMAGE_VARIANTS.length}</td>
+                        </tr>
+                    </tbody>
+                </table>
+                <p style="color: #64748b; margin-top: 1rem; font-size: 0.875rem;">
+                    <strong>Merge</strong> adds the backup to the current data (the newer copy of a record wins).
+                    <strong>Replace</strong> deletes everything that is not in the backup, except the current admin accounts and invites.
+                </p>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-secondary" onclick="cancelRestore(this)">Cancel</button>
+                <button class="btn btn-primary" onclick="confirmRestore('merge')">Merge</button>
+                <button class="btn btn-primary" style="background: #ef4444;" onclick="confirmRestore('replace')">Replace All</button>
             </div>
         </div>
     `;
+    
+    document.body.appendChild(modal);
 }
 
-// Handle Reset Password
-function handleResetPassword(event, role, userId) {
-    event.preventDefault();
-    const newPassword = document.getElementById('newPassword').value;
-    const confirmPassword = document.getElementById('confirmPassword').value;
+// Close the restore preview without changing anything
+function cancelRestore(button) {
+    pendingRestore = null;
+    button.closest('.modal').remove();
+}
+
+// Apply the previewed backup
+async function confirmRestore(mode) {
+    if (!pendingRestore || !authorize('data:restore-backup')) return;
     
-    if (newPassword !== confirmPassword) {
-        showToast('Passwords do not match', 'error');
+    if (mode === 'replace' && !confirm('Replace ALL current data with this backup? This cannot be undone.')) {
         return;
     }
     
-    if (newPassword.length < 6) {
-        showToast('Password must be at least 6 characters long', 'error');
+    try {
+        await restoreBackup(pendingRestore, mode);
+    } catch (error) {
+        console.error('Restore failed:', error);
+        showToast(error instanceof StorageQuotaError || error instanceof RecordValidationError ? error.message : 'Could not restore the backup. Please try again.', 'error');
         return;
     }
     
-    allData = getAllData();
-    const user = allData.find(item => item.__backendId === userId);
-    
-    if (user) {
-        user.password = newPassword;
-        updateRecord(user);
-        showToast('Password reset successfully! Please login with your new password.', 'success');
-        navigateToLogin(role);
-    } else {
-        showToast('Error resetting password. Please try again.', 'error');
-    }
+    const recordTotal = pendingRestore.records.length;
+    pendingRestore = null;
+    document.querySelector('.modal').remove();
+    showToast(`Backup restored (${recordTotal} records, ${mode})`, 'success');
+    renderBackupManagement(document.getElementById('adminContent'));
 }
 
-// ===== REGISTRATION FORM VALIDATION FUNCTIONS =====
+// ===========================================================================================
+// ADMIN: DATA HEALTH
+// ===========================================================================================
+// Shows how much storage the platform uses (overall, per record type and per record), finds
+// orphaned data - records pointing at users or items that no longer exist, images and
+// wishlists nothing refers to - and removes it in one click.
+// ===========================================================================================
 
-// Validate Full Name (letters and spaces only)
-function validateFullName(isSubmit = false) {
-    const nameInput = document.getElementById('name');
-    const nameWarning = document.getElementById('nameWarning');
-    const value = nameInput.value.trim();
-    
-    if (!isSubmit && !nameWarning) return true;
-    
-    const nameRegex = /^[a-zA-Z\s]{2,50}$/;
+// Typical per-origin localStorage limit; browsers don't report the real one
+const LOCAL_STORAGE_QUOTA_BYTES = 5 * 1024 * 1024;
+// Warn once storage is this full
+const STORAGE_WARNING_RATIO = 0.9;
+
+// Report from the last analysis, used by the cleanup action
+let lastHealthReport = null;
+
+// Size of a value in bytes once serialized
+function getByteSize(value) {
+    return new TextEncoder().encode(typeof value === 'string' ? value : JSON.stringify(value)).length;
+}
+
+// Format a byte count for display
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+/**
+ * Estimate how much of the storage quota is in use
+ * @returns {Promise<Object>} { usage, quota } in bytes (quota is null when unknown)
+ */
+async function getStorageUsage() {
+    if (storageAdapter.name === 'remote') {
+        // Records live on the server, which has no fixed quota
+        return { usage: getByteSize(recordCache), quota: null };
+    }
     
-    if (value === '') {
-        if (nameWarning) {
-            nameWarning.textContent = 'Full name is required';
-            nameWarning.style.display = 'block';
-        }
-        return false;
-    } else if (!nameRegex.test(value)) {
-        if (nameWarning) {
-            nameWarning.textContent = 'Name should contain only letters and spaces (2-50 characters)';
-            nameWarning.style.display = 'block';
-        }
-        return false;
-    } else {
-        if (nameWarning) {
-            nameWarning.style.display = 'none';
+    if (storageAdapter.name === 'localStorage') {
+        // localStorage holds UTF-16 strings, two bytes per character
+        let characters = 0;
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            characters += key.length + (localStorage.getItem(key) || '').length;
         }
-        return true;
+        return { usage: characters * 2, quota: LOCAL_STORAGE_QUOTA_BYTES };
+    }
+    
+    if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+        const estimate = await navigator.storage.estimate();
+        return { usage: estimate.usage || 0, quota: estimate.quota || null };
     }
+    return { usage: getByteSize(recordCache), quota: null };
 }
 
-// Validate Email
-function validateEmail(isSubmit = false) {
-    const emailInput = document.getElementById('email');
-    const emailWarning = document.getElementById('emailWarning');
-    const value = emailInput.value.trim();
-    
-    if (!isSubmit && !emailWarning) return true;
-    
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    
-    if (value === '') {
-        if (emailWarning) {
-            emailWarning.textContent = 'Email is required';
-            emailWarning.style.display = 'block';
-        }
-        return false;
-    } else if (!emailRegex.test(value)) {
-        if (emailWarning) {
-            emailWarning.textContent = 'Please enter a valid email address (e.g., user@example.com)';
-            emailWarning.style.display = 'block';
-        }
-        return false;
-    } else {
-        if (emailWarning) {
-            emailWarning.style.display = 'none';
+/**
+ * Warn when storage is nearly full, before writes start failing
+ */
+async function checkStorageQuota() {
+    try {
+        const { usage, quota } = await getStorageUsage();
+        if (quota && usage / quota >= STORAGE_WARNING_RATIO) {
+            showToast(`Storage is ${Math.round(usage / quota * 100)}% full. An admin can free up space in Data Health.`, 'error');
         }
-        return true;
+    } catch (error) {
+        console.warn('Could not check storage usage:', error);
     }
 }
 
-// Validate Phone Number (10 digits)
-function validatePhone(isSubmit = false) {
-    const phoneInput = document.getElementById('phone');
-    const phoneWarning = document.getElementById('phoneWarning');
-    const value = phoneInput.value.trim();
-    
-    if (!isSubmit && !phoneWarning) return true;
-    
-    const phoneRegex = /^[0-9]{10}$/;
-    
-    if (value === '') {
-        if (phoneWarning) {
-            phoneWarning.textContent = 'Phone number is required';
-            phoneWarning.style.display = 'block';
-        }
-        return false;
-    } else if (!phoneRegex.test(value)) {
-        if (phoneWarning) {
-            phoneWarning.textContent = 'Please enter a valid 10-digit phone number';
-            phoneWarning.style.display = 'block';
-        }
-        return false;
-    } else {
-        if (phoneWarning) {
-            phoneWarning.style.display = 'none';
-        }
-        return true;
+// Short human-readable label for a record
+function describeRecord(record) {
+    switch (record.type) {
+        case 'user': return `${record.name || record.username} (${record.role})`;
+        case 'food': return record.name;
+        case 'promo': return record.code;
+        case 'order': return `Order #${record.id ? record.id.slice(0, 8) : 'N/A'}`;
+        case 'review': return `Review by ${record.customerName || 'Unknown'}`;
+        default: return record.__backendId;
     }
 }
 
-// Validate Address
-function validateAddress(isSubmit = false) {
-    const addressInput = document.getElementById('address');
-    const addressWarning = document.getElementById('addressWarning');
-    const value = addressInput.value.trim();
-    
-    if (!isSubmit && !addressWarning) return true;
+/**
+ * Measure storage use and find orphaned data
+ * @returns {Promise<Object>} Health report
+ */
+async function analyzeDataHealth() {
+    // Anonymized orders and reviews point at DELETED_CUSTOMER_ID on purpose
+    const exists = id => recordsById.has(id) || id === DELETED_CUSTOMER_ID;
+    
+    // Bytes per record type and the largest records
+    const byType = {};
+    const sizes = recordCache.map(record => {
+        const bytes = getByteSize(record);
+        byType[record.type] = byType[record.type] || { count: 0, bytes: 0 };
+        byType[record.type].count += 1;
+        byType[record.type].bytes += bytes;
+        return { record, bytes };
+    });
+    const largest = sizes.sort((a, b) => b.bytes - a.bytes).slice(0, 10);
     
-    if (value === '') {
-        if (addressWarning) {
-            addressWarning.textContent = 'Address is required';
-            addressWarning.style.display = 'block';
-        }
-        return false;
-    } else if (value.length < 5 || value.length > 100) {
-        if (addressWarning) {
-            addressWarning.textContent = 'Address should be between 5-100 characters';
-            addressWarning.style.display = 'block';
-        }
-        return false;
-    } else {
-        if (addressWarning) {
-            addressWarning.style.display = 'none';
+    // Records referring to something that no longer exists (soft-deleted records still count as existing)
+    const orphanGroups = [
+        {
+            label: 'Menu items whose restaurant no longer exists',
+            records: recordCache.filter(r => r.type === 'food' && !exists(r.restaurantId))
+        },
+        {
+            label: 'Promo codes whose restaurant no longer exists',
+            records: recordCache.filter(r => r.type === 'promo' && !exists(r.restaurantId))
+        },
+        {
+            label: 'Orders for deleted customers or restaurants',
+            records: recordCache.filter(r => r.type === 'order' && (!exists(r.customerId) || !exists(r.restaurantId)))
+        },
+        {
+            label: 'Reviews of deleted items or by deleted customers',
+            records: recordCache.filter(r => r.type === 'review' && (!exists(r.foodId) || !exists(r.customerId)))
         }
-        return true;
+    ];
+    
+    // Images nothing refers to (e.g. replaced pictures or uploads whose record was never saved)
+    const referencedImageIds = new Set(recordCache.flatMap(getRecordImageIds));
+    const storedImages = await storageAdapter.listImages();
+    const orphanImageKeys = storedImages
+        .filter(image => !referencedImageIds.has(image.key.split(':')[0]))
+        .map(image => image.key);
+    const imageBytes = storedImages.reduce((sum, image) => sum + getByteSize(image.dataUrl), 0);
+    
+    const orphanWishlistUserIds = Object.keys(getAllWishlists()).filter(userId => !exists(userId));
+    
+    return {
+        usage: await getStorageUsage(),
+        byType,
+        largest,
+        images: { count: storedImages.length, bytes: imageBytes },
+        orphanGroups,
+        orphanImageKeys,
+        orphanWishlistUserIds
+    };
+}
+
+// Render Data Health
+async function renderDataHealth(container) {
+    container.innerHTML = '<div style="text-align: center; padding: 2rem;"><div class="loading"></div><p>Analyzing data...</p></div>';
+    
+    let report;
+    try {
+        report = await analyzeDataHealth();
+    } catch (error) {
+        console.error('Data health analysis failed:', error);
+        container.innerHTML = '<div class="empty-state"><h3>Could not analyze the data</h3></div>';
+        return;
     }
+    lastHealthReport = report;
+    
+    const { usage, quota } = report.usage;
+    const usedRatio = quota ? Math.min(1, usage / quota) : null;
+    const barColor = usedRatio >= STORAGE_WARNING_RATIO ? '#ef4444' : usedRatio >= 0.7 ? '#f59e0b' : '#10b981';
+    
+    let typeRows = '';
+    Object.entries(report.byType).sort((a, b) => b[1].bytes - a[1].bytes).forEach(([type, stats]) => {
+        typeRows += `
+            <tr>
+                <td>${escapeHtml(type)}</td>
+                <td>${stats.count}</td>
+                <td>${formatBytes(stats.bytes)}</td>
+            </tr>
+        `;
+    });
+    
+    let largestRows = '';
+    report.largest.forEach(({ record, bytes }) => {
+        largestRows += `
+            <tr>
+                <td>${escapeHtml(describeRecord(record))}</td>
+                <td>${escapeHtml(record.type)}</td>
+                <td>${formatBytes(bytes)}</td>
+            </tr>
+        `;
+    });
+    
+    const orphanRecordCount = report.orphanGroups.reduce((sum, group) => sum + group.records.length, 0);
+    const orphanTotal = orphanRecordCount + report.orphanImageKeys.length + report.orphanWishlistUserIds.length;
+    
+    let orphanRows = '';
+    report.orphanGroups.forEach(group => {
+        orphanRows += `
+            <tr>
+                <td>${group.label}</td>
+                <td>${group.records.length}</td>
+                <td style="color: #64748b; font-size: 0.875rem;">${group.records.slice(0, 3).map(record => escapeHtml(describeRecord(record))).join(', ')}${group.records.length > 3 ? ', ...' : ''}</td>
+            </tr>
+        `;
+    });
+    orphanRows += `
+        <tr>
+            <td>Stored images no record uses</td>
+            <td>${report.orphanImageKeys.length}</td>
+            <td></td>
+        </tr>
+        <tr>
+            <td>Wishlists of deleted users</td>
+            <td>${report.orphanWishlistUserIds.length}</td>
+            <td></td>
+        </tr>
+    `;
+    
+    container.innerHTML = `
+        <div class="data-table" style="margin-bottom: 1.5rem;">
+            <div class="table-header">
+                <h3>Storage Usage</h3>
+                <span style="color: #64748b;">Backend: ${storageAdapter.name}</span>
+            </div>
+            <div style="padding: 1.5rem;">
+                <p style="font-weight: 600; margin-bottom: 0.75rem;">
+                    ${formatBytes(usage)} used${quota ? ` of ${formatBytes(quota)} (${Math.round(usedRatio * 100)}%)` : ''}
+                </p>
+                ${quota ? `
+                    <div style="background: #e2e8f0; border-radius: 8px; height: 12px; overflow: hidden;">
+                        <div style="background: ${barColor}; width: ${usedRatio * 100}%; height: 100%;"></div>
+                    </div>
+                ` : ''}
+            </div>
+        </div>
+        
+        <div class="data-table" style="margin-bottom: 1.5rem;">
+            <div class="table-header">
+                <h3>Space by Record Type</h3>
+            </div>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Type</th>
+                        <th>Records</th>
+                        <th>Size</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${typeRows}
+                    <tr>
+                        <td>images</td>
+                        <td>${report.images.count}</td>
+                        <td>${formatBytes(report.images.bytes)}</td>
+                    </tr>
+                </tbody>
+            </table>
+        </div>
+        
+        <div class="data-table" style="margin-bottom: 1.5rem;">
+            <div class="table-header">
+                <h3>Largest Records</h3>
+            </div>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Record</th>
+                        <th>Type</th>
+                        <th>Size</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${largestRows}
+                </tbody>
+            </table>
+        </div>
+        
+        <div class="data-table">
+            <div class="table-header">
+                <h3>Orphaned Data</h3>
+                ${orphanTotal > 0 ? `
+                    <button class="btn btn-primary" style="width: auto; padding: 0.75rem 2rem; background: #ef4444;" onclick="cleanUpOrphanedData()">
+                        🧹 Clean Up (${orphanTotal})
+                    </button>
+                ` : '<span class="status-badge status-approved">All clean</span>'}
+            </div>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Problem</th>
+                        <th>Count</th>
+                        <th>Examples</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${orphanRows}
+                </tbody>
+            </table>
+        </div>
+    `;
 }
 
-// Validate Username
-function validateUsername(isSubmit = false) {
-    const usernameInput = document.getElementById('username');
-    const usernameWarning = document.getElementById('usernameWarning');
-    const value = usernameInput.value.trim();
+// Remove everything the last analysis flagged as orphaned
+async function cleanUpOrphanedData() {
+    if (!lastHealthReport || !authorize('data:clean-up')) return;
     
-    if (!isSubmit && !usernameWarning) return true;
+    const orphanRecords = lastHealthReport.orphanGroups.flatMap(group => group.records);
+    const { orphanImageKeys, orphanWishlistUserIds } = lastHealthReport;
     
-    const usernameRegex = /^[a-zA-Z0-9_]{3,20}$/;
+    if (!confirm(`Permanently remove ${orphanRecords.length} records, ${orphanImageKeys.length} images and ${orphanWishlistUserIds.length} wishlists? Consider downloading a backup first.`)) {
+        return;
+    }
     
-    if (value === '') {
-        if (usernameWarning) {
-            usernameWarning.textContent = 'Username is required';
-            usernameWarning.style.display = 'block';
-        }
-        return false;
-    } else if (!usernameRegex.test(value)) {
-        if (usernameWarning) {
-            usernameWarning.textContent = 'Username should be 3-20 characters (letters, numbers, and underscore only)';
-            usernameWarning.style.display = 'block';
-        }
-        return false;
-    } else {
-        if (usernameWarning) {
-            usernameWarning.style.display = 'none';
+    try {
+        runTransaction(tx => {
+            orphanRecords.forEach(record => {
+                if (recordsById.has(record.__backendId)) tx.delete(record);
+            });
+        });
+        if (orphanImageKeys.length > 0) {
+            orphanImageKeys.forEach(key => imageCache.delete(key));
+            await storageAdapter.deleteImages(orphanImageKeys);
         }
-        return true;
+        orphanWishlistUserIds.forEach(userId => localStorage.removeItem(WISHLIST_KEY_PREFIX + userId));
+    } catch (error) {
+        console.error('Cleanup failed:', error);
+        showToast('Cleanup failed. Please try again.', 'error');
+        return;
     }
+    
+    showToast('Orphaned data removed', 'success');
+    renderDataHealth(document.getElementById('adminContent'));
 }
 
-// Validate Password
-function validatePassword(isSubmit = false) {
-    const passwordInput = document.getElementById('password');
-    const passwordWarning = document.getElementById('passwordWarning');
-    const value = passwordInput.value;
-    
-    if (!isSubmit && !passwordWarning) return true;
-    
-    if (value === '') {
-        if (passwordWarning) {
-            passwordWarning.textContent = 'Password is required';
-            passwordWarning.style.display = 'block';
-        }
-        return false;
-    } else if (value.length < 6) {
-        if (passwordWarning) {
-            passwordWarning.textContent = 'Password must be at least 6 characters long';
-            passwordWarning.style.display = 'block';
-        }
-        return false;
-    } else if (value.length > 50) {
-        if (passwordWarning) {
-            passwordWarning.textContent = 'Password should not exceed 50 characters';
-            passwordWarning.style.display = 'block';
-        }
-        return false;
-    } else {
-        if (passwordWarning) {
-            passwordWarning.style.display = 'none';
-        }
-        return true;
+// ===========================================================================================
+// ADMIN: TEST SCENARIOS
+// ===========================================================================================
+// Named datasets for demos and QA, defined as JSON files in fixtures/ and listed in
+// fixtures/manifest.json. A fixture lists records with fixed IDs, can include other fixture
+// files, and can generate bulk orders from a seed, so loading a scenario always produces the same
+// data. Loading replaces everything (like restoring a backup); loading the same scenario again
+// resets it. The files are fetched, so the app has to be served over HTTP (e.g. by server.js).
+// ===========================================================================================
+
+const FIXTURES_PATH = 'fixtures';
+// ID of the scenario currently loaded; while set, the built-in demo data is not seeded
+const FIXTURE_KEY = 'Zaikalok_fixture';
+const FIXTURE_PAYMENT_MODES = ['Cash on Delivery', 'Debit/Credit Card', 'UPI'];
+const FIXTURE_DELIVERY_FEE = 40;
+
+// Scenarios from manifest.json, fetched once
+let fixtureScenarios = null;
+
+// Seeded pseudo-random numbers in [0, 1) (mulberry32), so generated data repeats exactly
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Fetch one file from the fixtures folder
+ * @param {String} fileName - File name relative to FIXTURES_PATH
+ * @returns {Promise<Object>} Parsed JSON
+ */
+async function fetchFixture(fileName) {
+    const response = await fetch(`${FIXTURES_PATH}/${fileName}`, { cache: 'no-store' });
+    if (!response.ok) {
+        throw new DataStoreError(`Could not load ${FIXTURES_PATH}/${fileName} (HTTP ${response.status})`);
+    }
+    try {
+        return await response.json();
+    } catch (error) {
+        throw new DataStoreError(`${FIXTURES_PATH}/${fileName} is not valid JSON`);
     }
 }
 
-// Validate Restaurant Name
-function validateRestaurantName(isSubmit = false) {
-    const restaurantInput = document.getElementById('restaurantName');
-    const restaurantWarning = document.getElementById('restaurantNameWarning');
-    
-    if (!restaurantInput) return true;
+/**
+ * List the available scenarios
+ * @returns {Promise<Array>} { id, name, description, file } for each scenario
+ */
+async function getFixtureScenarios() {
+    if (!fixtureScenarios) {
+        const manifest = await fetchFixture('manifest.json');
+        fixtureScenarios = Array.isArray(manifest.scenarios) ? manifest.scenarios : [];
+    }
+    return fixtureScenarios;
+}
+
+/**
+ * Generate the orders described by a fixture's `generate.orders` block
+ * @param {Object} spec - { count, seed, idPrefix, withinMinutes, statuses: { status: weight } }
+ * @param {Array} records - Fixture records so far (the customers, riders and menus to use)
+ * @param {Number} now - Load time; orders are spread over the `withinMinutes` before it
+ * @returns {Array} Order records with IDs `<idPrefix>0001`, `<idPrefix>0002`, ...
+ */
+function generateFixtureOrders(spec, records, now) {
+    const random = createSeededRandom(spec.seed || 1);
+    const pick = list => list[Math.floor(random() * list.length)];
+    
+    const customers = records.filter(record => record.type === 'user' && record.role === 'customer');
+    const riders = records.filter(record => record.type === 'user' && record.role === 'delivery');
+    const foods = records.filter(record => record.type === 'food' && record.available !== false && !record.deletedAt);
+    const restaurantIds = Array.from(new Set(foods.map(food => food.restaurantId)));
+    if (customers.length === 0 || foods.length === 0) {
+        throw new DataStoreError('Generating orders needs at least one customer and one available food item');
+    }
     
-    const value = restaurantInput.value.trim();
+    const statusWeights = Object.entries(spec.statuses || { pending: 1 });
+    const totalWeight = statusWeights.reduce((sum, [, weight]) => sum + weight, 0);
+    const pickStatus = () => {
+        let roll = random() * totalWeight;
+        for (const [status, weight] of statusWeights) {
+            roll -= weight;
+            if (roll < 0) return status;
+        }
+        return statusWeights[statusWeights.length - 1][0];
+    };
     
-    if (!isSubmit && !restaurantWarning) return true;
+    const prefix = spec.idPrefix || 'ORDER';
+    const windowMs = (spec.withinMinutes || 60) * 60 * 1000;
+    const orders = [];
     
-    if (value === '') {
-        if (restaurantWarning) {
-            restaurantWarning.textContent = 'Restaurant name is required';
-            restaurantWarning.style.display = 'block';
-        }
-        return false;
-    } else if (value.length < 3 || value.length > 50) {
-        if (restaurantWarning) {
-            restaurantWarning.textContent = 'Restaurant name should be between 3-50 characters';
-            restaurantWarning.style.display = 'block';
+    for (let i = 1; i <= spec.count; i++) {
+        const number = String(i).padStart(4, '0');
+        const customer = pick(customers);
+        const restaurantId = pick(restaurantIds);
+        
+        // 1-3 different dishes from one restaurant, 1-3 of each
+        const menu = foods.filter(food => food.restaurantId === restaurantId);
+        const itemCount = 1 + Math.floor(random() * Math.min(3, menu.length));
+        const items = [];
+        for (let n = 0; n < itemCount; n++) {
+            const food = menu.splice(Math.floor(random() * menu.length), 1)[0];
+            items.push({
+                foodId: food.__backendId,
+                name: food.name,
+                quantity: 1 + Math.floor(random() * 3),
+                price: food.price
+            });
         }
-        return false;
-    } else {
-        if (restaurantWarning) {
-            restaurantWarning.style.display = 'none';
+        
+        const totalAmount = items.reduce((sum, item) => sum + item.price * item.quantity, 0) + FIXTURE_DELIVERY_FEE;
+        const orderStatus = pickStatus();
+        const paymentMode = pick(FIXTURE_PAYMENT_MODES);
+        const order = {
+            __backendId: `fx_order_${prefix.toLowerCase()}_${number}`,
+            id: `${prefix}${number}`,
+            type: 'order',
+            customerId: customer.__backendId,
+            restaurantId,
+            items,
+            totalAmount,
+            orderStatus,
+            paymentMode,
+            paymentStatus: paymentMode === 'Cash on Delivery' && orderStatus !== 'delivered' ? 'pending' : 'completed',
+            deliveryAddress: customer.address || '',
+            deliveryPhone: customer.phone || '',
+            promoCode: null,
+            discountAmount: 0,
+            finalAmount: totalAmount,
+            timestamp: now - Math.floor(random() * windowMs)
+        };
+        if ((orderStatus === 'out-for-delivery' || orderStatus === 'delivered') && riders.length > 0) {
+            order.deliveryPartnerId = pick(riders).__backendId;
         }
-        return true;
+        orders.push(order);
     }
+    
+    return orders;
 }
 
-// Validate Cuisine Type
-function validateCuisine(isSubmit = false) {
-    const cuisineInput = document.getElementById('cuisine');
-    const cuisineWarning = document.getElementById('cuisineWarning');
+/**
+ * Read a fixture file together with the files it includes and the data it generates
+ * @param {String} fileName - Fixture file
+ * @param {Number} now - Load time
+ * @param {Set} loading - Files being read further up the include chain (guards against cycles)
+ * @returns {Promise<Object>} { records, wishlists }
+ */
+async function buildFixture(fileName, now, loading = new Set()) {
+    if (loading.has(fileName)) {
+        throw new DataStoreError(`Fixture ${fileName} includes itself`);
+    }
+    loading.add(fileName);
     
-    if (!cuisineInput) return true;
+    const fixture = await fetchFixture(fileName);
+    let records = [];
+    const wishlists = {};
     
-    const value = cuisineInput.value.trim();
+    for (const included of fixture.include || []) {
+        const part = await buildFixture(included, now, loading);
+        records = records.concat(part.records);
+        Object.assign(wishlists, part.wishlists);
+    }
     
-    if (!isSubmit && !cuisineWarning) return true;
+    records = records.concat(fixture.records || []);
+    Object.assign(wishlists, fixture.wishlists || {});
     
-    const cuisineRegex = /^[a-zA-Z\s,]{3,50}$/;
+    if (fixture.generate && fixture.generate.orders) {
+        records = records.concat(generateFixtureOrders(fixture.generate.orders, records, now));
+    }
     
-    if (value === '') {
-        if (cuisineWarning) {
-            cuisineWarning.textContent = 'Cuisine type is required';
-            cuisineWarning.style.display = 'block';
-        }
-        return false;
-    } else if (!cuisineRegex.test(value)) {
-        if (cuisineWarning) {
-            cuisineWarning.textContent = 'Cuisine should contain only letters and commas (3-50 characters)';
-            cuisineWarning.style.display = 'block';
-        }
-        return false;
-    } else {
-        if (cuisineWarning) {
-            cuisineWarning.style.display = 'none';
-        }
-        return true;
+    loading.delete(fileName);
+    return { records, wishlists };
+}
+
+/**
+ * Replace all data with a scenario
+ * @param {String} scenarioId - Scenario ID from manifest.json
+ * @returns {Promise<Number>} Number of records loaded
+ * @throws {DataStoreError} When a file is missing or the scenario contains invalid records
+ */
+async function loadScenario(scenarioId) {
+    const scenario = (await getFixtureScenarios()).find(item => item.id === scenarioId);
+    if (!scenario) {
+        throw new DataStoreError(`Unknown scenario "${scenarioId}"`);
+    }
+    
+    const now = Date.now();
+    const fixture = await buildFixture(scenario.file, now);
+    
+    // Shaped as a backup so it goes through the same checks and restore path. Admin accounts are
+    // kept, so whoever loads a scenario can still sign in.
+    const backup = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_FORMAT_VERSION,
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        exportedAt: new Date(now).toISOString(),
+        records: [
+            ...getAdminRecords(),
+            ...fixture.records.map(record => ({ createdAt: now, ...record, __rev: 1 }))
+        ],
+        wishlists: fixture.wishlists
+    };
+    
+    const errors = validateBackup(backup);
+    backup.records.forEach(record => {
+        validateRecord(record).forEach(message => errors.push(`${record.__backendId}: ${message}`));
+    });
+    if (errors.length > 0) {
+        throw new DataStoreError(`Scenario "${scenario.name}" has invalid data: ${errors.slice(0, 3).join('; ')}`);
     }
+    
+    await restoreBackup(backup, 'replace');
+    localStorage.setItem(FIXTURE_KEY, scenario.id);
+    return backup.records.length;
 }
 
-// Handle Login
-function handleLogin(event, role) {
-    event.preventDefault();
-    const username = document.getElementById('username').value;
-    const password = document.getElementById('password').value;
+// Render Test Scenarios
+async function renderTestScenarios(container) {
+    if (!/^https?:$/.test(location.protocol)) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <h3>Test scenarios need the app to be served over HTTP</h3>
+                <p>Run <code>node server.js</code> (or any static server) and open the app from it.</p>
+            </div>
+        `;
+        return;
+    }
     
-    if (role === 'admin') {
-        if (username === config.admin_username && password === config.admin_password) {
-            currentUser = { role: 'admin', username, name: 'Administrator' };
-            sessionStorage.setItem('currentUser', JSON.stringify(currentUser));
-            showToast('Login successful!', 'success');
-            navigateToDashboard('admin');
-        } else {
-            showToast('Invalid admin credentials', 'error');
-        }
+    let scenarios;
+    try {
+        scenarios = await getFixtureScenarios();
+    } catch (error) {
+        console.error('Could not load the scenario list:', error);
+        container.innerHTML = `<div class="empty-state"><h3>${error.message}</h3></div>`;
         return;
     }
     
-    allData = getAllData();
-    const users = allData.filter(item => item.type === 'user' && item.role === role);
-    const user = users.find(u => u.username === username && u.password === password);
+    const activeId = localStorage.getItem(FIXTURE_KEY);
     
-    if (user) {
-        if (role === 'restaurant' && user.status === 'blocked') {
-            showToast('Your account has been blocked', 'error');
-            return;
-        }
-        
-        if (role === 'restaurant' && user.status === 'pending') {
-            showToast('Your account is pending approval', 'error');
-            return;
-        }
-        
-        currentUser = user;
-        sessionStorage.setItem('currentUser', JSON.stringify(currentUser));
-        showToast('Login successful!', 'success');
-        navigateToDashboard(role);
-    } else {
-        showToast('Invalid credentials', 'error');
-    }
+    let scenarioRows = '';
+    scenarios.forEach(scenario => {
+        const isActive = scenario.id === activeId;
+        scenarioRows += `
+            <tr>
+                <td>
+                    <strong>${scenario.name}</strong>
+                    ${isActive ? '<span class="status-badge status-approved" style="margin-left: 0.5rem;">Loaded</span>' : ''}
+                    <p style="color: #64748b; font-size: 0.875rem; margin-top: 0.25rem;">${scenario.description || ''}</p>
+                </td>
+                <td><code>${FIXTURES_PATH}/${scenario.file}</code></td>
+                <td>
+                    <button class="btn-small ${isActive ? 'btn-block' : 'btn-approve'}" onclick="confirmLoadScenario('${scenario.id}')">
+                        ${isActive ? 'Reset' : 'Load'}
+                    </button>
+                </td>
+            </tr>
+        `;
+    });
+    
+    container.innerHTML = `
+        <div class="data-table">
+            <div class="table-header">
+                <h3>Test Scenarios</h3>
+                <button class="btn btn-secondary" style="width: auto; padding: 0.75rem 2rem;" onclick="restoreBuiltInDemoData()">
+                    Restore Demo Data
+                </button>
+            </div>
+            <p style="color: #64748b; padding: 0 1.5rem 1rem;">
+                Loading a scenario replaces ALL current data. Download a backup first if you want to keep it.
+            </p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Scenario</th>
+                        <th>File</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${scenarioRows || '<tr><td colspan="3">No scenarios in manifest.json</td></tr>'}
+                </tbody>
+            </table>
+        </div>
+    `;
 }
 
-// Handle Register
-function handleRegister(event, role) {
-    event.preventDefault();
-    
-    // Get all form values
-    const name = document.getElementById('name').value.trim();
-    const email = document.getElementById('email').value.trim();
-    const phone = document.getElementById('phone').value.trim();
-    const address = document.getElementById('address').value.trim();
-    const username = document.getElementById('username').value.trim();
-    const password = document.getElementById('password').value;
+// Load (or reset) a scenario after confirming
+async function confirmLoadScenario(scenarioId) {
+    const scenario = (fixtureScenarios || []).find(item => item.id === scenarioId);
+    if (!scenario || !authorize('data:load-scenario')) return;
     
-    // Validate all fields
-    if (!validateFullName(true) || !validateEmail(true) || !validatePhone(true) || 
-        !validateAddress(true) || !validateUsername(true) || !validatePassword(true)) {
-        showToast('Please correct the errors in the form', 'error');
+    const action = localStorage.getItem(FIXTURE_KEY) === scenarioId ? 'Reset' : 'Load';
+    if (!confirm(`${action} "${scenario.name}"? This replaces ALL current data and cannot be undone.`)) {
         return;
     }
     
-    // Check for restaurant-specific fields
-    if (role === 'restaurant') {
-        if (!validateRestaurantName(true) || !validateCuisine(true)) {
-            showToast('Please correct the errors in the form', 'error');
-            return;
-        }
+    let recordCount;
+    try {
+        recordCount = await loadScenario(scenarioId);
+    } catch (error) {
+        console.error('Loading scenario failed:', error);
+        showToast(error instanceof DataStoreError ? error.message : 'Could not load the scenario. Please try again.', 'error');
+        return;
     }
     
-    allData = getAllData();
-    const existingUser = allData.find(item => item.type === 'user' && item.username === username);
-    
-    if (existingUser) {
-        document.getElementById('usernameWarning').textContent = 'Username already exists';
-        document.getElementById('usernameWarning').style.display = 'block';
-        showToast('Username already exists', 'error');
+    showToast(`"${scenario.name}" loaded (${recordCount} records)`, 'success');
+    renderTestScenarios(document.getElementById('adminContent'));
+}
+
+// Go back from a scenario to the built-in demo data
+function restoreBuiltInDemoData() {
+    if (!authorize('data:load-scenario') || !confirm('Replace ALL current data with the built-in demo data? This cannot be undone.')) {
         return;
     }
     
-    const userData = {
-        type: 'user',
-        role: role,
-        username: username,
-        password: password,
-        name: name,
-        email: email,
-        phone: phone,
-        address: address,
-        status: role === 'restaurant' ? 'pending' : 'approved'
-    };
-    
-    if (role === 'restaurant') {
-        userData.restaurantName = document.getElementById('restaurantName').value.trim();
-        userData.cuisine = document.getElementById('cuisine').value.trim();
+    try {
+        saveData(getAdminRecords());
+        Object.keys(getAllWishlists()).forEach(userId => localStorage.removeItem(WISHLIST_KEY_PREFIX + userId));
+        localStorage.removeItem(FIXTURE_KEY);
+        seedDemoData();
+    } catch (error) {
+        console.error('Restoring demo data failed:', error);
+        showToast(error instanceof StorageQuotaError ? error.message : 'Could not restore the demo data. Please try again.', 'error');
+        return;
     }
     
-    createRecord(userData);
-    allData = getAllData();
-    showToast('Registration successful! Please login.', 'success');
-    navigateToLogin(role);
+    showToast('Demo data restored', 'success');
+    renderTestScenarios(document.getElementById('adminContent'));
+}
+
+// ===========================================================================================
+// ADMIN ACCOUNTS - Admins are user records with a permission level
+// ===========================================================================================
+// The first visit to the admin login creates the initial super-admin. Further admins are
+// invited by a super-admin: the invite holds the name, email and level, and a one-time code
+// (stored only as a SHA-256 hash) that the new admin enters to choose a username and password.
+// Each level sees only its own sidebar sections.
+// ===========================================================================================
+
+// Sidebar sections of the admin panel and the levels that may open them
+const ADMIN_SECTIONS = [
+    { id: 'overview', label: '📊 Overview', levels: ['super-admin', 'moderator', 'support'] },
+    { id: 'restaurants', label: '🍽️ Restaurants', levels: ['super-admin', 'moderator'] },
+    { id: 'delivery', label: '🏍️ Delivery Partners', levels: ['super-admin', 'moderator'] },
+    { id: 'images', label: '🖼️ Image Approvals', levels: ['super-admin', 'moderator'] },
+    { id: 'orders', label: '📦 All Orders', levels: ['super-admin', 'moderator', 'support'] },
+    { id: 'users', label: '👥 Customers', levels: ['super-admin', 'moderator', 'support'] },
+    { id: 'bin', label: '🗑️ Recycle Bin', levels: ['super-admin', 'moderator'] },
+    { id: 'admins', label: '👮 Admins', levels: ['super-admin'] },
+    { id: 'health', label: '🩺 Data Health', levels: ['super-admin'] },
+    { id: 'backup', label: '💾 Backup & Restore', levels: ['super-admin'] },
+    { id: 'fixtures', label: '🧪 Test Scenarios', levels: ['super-admin'] },
+    { id: 'sessions', label: '🔐 My Sessions', levels: ['super-admin', 'moderator', 'support'] }
+];
+
+const ADMIN_LEVEL_LABELS = {
+    'super-admin': 'Super-admin',
+    moderator: 'Moderator',
+    support: 'Support'
+};
+
+// How long an admin invite code can be used
+const ADMIN_INVITE_TTL = 7 * 24 * 60 * 60 * 1000;
+// Letters and digits that can't be mistaken for each other when read out
+const ONE_TIME_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+// Check whether any admin account exists yet
+function hasAdminAccount() {
+    return countRecords({ type: 'user', role: 'admin' }) > 0;
 }
 
-// Navigate to Dashboard
-function navigateToDashboard(role) {
-    switch(role) {
-        case 'admin':
-            renderAdminDashboard();
-            break;
-        case 'restaurant':
-            renderRestaurantDashboard();
-            break;
-        case 'customer':
-            renderCustomerDashboard();
-            break;
-        case 'delivery':
-            renderDeliveryDashboard();
-            break;
+// Check whether the signed-in admin's level includes a section
+function canOpenAdminSection(section) {
+    return adminLevelAllows(currentUser, section);
+}
+
+// Admin accounts and open invites, which test scenarios and demo resets keep
+function getAdminRecords() {
+    return recordCache.filter(record => (record.type === 'user' && record.role === 'admin') || record.type === 'invite');
+}
+
+/**
+ * Generate a random code that is easy to read out, e.g. "K7MQ-2XPD"
+ * @param {Number} length - Number of characters (a dash is added every 4)
+ */
+function generateOneTimeCode(length = 8) {
+    // Bytes at or above the largest multiple of the alphabet size are skipped, so every
+    // character is equally likely
+    const limit = 256 - (256 % ONE_TIME_CODE_ALPHABET.length);
+    const chars = [];
+    while (chars.length < length) {
+        crypto.getRandomValues(new Uint8Array(length)).forEach(byte => {
+            if (byte < limit && chars.length < length) {
+                chars.push(ONE_TIME_CODE_ALPHABET[byte % ONE_TIME_CODE_ALPHABET.length]);
+            }
+        });
     }
-    
-    // Update chatbot for the new user role
-    setTimeout(() => {
-        updateChatbotForCurrentUser();
-    }, 100);
+    return chars.join('').match(/.{1,4}/g).join('-');
 }
 
-// Render Admin Dashboard
-function renderAdminDashboard() {
-    currentView = 'admin-dashboard';
-    allData = getAllData();
+/**
+ * Hash a one-time code for storage; dashes, spaces and case are ignored
+ * @returns {Promise<String>} Hex SHA-256
+ */
+async function hashOneTimeCode(code) {
+    const normalized = code.replace(/[\s-]/g, '').toUpperCase();
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalized));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Count active super-admins, who must never drop to zero
+function countActiveSuperAdmins() {
+    return countRecords({ type: 'user', role: 'admin', adminLevel: 'super-admin' }, user => user.status !== 'blocked');
+}
+
+// Render First-Run Admin Setup
+function renderAdminSetup() {
+    currentView = 'admin-setup';
     const app = document.getElementById('app');
     
-    const users = allData.filter(item => item.type === 'user');
-    const restaurants = allData.filter(item => item.type === 'user' && item.role === 'restaurant');
-    const deliveryPartners = allData.filter(item => item.type === 'user' && item.role === 'delivery');
-    const customers = allData.filter(item => item.type === 'user' && item.role === 'customer');
-    const orders = allData.filter(item => item.type === 'order');
-    const pendingImages = allData.filter(item => item.type === 'food' && item.imageApprovalStatus === 'pending');
-    
     app.innerHTML = `
-        <div class="dashboard">
-            <div class="sidebar">
-                <div class="sidebar-header">
-                    <h2>Admin Panel</h2>
-                    <p>${currentUser.name}</p>
-                </div>
-                <ul class="sidebar-menu">
-                    <li class="active" onclick="showAdminSection('overview')">📊 Overview</li>
-                    <li onclick="showAdminSection('restaurants')">🍽️ Restaurants</li>
-                    <li onclick="showAdminSection('delivery')">🏍️ Delivery Partners</li>
-                    <li onclick="showAdminSection('images')">🖼️ Image Approvals ${pendingImages.length > 0 ? `<span style="background: #ef4444; color: white; padding: 0.125rem 0.5rem; border-radius: 12px; margin-left: 0.5rem; font-size: 0.75rem;">${pendingImages.length}</span>` : ''}</li>
-                    <li onclick="showAdminSection('orders')">📦 All Orders</li>
-                    <li onclick="showAdminSection('users')">👥 Customers</li>
-                    <li onclick="logout()">🚪 Logout</li>
-                </ul>
-            </div>
-            <div class="main-content">
-                <div class="content-header">
-                    <h1>Dashboard Overview</h1>
-                    <p>Manage your platform</p>
+        <div class="login-page">
+            <div class="login-container">
+                <div class="login-header">
+                    <h2>Create the Super-admin</h2>
+                    <p>No admin account exists yet. This account can invite the other admins.</p>
                 </div>
-                <div class="content-body" id="adminContent">
-                    <div class="stats-grid">
-                        <div class="stat-card">
-                            <div class="stat-header">
-                                <span class="stat-label">Restaurants</span>
-                                <span class="stat-icon">🍽️</span>
-                            </div>
-                            <div class="stat-value">${restaurants.length}</div>
-                        </div>
-                        <div class="stat-card">
-                            <div class="stat-header">
-                                <span class="stat-label">Delivery Partners</span>
-                                <span class="stat-icon">🏍️</span>
-                            </div>
-                            <div class="stat-value">${deliveryPartners.length}</div>
-                        </div>
-                        <div class="stat-card">
-                            <div class="stat-header">
-                                <span class="stat-label">Customers</span>
-                                <span class="stat-icon">👥</span>
-                            </div>
-                            <div class="stat-value">${customers.length}</div>
-                        </div>
-                        <div class="stat-card">
-                            <div class="stat-header">
-                                <span class="stat-label">Total Orders</span>
-                                <span class="stat-icon">📦</span>
-                            </div>
-                            <div class="stat-value">${orders.length}</div>
-                        </div>
+                <form id="adminSetupForm" onsubmit="handleAdminSetup(event)">
+                    <div class="form-group">
+                        <label for="name">Full Name</label>
+                        <input type="text" id="name" oninput="validateFullName()" required>
+                        <small class="warning-message" id="nameWarning" style="display:none;"></small>
                     </div>
-                </div>
+                    <div class="form-group">
+                        <label for="email">Email</label>
+                        <input type="email" id="email" oninput="validateEmail()" required>
+                        <small class="warning-message" id="emailWarning" style="display:none;"></small>
+                    </div>
+                    <div class="form-group">
+                        <label for="username">Username</label>
+                        <input type="text" id="username" oninput="validateUsername()" required>
+                        <small class="warning-message" id="usernameWarning" style="display:none;"></small>
+                    </div>
+                    <div class="form-group">
+                        <label for="password">Password</label>
+                        <input type="password" id="password" placeholder="Minimum 6 characters" oninput="validatePassword()" required>
+                        <small class="warning-message" id="passwordWarning" style="display:none;"></small>
+                    </div>
+                    <div class="form-group">
+                        <label for="confirmPassword">Confirm Password</label>
+                        <input type="password" id="confirmPassword" required>
+                    </div>
+                    <button type="submit" class="btn btn-primary">
+                        Create Account
+                    </button>
+                    <button type="button" class="btn btn-secondary" onclick="renderLandingPage()">
+                        Back
+                    </button>
+                </form>
             </div>
         </div>
     `;
 }
 
-// Show Admin Section
-function showAdminSection(section) {
-    allData = getAllData();
-    document.querySelectorAll('.sidebar-menu li').forEach(li => li.classList.remove('active'));
-    event.target.classList.add('active');
+/**
+ * Create an admin account from the setup or invite form fields (username, password,
+ * confirmPassword) and sign it in
+ * @param {Object} details - { name, email, adminLevel, invitedBy }
+ * @param {Function} stage - Optional extra work for the same transaction (tx) => void
+ * @returns {Promise<Boolean>} Whether the account was created
+ */
+async function createAdminAccount(details, stage) {
+    const username = document.getElementById('username').value.trim();
+    const password = document.getElementById('password').value;
     
-    const content = document.getElementById('adminContent');
+    if (!validateUsername(true) || !validatePassword(true)) {
+        showToast('Please correct the errors in the form', 'error');
+        return false;
+    }
+    if (password !== document.getElementById('confirmPassword').value) {
+        showToast('Passwords do not match', 'error');
+        return false;
+    }
+    if (findRecord({ type: 'user', username })) {
+        showToast('Username already exists', 'error');
+        return false;
+    }
     
-    switch(section) {
-        case 'overview':
-            const restaurants = allData.filter(item => item.type === 'user' && item.role === 'restaurant');
-            const deliveryPartners = allData.filter(item => item.type === 'user' && item.role === 'delivery');
-            const customers = allData.filter(item => item.type === 'user' && item.role === 'customer');
-            const orders = allData.filter(item => item.type === 'order');
-            
-            content.innerHTML = `
-                <div class="stats-grid">
-                    <div class="stat-card">
-                        <div class="stat-header">
-                            <span class="stat-label">Restaurants</span>
-                            <span class="stat-icon">🍽️</span>
-                        </div>
-                        <div class="stat-value">${restaurants.length}</div>
-                    </div>
-                    <div class="stat-card">
-                        <div class="stat-header">
-                            <span class="stat-label">Delivery Partners</span>
-                            <span class="stat-icon">🏍️</span>
-                        </div>
-                        <div class="stat-value">${deliveryPartners.length}</div>
-                    </div>
-                    <div class="stat-card">
-                        <div class="stat-header">
-                            <span class="stat-label">Customers</span>
-                            <span class="stat-icon">👥</span>
-                        </div>
-                        <div class="stat-value">${customers.length}</div>
-                    </div>
-                    <div class="stat-card">
-                        <div class="stat-header">
-                            <span class="stat-label">Total Orders</span>
-                            <span class="stat-icon">📦</span>
-                        </div>
-                        <div class="stat-value">${orders.length}</div>
-                    </div>
-                </div>
-            `;
-            break;
-            
-        case 'restaurants':
-            renderRestaurantsManagement(content);
-            break;
-            
-        case 'delivery':
-            renderDeliveryPartnersManagement(content);
-            break;
-            
-        case 'images':
-            renderImageApprovals(content);
-            break;
-            
-        case 'orders':
-            renderAllOrders(content);
-            break;
-            
-        case 'users':
-            renderUsersManagement(content);
-            break;
+    let admin;
+    try {
+        const passwordHash = await hashPassword(password);
+        runTransaction(tx => {
+            admin = tx.create({
+                type: 'user',
+                role: 'admin',
+                status: 'approved',
+                username,
+                password: passwordHash,
+                ...details
+            });
+            if (stage) stage(tx);
+        });
+    } catch (error) {
+        console.error('Creating admin account failed:', error);
+        showToast(error instanceof DataStoreError ? error.message : 'Could not create the account. Accounts need HTTPS or localhost.', 'error');
+        return false;
     }
+    
+    currentUser = getRecordById(admin.__backendId);
+    startSession(currentUser);
+    navigateToDashboard('admin');
+    return true;
 }
 
-// Render Image Approvals
-function renderImageApprovals(container) {
-    const pendingImages = allData.filter(item => item.type === 'food' && item.imageApprovalStatus === 'pending');
+// Handle First-Run Admin Setup
+async function handleAdminSetup(event) {
+    event.preventDefault();
     
-    if (pendingImages.length === 0) {
-        container.innerHTML = `
-            <div class="empty-state">
-                <div class="empty-state-icon">🖼️</div>
-                <h3>No Pending Image Approvals</h3>
-                <p>All food images have been reviewed</p>
-            </div>
-        `;
+    // Another tab may have finished the setup in the meantime
+    if (hasAdminAccount()) {
+        showToast('An admin account already exists. Please log in.', 'error');
+        navigateToLogin('admin');
+        return;
+    }
+    if (!validateFullName(true) || !validateEmail(true)) {
+        showToast('Please correct the errors in the form', 'error');
         return;
     }
     
-    let imageCards = '';
-    pendingImages.forEach(food => {
-        const restaurant = allData.find(r => r.__backendId === food.restaurantId);
-        
-        imageCards += `
-            <div class="food-card">
-                <div class="food-image" style="display: flex; align-items: center; justify-content: center;">
-                    ${food.imageUrl ? `<img src="${food.imageUrl}" crossOrigin="anonymous" style="max-width: 100%; max-height: 100%; object-fit: contain;">` : '<span style="font-size: 3rem;">🍽️</span>'}
+    const created = await createAdminAccount({
+        name: document.getElementById('name').value.trim(),
+        email: document.getElementById('email').value.trim(),
+        adminLevel: 'super-admin'
+    });
+    if (created) {
+        showToast('Super-admin account created', 'success');
+    }
+}
+
+// Render Accept Admin Invite
+function renderAcceptInvite() {
+    currentView = 'admin-invite';
+    const app = document.getElementById('app');
+    
+    app.innerHTML = `
+        <div class="login-page">
+            <div class="login-container">
+                <div class="login-header">
+                    <h2>Accept Admin Invite</h2>
+                    <p>Enter the code you were given and choose your login</p>
                 </div>
-                <div class="food-info">
-                    <div class="food-name">${food.name}</div>
-                    <div class="food-restaurant">${restaurant?.restaurantName || 'Unknown Restaurant'}</div>
-                    <div class="food-price">₹${food.price}</div>
-                    <div style="margin-bottom: 1rem;">
-                        <span class="status-badge status-pending">Pending Approval</span>
+                <form id="acceptInviteForm" onsubmit="handleAcceptInvite(event)">
+                    <div class="form-group">
+                        <label for="inviteCode">Invite Code</label>
+                        <input type="text" id="inviteCode" placeholder="e.g., K7MQ-2XPD" style="text-transform: uppercase;" required>
                     </div>
-                    <p style="font-size: 0.875rem; color: #666; margin-bottom: 1rem;">${food.description}</p>
-                    <div class="food-actions">
-                        <button class="btn-small btn-approve" onclick="approveImage('${food.__backendId}')">Approve</button>
-                        <button class="btn-small btn-block" onclick="rejectImage('${food.__backendId}')">Reject</button>
+                    <div class="form-group">
+                        <label for="username">Username</label>
+                        <input type="text" id="username" oninput="validateUsername()" required>
+                        <small class="warning-message" id="usernameWarning" style="display:none;"></small>
                     </div>
-                </div>
-            </div>
-        `;
-    });
-    
-    container.innerHTML = `
-        <div style="margin-bottom: 2rem;">
-            <h3 style="font-size: 1.5rem; color: #333; margin-bottom: 0.5rem;">Pending Image Approvals</h3>
-            <p style="color: #666;">Review and approve food images before they appear to customers</p>
-        </div>
-        <div class="food-grid">
-            ${imageCards}
+                    <div class="form-group">
+                        <label for="password">Password</label>
+                        <input type="password" id="password" placeholder="Minimum 6 characters" oninput="validatePassword()" required>
+                        <small class="warning-message" id="passwordWarning" style="display:none;"></small>
+                    </div>
+                    <div class="form-group">
+                        <label for="confirmPassword">Confirm Password</label>
+                        <input type="password" id="confirmPassword" required>
+                    </div>
+                    <button type="submit" class="btn btn-primary">
+                        Create Admin Account
+                    </button>
+                    <button type="button" class="btn btn-secondary" onclick="navigateToLogin('admin')">
+                        Back to Login
+                    </button>
+                </form>
+            </div>
         </div>
     `;
 }
 
-// Approve Image
-function approveImage(foodId) {
-    const food = allData.find(item => item.__backendId === foodId);
-    if (food) {
-        food.imageApprovalStatus = 'approved';
-        updateRecord(food);
-        allData = getAllData();
-        showToast('Image approved successfully', 'success');
-        const content = document.getElementById('adminContent');
-        renderImageApprovals(content);
+// Handle Accept Admin Invite
+async function handleAcceptInvite(event) {
+    event.preventDefault();
+    
+    let codeHash;
+    try {
+        codeHash = await hashOneTimeCode(document.getElementById('inviteCode').value);
+    } catch (error) {
+        console.error('Hashing invite code failed:', error);
+        showToast('Could not check the code. Invites need HTTPS or localhost.', 'error');
+        return;
     }
-}
-
-// Reject Image
-function rejectImage(foodId) {
-    const food = allData.find(item => item.__backendId === foodId);
-    if (food) {
-        food.imageApprovalStatus = 'rejected';
-        food.imageUrl = '';
-        updateRecord(food);
-        allData = getAllData();
-        showToast('Image rejected successfully', 'success');
-        const content = document.getElementById('adminContent');
-        renderImageApprovals(content);
+    
+    const invite = findRecord({ type: 'invite', codeHash });
+    if (!invite || invite.acceptedAt || invite.revokedAt || invite.expiresAt < Date.now()) {
+        showToast('This invite code is invalid, expired or already used', 'error');
+        return;
+    }
+    
+    const created = await createAdminAccount({
+        name: invite.name,
+        email: invite.email,
+        adminLevel: invite.adminLevel,
+        invitedBy: invite.invitedBy
+    }, tx => {
+        // Used up in the same commit as the account, so the code can't create a second one
+        tx.update({ ...invite, acceptedAt: Date.now() });
+    });
+    if (created) {
+        showToast(`Welcome! You are signed in as ${ADMIN_LEVEL_LABELS[invite.adminLevel]}.`, 'success');
     }
 }
 
-// Render Delivery Partners Management
-function renderDeliveryPartnersManagement(container) {
-    const deliveryPartners = allData.filter(item => item.type === 'user' && item.role === 'delivery');
+// Render Admin Accounts
+function renderAdminAccounts(container) {
+    const admins = queryRecords({ type: 'user', role: 'admin' });
+    const now = Date.now();
+    const invites = queryRecords({ type: 'invite' }, invite => !invite.acceptedAt && !invite.revokedAt && invite.expiresAt > now);
+    const nameOf = userId => {
+        const user = userId && getRecordById(userId);
+        return user ? user.name : '-';
+    };
     
-    let tableRows = '';
-    deliveryPartners.forEach(partner => {
-        const assignedOrders = allData.filter(item => 
-            item.type === 'order' && 
-            item.deliveryPartnerId === partner.__backendId
-        );
-        
-        const activeDeliveries = assignedOrders.filter(o => o.orderStatus === 'out-for-delivery').length;
-        const completedDeliveries = assignedOrders.filter(o => o.orderStatus === 'delivered').length;
-        const totalEarnings = completedDeliveries * 50;
+    let adminRows = '';
+    admins.forEach(admin => {
+        const isSelf = admin.__backendId === currentUser.__backendId;
+        const levelOptions = ADMIN_LEVELS.map(level => `
+            <option value="${level}" ${admin.adminLevel === level ? 'selected' : ''}>${ADMIN_LEVEL_LABELS[level]}</option>
+        `).join('');
         
-        tableRows += `
+        adminRows += `
             <tr>
-                <td>${partner.name}</td>
-                <td>${partner.username}</td>
-                <td>${partner.phone}</td>
-                <td>${partner.email}</td>
-                <td>
-                    <span style="color: #f59e0b; font-weight: 600;">${activeDeliveries}</span>
-                </td>
+                <td>${admin.name}${isSelf ? ' (you)' : ''}</td>
+                <td>${admin.username}</td>
                 <td>
-                    <span style="color: #10b981; font-weight: 600;">${completedDeliveries}</span>
+                    ${isSelf ? ADMIN_LEVEL_LABELS[admin.adminLevel] : `
+                        <select onchange="changeAdminLevel('${admin.__backendId}', this.value)" style="padding: 0.375rem; border: 2px solid #e0e0e0; border-radius: 6px;">
+                            ${levelOptions}
+                        </select>
+                    `}
                 </td>
+                <td><span class="status-badge status-${admin.status}">${admin.status.toUpperCase()}</span></td>
+                <td>${nameOf(admin.invitedBy)}</td>
                 <td>
-                    <span style="color: #667eea; font-weight: 600;">₹${totalEarnings}</span>
+                    ${isSelf ? '' : admin.status === 'blocked' ? `
+                        <button class="btn-small btn-approve" onclick="setAdminBlocked('${admin.__backendId}', false)">Unblock</button>
+                    ` : `
+                        <button class="btn-small btn-block" onclick="setAdminBlocked('${admin.__backendId}', true)">Block</button>
+                    `}
                 </td>
             </tr>
         `;
     });
     
-    container.innerHTML = `
-        <div class="data-table">
-            <div class="table-header">
-                <h3>Delivery Partners Management</h3>
-            </div>
-            ${deliveryPartners.length > 0 ? `
-                <table>
-                    <thead>
-                        <tr>
-                            <th>Name</th>
-                            <th>Username</th>
-                            <th>Phone</th>
-                            <th>Email</th>
-                            <th>Active Deliveries</th>
-                            <th>Completed</th>
-                            <th>Earnings</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-                        ${tableRows}
-                    </tbody>
-                </table>
-            ` : `
-                <div class="empty-state">
-                    <div class="empty-state-icon">🏍️</div>
-                    <h3>No Delivery Partners Yet</h3>
-                    <p>No delivery partners have registered yet</p>
-                </div>
-            `}
-        </div>
-    `;
-}
-
-// Render Restaurants Management
-function renderRestaurantsManagement(container) {
-    const restaurants = allData.filter(item => item.type === 'user' && item.role === 'restaurant');
-    
-    let tableRows = '';
-    restaurants.forEach(restaurant => {
-        tableRows += `
+    let inviteRows = '';
+    invites.forEach(invite => {
+        inviteRows += `
             <tr>
-                <td>${restaurant.restaurantName}</td>
-                <td>${restaurant.name}</td>
-                <td>${restaurant.cuisine}</td>
-                <td>${restaurant.phone}</td>
-                <td>
-                    <span class="status-badge status-${restaurant.status}">
-                        ${restaurant.status.toUpperCase()}
-                    </span>
-                </td>
+                <td>${invite.name}</td>
+                <td>${invite.email}</td>
+                <td>${ADMIN_LEVEL_LABELS[invite.adminLevel]}</td>
+                <td>${nameOf(invite.invitedBy)}</td>
+                <td>${new Date(invite.expiresAt).toLocaleString()}</td>
                 <td>
-                    ${restaurant.status === 'pending' ? `
-                        <button class="btn-small btn-approve" onclick="approveRestaurant('${restaurant.__backendId}')">
-                            Approve
-                        </button>
-                    ` : ''}
-                    ${restaurant.status === 'approved' ? `
-                        <button class="btn-small btn-block" onclick="blockRestaurant('${restaurant.__backendId}')">
-                            Block
-                        </button>
-                    ` : ''}
-                    ${restaurant.status === 'blocked' ? `
-                        <button class="btn-small btn-approve" onclick="approveRestaurant('${restaurant.__backendId}')">
-                            Unblock
-                        </button>
-                    ` : ''}
+                    <button class="btn-small btn-block" onclick="revokeAdminInvite('${invite.__backendId}')">Revoke</button>
                 </td>
             </tr>
         `;
     });
     
     container.innerHTML = `
-        <div class="data-table">
+        <div class="data-table" style="margin-bottom: 1.5rem;">
             <div class="table-header">
-                <h3>Restaurants Management</h3>
+                <h3>Admin Accounts</h3>
+                <button class="btn btn-primary" style="width: auto; padding: 0.75rem 2rem;" onclick="openInviteAdminModal()">
+                    ✉️ Invite Admin
+                </button>
             </div>
-            ${restaurants.length > 0 ? `
-                <table>
-                    <thead>
-                        <tr>
-                            <th>Restaurant Name</th>
-                            <th>Owner Name</th>
-                            <th>Cuisine</th>
-                            <th>Phone</th>
-                            <th>Status</th>
-                            <th>Actions</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-                        ${tableRows}
-                    </tbody>
-                </table>
-            ` : `
-                <div class="empty-state">
-                    <div class="empty-state-icon">🍽️</div>
-                    <h3>No Restaurants Yet</h3>
-                    <p>No restaurants have registered yet</p>
-                </div>
-            `}
+            <table>
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th>Username</th>
+                        <th>Level</th>
+                        <th>Status</th>
+                        <th>Invited By</th>
+                        <th>Action</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${adminRows}
+                </tbody>
+            </table>
         </div>
-    `;
-}
-
-// Approve Restaurant
-function approveRestaurant(restaurantId) {
-    const restaurant = allData.find(item => item.__backendId === restaurantId);
-    if (restaurant) {
-        restaurant.status = 'approved';
-        updateRecord(restaurant);
-        allData = getAllData();
-        showToast('Restaurant approved successfully', 'success');
-        const content = document.getElementById('adminContent');
-        renderRestaurantsManagement(content);
-    }
-}
-
-// Block Restaurant
-function blockRestaurant(restaurantId) {
-    const restaurant = allData.find(item => item.__backendId === restaurantId);
-    if (restaurant) {
-        restaurant.status = 'blocked';
-        updateRecord(restaurant);
-        allData = getAllData();
-        showToast('Restaurant blocked successfully', 'success');
-        const content = document.getElementById('adminContent');
-        renderRestaurantsManagement(content);
-    }
-}
-
-// Render All Orders
-function renderAllOrders(container) {
-    const orders = allData.filter(item => item.type === 'order');
-    
-    let tableRows = '';
-    orders.forEach(order => {
-        const customer = allData.find(u => u.__backendId === order.customerId);
-        const restaurant = allData.find(r => r.__backendId === order.restaurantId);
         
-        tableRows += `
-            <tr>
-                <td>#${order.id ? order.id.slice(0, 8) : 'N/A'}</td>
-                <td>${customer?.name || 'Unknown'}</td>
-                <td>${restaurant?.restaurantName || 'Unknown'}</td>
-                <td>₹${order.totalAmount}</td>
-                <td>
-                    <span class="status-badge status-${order.orderStatus}">
-                        ${order.orderStatus.toUpperCase()}
-                    </span>
-                </td>
-                <td>${new Date(order.timestamp).toLocaleString()}</td>
-            </tr>
-        `;
-    });
-    
-    container.innerHTML = `
         <div class="data-table">
             <div class="table-header">
-                <h3>All Orders</h3>
+                <h3>Open Invites</h3>
             </div>
-            ${orders.length > 0 ? `
+            ${invites.length > 0 ? `
                 <table>
                     <thead>
                         <tr>
-                            <th>Order ID</th>
-                            <th>Customer</th>
-                            <th>Restaurant</th>
-                            <th>Amount</th>
-                            <th>Status</th>
-                            <th>Date</th>
+                            <th>Name</th>
+                            <th>Email</th>
+                            <th>Level</th>
+                            <th>Invited By</th>
+                            <th>Expires</th>
+                            <th>Action</th>
                         </tr>
                     </thead>
                     <tbody>
-                        ${tableRows}
+                        ${inviteRows}
                     </tbody>
                 </table>
             ` : `
                 <div class="empty-state">
-                    <div class="empty-state-icon">📦</div>
-                    <h3>No Orders Yet</h3>
-                    <p>No orders have been placed yet</p>
+                    <p>No open invites</p>
                 </div>
             `}
         </div>
+        
+        ${renderDeniedActions()}
     `;
 }
 
-// Render Users Management
-function renderUsersManagement(container) {
-    const users = allData.filter(item => item.type === 'user' && item.role !== 'restaurant');
-    
-    let tableRows = '';
-    users.forEach(user => {
-        tableRows += `
-            <tr>
-                <td>${user.name}</td>
-                <td>${user.username}</td>
-                <td>${user.role.toUpperCase()}</td>
-                <td>${user.email}</td>
-                <td>${user.phone}</td>
-                <td>${user.address}</td>
-                <td>
-                    <button class="btn-small btn-info" onclick="viewCustomerDetails('${user.__backendId}')">View</button>
-                </td>
-            </tr>
-        `;
-    });
-    
-    container.innerHTML = `
-        <div class="data-table">
-            <div class="table-header">
-                <h3>Users Management</h3>
+// Open Invite Admin Modal
+function openInviteAdminModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2>Invite Admin</h2>
+                <button class="close-modal" onclick="this.closest('.modal').remove()">×</button>
             </div>
-            ${users.length > 0 ? `
-                <table>
-                    <thead>
-                        <tr>
-                            <th>Name</th>
-                            <th>Username</th>
-                            <th>Role</th>
-                            <th>Email</th>
-                            <th>Phone</th>
-                            <th>Address</th>
-                            <th>Action</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-                        ${tableRows}
-                    </tbody>
-                </table>
-            ` : `
-                <div class="empty-state">
-                    <div class="empty-state-icon">👥</div>
-                    <h3>No Users Yet</h3>
-                    <p>No users have registered yet</p>
+            <form id="inviteAdminForm" onsubmit="handleInviteAdmin(event)">
+                <div class="form-group">
+                    <label for="inviteName">Full Name *</label>
+                    <input type="text" id="inviteName" style="width: 100%; padding: 0.875rem; border: 2px solid #e0e0e0; border-radius: 8px; font-size: 1rem;" required>
+                </div>
+                <div class="form-group">
+                    <label for="inviteEmail">Email *</label>
+                    <input type="email" id="inviteEmail" style="width: 100%; padding: 0.875rem; border: 2px solid #e0e0e0; border-radius: 8px; font-size: 1rem;" required>
+                </div>
+                <div class="form-group">
+                    <label for="inviteLevel">Permission Level *</label>
+                    <select id="inviteLevel" style="width: 100%; padding: 0.875rem; border: 2px solid #e0e0e0; border-radius: 8px; font-size: 1rem;" required>
+                        <option value="support">Support - orders and customers</option>
+                        <option value="moderator">Moderator - also restaurants, riders, images and the recycle bin</option>
+                        <option value="super-admin">Super-admin - everything, including admins and data tools</option>
+                    </select>
                 </div>
-            `}
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" onclick="this.closest('.modal').remove()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Create Invite</button>
+                </div>
+            </form>
         </div>
     `;
+    
+    document.body.appendChild(modal);
 }
 
-// View Customer Details (Admin can see updated profile)
-function viewCustomerDetails(userId) {
-    const user = allData.find(u => u.__backendId === userId);
-    
-    if (!user) {
-        showToast('User not found', 'error');
+// Handle Invite Admin
+async function handleInviteAdmin(event) {
+    event.preventDefault();
+    if (!authorize('admin:manage')) return;
+    
+    const name = document.getElementById('inviteName').value.trim();
+    const email = document.getElementById('inviteEmail').value.trim();
+    const adminLevel = document.getElementById('inviteLevel').value;
+    const code = generateOneTimeCode();
+    const expiresAt = Date.now() + ADMIN_INVITE_TTL;
+    
+    try {
+        createRecord({
+            type: 'invite',
+            name,
+            email,
+            adminLevel,
+            codeHash: await hashOneTimeCode(code),
+            invitedBy: currentUser.__backendId,
+            expiresAt
+        });
+    } catch (error) {
+        console.error('Creating invite failed:', error);
+        showToast(error instanceof DataStoreError ? error.message : 'Could not create the invite. Please try again.', 'error');
         return;
     }
     
-    const profilePictureUrl = user.profilePicture || null;
-    
+    // The code is only ever shown here; the store keeps its hash
+    event.target.closest('.modal').remove();
     const modal = document.createElement('div');
     modal.className = 'modal active';
     modal.innerHTML = `
-        <div class="modal-content modal-lg">
+        <div class="modal-content">
             <div class="modal-header">
-                <h2>Customer Profile Details</h2>
+                <h2>Invite Created</h2>
                 <button class="close-modal" onclick="this.closest('.modal').remove()">×</button>
             </div>
             <div class="modal-body">
-                ${profilePictureUrl ? `
-                    <div style="margin-bottom: 1.5rem; text-align: center;">
-                        <img src="${profilePictureUrl}" alt="Profile Picture" class="admin-profile-picture">
-                    </div>
-                ` : ''}
-                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1.5rem;">
-                    <div>
-                        <label style="display: block; font-weight: 700; color: #64748b; font-size: 0.8125rem; text-transform: uppercase; margin-bottom: 0.5rem;">Full Name</label>
-                        <p style="color: #1e293b; font-weight: 600;">${user.name}</p>
-                    </div>
-                    
-                    <div>
-                        <label style="display: block; font-weight: 700; color: #64748b; font-size: 0.8125rem; text-transform: uppercase; margin-bottom: 0.5rem;">Username</label>
-                        <p style="color: #1e293b; font-weight: 600;">${user.username}</p>
-                    </div>
-                    
-                    <div>
-                        <label style="display: block; font-weight: 700; color: #64748b; font-size: 0.8125rem; text-transform: uppercase; margin-bottom: 0.5rem;">Email</label>
-                        <p style="color: #1e293b; font-weight: 600;">${user.email}</p>
-                    </div>
-                    
-                    <div>
-                        <label style="display: block; font-weight: 700; color: #64748b; font-size: 0.8125rem; text-transform: uppercase; margin-bottom: 0.5rem;">Phone Number</label>
-                        <p style="color: #1e293b; font-weight: 600;">${user.phone}</p>
-                    </div>
-                    
-                    <div style="grid-column: 1 / -1;">
-                        <label style="display: block; font-weight: 700; color: #64748b; font-size: 0.8125rem; text-transform: uppercase; margin-bottom: 0.5rem;">Address</label>
-                        <p style="color: #1e293b; font-weight: 600;">${user.address}</p>
-                    </div>
-                    
-                    <div>
-                        <label style="display: block; font-weight: 700; color: #64748b; font-size: 0.8125rem; text-transform: uppercase; margin-bottom: 0.5rem;">Role</label>
-                        <p style="color: #1e293b; font-weight: 600;">${user.role.toUpperCase()}</p>
-                    </div>
-                    
-                    <div>
-                        <label style="display: block; font-weight: 700; color: #64748b; font-size: 0.8125rem; text-transform: uppercase; margin-bottom: 0.5rem;">Member Since</label>
-                        <p style="color: #1e293b; font-weight: 600;">${new Date(parseInt(user.__backendId.substring(0, 13))).toLocaleDateString()}</p>
-                    </div>
-                </div>
+                <p style="margin-bottom: 1rem;">Give this code to ${name} (${email}). They enter it under <strong>Admin Login → Accept an invite</strong>.</p>
+                <p style="font-size: 2rem; font-weight: 700; letter-spacing: 0.2em; text-align: center; margin: 1.5rem 0;">${code}</p>
+                <p style="color: #64748b; font-size: 0.875rem;">
+                    It works once, until ${new Date(expiresAt).toLocaleString()}, and won't be shown again.
+                </p>
             </div>
             <div class="modal-footer">
-                <button class="btn btn-secondary" onclick="this.closest('.modal').remove()">Close</button>
+                <button class="btn btn-primary" onclick="this.closest('.modal').remove()">Done</button>
             </div>
         </div>
     `;
-    
     document.body.appendChild(modal);
 }
 
+// Revoke an open admin invite
+function revokeAdminInvite(inviteId) {
+    const invite = getRecordById(inviteId);
+    if (!invite || !authorize('admin:manage', invite) || !confirm(`Revoke the invite for ${invite.name}?`)) return;
+    
+    invite.revokedAt = Date.now();
+    updateRecord(invite);
+    showToast('Invite revoked', 'success');
+}
+
+// Change another admin's permission level
+function changeAdminLevel(adminId, adminLevel) {
+    const admin = getRecordById(adminId);
+    if (!admin || admin.adminLevel === adminLevel || !authorize('admin:manage', admin)) return;
+    
+    if (admin.adminLevel === 'super-admin' && admin.status !== 'blocked' && countActiveSuperAdmins() <= 1) {
+        showToast('There must always be at least one super-admin', 'error');
+        renderAdminAccounts(document.getElementById('adminContent'));
+        return;
+    }
+    
+    admin.adminLevel = adminLevel;
+    updateRecord(admin);
+    showToast(`${admin.name} is now ${ADMIN_LEVEL_LABELS[adminLevel]}`, 'success');
+}
+
+// Block or unblock another admin
+function setAdminBlocked(adminId, blocked) {
+    const admin = getRecordById(adminId);
+    if (!admin || !authorize('admin:manage', admin)) return;
+    
+    if (blocked && admin.adminLevel === 'super-admin' && countActiveSuperAdmins() <= 1) {
+        showToast('There must always be at least one super-admin', 'error');
+        return;
+    }
+    if (blocked && !confirm(`Block ${admin.name}? They will not be able to log in.`)) return;
+    
+    admin.status = blocked ? 'blocked' : 'approved';
+    updateRecord(admin);
+    if (blocked) {
+        endUserSessions(admin.__backendId);
+    }
+    showToast(`${admin.name} ${blocked ? 'blocked' : 'unblocked'}`, 'success');
+}
+
 // Render Restaurant Dashboard
 function renderRestaurantDashboard() {
     currentView = 'restaurant-dashboard';
-    allData = getAllData();
+    currentSection = 'overview';
     const app = document.getElementById('app');
     
-    const foodItems = allData.filter(item => item.type === 'food' && item.restaurantId === currentUser.__backendId);
-    const orders = allData.filter(item => item.type === 'order' && item.restaurantId === currentUser.__backendId);
+    const foodItems = queryRecords({ type: 'food', restaurantId: currentUser.__backendId });
+    const orders = queryRecords({ type: 'order', restaurantId: currentUser.__backendId });
     
     app.innerHTML = `
         <div class="dashboard">
@@ -2146,6 +8435,8 @@ function renderRestaurantDashboard() {
                     <li onclick="showRestaurantSection('menu')">🍽️ Manage Menu</li>
                     <li onclick="showRestaurantSection('promos')">🎟️ Promo Codes</li>
                     <li onclick="showRestaurantSection('orders')">📦 Orders</li>
+                    <li onclick="showRestaurantSection('bin')">🗑️ Recycle Bin</li>
+                    <li onclick="showRestaurantSection('sessions')">🔐 My Sessions</li>
                     <li onclick="logout()">🚪 Logout</li>
                 </ul>
             </div>
@@ -2193,7 +8484,7 @@ function renderRestaurantDashboard() {
 
 // Show Restaurant Section
 function showRestaurantSection(section) {
-    allData = getAllData();
+    currentSection = section;
     const menuItems = document.querySelectorAll('.sidebar-menu li');
     menuItems.forEach(li => li.classList.remove('active'));
     
@@ -2203,6 +8494,8 @@ function showRestaurantSection(section) {
         'menu': 'Manage Menu',
         'promos': 'Promo Codes',
         'orders': 'Orders',
+        'bin': 'Recycle Bin',
+        'sessions': 'My Sessions',
         'earnings': 'Earnings',
         'settings': 'Settings',
         'logout': 'Logout'
@@ -2219,8 +8512,8 @@ function showRestaurantSection(section) {
     
     switch(section) {
         case 'overview':
-            const foodItems = allData.filter(item => item.type === 'food' && item.restaurantId === currentUser.__backendId);
-            const orders = allData.filter(item => item.type === 'order' && item.restaurantId === currentUser.__backendId);
+            const foodItems = queryRecords({ type: 'food', restaurantId: currentUser.__backendId });
+            const orders = queryRecords({ type: 'order', restaurantId: currentUser.__backendId });
             
             content.innerHTML = `
                 <div class="stats-grid">
@@ -2267,17 +8560,25 @@ function showRestaurantSection(section) {
         case 'orders':
             renderRestaurantOrders(content);
             break;
+            
+        case 'bin':
+            renderRecycleBin(content);
+            break;
+            
+        case 'sessions':
+            renderUserSessions(content);
+            break;
     }
 }
 
 // Render Menu Management
 function renderMenuManagement(container) {
-    const foodItems = allData.filter(item => item.type === 'food' && item.restaurantId === currentUser.__backendId);
+    const foodItems = queryRecords({ type: 'food', restaurantId: currentUser.__backendId });
     
     let foodCards = '';
     foodItems.forEach(food => {
         let imageStatusBadge = '';
-        if (food.imageUrl) {
+        if (hasFoodImage(food)) {
             if (food.imageApprovalStatus === 'pending') {
                 imageStatusBadge = '<span class="status-badge status-pending">Image Pending</span>';
             } else if (food.imageApprovalStatus === 'rejected') {
@@ -2288,7 +8589,7 @@ function renderMenuManagement(container) {
         foodCards += `
             <div class="food-card">
                 <div class="food-image" style="display: flex; align-items: center; justify-content: center;">
-                    ${food.imageUrl ? `<img src="${food.imageUrl}" crossOrigin="anonymous" style="max-width: 100%; max-height: 100%; object-fit: contain;">` : '<span style="font-size: 3rem;">🍽️</span>'}
+                    ${hasFoodImage(food) ? foodImageTag(food, 'thumb', 'max-width: 100%; max-height: 100%; object-fit: contain;') : '<span style="font-size: 3rem;">🍽️</span>'}
                 </div>
                 <div class="food-info">
                     <div class="food-name">${food.name}</div>
@@ -2462,6 +8763,7 @@ function switchImageTab(tab) {
 // Handle Add Food
 function handleAddFood(event) {
     event.preventDefault();
+    if (!authorize('food:create')) return;
     
     const imageInput = document.getElementById('foodImage');
     const imageUrlInput = document.getElementById('imageUrl');
@@ -2469,10 +8771,7 @@ function handleAddFood(event) {
     
     // Check if file is selected
     if (imageInput.files && imageInput.files[0]) {
-        const reader = new FileReader();
-        reader.onload = function(e) {
-            imageUrl = e.target.result;
-            
+        saveImage(imageInput.files[0]).then(imageId => {
             const foodData = {
                 type: 'food',
                 restaurantId: currentUser.__backendId,
@@ -2480,19 +8779,19 @@ function handleAddFood(event) {
                 category: document.getElementById('foodCategory').value,
                 price: parseFloat(document.getElementById('foodPrice').value),
                 description: document.getElementById('foodDescription').value,
-                imageUrl: imageUrl,
+                imageUrl: '',
+                imageId: imageId,
                 imageApprovalStatus: 'pending',
                 available: true
             };
             
             createRecord(foodData);
-            allData = getAllData();
             showToast('Food item added successfully. Image pending admin approval.', 'success');
             document.querySelector('.modal').remove();
-            const content = document.getElementById('restaurantContent');
-            renderMenuManagement(content);
-        };
-        reader.readAsDataURL(imageInput.files[0]);
+        }).catch(error => {
+            console.error('Failed to save food item:', error);
+            showToast(error instanceof RecordValidationError ? error.message : `Could not save the image: ${error.message}`, 'error');
+        });
     } else if (imageUrlInput.value.trim()) {
         // Use URL from input
         imageUrl = imageUrlInput.value.trim();
@@ -2514,11 +8813,8 @@ function handleAddFood(event) {
             };
             
             createRecord(foodData);
-            allData = getAllData();
             showToast('Food item added successfully. Image pending admin approval.', 'success');
             document.querySelector('.modal').remove();
-            const content = document.getElementById('restaurantContent');
-            renderMenuManagement(content);
         };
         img.onerror = function() {
             showToast('Invalid image URL. Please check and try again.', 'error');
@@ -2539,18 +8835,15 @@ function handleAddFood(event) {
         };
         
         createRecord(foodData);
-        allData = getAllData();
         showToast('Food item added successfully', 'success');
         document.querySelector('.modal').remove();
-        const content = document.getElementById('restaurantContent');
-        renderMenuManagement(content);
     }
 }
 
 // Edit Food
 function editFood(foodId) {
-    const food = allData.find(item => item.__backendId === foodId);
-    if (!food) return;
+    const food = getRecordById(foodId);
+    if (!food || !authorize('food:update', food)) return;
     
     const modal = document.createElement('div');
     modal.className = 'modal active';
@@ -2596,7 +8889,7 @@ function editFood(foodId) {
                     </div>
                     
                     <div class="image-preview" id="imagePreview">
-                        ${food.imageUrl ? `<img src="${food.imageUrl}" crossOrigin="anonymous" style="max-width: 100%; max-height: 100%; object-fit: contain;">` : '<div class="image-preview-placeholder">🍽️ No image selected</div>'}
+                        ${hasFoodImage(food) ? foodImageTag(food, 'thumb', 'max-width: 100%; max-height: 100%; object-fit: contain;') : '<div class="image-preview-placeholder">🍽️ No image selected</div>'}
                     </div>
                 </div>
                 <button type="submit" class="btn btn-primary">Update Food Item</button>
@@ -2633,8 +8926,8 @@ function switchImageTabEdit(tab) {
 function handleEditFood(event, foodId) {
     event.preventDefault();
     
-    const food = allData.find(item => item.__backendId === foodId);
-    if (food) {
+    const food = getRecordById(foodId);
+    if (food && authorize('food:update', food)) {
         food.name = document.getElementById('foodName').value;
         food.category = document.getElementById('foodCategory').value;
         food.price = parseFloat(document.getElementById('foodPrice').value);
@@ -2643,21 +8936,23 @@ function handleEditFood(event, foodId) {
         const imageInput = document.getElementById('foodImage');
         const imageUrlInput = document.getElementById('imageUrl');
         
+        const previousImageId = food.imageId;
+        
         // Check if file is selected
         if (imageInput.files && imageInput.files[0]) {
-            const reader = new FileReader();
-            reader.onload = function(e) {
-                food.imageUrl = e.target.result;
+            saveImage(imageInput.files[0]).then(imageId => {
+                food.imageId = imageId;
+                food.imageUrl = '';
                 food.imageApprovalStatus = 'pending';
                 
                 updateRecord(food);
-                allData = getAllData();
+                deleteImage(previousImageId);
                 showToast('Food item updated. New image pending admin approval.', 'success');
                 document.querySelector('.modal').remove();
-                const content = document.getElementById('restaurantContent');
-                renderMenuManagement(content);
-            };
-            reader.readAsDataURL(imageInput.files[0]);
+            }).catch(error => {
+                console.error('Failed to save food item:', error);
+                showToast(error instanceof RecordValidationError ? error.message : `Could not save the image: ${error.message}`, 'error');
+            });
         } else if (imageUrlInput.value.trim()) {
             // Use URL from input
             const imageUrl = imageUrlInput.value.trim();
@@ -2667,14 +8962,13 @@ function handleEditFood(event, foodId) {
             img.crossOrigin = 'anonymous';
             img.onload = function() {
                 food.imageUrl = imageUrl;
+                delete food.imageId;
                 food.imageApprovalStatus = 'pending';
                 
                 updateRecord(food);
-                allData = getAllData();
+                deleteImage(previousImageId);
                 showToast('Food item updated. New image pending admin approval.', 'success');
                 document.querySelector('.modal').remove();
-                const content = document.getElementById('restaurantContent');
-                renderMenuManagement(content);
             };
             img.onerror = function() {
                 showToast('Invalid image URL. Please check and try again.', 'error');
@@ -2683,32 +8977,25 @@ function handleEditFood(event, foodId) {
         } else {
             // No new image selected
             updateRecord(food);
-            allData = getAllData();
             showToast('Food item updated successfully', 'success');
             document.querySelector('.modal').remove();
-            const content = document.getElementById('restaurantContent');
-            renderMenuManagement(content);
         }
     }
 }
 
 // Toggle Food Availability
 function toggleFoodAvailability(foodId) {
-    const food = allData.find(item => item.__backendId === foodId);
-    if (food) {
+    const food = getRecordById(foodId);
+    if (food && authorize('food:update', food)) {
         food.available = !food.available;
         updateRecord(food);
-        allData = getAllData();
         showToast(`Food item ${food.available ? 'shown' : 'hidden'} successfully`, 'success');
-        const content = document.getElementById('restaurantContent');
-        renderMenuManagement(content);
     }
 }
 
 // Render Promo Code Management for Restaurant Owner
 function renderPromoCodeManagement(container) {
-    allData = getAllData();
-    const promos = allData.filter(item => item.type === 'promo' && item.restaurantId === currentUser.__backendId);
+    const promos = queryRecords({ type: 'promo', restaurantId: currentUser.__backendId });
     
     let promosHTML = '';
     
@@ -2865,6 +9152,7 @@ function openAddPromoModal() {
 // Handle Add Promo Code
 function handleAddPromo(event) {
     event.preventDefault();
+    if (!authorize('promo:create')) return;
     
     const code = document.getElementById('promoCode').value.trim().toUpperCase();
     const description = document.getElementById('description').value.trim();
@@ -2891,12 +9179,7 @@ function handleAddPromo(event) {
     }
     
     // Check if code already exists for this restaurant
-    allData = getAllData();
-    const existingPromo = allData.find(item => 
-        item.type === 'promo' && 
-        item.restaurantId === currentUser.__backendId && 
-        item.code === code
-    );
+    const existingPromo = findRecord({ type: 'promo', restaurantId: currentUser.__backendId, code });
     
     if (existingPromo) {
         showToast('This promo code already exists', 'error');
@@ -2920,20 +9203,17 @@ function handleAddPromo(event) {
     createRecord(promoData);
     showToast('Promo code created successfully!', 'success');
     document.querySelector('.modal').remove();
-    allData = getAllData();
-    const content = document.getElementById('restaurantContent');
-    renderPromoCodeManagement(content);
 }
 
 // Edit Promo Code
 function editPromoCode(promoId) {
-    allData = getAllData();
-    const promo = allData.find(item => item.__backendId === promoId);
+    const promo = getRecordById(promoId);
     
     if (!promo) {
         showToast('Promo code not found', 'error');
         return;
     }
+    if (!authorize('promo:update', promo)) return;
     
     const modal = document.createElement('div');
     modal.className = 'modal active';
@@ -3029,13 +9309,13 @@ function editPromoCode(promoId) {
 function handleUpdatePromo(event, promoId) {
     event.preventDefault();
     
-    allData = getAllData();
-    const promo = allData.find(item => item.__backendId === promoId);
+    const promo = getRecordById(promoId);
     
     if (!promo) {
         showToast('Promo code not found', 'error');
         return;
     }
+    if (!authorize('promo:update', promo)) return;
     
     const discountValue = parseFloat(document.getElementById('editDiscountValue').value);
     const maxDiscount = document.getElementById('editMaxDiscount').value ? parseFloat(document.getElementById('editMaxDiscount').value) : null;
@@ -3062,47 +9342,120 @@ function handleUpdatePromo(event, promoId) {
     updateRecord(promo);
     showToast('Promo code updated successfully!', 'success');
     document.querySelector('.modal').remove();
-    allData = getAllData();
-    const content = document.getElementById('restaurantContent');
-    renderPromoCodeManagement(content);
 }
 
 // Delete Promo Code
 function deletePromoCode(promoId) {
-    if (confirm('Are you sure you want to delete this promo code?')) {
-        allData = getAllData();
-        const promo = allData.find(item => item.__backendId === promoId);
-        
-        if (promo) {
-            deleteRecord(promo);
-            showToast('Promo code deleted successfully!', 'success');
-            allData = getAllData();
-            const content = document.getElementById('restaurantContent');
-            renderPromoCodeManagement(content);
-        }
+    const promo = getRecordById(promoId);
+    
+    if (promo && authorize('promo:delete', promo) && confirm('Are you sure you want to delete this promo code?')) {
+        softDeleteRecord(promo);
+        showToast('Promo code moved to the recycle bin', 'success');
     }
 }
 
 // Delete Food
 function deleteFood(foodId) {
-    const food = allData.find(item => item.__backendId === foodId);
-    if (food && confirm(`Are you sure you want to delete "${food.name}"?`)) {
-        deleteRecord(food);
-        allData = getAllData();
-        showToast('Food item deleted successfully', 'success');
-        const content = document.getElementById('restaurantContent');
-        renderMenuManagement(content);
+    const food = getRecordById(foodId);
+    if (food && authorize('food:delete', food) && confirm(`Are you sure you want to delete "${food.name}"?`)) {
+        softDeleteRecord(food);
+        showToast('Food item moved to the recycle bin', 'success');
+    }
+}
+
+// Render Recycle Bin (restaurant owners see their own items, admins see every restaurant's)
+function renderRecycleBin(container) {
+    const isAdmin = currentUser.role === 'admin';
+    const criteria = isAdmin ? {} : { restaurantId: currentUser.__backendId };
+    const deletedItems = [
+        ...queryDeletedRecords({ ...criteria, type: 'food' }),
+        ...queryDeletedRecords({ ...criteria, type: 'promo' })
+    ].sort((a, b) => b.deletedAt - a.deletedAt);
+    
+    let tableRows = '';
+    deletedItems.forEach(item => {
+        const restaurant = isAdmin ? getRecordById(item.restaurantId) : null;
+        tableRows += `
+            <tr>
+                <td>${item.type === 'food' ? item.name : item.code}</td>
+                <td>${item.type === 'food' ? '🍽️ Menu Item' : '🎟️ Promo Code'}</td>
+                ${isAdmin ? `<td>${restaurant?.restaurantName || 'Unknown'}</td>` : ''}
+                <td>${new Date(item.deletedAt).toLocaleString()}</td>
+                <td>
+                    <button class="btn-small btn-approve" onclick="restoreFromRecycleBin('${item.__backendId}')">Restore</button>
+                    <button class="btn-small btn-block" onclick="purgeFromRecycleBin('${item.__backendId}')">Delete Forever</button>
+                </td>
+            </tr>
+        `;
+    });
+    
+    container.innerHTML = `
+        <div class="data-table">
+            <div class="table-header">
+                <h3>Recycle Bin</h3>
+            </div>
+            ${deletedItems.length > 0 ? `
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Name</th>
+                            <th>Type</th>
+                            ${isAdmin ? '<th>Restaurant</th>' : ''}
+                            <th>Deleted</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${tableRows}
+                    </tbody>
+                </table>
+            ` : `
+                <div class="empty-state">
+                    <div class="empty-state-icon">🗑️</div>
+                    <h3>Recycle Bin Is Empty</h3>
+                    <p>Deleted menu items and promo codes can be restored from here</p>
+                </div>
+            `}
+        </div>
+    `;
+}
+
+// Restore a menu item or promo code from the recycle bin
+function restoreFromRecycleBin(recordId) {
+    const record = getRecordById(recordId);
+    if (!record || !record.deletedAt || !authorize('recycle-bin:manage', record)) return;
+    
+    // A new promo with the same code may have been created after this one was deleted
+    if (record.type === 'promo' && findRecord({ type: 'promo', restaurantId: record.restaurantId, code: record.code })) {
+        showToast(`Promo code ${record.code} already exists. Delete or rename it first.`, 'error');
+        return;
+    }
+    
+    restoreDeletedRecord(record);
+    showToast(`${record.type === 'food' ? record.name : record.code} restored`, 'success');
+}
+
+// Permanently remove a menu item or promo code
+function purgeFromRecycleBin(recordId) {
+    const record = getRecordById(recordId);
+    if (!record || !record.deletedAt || !authorize('recycle-bin:manage', record)) return;
+    
+    const label = record.type === 'food' ? record.name : record.code;
+    if (confirm(`Permanently delete "${label}"? Past orders keep their item names, but this cannot be undone.`)) {
+        deleteRecord(record);
+        deleteImage(record.imageId);
+        showToast(`${label} permanently deleted`, 'success');
     }
 }
 
 // Render Restaurant Orders
 function renderRestaurantOrders(container) {
-    const orders = allData.filter(item => item.type === 'order' && item.restaurantId === currentUser.__backendId);
+    const orders = queryRecords({ type: 'order', restaurantId: currentUser.__backendId });
     
     let orderCards = '';
     orders.forEach(order => {
-        const customer = allData.find(u => u.__backendId === order.customerId);
-        const items = JSON.parse(order.items || '[]');
+        const customer = getRecordById(order.customerId);
+        const items = order.items || [];
         
         let itemsList = '';
         items.forEach(item => {
@@ -3121,7 +9474,7 @@ function renderRestaurantOrders(container) {
                     </span>
                 </div>
                 <div style="padding: 1.5rem;">
-                    <p><strong>Customer:</strong> ${customer?.name || 'Unknown'}</p>
+                    <p><strong>Customer:</strong> ${customer?.name || missingCustomerName(order.customerId)}</p>
                     <p><strong>Phone:</strong> ${customer?.phone || 'N/A'}</p>
                     <p><strong>Address:</strong> ${customer?.address || 'N/A'}</p>
                     <p><strong>Payment:</strong> ${order.paymentMode} ${order.paymentStatus === 'completed' ? '✅ Paid' : ''}</p>
@@ -3158,21 +9511,18 @@ function renderRestaurantOrders(container) {
 
 // Update Order Status
 function updateOrderStatus(orderId, status) {
-    const order = allData.find(item => item.__backendId === orderId);
-    if (order) {
+    const order = getRecordById(orderId);
+    if (order && authorize('order:update-status', order)) {
         order.orderStatus = status;
         updateRecord(order);
-        allData = getAllData();
         showToast('Order status updated successfully', 'success');
-        const content = document.getElementById('restaurantContent');
-        renderRestaurantOrders(content);
     }
 }
 
 // Render Customer Dashboard
 function renderCustomerDashboard() {
     currentView = 'customer-browse';
-    allData = getAllData();
+    currentSection = 'browse';
     
     // Load wishlist from localStorage
     const savedWishlist = localStorage.getItem(`wishlist_${currentUser.__backendId}`);
@@ -3193,6 +9543,7 @@ function renderCustomerDashboard() {
                     <li onclick="showCustomerSection('cart')">🛒 Cart <span id="cartCount" style="background: #ef4444; color: white; padding: 0.125rem 0.5rem; border-radius: 12px; margin-left: 0.5rem; font-size: 0.75rem;">${cart.length}</span></li>
                     <li onclick="showCustomerSection('orders')">📦 My Orders</li>
                     <li onclick="showCustomerSection('profile')">👤 My Profile</li>
+                    <li onclick="showCustomerSection('sessions')">🔐 My Sessions</li>
                     <li onclick="logout()">🚪 Logout</li>
                 </ul>
             </div>
@@ -3210,7 +9561,7 @@ function renderCustomerDashboard() {
                         </div>
                         <button class="profile-icon-btn" onclick="showCustomerSection('profile')" title="View Profile">
                             <div class="profile-icon-avatar">
-                                ${currentUser.profilePicture ? `<img src="${currentUser.profilePicture}" alt="Profile" class="profile-icon-img">` : `<span class="profile-icon-text">👤</span>`}
+                                ${profilePictureTag(currentUser, 'thumb', 'alt="Profile" class="profile-icon-img"') || `<span class="profile-icon-text">👤</span>`}
                             </div>
                             <span class="profile-icon-name">${currentUser.name}</span>
                         </button>
@@ -3248,6 +9599,7 @@ function addMobileSidebarHTML() {
                 <li onclick="showCustomerSectionMobile('cart')">🛒 Cart <span id="mobileCartCount">${cart.length}</span></li>
                 <li onclick="showCustomerSectionMobile('orders')">📦 My Orders</li>
                 <li onclick="showCustomerSectionMobile('profile')">👤 My Profile</li>
+                <li onclick="showCustomerSectionMobile('sessions')">🔐 My Sessions</li>
                 <li onclick="logoutAndCloseSidebar()">🚪 Logout</li>
             </ul>
         </div>
@@ -3280,7 +9632,7 @@ function logoutAndCloseSidebar() {
 
 // Render Search & Filter UI
 function renderSearchFilters() {
-    const allFoods = allData.filter(item => item.type === 'food');
+    const allFoods = queryRecords({ type: 'food' });
     const cuisines = [...new Set(allFoods.map(f => f.category))];
     const maxPrice = Math.max(...allFoods.map(f => f.price), 1000);
     
@@ -3375,27 +9727,28 @@ function toggleWishlist(foodId) {
     renderFoodItems();
 }
 
-// Update Wishlist Count
+// Update Wishlist Count (items deleted by their restaurant aren't counted)
 function updateWishlistCount() {
     const count = document.getElementById('wishlistCount');
     if (count) {
-        count.textContent = wishlist.length;
+        count.textContent = wishlist.filter(foodId => {
+            const food = getRecordById(foodId);
+            return food && !food.deletedAt;
+        }).length;
     }
 }
 
 // Render Food Items with Search, Filter & Sort
 function renderFoodItems() {
-    let foodItems = allData.filter(item => 
-        item.type === 'food' && 
-        item.available === true &&
-        (item.imageApprovalStatus === 'approved' || !item.imageUrl)
+    let foodItems = queryRecords({ type: 'food', available: true }, item =>
+        item.imageApprovalStatus === 'approved' || !hasFoodImage(item)
     );
     
     // Apply search filter
     if (searchQuery) {
         foodItems = foodItems.filter(item => {
             const food = item.name.toLowerCase();
-            const restaurant = allData.find(r => r.__backendId === item.restaurantId)?.restaurantName.toLowerCase() || '';
+            const restaurant = getRecordById(item.restaurantId)?.restaurantName.toLowerCase() || '';
             return food.includes(searchQuery) || restaurant.includes(searchQuery);
         });
     }
@@ -3446,7 +9799,7 @@ function renderFoodItems() {
     
     let foodCards = '';
     foodItems.forEach(food => {
-        const restaurant = allData.find(r => r.__backendId === food.restaurantId);
+        const restaurant = getRecordById(food.restaurantId);
         const avgRating = getAverageRating(food.__backendId);
         const isWishlisted = wishlist.includes(food.__backendId);
         
@@ -3458,7 +9811,7 @@ function renderFoodItems() {
                     ${isWishlisted ? '❤️' : '🤍'}
                 </button>
                 <div class="food-image" style="display: flex; align-items: center; justify-content: center;">
-                    ${food.imageUrl && food.imageApprovalStatus === 'approved' ? `<img src="${food.imageUrl}" crossOrigin="anonymous" style="max-width: 100%; max-height: 100%; object-fit: contain;">` : '<span style="font-size: 3rem;">🍽️</span>'}
+                    ${hasFoodImage(food) && food.imageApprovalStatus === 'approved' ? foodImageTag(food, 'thumb', 'max-width: 100%; max-height: 100%; object-fit: contain;') : '<span style="font-size: 3rem;">🍽️</span>'}
                 </div>
                 <div class="food-info">
                     <div class="food-name">${food.name}</div>
@@ -3483,7 +9836,7 @@ function renderFoodItems() {
 
 // Get Average Rating for Food Item
 function getAverageRating(foodId) {
-    const reviews = allData.filter(item => item.type === 'review' && item.foodId === foodId);
+    const reviews = findCachedRecords({ type: 'review', foodId });
     if (reviews.length === 0) return 0;
     const sum = reviews.reduce((acc, r) => acc + (r.rating || 0), 0);
     return sum / reviews.length;
@@ -3491,13 +9844,13 @@ function getAverageRating(foodId) {
 
 // Get Review Count
 function getReviewCount(foodId) {
-    return allData.filter(item => item.type === 'review' && item.foodId === foodId).length;
+    return countRecords({ type: 'review', foodId });
 }
 
 // Add to Cart
 function addToCart(foodId) {
-    const food = allData.find(item => item.__backendId === foodId);
-    if (!food) return;
+    const food = getRecordById(foodId);
+    if (!food || food.deletedAt) return;
     
     // Store the restaurant ID for promo code display
     window.selectedRestaurantId = food.restaurantId;
@@ -3526,7 +9879,7 @@ function updateCartCount() {
 
 // Show Customer Section
 function showCustomerSection(section) {
-    allData = getAllData();
+    currentSection = section;
     document.querySelectorAll('.sidebar-menu li').forEach(li => li.classList.remove('active'));
     if (event && event.target) {
         event.target.classList.add('active');
@@ -3563,12 +9916,16 @@ function showCustomerSection(section) {
         case 'editProfile':
             renderEditProfileForm(content);
             break;
+            
+        case 'sessions':
+            renderUserSessions(content);
+            break;
     }
 }
 
 // Render Wishlist
 function renderWishlist(container) {
-    const wishedItems = allData.filter(item => item.type === 'food' && wishlist.includes(item.__backendId));
+    const wishedItems = wishlist.map(foodId => getRecordById(foodId)).filter(item => item && item.type === 'food' && !item.deletedAt);
     
     if (wishedItems.length === 0) {
         container.innerHTML = `
@@ -3583,7 +9940,7 @@ function renderWishlist(container) {
     
     let wishlistHTML = '<div class="food-grid">';
     wishedItems.forEach(food => {
-        const restaurant = allData.find(r => r.__backendId === food.restaurantId);
+        const restaurant = getRecordById(food.restaurantId);
         const avgRating = getAverageRating(food.__backendId);
         
         wishlistHTML += `
@@ -3594,7 +9951,7 @@ function renderWishlist(container) {
                     ❤️
                 </button>
                 <div class="food-image" style="display: flex; align-items: center; justify-content: center;">
-                    ${food.imageUrl && food.imageApprovalStatus === 'approved' ? `<img src="${food.imageUrl}" crossOrigin="anonymous" style="max-width: 100%; max-height: 100%; object-fit: contain;">` : '<span style="font-size: 3rem;">🍽️</span>'}
+                    ${hasFoodImage(food) && food.imageApprovalStatus === 'approved' ? foodImageTag(food, 'thumb', 'max-width: 100%; max-height: 100%; object-fit: contain;') : '<span style="font-size: 3rem;">🍽️</span>'}
                 </div>
                 <div class="food-info">
                     <div class="food-name">${food.name}</div>
@@ -3724,7 +10081,6 @@ function renderCart(container) {
 
 // Display available promo codes for current restaurant
 function populateAvailablePromos() {
-    const allData = getAllData();
     let currentRestaurantId = null;
     
     // Get current restaurant ID from selected restaurant during browsing
@@ -3737,10 +10093,8 @@ function populateAvailablePromos() {
     }
     
     // Find promo codes for current restaurant that are not expired
-    const restaurantPromos = allData.filter(item => 
-        item.type === 'promo' && 
-        item.restaurantId === currentRestaurantId &&
-        (!item.expiryDate || new Date(item.expiryDate) >= new Date())
+    const restaurantPromos = queryRecords({ type: 'promo', restaurantId: currentRestaurantId }, item =>
+        !item.expiryDate || new Date(item.expiryDate) >= new Date()
     );
     
     const promosList = document.getElementById('availablePromosList');
@@ -3766,7 +10120,7 @@ function populateAvailablePromos() {
                     <div>
                         <div style="font-weight: 600; color: #1565c0;">🎟️ ${promo.code}</div>
                         <div style="color: #666; font-size: 0.8rem; margin-top: 0.2rem;">${promo.description}</div>
-                        <div style="color: #999; font-size: 0.75rem; margin-top: 0.3rem;">Min order: ₹${promo.minOrderValue}</div>
+                        ${promo.minOrderValue ? `<div style="color: #999; font-size: 0.75rem; margin-top: 0.3rem;">Min order: ₹${promo.minOrderValue}</div>` : ''}
                     </div>
                     <div style="background: #4CAF50; color: white; padding: 0.4rem 0.8rem; border-radius: 4px; font-weight: 600; white-space: nowrap; margin-left: 0.75rem;">${discountText} OFF</div>
                 </div>
@@ -3817,11 +10171,8 @@ function applyPromoCode() {
         return;
     }
     
-    allData = getAllData();
-    const promo = allData.find(item => 
-        item.type === 'promo' && 
-        item.code.toUpperCase() === code && 
-        item.restaurantId === cart[0]?.restaurantId
+    const promo = findRecord({ type: 'promo', restaurantId: cart[0]?.restaurantId }, item =>
+        item.code.toUpperCase() === code
     );
     
     if (!promo) {
@@ -3995,6 +10346,7 @@ function selectPaymentMethod(method) {
 // Handle Checkout
 function handleCheckout(event) {
     event.preventDefault();
+    if (!authorize('order:create')) return;
     
     const paymentMethod = document.querySelector('input[name="paymentMethod"]:checked')?.value;
     
@@ -4003,6 +10355,16 @@ function handleCheckout(event) {
         return;
     }
     
+    // Items deleted by the restaurant after they were added to the cart can't be ordered
+    const unavailableItems = cart.filter(item => {
+        const food = getRecordById(item.__backendId);
+        return !food || food.deletedAt;
+    });
+    if (unavailableItems.length > 0) {
+        showToast(`No longer available: ${unavailableItems.map(item => item.name).join(', ')}. Please remove from your cart.`, 'error');
+        return;
+    }
+    
     const total = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0) + 40;
     
     // Group items by restaurant
@@ -4014,36 +10376,44 @@ function handleCheckout(event) {
         restaurantGroups[item.restaurantId].push(item);
     });
     
-    // Create separate orders for each restaurant
-    for (const [restaurantId, items] of Object.entries(restaurantGroups)) {
-        const orderTotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0) + 40;
-        
-        const orderData = {
-            id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
-            type: 'order',
-            customerId: currentUser.__backendId,
-            restaurantId: restaurantId,
-            items: JSON.stringify(items.map(item => ({
-                name: item.name,
-                quantity: item.quantity,
-                price: item.price
-            }))),
-            totalAmount: orderTotal,
-            orderStatus: 'pending',
-            paymentMode: paymentMethod,
-            paymentStatus: paymentMethod === 'Cash on Delivery' ? 'pending' : 'completed',
-            deliveryAddress: document.getElementById('deliveryAddress').value,
-            deliveryPhone: document.getElementById('phone').value,
-            promoCode: appliedPromoCode ? appliedPromoCode.code : null,
-            discountAmount: promoCodeDiscount,
-            finalAmount: orderTotal - promoCodeDiscount,
-            timestamp: Date.now()
-        };
-        
-        createRecord(orderData);
+    // Create separate orders for each restaurant, all committed together
+    try {
+        runTransaction(tx => {
+            for (const [restaurantId, items] of Object.entries(restaurantGroups)) {
+                const orderTotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0) + 40;
+                
+                const orderData = {
+                    id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
+                    type: 'order',
+                    customerId: currentUser.__backendId,
+                    restaurantId: restaurantId,
+                    items: items.map(item => ({
+                        foodId: item.__backendId,
+                        name: item.name,
+                        quantity: item.quantity,
+                        price: item.price
+                    })),
+                    totalAmount: orderTotal,
+                    orderStatus: 'pending',
+                    paymentMode: paymentMethod,
+                    paymentStatus: paymentMethod === 'Cash on Delivery' ? 'pending' : 'completed',
+                    deliveryAddress: document.getElementById('deliveryAddress').value,
+                    deliveryPhone: document.getElementById('phone').value,
+                    promoCode: appliedPromoCode ? appliedPromoCode.code : null,
+                    discountAmount: promoCodeDiscount,
+                    finalAmount: orderTotal - promoCodeDiscount,
+                    timestamp: Date.now()
+                };
+                
+                tx.create(orderData);
+            }
+        });
+    } catch (error) {
+        console.error('Checkout failed:', error);
+        showToast(error instanceof StorageQuotaError || error instanceof RecordValidationError ? error.message : 'Could not place your order. Please try again.', 'error');
+        return;
     }
     
-    allData = getAllData();
     showToast(paymentMethod === 'Cash on Delivery' ? 'Order placed successfully!' : 'Payment successful! Order placed!', 'success');
     cart = [];
     updateCartCount();
@@ -4053,7 +10423,7 @@ function handleCheckout(event) {
 
 // Render Customer Orders
 function renderCustomerOrders(container) {
-    const orders = allData.filter(item => item.type === 'order' && item.customerId === currentUser.__backendId);
+    const orders = queryRecords({ type: 'order', customerId: currentUser.__backendId });
     
     if (orders.length === 0) {
         container.innerHTML = `
@@ -4068,8 +10438,8 @@ function renderCustomerOrders(container) {
     
     let orderCards = '';
     orders.forEach(order => {
-        const restaurant = allData.find(r => r.__backendId === order.restaurantId);
-        const items = JSON.parse(order.items || '[]');
+        const restaurant = getRecordById(order.restaurantId);
+        const items = order.items || [];
         
         let itemsList = '';
         items.forEach(item => {
@@ -4151,8 +10521,7 @@ function renderCustomerOrders(container) {
 
 // Render Customer Profile
 function renderCustomerProfile(container) {
-    allData = getAllData();
-    const customer = allData.find(u => u.__backendId === currentUser.__backendId);
+    const customer = getRecordById(currentUser.__backendId);
     
     if (!customer) {
         container.innerHTML = `
@@ -4164,14 +10533,14 @@ function renderCustomerProfile(container) {
         return;
     }
     
-    const profilePictureUrl = customer.profilePicture || null;
+    const profilePicture = profilePictureTag(customer, 'thumb', 'alt="Profile" class="avatar-image"');
     
     container.innerHTML = `
         <div class="profile-section">
             <div class="profile-card">
                 <div class="profile-header">
                     <div class="profile-avatar">
-                        ${profilePictureUrl ? `<img src="${profilePictureUrl}" alt="Profile" class="avatar-image">` : `<span class="avatar-icon">👤</span>`}
+                        ${profilePicture || `<span class="avatar-icon">👤</span>`}
                     </div>
                     <div class="profile-header-info">
                         <h2>${customer.name}</h2>
@@ -4187,12 +10556,12 @@ function renderCustomerProfile(container) {
                     
                     <div class="detail-item">
                         <label>Email</label>
-                        <p>${customer.email}</p>
+                        <p>${customer.email} ${contactVerifiedBadge(customer, 'email')}</p>
                     </div>
                     
                     <div class="detail-item">
                         <label>Phone Number</label>
-                        <p>${customer.phone}</p>
+                        <p>${customer.phone} ${contactVerifiedBadge(customer, 'sms')}</p>
                     </div>
                     
                     <div class="detail-item">
@@ -4207,7 +10576,7 @@ function renderCustomerProfile(container) {
                     
                     <div class="detail-item">
                         <label>Member Since</label>
-                        <p>${new Date(parseInt(customer.__backendId.substring(0, 13))).toLocaleDateString()}</p>
+                        <p>${new Date(customer.createdAt).toLocaleDateString()}</p>
                     </div>
                 </div>
                 
@@ -4215,23 +10584,212 @@ function renderCustomerProfile(container) {
                     <button class="btn btn-primary" onclick="showCustomerSection('editProfile')" style="width: auto; padding: 0.75rem 1.5rem;">
                         ✏️ Edit Profile
                     </button>
+                    ${isContactVerified(customer, 'email') && isContactVerified(customer, 'sms') ? '' : `
+                        <button class="btn btn-secondary" onclick="openContactVerificationModal()" style="width: auto; padding: 0.75rem 1.5rem;">
+                            ✅ Verify Email & Phone
+                        </button>
+                    `}
+                </div>
+            </div>
+            
+            <div class="profile-card" style="margin-top: 1.5rem;">
+                <div style="margin-bottom: 1rem;">
+                    <h2 style="color: #1e293b; font-weight: 700; margin-bottom: 0.5rem;">🔒 Privacy</h2>
+                    <p style="color: #64748b;">
+                        Download a copy of your profile, orders, reviews and wishlist, or delete your account.
+                        Deleting removes your personal details; restaurants keep your past orders and your
+                        reviews stay on the menu without your name.
+                    </p>
+                </div>
+                <div class="profile-actions">
+                    <button class="btn btn-secondary" onclick="downloadMyData()">
+                        ⬇️ Download My Data
+                    </button>
+                    <button class="btn btn-delete" onclick="openDeleteAccountModal()">
+                        🗑️ Delete My Account
+                    </button>
                 </div>
             </div>
         </div>
     `;
 }
 
+// ===========================================================================================
+// PRIVACY - Customer data export and account deletion
+// ===========================================================================================
+// Customers can download everything the platform holds about them as one JSON file, and can
+// delete their account themselves. Deleting removes the user record and everything that only
+// exists for them (wishlist, profile picture, outbox messages, reset and verification codes,
+// login throttles).
+// Past orders and reviews are kept for the restaurants' records but anonymized: their
+// customerId points at DELETED_CUSTOMER_ID, and delivery details and the reviewer's name are
+// cleared, so nothing refers to an account that no longer exists.
+// ===========================================================================================
+
+// customerId of orders and reviews whose customer deleted their account
+const DELETED_CUSTOMER_ID = 'deleted-customer';
+const DATA_EXPORT_FORMAT = 'zaikalok-personal-data';
+// Orders still in one of these states keep the account from being deleted
+const OPEN_ORDER_STATUSES = ['pending', 'preparing', 'ready', 'out-for-delivery'];
+
+// Name shown for an order's customer when their record can't be found
+function missingCustomerName(customerId) {
+    return customerId === DELETED_CUSTOMER_ID ? 'Deleted customer' : 'Unknown';
+}
+
+/**
+ * Collect the signed-in customer's personal data
+ * @returns {Object} { format, exportedAt, profile, orders, reviews, wishlist }
+ */
+function createPersonalDataExport() {
+    const customerId = currentUser.__backendId;
+    const { password, __rev, updatedBy, ...profile } = getRecordById(customerId);
+    const savedWishlist = localStorage.getItem(`${WISHLIST_KEY_PREFIX}${customerId}`);
+    
+    return {
+        format: DATA_EXPORT_FORMAT,
+        exportedAt: new Date().toISOString(),
+        profile,
+        orders: queryRecords({ type: 'order', customerId }).map(({ __rev, updatedBy, ...order }) => order),
+        reviews: queryRecords({ type: 'review', customerId }).map(({ __rev, updatedBy, ...review }) => review),
+        wishlist: (savedWishlist ? JSON.parse(savedWishlist) : []).map(foodId => {
+            const food = getRecordById(foodId);
+            return { foodId, name: food ? food.name : null };
+        })
+    };
+}
+
+// Download the signed-in customer's personal data as a JSON file
+function downloadMyData() {
+    const data = createPersonalDataExport();
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `zaikalok-my-data-${data.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    
+    showToast(`Your data was exported (${data.orders.length} orders, ${data.reviews.length} reviews)`, 'success');
+}
+
+// Open the Delete Account confirmation
+function openDeleteAccountModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2>🗑️ Delete My Account</h2>
+                <button class="close-modal" onclick="this.closest('.modal').remove()">×</button>
+            </div>
+            <div class="modal-body">
+                <p style="color: #334155; margin-bottom: 1rem;">
+                    This can't be undone. Your profile, wishlist and profile picture are deleted and you are
+                    signed out on every tab in this browser. Past orders and reviews stay, without your name or contact details.
+                    You may want to <a href="#" onclick="downloadMyData(); return false;">download your data</a> first.
+                </p>
+                <form onsubmit="handleDeleteAccount(event)">
+                    <div class="form-group">
+                        <label for="deleteAccountPassword">Enter your password to confirm</label>
+                        <input type="password" id="deleteAccountPassword" required>
+                    </div>
+                    <button type="submit" class="btn btn-delete">Delete My Account</button>
+                </form>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+// Handle Delete Account
+async function handleDeleteAccount(event) {
+    event.preventDefault();
+    const customer = getRecordById(currentUser.__backendId);
+    if (!customer || !authorize('user:delete-account', customer)) return;
+    
+    let passwordMatches;
+    try {
+        passwordMatches = await verifyPassword(document.getElementById('deleteAccountPassword').value, customer.password);
+    } catch (error) {
+        console.error('Password check failed:', error);
+        showToast('Could not check your password. This needs HTTPS or localhost.', 'error');
+        return;
+    }
+    if (!passwordMatches) {
+        showToast('Incorrect password', 'error');
+        return;
+    }
+    
+    const customerId = customer.__backendId;
+    const orders = queryRecords({ type: 'order', customerId });
+    if (orders.some(order => OPEN_ORDER_STATUSES.includes(order.orderStatus))) {
+        showToast('You have orders in progress. You can delete your account once they are delivered.', 'error');
+        return;
+    }
+    
+    // Commit with nobody signed in, so the anonymized records aren't stamped with the deleted
+    // account's ID. If the commit fails the customer stays signed in.
+    const signedIn = currentUser;
+    currentUser = null;
+    try {
+        runTransaction(tx => {
+            orders.forEach(order => tx.update({
+                ...order,
+                customerId: DELETED_CUSTOMER_ID,
+                deliveryAddress: null,
+                deliveryPhone: null,
+                updatedBy: null
+            }));
+            queryRecords({ type: 'review', customerId }).forEach(review => tx.update({
+                ...review,
+                customerId: DELETED_CUSTOMER_ID,
+                customerName: 'Former customer',
+                updatedBy: null
+            }));
+            [
+                ...queryRecords({ type: 'message', recipientId: customerId }),
+                ...queryRecords({ type: 'passwordReset', userId: customerId }),
+                ...queryRecords({ type: 'contactVerification', userId: customerId }),
+                ...queryRecords({ type: 'loginThrottle', username: customer.username, role: customer.role }),
+                ...queryRecords({ type: 'passwordResetThrottle', username: customer.username, role: customer.role })
+            ].forEach(record => tx.delete(record));
+            tx.delete(customer);
+        });
+    } catch (error) {
+        currentUser = signedIn;
+        console.error('Account deletion failed:', error);
+        showToast(`Could not delete your account: ${error.message}`, 'error');
+        return;
+    }
+    
+    cart = [];
+    endSession();
+    endUserSessions(customerId);
+    document.querySelectorAll('.modal').forEach(modal => modal.remove());
+    localStorage.removeItem(`${WISHLIST_KEY_PREFIX}${customerId}`);
+    deleteImage(customer.profilePictureId);
+    
+    renderLandingPage();
+    setTimeout(() => {
+        updateChatbotForCurrentUser();
+    }, 100);
+    showToast('Your account has been deleted', 'success');
+}
+
 // Render Edit Profile Form
 function renderEditProfileForm(container) {
-    allData = getAllData();
-    const customer = allData.find(u => u.__backendId === currentUser.__backendId);
+    const customer = getRecordById(currentUser.__backendId);
     
     if (!customer) {
         container.innerHTML = `<div class="empty-state"><h3>Profile Error</h3></div>`;
         return;
     }
     
-    const profilePictureUrl = customer.profilePicture || null;
+    const profilePicture = profilePictureTag(customer, 'thumb', 'alt="Profile Picture" class="preview-image"');
     
     container.innerHTML = `
         <div class="profile-section">
@@ -4246,7 +10804,7 @@ function renderEditProfileForm(container) {
                         <label for="editProfilePicture">Profile Picture</label>
                         <div class="profile-picture-container">
                             <div class="profile-picture-preview" id="profilePicturePreview">
-                                ${profilePictureUrl ? `<img src="${profilePictureUrl}" alt="Profile Picture" class="preview-image">` : `<span class="preview-placeholder">📸 No image</span>`}
+                                ${profilePicture || `<span class="preview-placeholder">📸 No image</span>`}
                             </div>
                             <input type="file" id="editProfilePicture" accept="image/*" onchange="handleProfilePictureChange()">
                             <small style="display: block; margin-top: 0.5rem; color: #64748b; font-size: 0.8125rem;">JPG, PNG, GIF up to 2MB</small>
@@ -4306,22 +10864,23 @@ function handleProfilePictureChange() {
         return;
     }
     
-    // Validate file size (2MB max)
-    const maxSize = 2 * 1024 * 1024; // 2MB
+    // Validate file size (10MB max before compression)
+    const maxSize = 10 * 1024 * 1024; // 10MB
     if (file.size > maxSize) {
-        showToast('Image size must be less than 2MB', 'error');
+        showToast('Image size must be less than 10MB', 'error');
         fileInput.value = '';
         return;
     }
     
-    // Convert to base64
-    const reader = new FileReader();
-    reader.onload = function(e) {
-        preview.innerHTML = `<img src="${e.target.result}" alt="Profile Picture" class="preview-image">`;
-        // Store the data URL for later use
-        window.profilePictureData = e.target.result;
-    };
-    reader.readAsDataURL(file);
+    // Resize and re-encode now so the preview shows what will be saved
+    compressImage(file).then(variants => {
+        preview.innerHTML = `<img src="${variants.thumb}" alt="Profile Picture" class="preview-image">`;
+        // Store the compressed variants for later use
+        window.profilePictureData = variants;
+    }).catch(error => {
+        showToast(error.message, 'error');
+        fileInput.value = '';
+    });
 }
 
 // Validate Profile Name
@@ -4440,8 +10999,9 @@ function validateProfileAddress(isSubmit = false) {
 }
 
 // Handle Update Profile
-function handleUpdateProfile(event) {
+async function handleUpdateProfile(event) {
     event.preventDefault();
+    if (!authorize('user:update-profile', currentUser)) return;
     
     // Validate all fields
     if (!validateProfileName(true) || !validateProfileEmail(true) || 
@@ -4450,8 +11010,7 @@ function handleUpdateProfile(event) {
         return;
     }
     
-    allData = getAllData();
-    const customer = allData.find(u => u.__backendId === currentUser.__backendId);
+    const customer = getRecordById(currentUser.__backendId);
     
     if (!customer) {
         showToast('Profile not found', 'error');
@@ -4459,41 +11018,74 @@ function handleUpdateProfile(event) {
     }
     
     // Update customer profile
+    const previousEmail = customer.email;
+    const previousPhone = customer.phone;
     customer.name = document.getElementById('editName').value.trim();
     customer.email = document.getElementById('editEmail').value.trim();
     customer.phone = document.getElementById('editPhone').value.trim();
     customer.address = document.getElementById('editAddress').value.trim();
     
+    // A changed email or phone number has to be verified again
+    const changedChannels = [];
+    if (customer.email !== previousEmail) {
+        customer.emailVerifiedAt = null;
+        changedChannels.push('email');
+    }
+    if (customer.phone !== previousPhone) {
+        customer.phoneVerifiedAt = null;
+        changedChannels.push('sms');
+    }
+    
     // Update profile picture if a new one was selected
+    let replacedPictureId = null;
     if (window.profilePictureData) {
-        customer.profilePicture = window.profilePictureData;
+        try {
+            replacedPictureId = customer.profilePictureId;
+            customer.profilePictureId = await storeImageVariants(window.profilePictureData);
+            delete customer.profilePicture;
+        } catch (error) {
+            console.error('Failed to save profile picture:', error);
+            showToast(error instanceof StorageQuotaError ? error.message : 'Could not save your profile picture. Please try again.', 'error');
+            return;
+        }
         window.profilePictureData = null; // Clear the temp data
     }
     
-    // Update in localStorage
+    // Update in the data store
     updateRecord(customer);
+    deleteImage(replacedPictureId);
     
-    // Update current user session
+    // Update the signed-in user
     currentUser = customer;
-    sessionStorage.setItem('currentUser', JSON.stringify(currentUser));
     
-    showToast('Profile updated successfully!', 'success');
+    for (const channel of changedChannels) {
+        await sendContactVerificationCode(customer.__backendId, channel);
+    }
+    
+    if (changedChannels.length > 0) {
+        showToast('Profile updated! Enter the codes we sent to verify your new contact details.', 'success');
+    } else {
+        showToast('Profile updated successfully!', 'success');
+    }
     
     // Refresh the dashboard
     setTimeout(() => {
         renderCustomerDashboard();
         showCustomerSection('profile');
+        if (changedChannels.length > 0) {
+            openContactVerificationModal();
+        }
     }, 500);
 }
 
 // Open Review Modal
 function openReviewModal(orderId) {
-    const order = allData.find(o => o.type === 'order' && o.id === orderId);
+    const order = findRecord({ type: 'order', id: orderId });
     if (!order) return;
     
-    const items = JSON.parse(order.items || '[]');
+    const items = order.items || [];
     
-    let itemsOptions = items.map(item => `<option value="${item.__backendId}">${item.name}</option>`).join('');
+    let itemsOptions = items.filter(item => item.foodId).map(item => `<option value="${item.foodId}">${item.name}</option>`).join('');
     
     const modal = document.createElement('div');
     modal.className = 'modal active';
@@ -4552,6 +11144,9 @@ function openReviewModal(orderId) {
 function handleReviewSubmit(event, orderId) {
     event.preventDefault();
     
+    const order = findRecord({ type: 'order', id: orderId });
+    if (!authorize('order:review', order)) return;
+    
     const foodId = document.getElementById('reviewItem').value;
     const rating = parseInt(document.getElementById('ratingValue').value);
     const text = document.getElementById('reviewText').value;
@@ -4572,38 +11167,33 @@ function handleReviewSubmit(event, orderId) {
         __backendId: 'review_' + Date.now() + Math.random().toString(36).substr(2, 9)
     };
     
-    createRecord(review);
-    
-    // Mark order as reviewed
-    const order = allData.find(o => o.type === 'order' && o.id === orderId);
-    if (order) {
-        order.reviewed = true;
-        updateRecord(order);
+    // Save the review and mark the order as reviewed together
+    try {
+        runTransaction(tx => {
+            tx.create(review);
+            
+            order.reviewed = true;
+            tx.update(order);
+        });
+    } catch (error) {
+        console.error('Review submission failed:', error);
+        showToast(error instanceof StorageQuotaError || error instanceof RecordValidationError ? error.message : 'Could not submit your review. Please try again.', 'error');
+        return;
     }
     
-    allData = getAllData();
     showToast('Review submitted successfully!', 'success');
     document.querySelector('.modal').remove();
-    const content = document.getElementById('customerContent');
-    renderCustomerOrders(content);
 }
 
 // Render Delivery Dashboard
 function renderDeliveryDashboard() {
     currentView = 'delivery-dashboard';
-    allData = getAllData();
+    currentSection = 'available';
     const app = document.getElementById('app');
     
-    const assignedOrders = allData.filter(item => 
-        item.type === 'order' && 
-        item.deliveryPartnerId === currentUser.__backendId
-    );
+    const assignedOrders = queryRecords({ type: 'order', deliveryPartnerId: currentUser.__backendId });
     
-    const availableOrders = allData.filter(item => 
-        item.type === 'order' && 
-        item.orderStatus === 'ready' && 
-        !item.deliveryPartnerId
-    );
+    const availableOrders = queryRecords({ type: 'order', orderStatus: 'ready' }, item => !item.deliveryPartnerId);
     
     app.innerHTML = `
         <div class="dashboard">
@@ -4616,6 +11206,7 @@ function renderDeliveryDashboard() {
                     <li class="active" onclick="showDeliverySection('available')">📦 Available Orders</li>
                     <li onclick="showDeliverySection('assigned')">🏍️ My Deliveries</li>
                     <li onclick="showDeliverySection('history')">📋 History</li>
+                    <li onclick="showDeliverySection('sessions')">🔐 My Sessions</li>
                     <li onclick="logout()">🚪 Logout</li>
                 </ul>
             </div>
@@ -4663,7 +11254,7 @@ function renderDeliveryDashboard() {
 
 // Show Delivery Section
 function showDeliverySection(section) {
-    allData = getAllData();
+    currentSection = section;
     document.querySelectorAll('.sidebar-menu li').forEach(li => li.classList.remove('active'));
     event.target.classList.add('active');
     
@@ -4681,16 +11272,16 @@ function showDeliverySection(section) {
         case 'history':
             renderDeliveryHistory(content);
             break;
+            
+        case 'sessions':
+            renderUserSessions(content);
+            break;
     }
 }
 
 // Render Available Orders
 function renderAvailableOrders(container) {
-    const availableOrders = allData.filter(item => 
-        item.type === 'order' && 
-        item.orderStatus === 'ready' && 
-        !item.deliveryPartnerId
-    );
+    const availableOrders = queryRecords({ type: 'order', orderStatus: 'ready' }, item => !item.deliveryPartnerId);
     
     if (availableOrders.length === 0) {
         container.innerHTML = `
@@ -4705,9 +11296,9 @@ function renderAvailableOrders(container) {
     
     let orderCards = '';
     availableOrders.forEach(order => {
-        const restaurant = allData.find(r => r.__backendId === order.restaurantId);
-        const customer = allData.find(u => u.__backendId === order.customerId);
-        const items = JSON.parse(order.items || '[]');
+        const restaurant = getRecordById(order.restaurantId);
+        const customer = getRecordById(order.customerId);
+        const items = order.items || [];
         
         orderCards += `
             <div class="data-table" style="margin-bottom: 1.5rem;">
@@ -4720,9 +11311,9 @@ function renderAvailableOrders(container) {
                 </div>
                 <div style="padding: 1.5rem;">
                     <p><strong>Pickup:</strong> ${restaurant?.address || 'Restaurant Address'}</p>
-                    <p><strong>Delivery:</strong> ${order.deliveryAddress || customer?.address}</p>
-                    <p><strong>Customer:</strong> ${customer?.name || 'Unknown'}</p>
-                    <p><strong>Phone:</strong> ${order.deliveryPhone || customer?.phone}</p>
+                    <p><strong>Delivery:</strong> ${order.deliveryAddress || customer?.address || 'N/A'}</p>
+                    <p><strong>Customer:</strong> ${customer?.name || missingCustomerName(order.customerId)}</p>
+                    <p><strong>Phone:</strong> ${order.deliveryPhone || customer?.phone || 'N/A'}</p>
                     <p><strong>Items:</strong> ${items.length} items</p>
                     <p><strong>Amount:</strong> ₹${order.totalAmount}</p>
                     <button class="btn-small btn-approve" onclick="acceptDelivery('${order.__backendId}')" style="margin-top: 1rem;">
@@ -4737,23 +11328,44 @@ function renderAvailableOrders(container) {
 }
 
 // Accept Delivery
-function acceptDelivery(orderId) {
-    const order = allData.find(item => item.__backendId === orderId);
+async function acceptDelivery(orderId) {
+    const order = getRecordById(orderId);
     if (order) {
+        if (currentUser && order.deliveryPartnerId && order.deliveryPartnerId !== currentUser.__backendId) {
+            showOrderAlreadyTaken();
+            return;
+        }
+        if (!authorize('order:accept-delivery', order)) return;
+        
         order.deliveryPartnerId = currentUser.__backendId;
         order.orderStatus = 'out-for-delivery';
-        updateRecord(order);
-        allData = getAllData();
+        try {
+            // Wait for storage, where a partner in another tab or browser may have got there first
+            await runTransactionAndWait(tx => tx.update(order));
+        } catch (error) {
+            if (error instanceof RecordConflictError) {
+                showOrderAlreadyTaken();
+                return;
+            }
+            throw error;
+        }
         showToast('Delivery accepted successfully', 'success');
         showDeliverySection('assigned');
     }
 }
 
+// Tell the delivery partner they lost the race for an order and show what's still available
+function showOrderAlreadyTaken() {
+    showToast('This order was already taken by another delivery partner', 'error');
+    const content = document.getElementById('deliveryContent');
+    if (content) {
+        renderAvailableOrders(content);
+    }
+}
+
 // Render Assigned Orders
 function renderAssignedOrders(container) {
-    const assignedOrders = allData.filter(item => 
-        item.type === 'order' && 
-        item.deliveryPartnerId === currentUser.__backendId &&
+    const assignedOrders = queryRecords({ type: 'order', deliveryPartnerId: currentUser.__backendId }, item =>
         item.orderStatus !== 'delivered'
     );
     
@@ -4770,8 +11382,8 @@ function renderAssignedOrders(container) {
     
     let orderCards = '';
     assignedOrders.forEach(order => {
-        const restaurant = allData.find(r => r.__backendId === order.restaurantId);
-        const customer = allData.find(u => u.__backendId === order.customerId);
+        const restaurant = getRecordById(order.restaurantId);
+        const customer = getRecordById(order.customerId);
         
         orderCards += `
             <div class="data-table" style="margin-bottom: 1.5rem;">
@@ -4784,9 +11396,9 @@ function renderAssignedOrders(container) {
                 </div>
                 <div style="padding: 1.5rem;">
                     <p><strong>Pickup:</strong> ${restaurant?.address || 'Restaurant Address'}</p>
-                    <p><strong>Delivery:</strong> ${order.deliveryAddress || customer?.address}</p>
-                    <p><strong>Customer:</strong> ${customer?.name || 'Unknown'}</p>
-                    <p><strong>Phone:</strong> ${order.deliveryPhone || customer?.phone}</p>
+                    <p><strong>Delivery:</strong> ${order.deliveryAddress || customer?.address || 'N/A'}</p>
+                    <p><strong>Customer:</strong> ${customer?.name || missingCustomerName(order.customerId)}</p>
+                    <p><strong>Phone:</strong> ${order.deliveryPhone || customer?.phone || 'N/A'}</p>
                     <p><strong>Amount:</strong> ₹${order.totalAmount} ${order.paymentStatus === 'pending' ? '<span style="color: #f59e0b;">(Collect Cash)</span>' : '<span style="color: #10b981;">(Prepaid)</span>'}</p>
                     <button class="btn-small btn-approve" onclick="markAsDelivered('${order.__backendId}')" style="margin-top: 1rem;">
                         Mark as Delivered
@@ -4801,27 +11413,20 @@ function renderAssignedOrders(container) {
 
 // Mark as Delivered
 function markAsDelivered(orderId) {
-    const order = allData.find(item => item.__backendId === orderId);
-    if (order) {
+    const order = getRecordById(orderId);
+    if (order && authorize('order:mark-delivered', order)) {
         order.orderStatus = 'delivered';
         if (order.paymentMode === 'Cash on Delivery') {
             order.paymentStatus = 'completed';
         }
         updateRecord(order);
-        allData = getAllData();
         showToast('Order marked as delivered', 'success');
-        const content = document.getElementById('deliveryContent');
-        renderAssignedOrders(content);
     }
 }
 
 // Render Delivery History
 function renderDeliveryHistory(container) {
-    const deliveredOrders = allData.filter(item => 
-        item.type === 'order' && 
-        item.deliveryPartnerId === currentUser.__backendId &&
-        item.orderStatus === 'delivered'
-    );
+    const deliveredOrders = queryRecords({ type: 'order', deliveryPartnerId: currentUser.__backendId, orderStatus: 'delivered' });
     
     if (deliveredOrders.length === 0) {
         container.innerHTML = `
@@ -4836,14 +11441,14 @@ function renderDeliveryHistory(container) {
     
     let tableRows = '';
     deliveredOrders.forEach(order => {
-        const restaurant = allData.find(r => r.__backendId === order.restaurantId);
-        const customer = allData.find(u => u.__backendId === order.customerId);
+        const restaurant = getRecordById(order.restaurantId);
+        const customer = getRecordById(order.customerId);
         
         tableRows += `
             <tr>
                 <td>#${order.id ? order.id.slice(0, 8) : 'N/A'}</td>
                 <td>${restaurant?.restaurantName || 'Unknown'}</td>
-                <td>${customer?.name || 'Unknown'}</td>
+                <td>${customer?.name || missingCustomerName(order.customerId)}</td>
                 <td>₹${order.totalAmount}</td>
                 <td>₹50</td>
                 <td>${new Date(order.timestamp).toLocaleDateString()}</td>
@@ -4879,7 +11484,7 @@ function renderDeliveryHistory(container) {
 function logout() {
     currentUser = null;
     cart = [];
-    sessionStorage.removeItem('currentUser');
+    endSession();
     renderLandingPage();
     
     // Update chatbot for landing page (guest user)
@@ -4890,6 +11495,14 @@ function logout() {
     showToast('Logged out successfully', 'success');
 }
 
+// Characters that have a meaning in HTML
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Escape text typed by users or read from files before putting it into innerHTML
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
 // Show Toast
 function showToast(message, type = 'success') {
     const toast = document.getElementById('toast');
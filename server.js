@@ -0,0 +1,505 @@
+// ===========================================================================================
+// ZAIKALOK LOCAL SERVER - Shared REST backend for the remote storage adapter
+// ===========================================================================================
+// A small dependency-free Node.js server that keeps every record in one JSON file and serves
+// the app itself, so several browsers on a LAN can share one dataset:
+//
+//   node server.js                      # http://localhost:3000
+//   PORT=8080 DATA_FILE=./data.json API_TOKEN=secret node server.js
+//
+// Then set config.storage_backend to 'remote' (or run
+// localStorage.setItem('Zaikalok_storageBackend', 'remote') in the browser) and reload.
+// Every /api request must carry the API token (printed at startup when API_TOKEN is not set);
+// the app asks for it the first time it connects. The API is documented in README.md ("REST API").
+// ===========================================================================================
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.PORT || '3000', 10);
+const DATA_FILE = path.resolve(process.env.DATA_FILE || path.join(__dirname, 'zaikalok-data.json'));
+const STATIC_ROOT = __dirname;
+// Largest accepted request body (images are sent as base64 data URLs)
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+// Keep idle event streams open through proxies
+const EVENT_HEARTBEAT_MS = 25000;
+// Shared secret required on every /api request; a random one is generated when not configured
+const API_TOKEN = process.env.API_TOKEN || crypto.randomBytes(24).toString('hex');
+
+// Collection name in the URL -> record type. Password reset tokens, verification codes, and
+// login and reset-request throttles have no collection of their own: they only travel in
+// /records and /batch.
+const COLLECTIONS = {
+    users: 'user',
+    foods: 'food',
+    promos: 'promo',
+    orders: 'order',
+    reviews: 'review',
+    invites: 'invite',
+    messages: 'message',
+    'denied-actions': 'deniedAction'
+};
+
+// Operations accepted in a batch
+const BATCH_OPS = ['create', 'update', 'delete'];
+
+const STATIC_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// Only the app's own files and the test scenario fixtures are served, never the data file or
+// anything else on disk
+const STATIC_FILES = ['index.html', 'script.js', 'styles.css'];
+const FIXTURE_FILE_PATTERN = /^fixtures\/[\w-]+\.json$/;
+
+// ===========================================================================================
+// DATA FILE
+// ===========================================================================================
+
+/**
+ * Load the data file, or start empty
+ * @returns {Object} { records, images, meta }
+ */
+function loadState() {
+    try {
+        const state = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+        return {
+            records: Array.isArray(state.records) ? state.records : [],
+            images: state.images || {},
+            meta: state.meta || {}
+        };
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Could not read ${DATA_FILE}, starting empty:`, error.message);
+        }
+        return { records: [], images: {}, meta: {} };
+    }
+}
+
+const state = loadState();
+
+// Write the whole state to disk atomically (write a temp file, then rename over the old one)
+function saveState() {
+    const tempFile = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(state));
+    fs.renameSync(tempFile, DATA_FILE);
+}
+
+// Find a record's position by __backendId
+function findIndex(id) {
+    return state.records.findIndex(record => record.__backendId === id);
+}
+
+// A JSON object (not null, not an array)
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check the records sent to replace the whole dataset
+ * @param {Array} records - Records as sent by the remote adapter's replaceAll
+ * @returns {String|null} What is wrong with the records, or null when they are well formed
+ */
+function validateRecords(records) {
+    if (!Array.isArray(records)) return 'Expected an array of records';
+    const seen = new Set();
+    for (const [index, record] of records.entries()) {
+        if (!isPlainObject(record) || typeof record.__backendId !== 'string' || !record.__backendId) {
+            return `Record #${index + 1}: must be an object with a __backendId`;
+        }
+        if (seen.has(record.__backendId)) {
+            return `Record #${index + 1}: duplicate __backendId ${record.__backendId}`;
+        }
+        seen.add(record.__backendId);
+    }
+    return null;
+}
+
+/**
+ * Check the images sent to POST /images
+ * @param {Array} images - { key, dataUrl } pairs
+ * @returns {String|null} What is wrong with the images, or null when they are well formed
+ */
+function validateImages(images) {
+    if (!Array.isArray(images)) return 'Expected { images: [...] }';
+    for (const [index, image] of images.entries()) {
+        if (!isPlainObject(image) || typeof image.key !== 'string' || !image.key) {
+            return `Image #${index + 1}: key is required`;
+        }
+        if (typeof image.dataUrl !== 'string') {
+            return `Image #${index + 1}: dataUrl must be a string`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check the shape of a batch before looking at any stored record
+ * @param {Array} changes - { op, record, expectedRev } as sent by the remote adapter
+ * @returns {String|null} What is wrong with the batch, or null when it is well formed
+ */
+function validateChanges(changes) {
+    if (!Array.isArray(changes)) return 'Expected { changes: [...] }';
+    for (const [index, change] of changes.entries()) {
+        if (!change || !BATCH_OPS.includes(change.op)) {
+            return `Change #${index + 1}: op must be one of ${BATCH_OPS.join(', ')}`;
+        }
+        if (!isPlainObject(change.record) || typeof change.record.__backendId !== 'string' || !change.record.__backendId) {
+            return `Change #${index + 1}: record.__backendId is required`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check a list of changes against the stored revisions before applying any of them
+ * @param {Array} changes - { op, record, expectedRev } as sent by the remote adapter
+ * @returns {Object|null} Conflict details (with the stored record as `current`), or null when
+ *                       every change can be applied
+ */
+function findConflict(changes) {
+    for (const change of changes) {
+        if (change.op === 'create') {
+            const existing = state.records[findIndex(change.record.__backendId)];
+            if (existing) {
+                return {
+                    error: 'exists',
+                    recordId: change.record.__backendId,
+                    expectedRev: null,
+                    actualRev: existing.__rev || 0,
+                    current: existing
+                };
+            }
+            continue;
+        }
+        if (change.op !== 'update') continue;
+        const stored = state.records[findIndex(change.record.__backendId)];
+        const storedRev = stored ? (stored.__rev || 0) : null;
+        if (storedRev !== change.expectedRev) {
+            return {
+                error: 'conflict',
+                recordId: change.record.__backendId,
+                expectedRev: change.expectedRev,
+                actualRev: storedRev,
+                current: stored || null
+            };
+        }
+    }
+    return null;
+}
+
+// Apply already-checked changes to the state
+function applyChanges(changes) {
+    changes.forEach(change => {
+        const index = findIndex(change.record.__backendId);
+        if (change.op === 'delete') {
+            if (index !== -1) state.records.splice(index, 1);
+        } else if (index === -1) {
+            state.records.push(change.record);
+        } else {
+            state.records[index] = change.record;
+        }
+    });
+}
+
+// ===========================================================================================
+// LIVE EVENTS - Server-Sent Events so every browser sees every change
+// ===========================================================================================
+
+const eventClients = new Set();
+
+// Send a change notification to every connected browser
+function broadcast(message, source) {
+    const payload = `data: ${JSON.stringify({ ...message, source: source || null, sentAt: Date.now() })}\n\n`;
+    eventClients.forEach(client => client.write(payload));
+}
+
+function handleEvents(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.write(': connected\n\n');
+    eventClients.add(res);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENT_HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        eventClients.delete(res);
+    });
+}
+
+// ===========================================================================================
+// HTTP HELPERS
+// ===========================================================================================
+
+/**
+ * Check the API token of a request
+ * @param {http.IncomingMessage} req - Request with `Authorization: Bearer <token>`
+ * @param {URLSearchParams} query - Query string; EventSource can't send headers, so
+ *                                  /api/events passes the token as ?token=
+ * @returns {Boolean}
+ */
+function isAuthorized(req, query) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : (query.get('token') || '');
+    const expected = Buffer.from(API_TOKEN);
+    const given = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Decode the path segments of an /api URL; malformed percent-encoding is the client's fault
+function decodeSegments(pathname) {
+    try {
+        return pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+        throw Object.assign(new Error('Malformed URL encoding'), { status: 400 });
+    }
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+// Read and parse a JSON request body
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+            } catch (error) {
+                reject(Object.assign(new Error('Invalid JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function serveStatic(res, pathname) {
+    const fileName = pathname === '/' ? 'index.html' : pathname.slice(1);
+    if (!STATIC_FILES.includes(fileName) && !FIXTURE_FILE_PATTERN.test(fileName)) {
+        sendJson(res, 404, { error: 'not_found' });
+        return;
+    }
+
+    fs.readFile(path.join(STATIC_ROOT, fileName), (error, content) => {
+        if (error) {
+            sendJson(res, 404, { error: 'not_found' });
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': STATIC_TYPES[path.extname(fileName)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+// ===========================================================================================
+// ROUTES
+// ===========================================================================================
+
+async function handleApi(req, res, segments) {
+    const [resource, id] = segments;
+    const source = req.headers['x-client-id'];
+
+    // Every record, for the adapter's initial load / full replace
+    if (resource === 'records' && !id) {
+        if (req.method === 'GET') return sendJson(res, 200, state.records);
+        if (req.method === 'PUT') {
+            const records = await readJsonBody(req);
+            const invalid = validateRecords(records);
+            if (invalid) return sendJson(res, 400, { error: invalid });
+            state.records = records;
+            saveState();
+            broadcast({ reload: true }, source);
+            return sendJson(res, 204);
+        }
+    }
+
+    // Several changes applied together, or not at all
+    if (resource === 'batch' && req.method === 'POST') {
+        const body = await readJsonBody(req);
+        const changes = body && body.changes;
+        const invalid = validateChanges(changes);
+        if (invalid) return sendJson(res, 400, { error: invalid });
+        const conflict = findConflict(changes);
+        if (conflict) return sendJson(res, 409, conflict);
+        applyChanges(changes);
+        saveState();
+        broadcast({ changes }, source);
+        return sendJson(res, 200, { applied: changes.length });
+    }
+
+    if (resource === 'meta') {
+        if (req.method === 'GET') return sendJson(res, 200, state.meta);
+        if (req.method === 'PUT') {
+            const meta = await readJsonBody(req);
+            if (!isPlainObject(meta)) return sendJson(res, 400, { error: 'Expected an object' });
+            state.meta = { ...state.meta, ...meta };
+            saveState();
+            return sendJson(res, 200, state.meta);
+        }
+    }
+
+    if (resource === 'events' && req.method === 'GET') {
+        return handleEvents(req, res);
+    }
+
+    if (resource === 'images') {
+        if (!id && req.method === 'GET') {
+            return sendJson(res, 200, Object.entries(state.images).map(([key, dataUrl]) => ({ key, dataUrl })));
+        }
+        if (!id && req.method === 'POST') {
+            const body = await readJsonBody(req);
+            const images = isPlainObject(body) ? body.images : undefined;
+            const invalid = validateImages(images);
+            if (invalid) return sendJson(res, 400, { error: invalid });
+            images.forEach(image => {
+                state.images[image.key] = image.dataUrl;
+            });
+            saveState();
+            return sendJson(res, 204);
+        }
+        if (!id && req.method === 'DELETE') {
+            const body = await readJsonBody(req);
+            const keys = isPlainObject(body) ? body.keys : undefined;
+            if (!Array.isArray(keys) || keys.some(key => typeof key !== 'string')) {
+                return sendJson(res, 400, { error: 'Expected { keys: [...] }' });
+            }
+            keys.forEach(key => delete state.images[key]);
+            saveState();
+            return sendJson(res, 204);
+        }
+        if (id && req.method === 'GET') {
+            const dataUrl = state.images[id];
+            return dataUrl ? sendJson(res, 200, { key: id, dataUrl }) : sendJson(res, 404, { error: 'not_found' });
+        }
+    }
+
+    // Per-type collections: /users, /foods, /promos, /orders, /reviews, /invites, /messages,
+    // /denied-actions
+    const type = COLLECTIONS[resource];
+    if (type) {
+        if (!id && req.method === 'GET') {
+            return sendJson(res, 200, state.records.filter(record => record.type === type));
+        }
+
+        if (!id && req.method === 'POST') {
+            const record = await readJsonBody(req);
+            if (!isPlainObject(record) || typeof record.__backendId !== 'string' || !record.__backendId) {
+                return sendJson(res, 400, { error: 'Expected a record object with a __backendId' });
+            }
+            if (findIndex(record.__backendId) !== -1) return sendJson(res, 409, { error: 'exists', recordId: record.__backendId });
+            const changes = [{ op: 'create', record: { ...record, type } }];
+            applyChanges(changes);
+            saveState();
+            broadcast({ changes }, source);
+            return sendJson(res, 201, changes[0].record);
+        }
+
+        const index = id ? findIndex(id) : -1;
+        if (id && (index === -1 || state.records[index].type !== type)) {
+            return sendJson(res, 404, { error: 'not_found' });
+        }
+
+        if (id && req.method === 'GET') {
+            return sendJson(res, 200, state.records[index]);
+        }
+
+        if (id && req.method === 'PUT') {
+            const record = await readJsonBody(req);
+            if (!isPlainObject(record)) return sendJson(res, 400, { error: 'Expected a record object' });
+            // If-Match carries the revision the update is based on
+            const expectedRev = req.headers['if-match'] !== undefined
+                ? parseInt(req.headers['if-match'], 10)
+                : (state.records[index].__rev || 0);
+            const changes = [{
+                op: 'update',
+                record: { ...record, __backendId: id, type, __rev: expectedRev + 1 },
+                expectedRev
+            }];
+            const conflict = findConflict(changes);
+            if (conflict) return sendJson(res, 409, conflict);
+            applyChanges(changes);
+            saveState();
+            broadcast({ changes }, source);
+            return sendJson(res, 200, changes[0].record);
+        }
+
+        if (id && req.method === 'DELETE') {
+            const changes = [{ op: 'delete', record: { __backendId: id, type } }];
+            applyChanges(changes);
+            saveState();
+            broadcast({ changes }, source);
+            return sendJson(res, 204);
+        }
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+}
+
+const server = http.createServer(async (req, res) => {
+    const { pathname, searchParams } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-Match, X-Client-Id'
+        });
+        res.end();
+        return;
+    }
+
+    try {
+        if (pathname.startsWith('/api/')) {
+            if (!isAuthorized(req, searchParams)) {
+                sendJson(res, 401, { error: 'unauthorized' });
+                return;
+            }
+            await handleApi(req, res, decodeSegments(pathname.slice('/api/'.length)));
+        } else {
+            serveStatic(res, pathname);
+        }
+    } catch (error) {
+        // Bad requests (4xx) are the client's problem, not worth a stack trace
+        if (!error.status || error.status >= 500) {
+            console.error(`${req.method} ${pathname} failed:`, error);
+        }
+        if (!res.headersSent) {
+            sendJson(res, error.status || 500, { error: error.message });
+        }
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Zaikalok server running at http://localhost:${PORT}`);
+    console.log(`Data file: ${DATA_FILE}`);
+    if (!process.env.API_TOKEN) {
+        console.log(`API token (set API_TOKEN to choose your own): ${API_TOKEN}`);
+    }
+});